@@ -6,9 +6,19 @@ const fs = require('fs');
 const server = express();
 //importa as rotas criadas da API
 const routes = require('./server/routes');
+//importa as rotinas executadas periodicamente pela API
+const { startCardTrashRetentionJob } = require('./server/jobs/cardTrashRetentionJob');
+const { startWebhookDeliveryJob } = require('./server/jobs/webhookDeliveryJob');
+const { startMailOutboxJob } = require('./server/jobs/mailOutboxJob');
 //const SERVER_PORT = process.env || 4000;
 const SERVER_PORT = 5000;
 
+//se a API estiver atrás de um proxy reverso, define quais proxies são confiáveis para que o IP de origem das requisições seja obtido do cabeçalho X-Forwarded-For (utilizado na limitação de tentativas)
+if(process.env.TRUST_PROXY) {
+
+    server.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 //habilida o uso da biblioca bodyParser para que seja permitido a transferência de dados JSON num tamanho prédefinido de 10 mb
 server.use(bodyParser.urlencoded({extended: true, limit: '10mb'}));
 server.use(bodyParser.json({limit: '10mb'}));
@@ -35,4 +45,10 @@ server.use('/api', routes);
 server.listen(SERVER_PORT, () => {
 
     console.log(`Servidor da API Click Ideia sendo executado na porta ${SERVER_PORT}`);
+    //inicia a rotina que limpa a lixeira de cards
+    startCardTrashRetentionJob();
+    //inicia a rotina que envia as entregas pendentes dos webhooks
+    startWebhookDeliveryJob();
+    //inicia a rotina que envia os emails da fila de saída
+    startMailOutboxJob();
 });
\ No newline at end of file
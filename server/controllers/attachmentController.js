@@ -0,0 +1,226 @@
+const { sequelize } = require('../models');
+const AttachmentPersistence = require('../persistence/attachmentPersistence');
+const CardPersistence = require('../persistence/cardPersistence');
+//importa as funções implementas para serem utilizadas nas operações abaixo
+const { sendErrorMessage } = require('../helpers/api_helpers');
+const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+const { deleteAttachmentFiles, generateStorageKey, storage } = require('../storage');
+//cota em MB de armazenamento de cada usuário, somando todos os arquivos enviados por ele
+const ATTACHMENT_USER_QUOTA_MB = Number(process.env.ATTACHMENT_USER_QUOTA_MB) || 100;
+//tipo de conteúdo utilizado quando o arquivo não informa um tipo válido
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+//expressão regular para validação dos tipos de conteúdo (ex: image/png)
+const MIME_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+
+/**
+ * Função que obtém o tipo de conteúdo do arquivo enviado, que é utilizado na resposta do download
+ * @param file arquivo recebido na requisição
+ * @returns tipo de conteúdo do arquivo ou application/octet-stream se o tipo informado for inválido
+ */
+function getMimeType(file) {
+
+    return MIME_TYPE_PATTERN.test(file.mimetype || '') ? file.mimetype.toLowerCase() : DEFAULT_MIME_TYPE;
+}
+
+/**
+ * Classe responsável por tratar as requisições (como cadastros, remoções, consultas e etc) da API relacionadas a entidade Attachment (arquivos anexados aos cards)
+ */
+class AttachmentController {
+
+    /**
+     * Método que implementa a requisição que busca as informações dos anexos de um card
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchCardAttachments(req, res) {
+
+        try {
+
+            //realiza a busca dos anexos do card recebido como parâmetro
+            const attachmentsCollection = await AttachmentPersistence.searchCardAttachments(req.params.id);
+
+            //envia como resposta os anexos encontrados ou uma lista vazia
+            res.status(200).send(attachmentsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'ANEXOS', 'PESQUISA DE ANEXOS', 500, 'error', 'Falha ao pesquisar os anexos do card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que anexa um arquivo a um card, gravando-o no armazenamento configurado
+     * O arquivo é recebido no campo file de uma requisição multipart/form-data e conta na cota de armazenamento do usuário que o enviou
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createAttachment(req, res) {
+
+        let transaction;
+        let storageKey;
+
+        try {
+
+            //obtém via parâmetro o id do card
+            const { id } = req.params;
+            //arquivo recebido na requisição
+            const file = req.file;
+
+            //os cards da lixeira não podem receber anexos
+            if(!await CardPersistence.findCardById(id)) {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'ANEXOS', 'CADASTRO DE ANEXO', 404, 'warning', 'Card não encontrado');
+            }
+
+            //se o arquivo faz o usuário ultrapassar a sua cota de armazenamento
+            if(await AttachmentPersistence.sumUserAttachmentsSize(req.userId) + file.size > ATTACHMENT_USER_QUOTA_MB * 1024 * 1024) {
+
+                return sendErrorMessage(req, res, undefined, 'ANEXOS', 'CADASTRO DE ANEXO', 413, 'warning', `A sua cota de armazenamento de ${ATTACHMENT_USER_QUOTA_MB} MB de anexos foi excedida`);
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //cria o anexo na base de dados com as informações do arquivo
+            const newAttachment = await AttachmentPersistence.createAttachment({
+                cardId: id,
+                userId: req.userId,
+                name: file.originalname.substring(0, 255),
+                size: file.size,
+                mimeType: getMimeType(file),
+                storageKey: generateStorageKey(id),
+                createdAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //grava o arquivo no armazenamento
+            await storage.saveFile(newAttachment.storageKey, file.buffer, newAttachment.mimeType);
+            storageKey = newAttachment.storageKey;
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações do anexo cadastrado
+            res.status(201).send(newAttachment);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //se o arquivo já havia sido gravado, remove-o do armazenamento
+            if(storageKey) {
+
+                await deleteAttachmentFiles([{ storageKey }]);
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'ANEXOS', 'CADASTRO DE ANEXO', 500, 'error', 'Falha ao gerar o cadastro do anexo, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que faz o download do arquivo de um anexo, enviado com o seu tipo de conteúdo e o seu nome original
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async downloadAttachment(req, res) {
+
+        try {
+
+            //busca o anexo no card recebido como parâmetro
+            const attachmentCollection = await AttachmentPersistence.findCardAttachment(req.params.id, req.params.attachmentId);
+            //obtém o arquivo do anexo no armazenamento
+            const fileStream = attachmentCollection ? await storage.readFile(attachmentCollection.storageKey) : null;
+
+            //se o anexo ou o seu arquivo não existem
+            if(!fileStream) {
+
+                //envia uma resposta indicando que o anexo não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'ANEXOS', 'DOWNLOAD DE ANEXO', 404, 'warning', 'Anexo não encontrado');
+            }
+
+            //configura a resposta com o nome original do arquivo, o seu tipo de conteúdo e o seu tamanho
+            //o navegador não deve tentar descobrir o tipo de conteúdo, evitando que arquivos enviados pelos usuários sejam interpretados como páginas
+            res.attachment(attachmentCollection.name);
+            res.set({
+                'Content-Type': attachmentCollection.mimeType,
+                'Content-Length': attachmentCollection.size,
+                'X-Content-Type-Options': 'nosniff'
+            });
+
+            //se ocorrer uma falha durante a leitura do arquivo, encerra a resposta
+            fileStream.on('error', error => {
+
+                console.log(error);
+                res.destroy(error);
+            });
+
+            //envia o arquivo como resposta
+            fileStream.pipe(res);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de download
+            sendErrorMessage(req, res, error, 'ANEXOS', 'DOWNLOAD DE ANEXO', 500, 'error', 'Falha ao baixar o anexo, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove um anexo e o seu arquivo
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteAttachment(req, res) {
+
+        let transaction;
+
+        try {
+
+            //busca o anexo no card recebido como parâmetro
+            const attachmentCollection = await AttachmentPersistence.findCardAttachment(req.params.id, req.params.attachmentId);
+
+            //se o anexo não existe
+            if(!attachmentCollection) {
+
+                //envia uma resposta indicando que o anexo não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'ANEXOS', 'REMOÇÃO DE ANEXO', 404, 'warning', 'Anexo não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //remove o anexo da base de dados
+            const deletedAttachment = await AttachmentPersistence.deleteAttachment(attachmentCollection, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //remove o arquivo do armazenamento somente após a remoção do anexo, já que a remoção do arquivo não pode ser desfeita
+            await deleteAttachmentFiles([deletedAttachment]);
+            //envia como resposta as informações do anexo removido
+            res.status(200).send(deletedAttachment);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de remoção
+            sendErrorMessage(req, res, error, 'ANEXOS', 'REMOÇÃO DE ANEXO', 500, 'error', 'Falha ao remover o anexo, tente novamente mais tarde');
+        }
+    }
+}
+
+module.exports = new AttachmentController();
@@ -0,0 +1,478 @@
+const { sequelize } = require('../models');
+const AttachmentPersistence = require('../persistence/attachmentPersistence');
+const BoardPersistence = require('../persistence/boardPersistence');
+const UserPersistence = require('../persistence/userPersistence');
+//importa as funções implementas para serem utilizadas nas operações abaixo
+const { sendErrorMessage } = require('../helpers/api_helpers');
+const { BOARD_ROLES } = require('../helpers/authorization_helpers');
+const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+const { deleteAttachmentFiles } = require('../storage');
+
+/**
+ * Função que verifica se uma alteração deixaria o quadro sem nenhum dono
+ * @param boardId id do quadro
+ * @param boardMember registro atual do membro que será alterado ou removido
+ * @param newRole novo papel do membro (undefined quando o membro for removido)
+ * @returns true se o membro é o último dono do quadro e deixaria de sê-lo ou false caso contrário
+ */
+async function isLastBoardOwner(boardId, boardMember, newRole) {
+
+    //se o membro não é dono ou continua sendo dono, o quadro não fica sem dono
+    if(boardMember.role !== BOARD_ROLES.OWNER || newRole === BOARD_ROLES.OWNER) {
+
+        return false;
+    }
+
+    return await BoardPersistence.countBoardOwners(boardId) <= 1;
+}
+
+/**
+ * Classe responsável por tratar as requisições (como cadastros, alterações, remoções, consultas e etc) da API relacionadas as entidades Board (quadros) e BoardMember (membros dos quadros)
+ */
+class BoardController {
+
+    /**
+     * Método que implementa a requisição que cria um novo quadro na base de dados, tendo o usuário autenticado como dono
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createBoard(req, res) {
+
+        let transaction;
+
+        try {
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //cria um novo quadro na base de dados inserindo as informações recebidas no formato JSON através da requisição
+            const newBoard = await BoardPersistence.createBoard({
+                name: req.body.name,
+                personal: false,
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, req.userId, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações do quadro cadastrado
+            res.status(201).send(newBoard);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'QUADROS', 'CADASTRO DE QUADRO', 500, 'error', 'Falha ao gerar o cadastro do quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca os quadros dos quais o usuário autenticado é membro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchBoards(req, res) {
+
+        try {
+
+            //realiza a busca dos quadros do usuário autenticado
+            const boardsCollection = await BoardPersistence.searchUserBoards(req.userId);
+
+            //envia como resposta os quadros encontrados ou uma lista vazia
+            res.status(200).send(boardsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'QUADROS', 'PESQUISA DE QUADROS', 500, 'error', 'Falha ao pesquisar os quadros, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca um quadro por meio de seu id
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async findBoardById(req, res) {
+
+        try {
+
+            //obtém via parâmetro o id do quadro
+            const { id } = req.params;
+            //realiza a busca do quadro por meio de seu id
+            const boardCollection = await BoardPersistence.findBoardById(id);
+
+            //se o quadro existe
+            if(boardCollection) {
+
+                //envia como resposta as informações do quadro junto com o papel do usuário autenticado no quadro
+                res.status(200).send({ ...boardCollection.toJSON(), role: req.boardRole });
+            }
+            else {
+
+                //envia uma resposta indicando que o quadro não foi encontrado e o código 404
+                sendErrorMessage(req, res, undefined, 'QUADROS', 'PESQUISA DE QUADRO', 404, 'warning', 'Quadro não encontrado');
+            }
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'QUADROS', 'PESQUISA DE QUADRO', 500, 'error', 'Falha ao pesquisar o quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que atualiza o cadastro de um quadro na base de dados
+     * PS: requisição disponível apenas para os donos do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async updateBoard(req, res) {
+
+        let transaction;
+
+        try {
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //obtém via parâmetro o id do quadro a ser alterado
+            const { id } = req.params;
+            //atualiza as informações do quadro na base de dados atualizando as informações recebidas no formato JSON através da requisição
+            const boardCollection = await BoardPersistence.updateBoard(id, {
+                name: req.body.name,
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o quadro de fato existe
+            if(boardCollection) {
+
+                //envia como resposta as informações do quadro que foi alterado
+                res.status(200).send(boardCollection);
+            }
+            else {
+
+                //envia uma resposta indicando que o quadro não foi encontrado e o código 404
+                sendErrorMessage(req, res, undefined, 'QUADROS', 'ALTERAÇÃO DE QUADRO', 404, 'warning', 'Quadro não encontrado');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'QUADROS', 'ALTERAÇÃO DE QUADRO', 500, 'error', 'Falha ao alterar o cadastro do quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que deleta um quadro na base de dados, junto com os seus cards e membros
+     * O quadro pessoal do usuário não pode ser deletado
+     * PS: requisição disponível apenas para os donos do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteBoard(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do quadro a ser deletado
+            const { id } = req.params;
+            //busca o quadro para verificar se ele é um quadro pessoal
+            const boardCollection = await BoardPersistence.findBoardById(id);
+
+            //se o quadro não existe
+            if(!boardCollection) {
+
+                //envia uma resposta indicando que o quadro não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'DELEÇÃO DE QUADRO', 404, 'warning', 'Quadro não encontrado');
+            }
+
+            //o quadro pessoal é o quadro padrão dos cards do usuário, por isso não pode ser deletado
+            if(boardCollection.personal) {
+
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'DELEÇÃO DE QUADRO', 409, 'warning', 'O quadro pessoal não pode ser deletado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //busca os anexos dos cards do quadro, cujos arquivos são removidos junto com eles
+            const attachments = await AttachmentPersistence.searchCardsAttachments({ boardId: id }, { transaction });
+            //deleta o quadro, os seus cards e os seus membros na base de dados
+            await BoardPersistence.deleteBoard(id, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //remove os arquivos dos anexos do armazenamento
+            await deleteAttachmentFiles(attachments);
+            //envia como resposta as informações do quadro deletado
+            res.status(200).send(boardCollection);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de deleção
+            sendErrorMessage(req, res, error, 'QUADROS', 'DELEÇÃO DE QUADRO', 500, 'error', 'Falha ao deletar o cadastro do quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca os membros de um quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchBoardMembers(req, res) {
+
+        try {
+
+            //realiza a busca dos membros do quadro recebido como parâmetro
+            const boardMembersCollection = await BoardPersistence.searchBoardMembers(req.params.id);
+
+            //envia como resposta os membros encontrados
+            res.status(200).send(boardMembersCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'QUADROS', 'PESQUISA DE MEMBROS DO QUADRO', 500, 'error', 'Falha ao pesquisar os membros do quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que inclui um usuário como membro de um quadro
+     * PS: requisição disponível apenas para os donos do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createBoardMember(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do quadro e via body o usuário e o seu papel no quadro
+            const { id } = req.params;
+            const { userId, role } = req.body;
+            //busca o quadro para verificar se ele é um quadro pessoal
+            const boardCollection = await BoardPersistence.findBoardById(id);
+
+            //o quadro pessoal pertence apenas ao usuário que o cadastrou, por isso não pode ser compartilhado
+            if(boardCollection.personal) {
+
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'CADASTRO DE MEMBRO DO QUADRO', 409, 'warning', 'O quadro pessoal não pode ser compartilhado');
+            }
+
+            //se o usuário não existe
+            if(!await UserPersistence.findUserById(userId)) {
+
+                //envia uma resposta indicando que o usuário não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'CADASTRO DE MEMBRO DO QUADRO', 404, 'warning', 'Usuário não encontrado');
+            }
+
+            //se o usuário já é membro do quadro
+            if(await BoardPersistence.findBoardMember(id, userId)) {
+
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'CADASTRO DE MEMBRO DO QUADRO', 409, 'warning', 'O usuário já é membro do quadro');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //inclui o usuário como membro do quadro
+            const newBoardMember = await BoardPersistence.createBoardMember({
+                boardId: id,
+                userId: userId,
+                role: role,
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações do membro cadastrado
+            res.status(201).send(newBoardMember);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'QUADROS', 'CADASTRO DE MEMBRO DO QUADRO', 500, 'error', 'Falha ao incluir o membro no quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que altera o papel de um membro do quadro
+     * O quadro deve manter sempre pelo menos um dono
+     * PS: requisição disponível apenas para os donos do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async updateBoardMember(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do quadro e do usuário membro
+            const { id, userId } = req.params;
+            //busca o quadro para verificar se ele é um quadro pessoal
+            const boardCollection = await BoardPersistence.findBoardById(id);
+
+            //o papel do usuário que cadastrou o quadro pessoal não pode ser alterado, já que o quadro pertence apenas a ele
+            if(boardCollection.personal) {
+
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'ALTERAÇÃO DE MEMBRO DO QUADRO', 409, 'warning', 'Os membros do quadro pessoal não podem ser alterados');
+            }
+
+            //busca o registro de membro do usuário no quadro
+            const boardMember = await BoardPersistence.findBoardMember(id, userId);
+
+            //se o usuário não é membro do quadro
+            if(!boardMember) {
+
+                //envia uma resposta indicando que o membro não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'ALTERAÇÃO DE MEMBRO DO QUADRO', 404, 'warning', 'Membro não encontrado');
+            }
+
+            //se a alteração deixaria o quadro sem dono, bloqueia a operação
+            if(await isLastBoardOwner(id, boardMember, req.body.role)) {
+
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'ALTERAÇÃO DE MEMBRO DO QUADRO', 409, 'warning', 'O quadro deve possuir pelo menos um dono');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //altera o papel do membro no quadro
+            const boardMemberCollection = await BoardPersistence.updateBoardMember(id, userId, {
+                role: req.body.role,
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do membro alterado
+            res.status(200).send(boardMemberCollection);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'QUADROS', 'ALTERAÇÃO DE MEMBRO DO QUADRO', 500, 'error', 'Falha ao alterar o membro do quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove um membro do quadro
+     * O quadro deve manter sempre pelo menos um dono
+     * PS: requisição disponível apenas para os donos do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteBoardMember(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do quadro e do usuário membro
+            const { id, userId } = req.params;
+            //busca o registro de membro do usuário no quadro
+            const boardMember = await BoardPersistence.findBoardMember(id, userId);
+
+            //se o usuário não é membro do quadro
+            if(!boardMember) {
+
+                //envia uma resposta indicando que o membro não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'REMOÇÃO DE MEMBRO DO QUADRO', 404, 'warning', 'Membro não encontrado');
+            }
+
+            //busca o quadro para verificar se ele é um quadro pessoal
+            const boardCollection = await BoardPersistence.findBoardById(id);
+
+            //o usuário que cadastrou o quadro pessoal não pode ser removido dele, os demais membros (incluídos antes do quadro pessoal deixar de ser compartilhado) podem
+            if(boardCollection.personal && boardCollection.createdBy === boardMember.userId) {
+
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'REMOÇÃO DE MEMBRO DO QUADRO', 409, 'warning', 'O usuário que cadastrou o quadro pessoal não pode ser removido dele');
+            }
+
+            //se a remoção deixaria o quadro sem dono, bloqueia a operação
+            if(await isLastBoardOwner(id, boardMember)) {
+
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'REMOÇÃO DE MEMBRO DO QUADRO', 409, 'warning', 'O quadro deve possuir pelo menos um dono');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //remove o membro do quadro
+            const boardMemberCollection = await BoardPersistence.deleteBoardMember(id, userId, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do membro removido
+            res.status(200).send(boardMemberCollection);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de remoção
+            sendErrorMessage(req, res, error, 'QUADROS', 'REMOÇÃO DE MEMBRO DO QUADRO', 500, 'error', 'Falha ao remover o membro do quadro, tente novamente mais tarde');
+        }
+    }
+}
+
+module.exports = new BoardController();
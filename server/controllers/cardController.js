@@ -1,8 +1,205 @@
 const { sequelize } = require('../models');
+const AttachmentPersistence = require('../persistence/attachmentPersistence');
+const BoardPersistence = require('../persistence/boardPersistence');
 const CardPersistence = require('../persistence/cardPersistence');
+const CardEventPersistence = require('../persistence/cardEventPersistence');
+const StatusPersistence = require('../persistence/statusPersistence');
 //importa as funções implementas para serem utilizadas nas operações abaixo
 const { sendErrorMessage } = require('../helpers/api_helpers');
+const { CARD_EVENT_TYPES, buildCardEvent, getCardChangeEvents } = require('../helpers/card_event_helpers');
+const { BOARD_WRITE_ROLES, findBoardMemberWithRole, sendForbiddenMessage } = require('../helpers/authorization_helpers');
 const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+const { getPagination, getPagingData } = require('../helpers/pagination_helpers');
+const { buildSearchResult, getSearchTerms } = require('../helpers/search_helpers');
+const { RequestValidationError } = require('../helpers/validation_helpers');
+const { deleteAttachmentFiles } = require('../storage');
+
+/**
+ * Função que obtém o id do status do card com base nas informações recebidas na requisição
+ * O status pode ser informado pelo seu id (statusId) ou pelo seu nome (status), mantendo a compatibilidade com as requisições que enviam o nome do status
+ * Apenas os status disponíveis no quadro do card são aceitos (status padrão ou do próprio quadro)
+ * @param body informações recebidas no formato JSON através da requisição
+ * @param boardId id do quadro do card
+ * @param required indica se o status é obrigatório
+ * @returns id do status ou undefined se o status não foi informado
+ */
+async function resolveCardStatusId(body, boardId, required) {
+
+    //se o status foi informado pelo id
+    if(body.statusId !== undefined && body.statusId !== null && body.statusId !== '') {
+
+        const status = await StatusPersistence.findBoardStatusById(boardId, body.statusId);
+
+        if(!status) {
+
+            throw new RequestValidationError([{ location: 'body', field: 'statusId', message: 'Status não encontrado' }]);
+        }
+
+        return status.statusId;
+    }
+
+    //se o status foi informado pelo nome
+    if(body.status !== undefined && body.status !== null && body.status !== '') {
+
+        const status = await StatusPersistence.findBoardStatusByName(boardId, body.status);
+
+        if(!status) {
+
+            throw new RequestValidationError([{ location: 'body', field: 'status', message: 'Status não encontrado' }]);
+        }
+
+        return status.statusId;
+    }
+
+    //se o status não foi informado, mas é obrigatório
+    if(required) {
+
+        throw new RequestValidationError([{ location: 'body', field: 'statusId', message: 'Campo obrigatório' }]);
+    }
+
+    return undefined;
+}
+
+/**
+ * Função que converte uma data recebida na requisição para o formato de armazenamento da base de dados
+ * @param date data recebida na requisição
+ * @returns data convertida ou undefined se a data não foi informada
+ */
+function toDatabaseDatetime(date) {
+
+    return date ? formatDatabaseDatetime(date) : undefined;
+}
+
+/**
+ * Função que obtém o valor de um campo opcional do card recebido na alteração
+ * Se o campo não foi informado, ele não é alterado (undefined), se foi informado vazio (null ou ""), ele é removido (null)
+ * @param value valor recebido na requisição
+ * @param convert função que converte o valor para o formato de armazenamento da base de dados
+ * @returns valor a ser gravado na base de dados
+ */
+function getOptionalCardValue(value, convert = item => item) {
+
+    if(value === undefined) {
+
+        return undefined;
+    }
+
+    return value === null || value === '' ? null : convert(value);
+}
+
+/**
+ * Função que obtém os filtros da busca de cards a partir dos parâmetros recebidos na requisição
+ * O responsável (assignee) pode ser informado pelo id do usuário ou por "me", que corresponde ao usuário autenticado
+ * @param query parâmetros da query da requisição
+ * @param userId id do usuário autenticado
+ * @returns filtros da busca (dono, responsável, status, etiqueta, texto e períodos de cadastro, de alteração e de entrega)
+ */
+function getCardsSearchFilters(query, userId) {
+
+    return {
+        userId: query.userId,
+        assigneeId: query.assignee === 'me' ? userId : query.assignee,
+        statusId: query.statusId,
+        labelId: query.labelId,
+        search: query.search,
+        createdFrom: toDatabaseDatetime(query.createdFrom),
+        createdTo: toDatabaseDatetime(query.createdTo),
+        updatedFrom: toDatabaseDatetime(query.updatedFrom),
+        updatedTo: toDatabaseDatetime(query.updatedTo),
+        dueFrom: toDatabaseDatetime(query.dueFrom),
+        dueTo: toDatabaseDatetime(query.dueTo)
+    };
+}
+
+/**
+ * Função que busca os cards e os agrupa por status, gerando uma lista de cards para cada status configurado na ordem de exibição do quadro
+ * Se a página (page) ou o tamanho da página (size) forem informados, cada status traz apenas uma página dos seus cards, no mesmo formato da busca paginada de usuários
+ * @param filters filtros da busca de cards (userId, boardId, statusId, labelId, search e períodos)
+ * @param query parâmetros da query da requisição com a ordenação (sort e order) e a paginação (page e size)
+ * @returns objeto com a lista de status, cada um com os seus cards
+ */
+async function searchCardsGroupedByStatus(filters, query = {}) {
+
+    //realiza a busca dos status configurados nos quadros buscados, cada um representa uma coluna do quadro
+    const statusesCollection = await StatusPersistence.searchStatuses({ boardId: filters.boardId, memberId: filters.memberId });
+    //obtém a ordenação dos cards
+    const sorting = { sort: query.sort, order: query.order };
+
+    //se a paginação não foi solicitada, mantém a resposta com todos os cards de cada status
+    if(query.page === undefined && query.size === undefined) {
+
+        //realiza a busca dos cards na base de dados
+        const cards = await CardPersistence.searchCards(filters, sorting);
+
+        //agrupa os cards por status
+        return {
+            statuses: statusesCollection.map(status => ({
+                statusId: status.statusId,
+                name: status.name,
+                color: status.color,
+                sortOrder: status.sortOrder,
+                done: status.done,
+                cards: cards.filter(card => card.statusId === status.statusId)
+            }))
+        };
+    }
+
+    const statuses = [];
+
+    //busca uma página de cards de cada status, se o filtro por status foi informado, busca apenas o status informado
+    for(const status of statusesCollection.filter(item => !filters.statusId || item.statusId === Number(filters.statusId))) {
+
+        const cardsPage = await CardPersistence.searchCardsPage({ ...filters, statusId: status.statusId }, query.page, query.size, sorting);
+
+        statuses.push({
+            statusId: status.statusId,
+            name: status.name,
+            color: status.color,
+            sortOrder: status.sortOrder,
+            done: status.done,
+            ...cardsPage
+        });
+    }
+
+    return { statuses };
+}
+
+/**
+ * Função que conta os cards agrupando por status, gerando a contagem de cada status configurado na ordem de exibição do quadro
+ * Para cada status também é contado o total de cards atrasados (data de entrega anterior à data atual), os status de conclusão (done) não possuem cards atrasados
+ * @param filters filtros da contagem de cards (userId, boardId, labelId e/ou memberId)
+ * @returns objeto com a lista de status, cada um com o seu total de cards e de cards atrasados, e os totais gerais
+ */
+async function countCardsGroupedByStatus(filters) {
+
+    //realiza a busca dos status configurados nos quadros contados
+    const statusesCollection = await StatusPersistence.searchStatuses({ boardId: filters.boardId, memberId: filters.memberId });
+    //realiza a contagem dos cards agrupando por status, considerando atrasados os cards com a data de entrega anterior à data atual
+    const countCards = await CardPersistence.countCardsByStatus(filters, formatDatabaseDatetime(new Date()));
+    //monta a contagem de cards de cada status configurado
+    const statuses = statusesCollection.map(status => {
+
+        //obtém o resultado da contagem do status, se não houver, o status não possui cards
+        const count = countCards.find(item => item.dataValues.statusId === status.statusId);
+
+        return {
+            statusId: status.statusId,
+            name: status.name,
+            color: status.color,
+            sortOrder: status.sortOrder,
+            done: status.done,
+            countCards: count ? Number(count.dataValues.countCards) : 0,
+            overdueCards: count ? Number(count.dataValues.overdueCards) : 0
+        };
+    });
+
+    //soma o total geral de cards e de cards atrasados
+    return {
+        statuses,
+        totalCards: statuses.reduce((sum, status) => sum + status.countCards, 0),
+        totalOverdueCards: statuses.reduce((sum, status) => sum + status.overdueCards, 0)
+    };
+}
 
 /**
  * Classe responsável por tratar as requisições (como cadastros, alterações, remoções, consultas e etc) da API relacionadas a entidade Card
@@ -20,21 +217,46 @@ class CardController {
 
         try {
             
+            //obtém o quadro do card, se não for informado, o card é cadastrado no quadro pessoal do usuário
+            const board = req.body.boardId ? await BoardPersistence.findBoardById(req.body.boardId) : await BoardPersistence.findPersonalBoard(req.userId);
+
+            //se o quadro não existe
+            if(!board) {
+
+                //envia uma resposta indicando que o quadro não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'CARDS', 'CADASTRO DE CARD', 404, 'warning', 'Quadro não encontrado');
+            }
+
+            //somente os donos e editores do quadro podem cadastrar cards
+            if(!await findBoardMemberWithRole(board.boardId, req.userId, BOARD_WRITE_ROLES)) {
+
+                return sendForbiddenMessage(req, res, 'CARDS', 'CADASTRO DE CARD');
+            }
+
             /**
              * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
              */
             transaction = await sequelize.transaction();
 
+            //obtém o status do card, que é obrigatório no cadastro
+            const statusId = await resolveCardStatusId(req.body, board.boardId, true);
             //cria um novo card na base de dados inserindo as informações recebidas no formato JSON através da requisição
             const newCard = await CardPersistence.createCard({
                 cardId: req.body.cardId,
-                userId: req.body.userId,
+                //o card sempre pertence ao usuário autenticado e é cadastrado por ele, o userId recebido na requisição é ignorado
+                userId: req.userId,
+                createdBy: req.userId,
+                boardId: board.boardId,
                 title: req.body.title, 
                 content: req.body.content,
-                status: req.body.status, 
+                statusId: statusId, 
+                dueAt: toDatabaseDatetime(req.body.dueAt) || null,
+                priority: req.body.priority || null,
                 createdAt: formatDatabaseDatetime(new Date()),
                 updatedAt: formatDatabaseDatetime(new Date())
             }, { transaction });
+            //registra o cadastro no histórico do card
+            await CardEventPersistence.createCardEvents([buildCardEvent(newCard, req.userId, CARD_EVENT_TYPES.CREATED, null, null, newCard.title)], { transaction });
             
             //comita na base de dados as operações realizadas
             await transaction.commit();
@@ -57,22 +279,18 @@ class CardController {
 
     /**
      * Método que implementa a requisição que busca cards na base de dados
+     * Os cards são agrupados por status, sendo retornada uma lista de cards para cada status configurado
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
     async searchCards(req, res) {
 
         try {
-            //obtém através dos parâmetros da requisição os filtros a serem utilizados na busca
-            const { userId } = req.query;
-            //realiza a busca dos cards TO-DO na base de dados
-            const toDoCardsCollection = await CardPersistence.searchCards(userId, 'TO-DO');
-            //realiza a busca dos cards DOING na base de dados
-            const doingCardsCollection = await CardPersistence.searchCards(userId, 'DOING');
-            //realiza a busca dos cards DONE na base de dados
-            const doneCardsCollection = await CardPersistence.searchCards(userId, 'DONE');
-            //junta todos os tipos de cards que foram pesquisados
-            const cardsCollection = { toDoCards: toDoCardsCollection, doingCards: doingCardsCollection, doneCards: doneCardsCollection };
+            //obtém através dos parâmetros da requisição os filtros a serem utilizados na busca, o filtro por usuário sempre corresponde ao usuário autenticado
+            //a busca sempre é restrita aos quadros dos quais o usuário autenticado é membro, assim os cards de quadros dos quais ele foi removido não são retornados
+            const filters = { ...getCardsSearchFilters(req.query, req.userId), memberId: req.userId };
+            //realiza a busca dos cards do usuário agrupando por status
+            const cardsCollection = await searchCardsGroupedByStatus(filters, req.query);
 
             //envia como resposta os cards encontrados ou uma lista vazia
             res.status(200).send(cardsCollection);
@@ -84,6 +302,115 @@ class CardController {
         }
     }
 
+    /**
+     * Método que implementa a requisição de busca textual nos títulos e conteúdos dos cards dos quadros do usuário autenticado
+     * A busca é insensível a acentos e a maiúsculas, os cards são ordenados pela relevância e retornados com os trechos encontrados destacados
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchCardsByText(req, res) {
+
+        try {
+
+            //obtém através dos parâmetros da requisição o texto buscado, a página e o tamanho da página
+            const { q, page, size } = req.query;
+            //separa o texto buscado em termos normalizados
+            const terms = getSearchTerms(q);
+            //se não houver nenhum termo válido, nenhum card é encontrado
+            if(terms.length === 0) {
+
+                const { limit } = getPagination(page - 1, size);
+
+                return res.status(200).send(getPagingData({ count: 0, rows: [] }, page, limit));
+            }
+
+            //realiza a busca da página de cards que contêm todos os termos, ordenados dos mais relevantes para os menos relevantes
+            const cardsPage = await CardPersistence.searchCardsByText(req.userId, terms, page, size);
+            //destaca os trechos encontrados apenas nos cards da página
+            const items = cardsPage.items.map(card => buildSearchResult(card, card.get('searchScore'), terms));
+
+            //envia como resposta os resultados da página junto com as informações da paginação
+            res.status(200).send({ ...cardsPage, items });
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'CARDS', 'BUSCA TEXTUAL DE CARDS', 500, 'error', 'Falha ao buscar cards, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca, utilizando paginação, os cards atrasados dos quadros do usuário autenticado
+     * São considerados atrasados os cards cuja data de entrega é anterior à data atual
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchOverdueCards(req, res) {
+
+        try {
+
+            //obtém através dos parâmetros da requisição a página e o tamanho da página
+            const { page, size } = req.query;
+            //realiza a busca dos cards atrasados, dos mais atrasados para os mais recentes
+            const cardsCollection = await CardPersistence.searchOverdueCards(req.userId, formatDatabaseDatetime(new Date()), page, size);
+
+            //envia como resposta os cards encontrados junto com as informações da paginação
+            res.status(200).send(cardsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'CARDS', 'PESQUISA DE CARDS ATRASADOS', 500, 'error', 'Falha ao pesquisar os cards atrasados, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca os cards de um quadro na base de dados
+     * Os cards são agrupados por status, sendo retornada uma lista de cards para cada status configurado
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchBoardCards(req, res) {
+
+        try {
+
+            //obtém através dos parâmetros da requisição os filtros a serem utilizados na busca, o filtro por usuário permite buscar os cards de um dono
+            const filters = getCardsSearchFilters(req.query, req.userId);
+            //realiza a busca dos cards do quadro recebido como parâmetro agrupando por status
+            const cardsCollection = await searchCardsGroupedByStatus({ ...filters, boardId: req.params.id }, req.query);
+
+            //envia como resposta os cards encontrados ou uma lista vazia
+            res.status(200).send(cardsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'CARDS', 'PESQUISA DE CARDS DO QUADRO', 500, 'error', 'Falha ao pesquisar os cards do quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que conta os cards de um quadro, agrupando por status
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async countBoardCards(req, res) {
+
+        try {
+
+            //realiza a contagem dos cards do quadro recebido como parâmetro agrupando por status, filtrando pela etiqueta se ela for informada
+            const countCards = await countCardsGroupedByStatus({ boardId: req.params.id, labelId: req.query.labelId });
+
+            //envia o total de cards por status e o total geral
+            res.status(200).send(countCards);
+        }
+        catch(error) {
+
+            //em caso de falha envia uma resposta com o erro ocorrido
+            sendErrorMessage(req, res, error, 'CARDS', 'CONTAGEM DE CARDS DO QUADRO', 500, 'error', 'Falha ao obter os indicadores de cards do quadro, tente novamente mais tarde');
+        }
+    }
+
     /**
      * Método que implementa a requisição que busca um card por meio de seu id na base de dados
      * PS: requisição não utilizada na API (feita apenas para testes)
@@ -106,7 +433,7 @@ class CardController {
             else {
 
                 //envia uma resposta indicando que o card não foi encontrado e o código 404
-                sendErrorMessage(req, res, undefined, 'CARDS', 'PESQUISA DE CARD POR ID', 500, 'error', 'Card não encontrado');
+                sendErrorMessage(req, res, undefined, 'CARDS', 'PESQUISA DE CARD POR ID', 404, 'warning', 'Card não encontrado');
             }
         }
         catch(error) {
@@ -132,20 +459,30 @@ class CardController {
              */
             transaction = await sequelize.transaction();
 
-            //obtém via parâmetro o id do card a ser deletado
+            //obtém via parâmetro o id do card a ser alterado
             const { id } = req.params;
+            //obtém o novo status do card, se ele foi informado
+            const statusId = await resolveCardStatusId(req.body, req.boardId, false);
+            //obtém as informações do card antes da alteração, que são registradas no histórico
+            const oldCard = await CardPersistence.findCardById(id);
             //atualiza as informações do card na base de dados atualizando as informações recebidas no formato JSON através da requisição
+            //o dono do card não pode ser alterado
             const cardCollection = await CardPersistence.updateCard(id, {
 
-                userId: req.body.userId,
                 title: req.body.title, 
                 content: req.body.content,
-                status: req.body.status, 
+                statusId: statusId, 
+                //a data de entrega e a prioridade são removidas se forem informadas vazias
+                dueAt: getOptionalCardValue(req.body.dueAt, formatDatabaseDatetime),
+                priority: getOptionalCardValue(req.body.priority),
                 updatedAt: formatDatabaseDatetime(new Date())
             }, { transaction });
 
             //se o card de fato existe
             if(cardCollection) {
+
+                //registra no histórico do card os campos alterados
+                await CardEventPersistence.createCardEvents(getCardChangeEvents(oldCard, cardCollection, req.userId), { transaction });
                 
                 //envia como resposta as informações do card que foi alterado
                 res.status(200).send(cardCollection);
@@ -174,7 +511,203 @@ class CardController {
     }
 
     /**
-     * Método que implementa a requisição que delete um card na base de dados
+     * Método que implementa a requisição que move um card para uma posição de uma coluna (status) do quadro
+     * Os demais cards das colunas de origem e de destino são reposicionados, mantendo a ordem definida pelo usuário
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async moveCard(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém o status (coluna) de destino, que é obrigatório e deve estar disponível no quadro do card
+            const statusId = await resolveCardStatusId(req.body, req.boardId, true);
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //obtém via parâmetro o id do card a ser movido
+            const { id } = req.params;
+            //obtém as informações do card antes da movimentação, que são registradas no histórico
+            const oldCard = await CardPersistence.findCardById(id);
+            //move o card para a posição de destino, reposicionando os demais cards das colunas
+            const cardCollection = await CardPersistence.moveCard(id, statusId, Number(req.body.position), { transaction });
+
+            //se o card de fato existe, registra a movimentação no histórico do card
+            if(cardCollection) {
+
+                await CardEventPersistence.createCardEvents(getCardChangeEvents(oldCard, cardCollection, req.userId), { transaction });
+            }
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o card de fato existe
+            if(cardCollection) {
+
+                //envia como resposta as informações do card movido
+                res.status(200).send(cardCollection);
+            }
+            else {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                sendErrorMessage(req, res, undefined, 'CARDS', 'MOVIMENTAÇÃO DE CARD', 404, 'warning', 'Card não encontrado');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'CARDS', 'MOVIMENTAÇÃO DE CARD', 500, 'error', 'Falha ao mover o card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que atribui um card a um usuário responsável, que deve ser membro do quadro do card
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createCardAssignee(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do card e do usuário responsável
+            const { id, userId } = req.params;
+            //busca o card (os cards da lixeira não podem ser alterados)
+            const cardCollection = await CardPersistence.findCardById(id);
+
+            //se o card não existe
+            if(!cardCollection) {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'CARDS', 'ATRIBUIÇÃO DE RESPONSÁVEL AO CARD', 404, 'warning', 'Card não encontrado');
+            }
+
+            //somente os membros do quadro do card podem ser responsáveis por ele
+            if(!await BoardPersistence.findBoardMember(cardCollection.boardId, userId)) {
+
+                return sendErrorMessage(req, res, undefined, 'CARDS', 'ATRIBUIÇÃO DE RESPONSÁVEL AO CARD', 404, 'warning', 'O usuário não é membro do quadro do card');
+            }
+
+            //se o usuário já é responsável pelo card
+            if(await CardPersistence.findCardAssignee(id, userId)) {
+
+                return sendErrorMessage(req, res, undefined, 'CARDS', 'ATRIBUIÇÃO DE RESPONSÁVEL AO CARD', 409, 'warning', 'O usuário já é responsável pelo card');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //atribui o card ao usuário
+            await CardPersistence.createCardAssignee({
+                cardId: cardCollection.cardId,
+                userId: userId,
+                createdAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+            //registra a atribuição no histórico do card
+            await CardEventPersistence.createCardEvents([buildCardEvent(cardCollection, req.userId, CARD_EVENT_TYPES.ASSIGNED, 'assignee', null, userId)], { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do card com os seus responsáveis atualizados
+            res.status(201).send(await CardPersistence.findCardById(id));
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de atribuição
+            sendErrorMessage(req, res, error, 'CARDS', 'ATRIBUIÇÃO DE RESPONSÁVEL AO CARD', 500, 'error', 'Falha ao atribuir o card ao usuário, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove a atribuição de um card a um usuário responsável
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteCardAssignee(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do card e do usuário responsável
+            const { id, userId } = req.params;
+            //busca o card (os cards da lixeira não podem ser alterados)
+            const cardCollection = await CardPersistence.findCardById(id);
+
+            //se o card não existe
+            if(!cardCollection) {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'CARDS', 'REMOÇÃO DE RESPONSÁVEL DO CARD', 404, 'warning', 'Card não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //remove a atribuição do card ao usuário
+            const cardAssigneeCollection = await CardPersistence.deleteCardAssignee(id, userId, { transaction });
+
+            //se o usuário era responsável pelo card, registra a remoção no histórico do card
+            if(cardAssigneeCollection) {
+
+                await CardEventPersistence.createCardEvents([buildCardEvent(cardCollection, req.userId, CARD_EVENT_TYPES.UNASSIGNED, 'assignee', userId, null)], { transaction });
+            }
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o usuário era responsável pelo card
+            if(cardAssigneeCollection) {
+
+                //envia como resposta as informações do card com os seus responsáveis atualizados
+                res.status(200).send(await CardPersistence.findCardById(id));
+            }
+            else {
+
+                //envia uma resposta indicando que o usuário não é responsável pelo card e o código 404
+                sendErrorMessage(req, res, undefined, 'CARDS', 'REMOÇÃO DE RESPONSÁVEL DO CARD', 404, 'warning', 'O usuário não é responsável pelo card');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de remoção
+            sendErrorMessage(req, res, error, 'CARDS', 'REMOÇÃO DE RESPONSÁVEL DO CARD', 500, 'error', 'Falha ao remover o responsável do card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que delete um card, movendo-o para a lixeira
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
@@ -191,12 +724,15 @@ class CardController {
 
             //obtém via parâmetro o id do card a ser deletado
             const { id } = req.params;
-            //deleta o card na base de dados por meio de seu id
-            const cardCollection = await CardPersistence.deleteCard(id, { transaction });
+            //move o card para a lixeira por meio de seu id
+            const cardCollection = await CardPersistence.deleteCard(id, formatDatabaseDatetime(new Date()), { transaction });
 
             //se o card realmente existe
             if(cardCollection) {
 
+                //registra a remoção no histórico do card
+                await CardEventPersistence.createCardEvents([buildCardEvent(cardCollection, req.userId, CARD_EVENT_TYPES.DELETED, null, cardCollection.title, null)], { transaction });
+
                 //envia como resposta as informações do card deletado
                 res.status(200).send(cardCollection);
             }
@@ -224,9 +760,195 @@ class CardController {
         }
     }
 
+    /**
+     * Método que implementa a requisição que busca os cards que estão na lixeira dos quadros do usuário autenticado
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchTrashedCards(req, res) {
+
+        try {
+
+            //realiza a busca dos cards da lixeira
+            const cardsCollection = await CardPersistence.searchTrashedCards(req.userId);
+
+            //envia como resposta os cards encontrados ou uma lista vazia
+            res.status(200).send(cardsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'CARDS', 'PESQUISA DA LIXEIRA', 500, 'error', 'Falha ao pesquisar os cards da lixeira, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que restaura um card que está na lixeira
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async restoreCard(req, res) {
+
+        let transaction;
+
+        try {
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //obtém via parâmetro o id do card a ser restaurado
+            const { id } = req.params;
+            //retira o card da lixeira
+            const cardCollection = await CardPersistence.restoreCard(id, { transaction });
+
+            //se o card estava na lixeira
+            if(cardCollection) {
+
+                //registra a restauração no histórico do card
+                await CardEventPersistence.createCardEvents([buildCardEvent(cardCollection, req.userId, CARD_EVENT_TYPES.RESTORED, null, null, cardCollection.title)], { transaction });
+            }
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o card estava na lixeira
+            if(cardCollection) {
+
+                //envia como resposta as informações do card restaurado
+                res.status(200).send(cardCollection);
+            }
+            else {
+
+                //envia uma resposta indicando que o card não foi encontrado na lixeira e o código 404
+                sendErrorMessage(req, res, undefined, 'CARDS', 'RESTAURAÇÃO DE CARD', 404, 'warning', 'Card não encontrado na lixeira');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'CARDS', 'RESTAURAÇÃO DE CARD', 500, 'error', 'Falha ao restaurar o card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove definitivamente um card que está na lixeira
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async purgeCard(req, res) {
+
+        let transaction;
+
+        try {
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //obtém via parâmetro o id do card a ser removido
+            const { id } = req.params;
+            //busca os anexos do card, cujos arquivos são removidos junto com ele
+            const attachments = await AttachmentPersistence.searchCardsAttachments({ cardId: id }, { transaction });
+            //remove definitivamente o card da lixeira
+            const cardCollection = await CardPersistence.purgeCard(id, { transaction });
+
+            //se o card estava na lixeira
+            if(cardCollection) {
+
+                //registra a remoção definitiva no histórico do card
+                await CardEventPersistence.createCardEvents([buildCardEvent(cardCollection, req.userId, CARD_EVENT_TYPES.PURGED, null, cardCollection.title, null)], { transaction });
+            }
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o card estava na lixeira
+            if(cardCollection) {
+
+                //remove os arquivos dos anexos do card do armazenamento
+                await deleteAttachmentFiles(attachments);
+                //envia como resposta as informações do card removido
+                res.status(200).send(cardCollection);
+            }
+            else {
+
+                //envia uma resposta indicando que o card não foi encontrado na lixeira e o código 404
+                sendErrorMessage(req, res, undefined, 'CARDS', 'REMOÇÃO DEFINITIVA DE CARD', 404, 'warning', 'Card não encontrado na lixeira');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'CARDS', 'REMOÇÃO DEFINITIVA DE CARD', 500, 'error', 'Falha ao remover definitivamente o card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca o histórico de alterações de um card
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchCardHistory(req, res) {
+
+        try {
+
+            //realiza a busca do histórico do card recebido como parâmetro
+            const eventsCollection = await CardEventPersistence.searchCardHistory(req.params.id);
+
+            //envia como resposta os eventos encontrados
+            res.status(200).send(eventsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'CARDS', 'HISTÓRICO DE CARD', 500, 'error', 'Falha ao pesquisar o histórico do card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca, utilizando paginação, as alterações realizadas nos cards dos quadros do usuário autenticado
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchActivity(req, res) {
+
+        try {
+
+            //obtém através dos parâmetros da requisição a página e o tamanho da página
+            const { page, size } = req.query;
+            //realiza a busca das alterações dos cards dos quadros do usuário autenticado
+            const eventsCollection = await CardEventPersistence.searchUserActivity(req.userId, page, size);
+
+            //envia como resposta os eventos encontrados junto com as informações da paginação
+            res.status(200).send(eventsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'CARDS', 'PESQUISA DE ATIVIDADES', 500, 'error', 'Falha ao pesquisar as atividades, tente novamente mais tarde');
+        }
+    }
+
     /**
      * Método que implementa a requisição que deleta todos os cards na base de dados
-     * PS: requisição não utilizada na API (feita apenas para testes)
+     * PS: requisição disponível apenas para administradores
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
@@ -241,11 +963,15 @@ class CardController {
              */
             transaction = await sequelize.transaction();
             
+            //busca os anexos de todos os cards, cujos arquivos são removidos junto com eles
+            const attachments = await AttachmentPersistence.searchCardsAttachments({}, { transaction });
             //deleta todos os cards na base de dados
             await CardPersistence.deleteAllCards({ transaction });
 
             //comita na base de dados as operações realizadas
             await transaction.commit();
+            //remove os arquivos dos anexos do armazenamento
+            await deleteAttachmentFiles(attachments);
             res.status(200).send("Todos os cards foram deletados");
         }
         catch(error) {
@@ -263,55 +989,20 @@ class CardController {
     }
 
     /**
-     * Método que implementa a requisição que cria um novo usuário na base de dados
+     * Método que implementa a requisição que conta os cards cadastrados na base de dados, agrupando por status
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
     async countCards(req, res) {
 
         try {
-            //obtém via parâmetro o id do usuário
-            const { userId } = req.query;
-            //realiza a contagem dos cards agrupando por status
-            const countCards = await CardPersistence.countCardsByStatus(userId);
-            /**
-             * Vetor que armazena a contagem total de cards por status
-             * posição 0 - total de cards To-Do
-             * posição 2 - total de cards Doing
-             * posição 1 - total de cards Done
-             * posição 3 - total de cards geral
-             */
-            const cardsTotal = [0, 0, 0, 0];
-            let sumCards = 0;
-
-            //percorre os resultados da contagem
-            for(let i = 0; i < countCards.length; i++) {
-
-                //soma o total de geral cards por cada status
-                sumCards += countCards[i].dataValues.countCards;
-
-                switch(countCards[i].dataValues.status) {
-
-                    case 'TO-DO':
-                        //grava no vetor o total
-                        cardsTotal[0] = countCards[i].dataValues.countCards;
-                    break;
-                    case 'DOING':
-                        //grava no vetor o total
-                        cardsTotal[2] = countCards[i].dataValues.countCards;
-                    break;
-                    case 'DONE':
-                        //grava no vetor o total
-                        cardsTotal[1] = countCards[i].dataValues.countCards;
-                    break;
-                }   
-            }
-
-            //armazena na última posição do vetor a contagem geral
-            cardsTotal[3] = sumCards;
+            //obtém via parâmetro o id do usuário e da etiqueta
+            const { userId, labelId } = req.query;
+            //realiza a contagem dos cards do usuário agrupando por status, considerando apenas os quadros dos quais ele é membro
+            const countCards = await countCardsGroupedByStatus({ userId, labelId, memberId: req.userId });
 
-            //envia o total de cards
-            res.send(cardsTotal);
+            //envia o total de cards por status e o total geral
+            res.status(200).send(countCards);
         }
         catch(error) {
 
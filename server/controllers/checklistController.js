@@ -0,0 +1,497 @@
+const { sequelize } = require('../models');
+const CardPersistence = require('../persistence/cardPersistence');
+const CardEventPersistence = require('../persistence/cardEventPersistence');
+const ChecklistPersistence = require('../persistence/checklistPersistence');
+const StatusPersistence = require('../persistence/statusPersistence');
+//importa as funções implementas para serem utilizadas nas operações abaixo
+const { sendErrorMessage } = require('../helpers/api_helpers');
+const { getCardChangeEvents } = require('../helpers/card_event_helpers');
+const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+//nome do status para o qual o card é movido automaticamente quando todos os itens das suas checklists são concluídos (se não for informado, os cards não são movidos)
+const CHECKLIST_DONE_STATUS = process.env.CHECKLIST_DONE_STATUS || '';
+
+/**
+ * Função que busca uma checklist de um card, desde que o card não esteja na lixeira
+ * @param cardId id do card
+ * @param checklistId id da checklist
+ * @returns objeto no formato { card, checklist }, onde card é null se o card não existe ou está na lixeira e checklist é null se ela não foi encontrada
+ */
+async function findActiveCardChecklist(cardId, checklistId) {
+
+    //os cards da lixeira não podem ter as suas checklists alteradas
+    const card = await CardPersistence.findCardById(cardId);
+    //busca a checklist somente se o card foi encontrado
+    const checklist = card ? await ChecklistPersistence.findCardChecklist(cardId, checklistId) : null;
+
+    return { card, checklist };
+}
+
+/**
+ * Função que move o card para o final da coluna do status configurado (CHECKLIST_DONE_STATUS) quando todos os itens das suas checklists estão concluídos, registrando a movimentação no histórico do card
+ * Nada é feito se o status não foi configurado ou não existe, se o card não possui itens ou se ele já está nesse status
+ * @param card card antes da alteração da checklist
+ * @param userId id do usuário que realizou a alteração
+ * @param transaction instância da transação que tá controlando a operação
+ * @returns retorna as informações do card movido ou null se o card não foi movido
+ */
+async function moveCompletedCard(card, userId, transaction) {
+
+    //se a movimentação automática não foi configurada
+    if(!CHECKLIST_DONE_STATUS) {
+
+        return null;
+    }
+
+    //conta os itens das checklists do card, o card é movido apenas se possuir itens e todos estiverem concluídos
+    const progress = await ChecklistPersistence.countCardChecklistItems(card.cardId, transaction);
+
+    if(progress.total === 0 || progress.done < progress.total) {
+
+        return null;
+    }
+
+    //busca o status de destino entre os status disponíveis no quadro do card
+    const status = await StatusPersistence.findBoardStatusByName(card.boardId, CHECKLIST_DONE_STATUS);
+
+    if(!status || status.statusId === card.statusId) {
+
+        return null;
+    }
+
+    //move o card para o final da coluna de destino
+    const movedCard = await CardPersistence.moveCard(card.cardId, status.statusId, Number.MAX_SAFE_INTEGER, transaction);
+
+    //registra a movimentação no histórico do card
+    if(movedCard) {
+
+        await CardEventPersistence.createCardEvents(getCardChangeEvents(card, movedCard, userId), transaction);
+    }
+
+    return movedCard;
+}
+
+/**
+ * Classe responsável por tratar as requisições (como cadastros, alterações, remoções, consultas e etc) da API relacionadas as entidades Checklist e ChecklistItem (checklists dos cards e os seus itens)
+ */
+class ChecklistController {
+
+    /**
+     * Método que implementa a requisição que busca as checklists de um card, com os seus itens ordenados pela posição
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchCardChecklists(req, res) {
+
+        try {
+
+            //realiza a busca das checklists do card recebido como parâmetro
+            const checklistsCollection = await ChecklistPersistence.searchCardChecklists(req.params.id);
+
+            //envia como resposta as checklists encontradas ou uma lista vazia
+            res.status(200).send(checklistsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'CHECKLISTS', 'PESQUISA DE CHECKLISTS', 500, 'error', 'Falha ao pesquisar as checklists do card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que cadastra uma checklist em um card
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createChecklist(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do card
+            const { id } = req.params;
+
+            //os cards da lixeira não podem receber checklists
+            if(!await CardPersistence.findCardById(id)) {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'CHECKLISTS', 'CADASTRO DE CHECKLIST', 404, 'warning', 'Card não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //cria uma nova checklist no card
+            const newChecklist = await ChecklistPersistence.createChecklist({
+                cardId: id,
+                title: req.body.title,
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações da checklist cadastrada (ainda sem itens)
+            res.status(201).send({ ...newChecklist.toJSON(), checklistItems: [] });
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'CHECKLISTS', 'CADASTRO DE CHECKLIST', 500, 'error', 'Falha ao gerar o cadastro da checklist, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que altera o título de uma checklist
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async updateChecklist(req, res) {
+
+        let transaction;
+
+        try {
+
+            //busca a checklist do card recebido como parâmetro
+            const { card, checklist } = await findActiveCardChecklist(req.params.id, req.params.checklistId);
+
+            //se o card ou a checklist não existem
+            if(!checklist) {
+
+                //envia uma resposta indicando que o card ou a checklist não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'CHECKLISTS', 'ALTERAÇÃO DE CHECKLIST', 404, 'warning', card ? 'Checklist não encontrada' : 'Card não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //altera o título da checklist
+            const updatedChecklist = await ChecklistPersistence.updateChecklist(checklist, {
+                title: req.body.title,
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações da checklist alterada
+            res.status(200).send(updatedChecklist);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'CHECKLISTS', 'ALTERAÇÃO DE CHECKLIST', 500, 'error', 'Falha ao alterar a checklist, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove uma checklist e os seus itens
+     * Se os itens que restaram no card estiverem todos concluídos, o card pode ser movido automaticamente (ver moveCompletedCard)
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteChecklist(req, res) {
+
+        let transaction;
+
+        try {
+
+            //busca a checklist do card recebido como parâmetro
+            const { card, checklist } = await findActiveCardChecklist(req.params.id, req.params.checklistId);
+
+            //se o card ou a checklist não existem
+            if(!checklist) {
+
+                //envia uma resposta indicando que o card ou a checklist não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'CHECKLISTS', 'REMOÇÃO DE CHECKLIST', 404, 'warning', card ? 'Checklist não encontrada' : 'Card não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //remove a checklist
+            const deletedChecklist = await ChecklistPersistence.deleteChecklist(checklist, { transaction });
+            //move o card se todos os itens que restaram estiverem concluídos
+            await moveCompletedCard(card, req.userId, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações da checklist removida
+            res.status(200).send(deletedChecklist);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de remoção
+            sendErrorMessage(req, res, error, 'CHECKLISTS', 'REMOÇÃO DE CHECKLIST', 500, 'error', 'Falha ao remover a checklist, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que cadastra um item no final de uma checklist
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createChecklistItem(req, res) {
+
+        let transaction;
+
+        try {
+
+            //busca a checklist do card recebido como parâmetro
+            const { card, checklist } = await findActiveCardChecklist(req.params.id, req.params.checklistId);
+
+            //se o card ou a checklist não existem
+            if(!checklist) {
+
+                //envia uma resposta indicando que o card ou a checklist não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'CHECKLISTS', 'CADASTRO DE ITEM DA CHECKLIST', 404, 'warning', card ? 'Checklist não encontrada' : 'Card não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //cria um novo item, ainda não concluído, no final da checklist
+            const newItem = await ChecklistPersistence.createChecklistItem({
+                checklistId: checklist.checklistId,
+                content: req.body.content,
+                done: false,
+                doneAt: null,
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações do item cadastrado
+            res.status(201).send(newItem);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'CHECKLISTS', 'CADASTRO DE ITEM DA CHECKLIST', 500, 'error', 'Falha ao gerar o cadastro do item da checklist, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que altera o texto de um item de uma checklist e/ou o marca como concluído ou não concluído
+     * Se todos os itens das checklists do card ficarem concluídos, o card pode ser movido automaticamente (ver moveCompletedCard)
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async updateChecklistItem(req, res) {
+
+        let transaction;
+
+        try {
+
+            //busca a checklist do card recebido como parâmetro
+            const { card, checklist } = await findActiveCardChecklist(req.params.id, req.params.checklistId);
+            //busca o item na checklist
+            const item = checklist ? await ChecklistPersistence.findChecklistItem(checklist.checklistId, req.params.itemId) : null;
+
+            //se o card, a checklist ou o item não existem
+            if(!item) {
+
+                //envia uma resposta indicando qual informação não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'CHECKLISTS', 'ALTERAÇÃO DE ITEM DA CHECKLIST', 404, 'warning', !card ? 'Card não encontrado' : !checklist ? 'Checklist não encontrada' : 'Item não encontrado');
+            }
+
+            //monta as informações a serem alteradas, apenas os campos informados na requisição são alterados
+            const data = { updatedAt: formatDatabaseDatetime(new Date()) };
+
+            if(req.body.content !== undefined) {
+
+                data.content = req.body.content;
+            }
+
+            //se o item foi marcado como concluído ou não concluído, a data de conclusão também é atualizada
+            if(req.body.done !== undefined) {
+
+                data.done = req.body.done === true || req.body.done === 'true';
+                data.doneAt = data.done ? (item.done ? item.doneAt : formatDatabaseDatetime(new Date())) : null;
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //altera o item da checklist
+            const updatedItem = await ChecklistPersistence.updateChecklistItem(item, data, { transaction });
+
+            //se o item foi concluído, move o card se todos os seus itens estiverem concluídos
+            if(data.done) {
+
+                await moveCompletedCard(card, req.userId, { transaction });
+            }
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do item alterado
+            res.status(200).send(updatedItem);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'CHECKLISTS', 'ALTERAÇÃO DE ITEM DA CHECKLIST', 500, 'error', 'Falha ao alterar o item da checklist, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que move um item para outra posição da sua checklist
+     * Os demais itens da checklist são reposicionados, mantendo a ordem definida pelo usuário
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async moveChecklistItem(req, res) {
+
+        let transaction;
+
+        try {
+
+            //busca a checklist do card recebido como parâmetro
+            const { card, checklist } = await findActiveCardChecklist(req.params.id, req.params.checklistId);
+            //busca o item na checklist
+            const item = checklist ? await ChecklistPersistence.findChecklistItem(checklist.checklistId, req.params.itemId) : null;
+
+            //se o card, a checklist ou o item não existem
+            if(!item) {
+
+                //envia uma resposta indicando qual informação não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'CHECKLISTS', 'MOVIMENTAÇÃO DE ITEM DA CHECKLIST', 404, 'warning', !card ? 'Card não encontrado' : !checklist ? 'Checklist não encontrada' : 'Item não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //move o item para a posição de destino, reposicionando os demais itens da checklist
+            const movedItem = await ChecklistPersistence.moveChecklistItem(item, Number(req.body.position), { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o item de fato existe
+            if(movedItem) {
+
+                //envia como resposta as informações do item movido
+                res.status(200).send(movedItem);
+            }
+            else {
+
+                //envia uma resposta indicando que o item não foi encontrado e o código 404
+                sendErrorMessage(req, res, undefined, 'CHECKLISTS', 'MOVIMENTAÇÃO DE ITEM DA CHECKLIST', 404, 'warning', 'Item não encontrado');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'CHECKLISTS', 'MOVIMENTAÇÃO DE ITEM DA CHECKLIST', 500, 'error', 'Falha ao mover o item da checklist, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove um item de uma checklist
+     * Se os itens que restaram no card estiverem todos concluídos, o card pode ser movido automaticamente (ver moveCompletedCard)
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteChecklistItem(req, res) {
+
+        let transaction;
+
+        try {
+
+            //busca a checklist do card recebido como parâmetro
+            const { card, checklist } = await findActiveCardChecklist(req.params.id, req.params.checklistId);
+            //busca o item na checklist
+            const item = checklist ? await ChecklistPersistence.findChecklistItem(checklist.checklistId, req.params.itemId) : null;
+
+            //se o card, a checklist ou o item não existem
+            if(!item) {
+
+                //envia uma resposta indicando qual informação não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'CHECKLISTS', 'REMOÇÃO DE ITEM DA CHECKLIST', 404, 'warning', !card ? 'Card não encontrado' : !checklist ? 'Checklist não encontrada' : 'Item não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //remove o item, reposicionando os demais itens da checklist
+            const deletedItem = await ChecklistPersistence.deleteChecklistItem(item, { transaction });
+            //move o card se todos os itens que restaram estiverem concluídos
+            await moveCompletedCard(card, req.userId, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do item removido
+            res.status(200).send(deletedItem);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de remoção
+            sendErrorMessage(req, res, error, 'CHECKLISTS', 'REMOÇÃO DE ITEM DA CHECKLIST', 500, 'error', 'Falha ao remover o item da checklist, tente novamente mais tarde');
+        }
+    }
+}
+
+module.exports = new ChecklistController();
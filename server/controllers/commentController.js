@@ -0,0 +1,223 @@
+const { sequelize } = require('../models');
+const CardPersistence = require('../persistence/cardPersistence');
+const CommentPersistence = require('../persistence/commentPersistence');
+//importa as funções implementas para serem utilizadas nas operações abaixo
+const { sendErrorMessage } = require('../helpers/api_helpers');
+const { sendForbiddenMessage } = require('../helpers/authorization_helpers');
+const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+
+/**
+ * Função que verifica se o usuário autenticado é o autor do comentário
+ * @param comment comentário a ser verificado
+ * @param userId id do usuário autenticado
+ * @returns true se o usuário é o autor do comentário ou false caso contrário
+ */
+function isCommentAuthor(comment, userId) {
+
+    return comment.userId !== null && Number(comment.userId) === Number(userId);
+}
+
+/**
+ * Classe responsável por tratar as requisições (como cadastros, alterações, remoções, consultas e etc) da API relacionadas a entidade Comment (comentários dos cards)
+ */
+class CommentController {
+
+    /**
+     * Método que implementa a requisição que busca, utilizando paginação, os comentários de um card em ordem cronológica
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchCardComments(req, res) {
+
+        try {
+
+            //obtém através dos parâmetros da requisição a página e o tamanho da página
+            const { page, size } = req.query;
+            //realiza a busca dos comentários do card recebido como parâmetro
+            const commentsCollection = await CommentPersistence.searchCardComments(req.params.id, page, size);
+
+            //envia como resposta os comentários encontrados junto com as informações da paginação
+            res.status(200).send(commentsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'COMENTÁRIOS', 'PESQUISA DE COMENTÁRIOS', 500, 'error', 'Falha ao pesquisar os comentários do card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que cadastra um comentário em um card, tendo o usuário autenticado como autor
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createComment(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do card
+            const { id } = req.params;
+
+            //os cards da lixeira não podem receber comentários
+            if(!await CardPersistence.findCardById(id)) {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'COMENTÁRIOS', 'CADASTRO DE COMENTÁRIO', 404, 'warning', 'Card não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //cria um novo comentário no card
+            const newComment = await CommentPersistence.createComment({
+                cardId: id,
+                userId: req.userId,
+                content: req.body.content,
+                editedAt: null,
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações do comentário cadastrado
+            res.status(201).send(newComment);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'COMENTÁRIOS', 'CADASTRO DE COMENTÁRIO', 500, 'error', 'Falha ao gerar o cadastro do comentário, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que altera um comentário, marcando a data de edição
+     * PS: requisição disponível apenas para o autor do comentário
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async updateComment(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do card e do comentário
+            const { id, commentId } = req.params;
+            //busca o comentário no card
+            const commentCollection = await CommentPersistence.findCardComment(id, commentId);
+
+            //se o comentário não existe
+            if(!commentCollection) {
+
+                //envia uma resposta indicando que o comentário não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'COMENTÁRIOS', 'ALTERAÇÃO DE COMENTÁRIO', 404, 'warning', 'Comentário não encontrado');
+            }
+
+            //somente o autor pode alterar o comentário
+            if(!isCommentAuthor(commentCollection, req.userId)) {
+
+                return sendForbiddenMessage(req, res, 'COMENTÁRIOS', 'ALTERAÇÃO DE COMENTÁRIO');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //altera o texto do comentário, marcando a data de edição
+            const updatedComment = await CommentPersistence.updateComment(commentCollection, {
+                content: req.body.content,
+                editedAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do comentário alterado
+            res.status(200).send(updatedComment);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'COMENTÁRIOS', 'ALTERAÇÃO DE COMENTÁRIO', 500, 'error', 'Falha ao alterar o comentário, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove um comentário
+     * PS: requisição disponível apenas para o autor do comentário
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteComment(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do card e do comentário
+            const { id, commentId } = req.params;
+            //busca o comentário no card
+            const commentCollection = await CommentPersistence.findCardComment(id, commentId);
+
+            //se o comentário não existe
+            if(!commentCollection) {
+
+                //envia uma resposta indicando que o comentário não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'COMENTÁRIOS', 'REMOÇÃO DE COMENTÁRIO', 404, 'warning', 'Comentário não encontrado');
+            }
+
+            //somente o autor pode remover o comentário
+            if(!isCommentAuthor(commentCollection, req.userId)) {
+
+                return sendForbiddenMessage(req, res, 'COMENTÁRIOS', 'REMOÇÃO DE COMENTÁRIO');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //remove o comentário
+            const deletedComment = await CommentPersistence.deleteComment(commentCollection, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do comentário removido
+            res.status(200).send(deletedComment);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de remoção
+            sendErrorMessage(req, res, error, 'COMENTÁRIOS', 'REMOÇÃO DE COMENTÁRIO', 500, 'error', 'Falha ao remover o comentário, tente novamente mais tarde');
+        }
+    }
+}
+
+module.exports = new CommentController();
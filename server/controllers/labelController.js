@@ -0,0 +1,355 @@
+const { sequelize } = require('../models');
+const CardPersistence = require('../persistence/cardPersistence');
+const CardEventPersistence = require('../persistence/cardEventPersistence');
+const LabelPersistence = require('../persistence/labelPersistence');
+//importa as funções implementas para serem utilizadas nas operações abaixo
+const { sendErrorMessage } = require('../helpers/api_helpers');
+const { CARD_EVENT_TYPES, buildCardEvent } = require('../helpers/card_event_helpers');
+const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+
+/**
+ * Função que verifica se já existe outra etiqueta com o mesmo nome no quadro
+ * @param boardId id do quadro
+ * @param name nome da etiqueta
+ * @param labelId id da etiqueta que está sendo alterada (undefined no cadastro)
+ * @returns true se o nome já é utilizado por outra etiqueta do quadro ou false caso contrário
+ */
+async function isLabelNameInUse(boardId, name, labelId) {
+
+    //busca a etiqueta do quadro que possui o nome informado
+    const labelCollection = await LabelPersistence.findBoardLabelByName(boardId, name);
+
+    return labelCollection !== null && labelCollection.labelId !== Number(labelId);
+}
+
+/**
+ * Classe responsável por tratar as requisições (como cadastros, alterações, remoções, consultas e etc) da API relacionadas as entidades Label (etiquetas dos quadros) e CardLabel (etiquetas associadas aos cards)
+ */
+class LabelController {
+
+    /**
+     * Método que implementa a requisição que busca as etiquetas de um quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchBoardLabels(req, res) {
+
+        try {
+
+            //realiza a busca das etiquetas do quadro recebido como parâmetro
+            const labelsCollection = await LabelPersistence.searchBoardLabels(req.params.id);
+
+            //envia como resposta as etiquetas encontradas ou uma lista vazia
+            res.status(200).send(labelsCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'ETIQUETAS', 'PESQUISA DE ETIQUETAS', 500, 'error', 'Falha ao pesquisar as etiquetas do quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que cria uma nova etiqueta em um quadro
+     * PS: requisição disponível apenas para os donos e editores do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createLabel(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do quadro e via body o nome e a cor da etiqueta
+            const { id } = req.params;
+            const { name, color } = req.body;
+
+            //se já existe uma etiqueta com o mesmo nome no quadro
+            if(await isLabelNameInUse(id, name)) {
+
+                return sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'CADASTRO DE ETIQUETA', 409, 'warning', 'Já existe uma etiqueta com este nome no quadro');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //cria uma nova etiqueta no quadro
+            const newLabel = await LabelPersistence.createLabel({
+                boardId: id,
+                name: name,
+                color: color,
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações da etiqueta cadastrada
+            res.status(201).send(newLabel);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'ETIQUETAS', 'CADASTRO DE ETIQUETA', 500, 'error', 'Falha ao gerar o cadastro da etiqueta, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que altera uma etiqueta de um quadro
+     * PS: requisição disponível apenas para os donos e editores do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async updateLabel(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do quadro e da etiqueta
+            const { id, labelId } = req.params;
+
+            //se a etiqueta não existe no quadro
+            if(!await LabelPersistence.findBoardLabel(id, labelId)) {
+
+                //envia uma resposta indicando que a etiqueta não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'ALTERAÇÃO DE ETIQUETA', 404, 'warning', 'Etiqueta não encontrada');
+            }
+
+            //se o nome foi alterado para o nome de outra etiqueta do quadro
+            if(req.body.name !== undefined && await isLabelNameInUse(id, req.body.name, labelId)) {
+
+                return sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'ALTERAÇÃO DE ETIQUETA', 409, 'warning', 'Já existe uma etiqueta com este nome no quadro');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //atualiza as informações da etiqueta com as informações recebidas no formato JSON através da requisição
+            const labelCollection = await LabelPersistence.updateLabel(id, labelId, {
+                name: req.body.name,
+                color: req.body.color,
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações da etiqueta alterada
+            res.status(200).send(labelCollection);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'ETIQUETAS', 'ALTERAÇÃO DE ETIQUETA', 500, 'error', 'Falha ao alterar a etiqueta, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove uma etiqueta de um quadro, desassociando-a de todos os cards
+     * PS: requisição disponível apenas para os donos e editores do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteLabel(req, res) {
+
+        let transaction;
+
+        try {
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //obtém via parâmetro o id do quadro e da etiqueta
+            const { id, labelId } = req.params;
+            //remove a etiqueta e as suas associações com os cards
+            const labelCollection = await LabelPersistence.deleteLabel(id, labelId, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se a etiqueta de fato existe
+            if(labelCollection) {
+
+                //envia como resposta as informações da etiqueta removida
+                res.status(200).send(labelCollection);
+            }
+            else {
+
+                //envia uma resposta indicando que a etiqueta não foi encontrada e o código 404
+                sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'REMOÇÃO DE ETIQUETA', 404, 'warning', 'Etiqueta não encontrada');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de remoção
+            sendErrorMessage(req, res, error, 'ETIQUETAS', 'REMOÇÃO DE ETIQUETA', 500, 'error', 'Falha ao remover a etiqueta, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que associa uma etiqueta do quadro a um card
+     * PS: requisição disponível apenas para os donos e editores do quadro do card
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createCardLabel(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do card e via body o id da etiqueta
+            const { id } = req.params;
+            const { labelId } = req.body;
+            //busca o card (os cards da lixeira não podem ser alterados)
+            const cardCollection = await CardPersistence.findCardById(id);
+
+            //se o card não existe
+            if(!cardCollection) {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'ASSOCIAÇÃO DE ETIQUETA AO CARD', 404, 'warning', 'Card não encontrado');
+            }
+
+            //busca a etiqueta, que deve pertencer ao quadro do card
+            const labelCollection = await LabelPersistence.findBoardLabel(cardCollection.boardId, labelId);
+
+            //se a etiqueta não existe no quadro do card
+            if(!labelCollection) {
+
+                //envia uma resposta indicando que a etiqueta não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'ASSOCIAÇÃO DE ETIQUETA AO CARD', 404, 'warning', 'Etiqueta não encontrada');
+            }
+
+            //se a etiqueta já está associada ao card
+            if(await LabelPersistence.findCardLabel(id, labelId)) {
+
+                return sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'ASSOCIAÇÃO DE ETIQUETA AO CARD', 409, 'warning', 'A etiqueta já está associada ao card');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //associa a etiqueta ao card
+            await LabelPersistence.createCardLabel({
+                cardId: cardCollection.cardId,
+                labelId: labelCollection.labelId,
+                createdAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+            //registra a associação no histórico do card
+            await CardEventPersistence.createCardEvents([buildCardEvent(cardCollection, req.userId, CARD_EVENT_TYPES.LABEL_ADDED, 'label', null, labelCollection.name)], { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do card com as suas etiquetas atualizadas
+            res.status(201).send(await CardPersistence.findCardById(id));
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de associação
+            sendErrorMessage(req, res, error, 'ETIQUETAS', 'ASSOCIAÇÃO DE ETIQUETA AO CARD', 500, 'error', 'Falha ao associar a etiqueta ao card, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que desassocia uma etiqueta de um card
+     * PS: requisição disponível apenas para os donos e editores do quadro do card
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteCardLabel(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do card e da etiqueta
+            const { id, labelId } = req.params;
+            //busca o card (os cards da lixeira não podem ser alterados)
+            const cardCollection = await CardPersistence.findCardById(id);
+
+            //se o card não existe
+            if(!cardCollection) {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'DESASSOCIAÇÃO DE ETIQUETA DO CARD', 404, 'warning', 'Card não encontrado');
+            }
+
+            //busca a etiqueta entre as etiquetas do card
+            const labelCollection = cardCollection.cardLabels.find(label => label.labelId === Number(labelId));
+
+            //se a etiqueta não está associada ao card
+            if(!labelCollection) {
+
+                //envia uma resposta indicando que a etiqueta não foi encontrada e o código 404
+                return sendErrorMessage(req, res, undefined, 'ETIQUETAS', 'DESASSOCIAÇÃO DE ETIQUETA DO CARD', 404, 'warning', 'A etiqueta não está associada ao card');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //desassocia a etiqueta do card
+            await LabelPersistence.deleteCardLabel(id, labelId, { transaction });
+            //registra a desassociação no histórico do card
+            await CardEventPersistence.createCardEvents([buildCardEvent(cardCollection, req.userId, CARD_EVENT_TYPES.LABEL_REMOVED, 'label', labelCollection.name, null)], { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do card com as suas etiquetas atualizadas
+            res.status(200).send(await CardPersistence.findCardById(id));
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de desassociação
+            sendErrorMessage(req, res, error, 'ETIQUETAS', 'DESASSOCIAÇÃO DE ETIQUETA DO CARD', 500, 'error', 'Falha ao desassociar a etiqueta do card, tente novamente mais tarde');
+        }
+    }
+}
+
+module.exports = new LabelController();
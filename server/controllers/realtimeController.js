@@ -0,0 +1,106 @@
+const BoardPersistence = require('../persistence/boardPersistence');
+const CardEventPersistence = require('../persistence/cardEventPersistence');
+//importa as funções implementas para serem utilizadas nas operações abaixo
+const { sendErrorMessage } = require('../helpers/api_helpers');
+const { BOARD_READ_ROLES, findBoardMemberWithRole } = require('../helpers/authorization_helpers');
+const { enqueueDelivery, getResumeEventLimit, getSubscriberBoardIds, openEventStream, writeCardEvent, writeResetEvent } = require('../helpers/realtime_helpers');
+//quantidade máxima de eventos perdidos enviados ao cliente que reconecta, se houver mais eventos o cliente recebe o evento reset
+const REALTIME_REPLAY_LIMIT = Number(process.env.REALTIME_REPLAY_LIMIT) || 500;
+
+/**
+ * Função que verifica se o usuário ainda é membro do quadro, já que ele pode ter sido removido do quadro enquanto estava conectado
+ * @param boardId id do quadro
+ * @param userId id do usuário
+ * @returns lista com o id do quadro se o usuário é membro dele ou uma lista vazia caso contrário
+ */
+async function searchBoardMembership(boardId, userId) {
+
+    return await findBoardMemberWithRole(boardId, userId, BOARD_READ_ROLES) !== null ? [boardId] : [];
+}
+
+/**
+ * Função que envia ao cliente que reconectou os eventos dos quadros cadastrados após o último evento recebido por ele
+ * Se houver mais eventos perdidos que o limite, envia o evento reset, indicando que as informações dos quadros devem ser buscadas novamente
+ * @param subscriber cliente conectado
+ * @param boardIds ids dos quadros cujos eventos o cliente pode receber
+ */
+async function replayCardEvents(subscriber, boardIds) {
+
+    //se o cliente está se conectando pela primeira vez, não há eventos perdidos
+    if(!subscriber.lastEventId) {
+
+        return;
+    }
+
+    //os eventos ainda não confirmados não são encontrados na busca, por isso o id das mensagens é limitado pelos eventos pendentes antes da busca
+    const resumeEventLimit = getResumeEventLimit();
+    //busca os eventos perdidos, um a mais que o limite para saber se o limite foi ultrapassado
+    const events = await CardEventPersistence.searchCardEventsAfter(boardIds, subscriber.lastEventId, REALTIME_REPLAY_LIMIT + 1);
+
+    //se o limite foi ultrapassado, o cliente volta a receber os eventos a partir do último evento cadastrado
+    if(events.length > REALTIME_REPLAY_LIMIT) {
+
+        return writeResetEvent(subscriber, await CardEventPersistence.findLastCardEventId(), resumeEventLimit);
+    }
+
+    //envia os eventos perdidos, guardando os seus ids para que não sejam enviados novamente caso também tenham sido publicados durante a recuperação
+    events.forEach(event => {
+
+        writeCardEvent(subscriber, event, resumeEventLimit);
+        subscriber.replayedEventIds.add(event.cardEventId);
+    });
+}
+
+/**
+ * Classe responsável por tratar as requisições das conexões de eventos em tempo real (Server-Sent Events), que enviam as alterações dos cards logo após elas serem realizadas
+ */
+class RealtimeController {
+
+    /**
+     * Método que implementa a requisição que abre a conexão de eventos de um quadro, recebendo as alterações dos cards do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async streamBoardEvents(req, res) {
+
+        try {
+
+            //obtém via parâmetro o id do quadro
+            const boardId = Number(req.params.id);
+            //abre a conexão, o cliente recebe apenas os eventos do quadro enquanto for membro dele
+            const subscriber = openEventStream(req, res, () => searchBoardMembership(boardId, req.userId));
+
+            //envia os eventos perdidos antes dos novos eventos
+            enqueueDelivery(subscriber, () => replayCardEvents(subscriber, [boardId]));
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante a abertura da conexão
+            sendErrorMessage(req, res, error, 'TEMPO REAL', 'CONEXÃO DE EVENTOS DO QUADRO', 500, 'error', 'Falha ao abrir a conexão de eventos do quadro, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que abre a conexão de eventos do usuário autenticado, recebendo as alterações dos cards de todos os quadros dos quais ele é membro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async streamUserEvents(req, res) {
+
+        try {
+
+            //abre a conexão, o cliente recebe os eventos dos quadros dos quais é membro
+            const subscriber = openEventStream(req, res, () => BoardPersistence.searchUserBoardIds(req.userId));
+
+            //envia os eventos perdidos dos quadros do usuário antes dos novos eventos
+            enqueueDelivery(subscriber, async () => replayCardEvents(subscriber, [...await getSubscriberBoardIds(subscriber)]));
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante a abertura da conexão
+            sendErrorMessage(req, res, error, 'TEMPO REAL', 'CONEXÃO DE EVENTOS DO USUÁRIO', 500, 'error', 'Falha ao abrir a conexão de eventos, tente novamente mais tarde');
+        }
+    }
+}
+
+module.exports = new RealtimeController();
@@ -0,0 +1,296 @@
+const { sequelize } = require('../models');
+const StatusPersistence = require('../persistence/statusPersistence');
+//importa as funções implementas para serem utilizadas nas operações abaixo
+const { sendErrorMessage } = require('../helpers/api_helpers');
+const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+
+/**
+ * Função que verifica se já existe outro status com o mesmo nome disponível no quadro (status padrão ou do próprio quadro)
+ * @param boardId id do quadro
+ * @param name nome do status
+ * @param statusId id do status que está sendo alterado (undefined no cadastro)
+ * @returns true se o nome já é utilizado por outro status do quadro ou false caso contrário
+ */
+async function isStatusNameInUse(boardId, name, statusId) {
+
+    //busca o status disponível no quadro que possui o nome informado
+    const statusCollection = await StatusPersistence.findBoardStatusByName(boardId, name);
+
+    return statusCollection !== null && statusCollection.statusId !== Number(statusId);
+}
+
+/**
+ * Função que busca um status cadastrado no quadro e, se ele não for encontrado ou for um status padrão, envia a resposta de erro
+ * Os status padrão estão disponíveis em todos os quadros, por isso não podem ser alterados ou deletados pelos donos de um quadro
+ * @param req objeto que contém as informações da requisição
+ * @param res objeto que contém as informações da resposta da requisição
+ * @param task nome da operação, utilizado na mensagem de erro
+ * @returns retorna as informações do status ou null caso a resposta de erro tenha sido enviada
+ */
+async function findEditableBoardStatus(req, res, task) {
+
+    //obtém via parâmetro o id do quadro e do status
+    const { id, statusId } = req.params;
+    //busca o status disponível no quadro
+    const statusCollection = await StatusPersistence.findBoardStatusById(id, statusId);
+
+    //se o status não existe no quadro
+    if(!statusCollection) {
+
+        //envia uma resposta indicando que o status não foi encontrado e o código 404
+        sendErrorMessage(req, res, undefined, 'STATUS', task, 404, 'warning', 'Status não encontrado');
+        return null;
+    }
+
+    //se é um status padrão, bloqueia a operação
+    if(statusCollection.boardId === null) {
+
+        sendErrorMessage(req, res, undefined, 'STATUS', task, 403, 'warning', 'Os status padrão não podem ser alterados ou deletados');
+        return null;
+    }
+
+    return statusCollection;
+}
+
+/**
+ * Classe responsável por tratar as requisições (como cadastros, alterações, remoções, consultas e etc) da API relacionadas a entidade Status (colunas do quadro de cards)
+ */
+class StatusController {
+
+    /**
+     * Método que implementa a requisição que cria um novo status em um quadro
+     * PS: requisição disponível apenas para os donos do quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createStatus(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do quadro
+            const { id } = req.params;
+
+            //se já existe um status com o mesmo nome no quadro
+            if(await isStatusNameInUse(id, req.body.name)) {
+
+                return sendErrorMessage(req, res, undefined, 'STATUS', 'CADASTRO DE STATUS', 409, 'warning', 'Já existe um status com este nome no quadro');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //cria um novo status no quadro inserindo as informações recebidas no formato JSON através da requisição
+            const newStatus = await StatusPersistence.createStatus({
+                boardId: id,
+                name: req.body.name,
+                sortOrder: req.body.sortOrder,
+                color: req.body.color,
+                //indica se é um status de conclusão, cujos cards não são considerados atrasados
+                done: req.body.done === true || req.body.done === 'true',
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações do status cadastrado
+            res.status(201).send(newStatus);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'STATUS', 'CADASTRO DE STATUS', 500, 'error', 'Falha ao gerar o cadastro do status, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca os status padrão, disponíveis em todos os quadros, na ordem em que são exibidos no quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchStatuses(req, res) {
+
+        try {
+
+            //realiza a busca dos status padrão na base de dados
+            const statusesCollection = await StatusPersistence.searchStatuses();
+
+            //envia como resposta os status encontrados ou uma lista vazia
+            res.status(200).send(statusesCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'STATUS', 'PESQUISA DE STATUS', 500, 'error', 'Falha ao pesquisar os status, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca os status de um quadro (status padrão e status do próprio quadro), na ordem em que são exibidos no quadro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchBoardStatuses(req, res) {
+
+        try {
+
+            //realiza a busca dos status do quadro recebido como parâmetro
+            const statusesCollection = await StatusPersistence.searchStatuses({ boardId: req.params.id });
+
+            //envia como resposta os status encontrados ou uma lista vazia
+            res.status(200).send(statusesCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'STATUS', 'PESQUISA DE STATUS', 500, 'error', 'Falha ao pesquisar os status, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que atualiza o cadastro de um status de um quadro
+     * PS: requisição disponível apenas para os donos do quadro, os status padrão não podem ser alterados
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async updateStatus(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do quadro e do status a ser alterado
+            const { id, statusId } = req.params;
+
+            //se o status não pertence ao quadro, a resposta de erro já foi enviada
+            if(!await findEditableBoardStatus(req, res, 'ALTERAÇÃO DE STATUS')) {
+
+                return;
+            }
+
+            //se o nome foi alterado para o nome de outro status do quadro
+            if(req.body.name !== undefined && await isStatusNameInUse(id, req.body.name, statusId)) {
+
+                return sendErrorMessage(req, res, undefined, 'STATUS', 'ALTERAÇÃO DE STATUS', 409, 'warning', 'Já existe um status com este nome no quadro');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //atualiza as informações do status na base de dados atualizando as informações recebidas no formato JSON através da requisição
+            const statusCollection = await StatusPersistence.updateStatus(statusId, {
+                name: req.body.name,
+                sortOrder: req.body.sortOrder,
+                color: req.body.color,
+                done: req.body.done === undefined ? undefined : req.body.done === true || req.body.done === 'true',
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o status de fato existe
+            if(statusCollection) {
+
+                //envia como resposta as informações do status que foi alterado
+                res.status(200).send(statusCollection);
+            }
+            else {
+
+                //envia uma resposta indicando que o status não foi encontrado e o código 404
+                sendErrorMessage(req, res, undefined, 'STATUS', 'ALTERAÇÃO DE STATUS', 404, 'warning', 'Status não encontrado');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'STATUS', 'ALTERAÇÃO DE STATUS', 500, 'error', 'Falha ao alterar o cadastro do status, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que deleta um status de um quadro, desde que ele não esteja sendo utilizado por nenhum card
+     * PS: requisição disponível apenas para os donos do quadro, os status padrão não podem ser deletados
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteStatus(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém via parâmetro o id do status a ser deletado
+            const { statusId } = req.params;
+
+            //se o status não pertence ao quadro, a resposta de erro já foi enviada
+            if(!await findEditableBoardStatus(req, res, 'DELEÇÃO DE STATUS')) {
+
+                return;
+            }
+
+            //se existem cards com o status, bloqueia a deleção
+            if(await StatusPersistence.countStatusCards(statusId) > 0) {
+
+                return sendErrorMessage(req, res, undefined, 'STATUS', 'DELEÇÃO DE STATUS', 409, 'warning', 'Existem cards com este status, mova-os para outro status antes de deletá-lo');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //deleta o status na base de dados por meio de seu id
+            const statusCollection = await StatusPersistence.deleteStatus(statusId, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o status realmente existe
+            if(statusCollection) {
+
+                //envia como resposta as informações do status deletado
+                res.status(200).send(statusCollection);
+            }
+            else {
+
+                //envia uma resposta indicando que o status não foi encontrado e o código 404
+                sendErrorMessage(req, res, undefined, 'STATUS', 'DELEÇÃO DE STATUS', 404, 'warning', 'Status não encontrado');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de deleção
+            sendErrorMessage(req, res, error, 'STATUS', 'DELEÇÃO DE STATUS', 500, 'error', 'Falha ao deletar o cadastro do status, tente novamente mais tarde');
+        }
+    }
+}
+
+module.exports = new StatusController();
@@ -1,10 +1,121 @@
-const jwt = require('jsonwebtoken');
 const { sequelize } = require('../models');
+const AttachmentPersistence = require('../persistence/attachmentPersistence');
 const UserPersistence = require('../persistence/userPersistence');
+const PasswordResetPersistence = require('../persistence/passwordResetPersistence');
+const SessionPersistence = require('../persistence/sessionPersistence');
+const CardPersistence = require('../persistence/cardPersistence');
+const BoardPersistence = require('../persistence/boardPersistence');
+const CardEventPersistence = require('../persistence/cardEventPersistence');
 //importa as funções implementas para serem utilizadas nas operações abaixo
 const { sendErrorMessage } = require('../helpers/api_helpers');
-const { formatDatabaseDatetime } = require('../helpers/date_helpers');
-const { sendMailRecoveredPassToUser } = require('../helpers/mail_helpers');
+const { CARD_EVENT_TYPES, buildCardEvent } = require('../helpers/card_event_helpers');
+const { formatDatabaseDatetime, formatDatetime } = require('../helpers/date_helpers');
+const { DUMMY_PASSWORD_HASH, generateToken, hashPassword, hashToken, isPasswordHashed, verifyPassword } = require('../helpers/password_helpers');
+const { MAIL_ENABLED, dispatchMailOutbox, getRequestLocale, sendMailPasswordResetToUser, sendMailVerificationToUser } = require('../helpers/mail_helpers');
+const { MAIL_VERIFICATION_EXPIRATION_HOURS, createRefreshToken, generateAccessToken, generateMailVerificationToken, verifyMailVerificationToken } = require('../helpers/token_helpers');
+const { USER_ROLES, isOwner } = require('../helpers/authorization_helpers');
+const { clearLoginBlock, delayLoginAttempt, registerLoginFailure, registerLoginSuccess, reserveLoginAttempt, sendTooManyRequestsMessage } = require('../helpers/login_protection_helpers');
+const { deleteAttachmentFiles } = require('../storage');
+//tempo em minutos até um token de redefinição de senha expirar
+const PASSWORD_RESET_EXPIRATION_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRATION_MINUTES) || 30;
+//quantidade máxima de solicitações de redefinição de senha por email dentro de uma hora
+const PASSWORD_RESET_LIMIT_PER_HOUR = Number(process.env.PASSWORD_RESET_LIMIT_PER_HOUR) || 3;
+//mensagem enviada como resposta a toda solicitação de redefinição de senha, independente do email estar cadastrado ou não
+const PASSWORD_RESET_REQUESTED_MESSAGE = 'Se o email informado estiver cadastrado, você receberá as instruções para redefinir a sua senha';
+//situação do cadastro dos usuários que ainda não confirmaram o email
+const USER_PENDING_STATUS = 'Pendente';
+//a confirmação do email só é exigida se o envio dos emails estiver habilitado, senão os usuários nunca receberiam o link de confirmação
+const MAIL_VERIFICATION_ENABLED = MAIL_ENABLED;
+//endereço do link de confirmação do email, que recebe o token no parâmetro token
+const MAIL_VERIFICATION_URL = process.env.MAIL_VERIFICATION_URL || 'http://localhost:5000/api/users/verify';
+//tempo mínimo em minutos entre os envios do link de confirmação do email para o mesmo usuário
+const MAIL_VERIFICATION_RESEND_MINUTES = Number(process.env.MAIL_VERIFICATION_RESEND_MINUTES) || 5;
+//mensagem enviada como resposta a toda solicitação de reenvio do link de confirmação, independente do email estar cadastrado ou não
+const MAIL_VERIFICATION_REQUESTED_MESSAGE = 'Se o email informado possuir um cadastro pendente de confirmação, você receberá um novo link de confirmação';
+//mensagem enviada quando o link de confirmação do email não é válido
+const MAIL_VERIFICATION_INVALID_MESSAGE = 'Link de confirmação inválido ou expirado';
+
+/**
+ * Função que grava na fila de saída o email com o link de confirmação do email do usuário e registra a data do envio
+ * @param user usuário cujo email deve ser confirmado
+ * @param locale idioma do email
+ * @param transaction instância da transação que tá controlando a operação
+ */
+async function queueMailVerification(user, locale, transaction) {
+
+    //monta o link de confirmação com o token assinado
+    const link = `${MAIL_VERIFICATION_URL}${MAIL_VERIFICATION_URL.includes('?') ? '&' : '?'}token=${encodeURIComponent(generateMailVerificationToken(user))}`;
+
+    await sendMailVerificationToUser(user.name, user.mail, link, MAIL_VERIFICATION_EXPIRATION_HOURS, locale, transaction);
+    //registra a data do envio, utilizada para limitar os reenvios
+    await UserPersistence.updateUser(user.userId, {
+        verificationSentAt: formatDatabaseDatetime(new Date())
+    }, transaction);
+}
+
+/**
+ * Função que gera o token de redefinição de senha de um usuário e grava na fila de saída o email com o token
+ * É executada após o envio da resposta, por isso os erros são apenas exibidos no console
+ * O registro do usuário é bloqueado durante a transação, assim as solicitações simultâneas são contadas uma após a outra e o limite por hora não é ultrapassado
+ * @param user usuário que solicitou a redefinição de senha
+ * @param locale idioma do email
+ */
+async function createPasswordReset(user, locale) {
+
+    let transaction;
+
+    try {
+
+        /**
+         * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+         */
+        transaction = await sequelize.transaction();
+
+        //bloqueia o registro do usuário até o fim da transação
+        await UserPersistence.lockUserById(user.userId, { transaction });
+
+        const now = new Date();
+        //conta quantas solicitações o usuário fez na última hora
+        const recentResets = await PasswordResetPersistence.countPasswordResetsSince(user.userId, formatDatabaseDatetime(now.getTime() - 60 * 60 * 1000), { transaction });
+
+        //se o limite de solicitações foi atingido, não gera um novo token
+        if(recentResets >= PASSWORD_RESET_LIMIT_PER_HOUR) {
+
+            await transaction.commit();
+            return;
+        }
+
+        //gera o token que será enviado ao usuário, na base de dados é armazenado apenas o seu hash
+        const token = generateToken();
+
+        await PasswordResetPersistence.createPasswordReset({
+            userId: user.userId,
+            tokenHash: hashToken(token),
+            expiresAt: formatDatabaseDatetime(now.getTime() + PASSWORD_RESET_EXPIRATION_MINUTES * 60 * 1000),
+            createdAt: formatDatabaseDatetime(now)
+        }, { transaction });
+        //grava na fila de saída o email com o token, no idioma da requisição
+        await sendMailPasswordResetToUser(user.name, user.mail, token, PASSWORD_RESET_EXPIRATION_MINUTES, locale, { transaction });
+
+        //comita na base de dados as operações realizadas
+        await transaction.commit();
+
+        //envia o email gravado na fila de saída
+        dispatchMailOutbox();
+    }
+    catch(error) {
+
+        //se ocorreu algum erro
+        if(transaction) {
+
+            //desfaz quaisquer operações realizadas na base de dados
+            await transaction.rollback();
+        }
+
+        //exibe o erro no console, já que a resposta da requisição já foi enviada
+        console.log(error);
+    }
+}
 
 /**
  * Classe responsável por tratar as requisições (como cadastros, alterações, remoções, consultas e etc) da API relacionadas a entidade User
@@ -32,14 +143,34 @@ class UserController {
                 name: req.body.name,
                 mail: req.body.mail,
                 login: req.body.login,
-                password: req.body.password,
-                status: 'Ativo',
+                //armazena apenas o hash da senha informada
+                password: await hashPassword(req.body.password),
+                //o cadastro só é ativado após o usuário confirmar o email, se a confirmação estiver habilitada
+                status: MAIL_VERIFICATION_ENABLED ? USER_PENDING_STATUS : 'Ativo',
+                //todo novo usuário recebe o perfil de usuário comum, o perfil de administrador só pode ser atribuído diretamente na base de dados
+                role: USER_ROLES.USER,
                 createdAt: formatDatabaseDatetime(new Date()),
                 updatedAt: formatDatabaseDatetime(new Date())
             }, { transaction });
 
+            //cria o quadro pessoal do usuário, que é o quadro padrão dos cards cadastrados por ele
+            await BoardPersistence.createBoard({
+                name: 'Quadro pessoal',
+                personal: true,
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, newUser.userId, { transaction });
+
+            //grava na fila de saída o email com o link de confirmação, no idioma da requisição
+            if(MAIL_VERIFICATION_ENABLED) {
+
+                await queueMailVerification(newUser, getRequestLocale(req), { transaction });
+            }
+
             //comita na base de dados as operações realizadas
             await transaction.commit();
+            //envia o email de confirmação sem aguardar o envio
+            dispatchMailOutbox();
             //envia a resposta indicando que o cadastro foi realizado junto com as informações do usuário cadastrado
             res.status(201).send(newUser);
         }
@@ -59,7 +190,7 @@ class UserController {
 
     /**
      * Método que implementa a requisição que busca os usuários na base de dados
-     * PS: requisição não utilizada na API (feita apenas para testes)
+     * PS: requisição disponível apenas para administradores
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
@@ -116,6 +247,7 @@ class UserController {
 
     /**
      * Método que implementa a requisição que atualiza o cadastro do usuário na base de dados
+     * Se o email for alterado, o cadastro volta a ficar pendente até que o novo email seja confirmado pelo link enviado a ele
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
@@ -125,36 +257,65 @@ class UserController {
 
         try {
 
+            //obtém via parâmetro o id do usuário a ser atualizado
+            const { id } = req.params;
+            //busca o usuário para verificar se o email foi alterado
+            const user = await UserPersistence.findUserById(id);
+
+            //se o usuário não existe
+            if(!user) {
+
+                //envia uma resposta indicando que o usuário não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'ALTERAÇÃO DE USUÁRIO', 404, 'warning', 'Usuário não encontrado');
+            }
+
+            //o novo email precisa ser confirmado, se a confirmação estiver habilitada
+            const mailChanged = MAIL_VERIFICATION_ENABLED && req.body.mail !== undefined && req.body.mail !== user.mail;
+            const now = formatDatabaseDatetime(new Date());
+
              /**
              * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
              */
             transaction = await sequelize.transaction();
 
-            //obtém via parâmetro o id do usuário a ser atualizado
-            const { id } = req.params;
             //atualiza as informações do usuário na base de dados atualizando as informações recebidas no formato JSON através da requisição
             const userCollection = await UserPersistence.updateUser(id, {
                 name: req.body.name,
                 mail: req.body.mail,
                 login: req.body.login,
-                password: req.body.password,
-                updatedAt: formatDatabaseDatetime(new Date())
+                //se uma nova senha foi informada, armazena apenas o seu hash
+                password: req.body.password ? await hashPassword(req.body.password) : undefined,
+                //se o email foi alterado, o cadastro fica pendente até o novo email ser confirmado
+                status: mailChanged ? USER_PENDING_STATUS : undefined,
+                updatedAt: now
             }, { transaction });
 
-            //se o usuário de fato existe
-            if(userCollection) {
-                
-                //envia como resposta as informações do usuário que foi alterado
-                res.status(200).send(userCollection);
+            //se o email foi alterado
+            if(mailChanged) {
+
+                //encerra as sessões do usuário, que só poderá acessar a API novamente após confirmar o novo email
+                await SessionPersistence.revokeUserSessions(id, now, { transaction });
+                //grava na fila de saída o email com o link de confirmação do novo email, no idioma da requisição
+                await queueMailVerification(userCollection, getRequestLocale(req), { transaction });
             }
-            else {
+            //se a senha foi alterada
+            else if(req.body.password) {
 
-                //envia uma resposta indicando que o usuário não foi encontrado e o código 404
-                sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'ALTERAÇÃO DE USUÁRIO', 404, 'warning', 'Usuário não encontrado');
+                //encerra as demais sessões do usuário, já que a senha anterior pode ter sido comprometida, mantendo apenas a sessão que fez a alteração
+                await SessionPersistence.revokeOtherUserSessions(id, req.familyId, now, { transaction });
             }
 
             //comita na base de dados as operações realizadas
             await transaction.commit();
+
+            //se o email foi alterado, envia o email de confirmação sem aguardar o envio
+            if(mailChanged) {
+
+                dispatchMailOutbox();
+            }
+
+            //envia como resposta as informações do usuário que foi alterado
+            res.status(200).send(userCollection);
         }
         catch(error) {
 
@@ -171,24 +332,127 @@ class UserController {
     }
 
     /**
-     * Método que implementa a requisição que delete um usuário na base de dados
-     * PS: requisição não utilizada na API (feita apenas para testes)
+     * Método que implementa a requisição que ativa ou desativa o cadastro de um usuário na base de dados
+     * PS: requisição disponível apenas para administradores
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
-    async deleteUser(req, res) {
+    async updateUserStatus(req, res) {
 
         let transaction;
 
         try {
 
+            //obtém via parâmetro o id do usuário e a nova situação do cadastro (já validada pelo schema da rota)
+            const { id } = req.params;
+            const { status } = req.body;
+
+            //o administrador não pode alterar a situação do próprio cadastro
+            if(isOwner(req, id)) {
+
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'ALTERAÇÃO DE SITUAÇÃO DO USUÁRIO', 403, 'error', 'Você não pode alterar a situação do seu próprio cadastro');
+            }
+
              /**
              * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
              */
             transaction = await sequelize.transaction();
 
+            const now = formatDatabaseDatetime(new Date());
+            //atualiza a situação do cadastro do usuário, se ele foi ativado, remove também o bloqueio do seu login
+            const userCollection = await UserPersistence.updateUser(id, {
+                status,
+                ...(status === 'Ativo' && { failedLoginAttempts: 0, lockedUntil: null }),
+                updatedAt: now
+            }, { transaction });
+
+            //se o usuário foi desativado, encerra todas as suas sessões imediatamente
+            if(userCollection && status !== 'Ativo') {
+
+                await SessionPersistence.revokeUserSessions(id, now, { transaction });
+            }
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //se o usuário foi ativado, reinicia a contagem das tentativas com a senha incorreta do seu login
+            if(userCollection && status === 'Ativo') {
+
+                await clearLoginBlock(userCollection.login);
+            }
+
+            //se o usuário de fato existe
+            if(userCollection) {
+
+                //envia como resposta as informações do usuário que foi alterado
+                res.status(200).send(userCollection);
+            }
+            else {
+
+                //envia uma resposta indicando que o usuário não foi encontrado e o código 404
+                sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'ALTERAÇÃO DE SITUAÇÃO DO USUÁRIO', 404, 'warning', 'Usuário não encontrado');
+            }
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'ALTERAÇÃO DE SITUAÇÃO DO USUÁRIO', 500, 'error', 'Falha ao alterar a situação do cadastro do usuário, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que delete um usuário na base de dados, junto com os seus quadros pessoais
+     * Os cards do usuário nos quadros de outros usuários são mantidos, sem dono e sem quem os cadastrou, e ele deixa de ser responsável pelos cards desses quadros
+     * PS: requisição disponível apenas para administradores
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteUser(req, res) {
+
+        let transaction;
+
+        try {
+
             //obtém via parâmetro o id do usuário a ser deletado
             const { id } = req.params;
+
+            //o administrador não pode deletar o próprio cadastro
+            if(isOwner(req, id)) {
+
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'DELEÇÃO DE USUÁRIO', 403, 'error', 'Você não pode deletar o seu próprio cadastro');
+            }
+
+            //busca os quadros pessoais do usuário, que são deletados junto com ele
+            const personalBoards = await BoardPersistence.searchPersonalBoards(id);
+            const personalBoardIds = personalBoards.map(board => board.boardId);
+            //busca os cards dos demais quadros atribuídos ao usuário, dos quais ele deixará de ser responsável
+            const assignedCards = (await CardPersistence.searchCards({ assigneeId: id })).filter(card => !personalBoardIds.includes(card.boardId));
+
+             /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //anexos dos cards removidos junto com o usuário, cujos arquivos também devem ser removidos
+            const attachments = [];
+
+            //deleta os quadros pessoais do usuário junto com os seus cards
+            for(const boardId of personalBoardIds) {
+
+                attachments.push(...await AttachmentPersistence.searchCardsAttachments({ boardId }, { transaction }));
+                await BoardPersistence.deleteBoard(boardId, { transaction });
+            }
+            //mantém os cards do usuário nos demais quadros, desvinculando-o deles
+            await CardPersistence.releaseUserCards(id, { transaction });
+            //registra no histórico dos cards a remoção do usuário dos responsáveis, enviando os eventos aos membros dos quadros
+            await CardEventPersistence.createCardEvents(assignedCards.map(card => buildCardEvent(card, req.userId, CARD_EVENT_TYPES.UNASSIGNED, 'assignee', id, null)), { transaction });
             //deleta o usuário na base de dados por meio de seu id
             const userCollection = await UserPersistence.deleteUser(id, { transaction });
 
@@ -207,6 +471,8 @@ class UserController {
 
             //comita na base de dados as operações realizadas
             await transaction.commit();
+            //remove os arquivos dos anexos do armazenamento
+            await deleteAttachmentFiles(attachments);
         }
         catch(error) {
             
@@ -269,28 +535,58 @@ class UserController {
 
         try {
 
-            //obtém os parâmetros email e senha recebidos através da requisição
+            //obtém os parâmetros login e senha recebidos através da requisição
             const { login, password } = req.body;
-            //faz a busca do usuário por meio do email e senha informado
-            const userCollection = await UserPersistence.findUserByParameters([
-                { "field": "login", "value": login },
-                { "field": "password", "value": password }
-            ]);
+            //faz a busca do usuário por meio do login informado
+            const user = login ? await UserPersistence.findUserByParameters([
+                { "field": "login", "value": login }
+            ]) : null;
+            //reserva a tentativa antes de verificar a senha, bloqueando o login se ele estiver bloqueado, a resposta é a mesma para os logins existentes ou não
+            const blockedUntil = await reserveLoginAttempt(login, user);
+
+            if(blockedUntil) {
+
+                return sendTooManyRequestsMessage(req, res, 'USUÁRIOS', 'AUTENTICAÇÃO DE USUÁRIOS', blockedUntil);
+            }
+
+            //aguarda o atraso progressivo das tentativas com a senha incorreta já realizadas
+            await delayLoginAttempt(login);
+
+            //verifica se a senha informada corresponde ao hash armazenado, se não corresponder, o usuário é tratado como não encontrado
+            //se o login não existe, a senha é verificada com um hash fixo, para que a resposta leve o mesmo tempo dos logins existentes
+            const validPassword = await verifyPassword(password, user ? user.password : DUMMY_PASSWORD_HASH);
+            const userCollection = user && validPassword ? user : null;
 
             //se encontrou o usuário
             if(userCollection) {
 
+                //reinicia a contagem das tentativas com a senha incorreta
+                await registerLoginSuccess(login, userCollection);
+
                 //verifica se está ativo, se estiver
                 if(userCollection.status === 'Ativo') {
                 
+                    //se a senha ainda está armazenada em texto puro (cadastros antigos), a substitui pelo seu hash
+                    if(!isPasswordHashed(userCollection.password)) {
+
+                        await UserPersistence.updateUser(userCollection.userId, {
+                            password: await hashPassword(password)
+                        });
+                    }
+
                     const { userId } = userCollection;
-                    //gera o token de autorização
-                    const token = jwt.sign({ userId }, process.env.SECRET, {
-                        expiresIn: 300000
-                    });
+                    //inicia uma nova sessão gerando o refresh token do usuário
+                    const { familyId, refreshToken } = await createRefreshToken(userId);
+                    //gera o token de autorização de curta duração vinculado à sessão
+                    const token = generateAccessToken(userId, familyId);
                       
                     //envia como resposta o usuário autenticado
-                    res.status(200).send({ auth: true, token: token, user: userCollection });
+                    res.status(200).send({ auth: true, token: token, refreshToken: refreshToken, user: userCollection });
+                }
+                else if(userCollection.status === USER_PENDING_STATUS) {
+
+                    //se o email ainda não foi confirmado, envia uma mensagem ao usuário informando
+                    sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'AUTENTICAÇÃO DE USUÁRIOS', 403, 'error', 'O seu email ainda não foi confirmado, acesse o link de confirmação enviado para o seu email');
                 }
                 else {
 
@@ -300,6 +596,9 @@ class UserController {
             }
             else {
 
+                //registra a tentativa com a senha incorreta, bloqueando o login se a quantidade máxima de tentativas for atingida
+                await registerLoginFailure(login, req.ip);
+
                 //envia uma resposta indicando que o usuário não foi encontrado e o código 404
                 sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'AUTENTICAÇÃO DE USUÁRIOS', 404, 'warning', 'Login e/ou senha inválidos');
             }
@@ -312,7 +611,127 @@ class UserController {
     }
 
     /**
-     * Método que implementa a requisição que recupera a senha de um usuário cadastrado e a envia por email na base de dados
+     * Método que implementa a requisição que gera um novo token de acesso a partir de um refresh token
+     * O refresh token utilizado é substituído por um novo (rotação), se um token já utilizado for apresentado novamente, a sessão inteira é revogada, pois ele pode ter sido roubado
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async refreshAccessToken(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém o refresh token recebido através da requisição
+            const { refreshToken } = req.body;
+            //busca o refresh token por meio do seu hash
+            const session = refreshToken ? await SessionPersistence.findSessionByRefreshToken(hashToken(refreshToken)) : null;
+            const now = formatDatabaseDatetime(new Date());
+
+            //se o token não existe, foi revogado ou expirou
+            if(!session || session.revokedAt || session.expiresAt <= now) {
+
+                //envia uma resposta indicando que o refresh token é inválido
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'RENOVAÇÃO DE TOKEN', 401, 'error', 'Sessão inválida ou expirada, faça o login novamente');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //marca o token como utilizado, se ele já havia sido utilizado, trata-se de uma reutilização
+            if(!await SessionPersistence.rotateSession(session.sessionId, now, { transaction })) {
+
+                //revoga a sessão inteira, invalidando os tokens do usuário legítimo e de quem possa ter roubado o token
+                await SessionPersistence.revokeSession(session.familyId, now, { transaction });
+                await transaction.commit();
+
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'RENOVAÇÃO DE TOKEN', 401, 'error', 'Sessão inválida ou expirada, faça o login novamente');
+            }
+
+            //verifica se o usuário ainda existe e está ativo
+            const userCollection = await UserPersistence.findUserById(session.userId);
+
+            if(!userCollection || userCollection.status !== 'Ativo') {
+
+                //revoga a sessão do usuário que não pode mais acessar o sistema
+                await SessionPersistence.revokeSession(session.familyId, now, { transaction });
+                await transaction.commit();
+
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'RENOVAÇÃO DE TOKEN', 403, 'error', 'O seu cadastro está inativo, tente novamente mais tarde');
+            }
+
+            //gera o novo refresh token na mesma sessão
+            const newSession = await createRefreshToken(session.userId, session.familyId, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+
+            //envia como resposta o novo token de acesso e o novo refresh token
+            res.status(200).send({ auth: true, token: generateAccessToken(session.userId, session.familyId), refreshToken: newSession.refreshToken });
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de erro, envia uma resposta indicando a falha que ocorreu
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'RENOVAÇÃO DE TOKEN', 500, 'error', 'Falha ao renovar a sua sessão, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que encerra a sessão atual do usuário, revogando os seus refresh tokens e tokens de acesso
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async logoutUser(req, res) {
+
+        try {
+
+            //revoga a sessão à qual pertence o token utilizado na requisição
+            await SessionPersistence.revokeSession(req.familyId, formatDatabaseDatetime(new Date()));
+
+            //envia a resposta indicando que a sessão foi encerrada
+            res.status(200).send({ auth: false, message: 'Sessão encerrada com sucesso' });
+        }
+        catch(error) {
+
+            //em caso de erro, envia uma resposta indicando a falha que ocorreu
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'ENCERRAMENTO DE SESSÃO', 500, 'error', 'Falha ao encerrar a sua sessão, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que encerra todas as sessões do usuário (em todos os dispositivos)
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async logoutAllUserSessions(req, res) {
+
+        try {
+
+            //revoga todas as sessões do usuário autenticado
+            await SessionPersistence.revokeUserSessions(req.userId, formatDatabaseDatetime(new Date()));
+
+            //envia a resposta indicando que as sessões foram encerradas
+            res.status(200).send({ auth: false, message: 'Todas as sessões foram encerradas com sucesso' });
+        }
+        catch(error) {
+
+            //em caso de erro, envia uma resposta indicando a falha que ocorreu
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'ENCERRAMENTO DE SESSÕES', 500, 'error', 'Falha ao encerrar as suas sessões, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que solicita a redefinição de senha de um usuário, enviando por email um token de uso único e com prazo de expiração
+     * A resposta é sempre a mesma, independente do email estar cadastrado ou não, para que a requisição não possa ser utilizada para descobrir quais emails possuem cadastro
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
@@ -320,51 +739,246 @@ class UserController {
 
         try {
 
-            //obtém os parâmetros email e senha recebidos através da requisição
+            //obtém o parâmetro email recebido através da requisição
+            const { mail } = req.body;
+            //faz a busca do usuário por meio do email informado
+            const userCollection = mail ? await UserPersistence.findUserByParameters([
+                { field: "mail", value: mail }
+            ]) : null;
+
+            //envia sempre a mesma resposta, independente do email estar cadastrado
+            res.status(200).send({
+                code: 200,
+                type: 'success',
+                message: PASSWORD_RESET_REQUESTED_MESSAGE,
+                date: formatDatetime(new Date())
+            });
+
+            //o token só é gerado se o usuário existe e está ativo, após o envio da resposta, para que o tempo de resposta não revele se o email está cadastrado
+            if(userCollection && userCollection.status === 'Ativo') {
+
+                createPasswordReset(userCollection, getRequestLocale(req));
+            }
+        }
+        catch(error) {
+
+            //em caso de erro, envia uma resposta indicando a falha que ocorreu
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'RECUPERAÇÃO DE SENHA DO USUÁRIO', 500, 'error', 'Falha ao processar a recuperação de senha, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que confirma a redefinição de senha, recebendo o token enviado por email e a nova senha
+     * O token é invalidado após o uso, assim como os demais tokens pendentes do usuário
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async confirmPasswordReset(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém os parâmetros token e nova senha recebidos através da requisição
+            const { token, password } = req.body;
+
+            const now = formatDatabaseDatetime(new Date());
+            //busca a solicitação de redefinição por meio do hash do token, desde que ainda não tenha sido utilizada e não esteja expirada
+            const passwordReset = token ? await PasswordResetPersistence.findValidPasswordReset(hashToken(token), now) : null;
+
+            //se o token não for válido
+            if(!passwordReset) {
+
+                //envia uma resposta indicando que o token é inválido ou expirou
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'REDEFINIÇÃO DE SENHA DO USUÁRIO', 400, 'warning', 'Código de redefinição de senha inválido ou expirado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //marca o token como utilizado, se outra requisição já o utilizou, a redefinição é cancelada
+            if(!await PasswordResetPersistence.usePasswordReset(passwordReset.passwordResetId, now, { transaction })) {
+
+                await transaction.rollback();
+
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'REDEFINIÇÃO DE SENHA DO USUÁRIO', 400, 'warning', 'Código de redefinição de senha inválido ou expirado');
+            }
+
+            //armazena o hash da nova senha do usuário e remove o bloqueio do seu login
+            const userCollection = await UserPersistence.updateUser(passwordReset.userId, {
+                password: await hashPassword(password),
+                failedLoginAttempts: 0,
+                lockedUntil: null,
+                updatedAt: now
+            }, { transaction });
+
+            //invalida os demais tokens pendentes do usuário
+            await PasswordResetPersistence.invalidatePasswordResets(passwordReset.userId, now, { transaction });
+            //encerra todas as sessões do usuário, já que a senha anterior pode ter sido comprometida
+            await SessionPersistence.revokeUserSessions(passwordReset.userId, now, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //reinicia a contagem das tentativas com a senha incorreta do login do usuário
+            await clearLoginBlock(userCollection.login);
+
+            //envia a resposta indicando que a senha foi redefinida
+            res.status(200).send({
+                code: 200,
+                type: 'success',
+                message: 'Senha redefinida com sucesso',
+                date: formatDatetime(new Date())
+            });
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de erro, envia uma resposta indicando a falha que ocorreu
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'REDEFINIÇÃO DE SENHA DO USUÁRIO', 500, 'error', 'Falha ao redefinir a senha, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que confirma o email do usuário por meio do token recebido no link de confirmação, ativando o seu cadastro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async verifyUserMail(req, res) {
+
+        let transaction;
+
+        try {
+
+            //verifica a assinatura e a validade do token recebido como parâmetro
+            const verification = verifyMailVerificationToken(req.query.token);
+            //busca o usuário do token
+            const userCollection = verification ? await UserPersistence.findUserById(verification.userId) : null;
+
+            //o token só é válido se o usuário existe e o email do token ainda é o email do usuário
+            if(!userCollection || userCollection.mail !== verification.mail) {
+
+                //envia uma resposta indicando que o link é inválido ou expirou
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'CONFIRMAÇÃO DE EMAIL DO USUÁRIO', 400, 'warning', MAIL_VERIFICATION_INVALID_MESSAGE);
+            }
+
+            //os cadastros desativados não são ativados pela confirmação do email
+            if(userCollection.status !== USER_PENDING_STATUS && userCollection.status !== 'Ativo') {
+
+                return sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'CONFIRMAÇÃO DE EMAIL DO USUÁRIO', 403, 'error', 'O seu cadastro está inativo, tente novamente mais tarde');
+            }
+
+            //se o cadastro ainda está pendente, ativa o cadastro
+            if(userCollection.status === USER_PENDING_STATUS) {
+
+                /**
+                 * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+                 */
+                transaction = await sequelize.transaction();
+
+                await UserPersistence.updateUser(userCollection.userId, {
+                    status: 'Ativo',
+                    updatedAt: formatDatabaseDatetime(new Date())
+                }, { transaction });
+
+                //comita na base de dados as operações realizadas
+                await transaction.commit();
+            }
+
+            //envia a resposta indicando que o email foi confirmado
+            res.status(200).send({
+                code: 200,
+                type: 'success',
+                message: 'Email confirmado com sucesso, o seu cadastro está ativo',
+                date: formatDatetime(new Date())
+            });
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de erro, envia uma resposta indicando a falha que ocorreu
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'CONFIRMAÇÃO DE EMAIL DO USUÁRIO', 500, 'error', 'Falha ao confirmar o email, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que reenvia o link de confirmação do email para um usuário com o cadastro pendente
+     * Os reenvios para o mesmo usuário são limitados a um a cada MAIL_VERIFICATION_RESEND_MINUTES minutos
+     * A resposta é sempre a mesma, independente do email estar cadastrado ou não, para que a requisição não possa ser utilizada para descobrir quais emails possuem cadastro
+     * @param req objeto que contém as informações da requisição 
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async resendMailVerification(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém o parâmetro email recebido através da requisição
             const { mail } = req.body;
             //faz a busca do usuário por meio do email informado
             const userCollection = await UserPersistence.findUserByParameters([
                 { field: "mail", value: mail }
             ]);
+            //data limite do último envio para que um novo envio seja permitido
+            const resendAfter = formatDatabaseDatetime(Date.now() - MAIL_VERIFICATION_RESEND_MINUTES * 60 * 1000);
 
-            //se encontrou o usuário
-            if(userCollection) {
+            //o link só é reenviado se o cadastro está pendente e o último envio foi feito há mais tempo que o intervalo mínimo
+            if(userCollection && userCollection.status === USER_PENDING_STATUS && (!userCollection.verificationSentAt || userCollection.verificationSentAt <= resendAfter)) {
 
-                //verifica se está ativo, se estiver
-                if(userCollection.status === 'Ativo') {
-                    
-                    //obtém os dados do usuário
-                    const { name, mail, password } = userCollection;
-                    
-                    //envia um email com o nome, email e senha para o usuário
-                    await sendMailRecoveredPassToUser(name, mail, password);
+                /**
+                 * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+                 */
+                transaction = await sequelize.transaction();
 
-                    //envia como resposta os dados do usuário que solicitou a recuperação de senha
-                    res.status(200).send(userCollection);
-                }
-                else {
+                //grava na fila de saída o email com o novo link de confirmação, no idioma da requisição
+                await queueMailVerification(userCollection, getRequestLocale(req), { transaction });
 
-                    //se não estiver ativo, envia uma mensagem ao usuário informando
-                    sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'RECUPERAÇÃO DE SENHA DO USUÁRIO', 403, 'warning', 'O seu cadastro está inativo, contate nosso o suporte técnico');
-                }
-            }
-            else {
+                //comita na base de dados as operações realizadas
+                await transaction.commit();
 
-                //envia uma resposta indicando que o usuário não foi encontrado e o código 404
-                sendErrorMessage(req, res, undefined, 'USUÁRIOS', 'RECUPERAÇÃO DE SENHA DO USUÁRIO', 404, 'warning', 'Email não encontrado');
+                //envia o email sem aguardar o envio, para que o tempo de resposta não revele se o email está cadastrado
+                dispatchMailOutbox();
             }
+
+            //envia sempre a mesma resposta, independente do email estar cadastrado
+            res.status(200).send({
+                code: 200,
+                type: 'success',
+                message: MAIL_VERIFICATION_REQUESTED_MESSAGE,
+                date: formatDatetime(new Date())
+            });
         }
         catch(error) {
 
-            console.log(error);
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
             //em caso de erro, envia uma resposta indicando a falha que ocorreu
-            sendErrorMessage(req, res, error, 'USUÁRIOS', 'RECUPERAÇÃO DE SENHA DO USUÁRIO', 500, 'error', 'Falha ao processar a recuperação de senha, tente novamente mais tarde');
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'REENVIO DE CONFIRMAÇÃO DE EMAIL', 500, 'error', 'Falha ao reenviar o link de confirmação, tente novamente mais tarde');
         }
     }
 
     /**
      * Método que implementa a requisição que conta o total de usuários cadastrados na base de dados
-     * PS: requisição não utilizada na API (feita apenas para testes)
+     * PS: requisição disponível apenas para administradores
      * @param req objeto que contém as informações da requisição 
      * @param res objeto que contém as informações da resposta da requisição
      */
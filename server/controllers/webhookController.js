@@ -0,0 +1,295 @@
+const { sequelize } = require('../models');
+const WebhookPersistence = require('../persistence/webhookPersistence');
+//importa as funções implementas para serem utilizadas nas operações abaixo
+const { sendErrorMessage } = require('../helpers/api_helpers');
+const { BOARD_READ_ROLES, findBoardMemberWithRole, sendForbiddenMessage } = require('../helpers/authorization_helpers');
+const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+const { generateToken } = require('../helpers/password_helpers');
+const { isWebhookUrlAllowed } = require('../helpers/webhook_helpers');
+
+/**
+ * Função que verifica se o usuário autenticado pode filtrar os eventos de um quadro, o que exige que ele seja membro do quadro
+ * @param boardId id do quadro, se não for informado o webhook recebe os eventos de todos os quadros do usuário
+ * @param userId id do usuário autenticado
+ * @returns true se o usuário pode filtrar os eventos do quadro ou false caso contrário
+ */
+async function canFilterBoard(boardId, userId) {
+
+    return !boardId || await findBoardMemberWithRole(boardId, userId, BOARD_READ_ROLES) !== null;
+}
+
+/**
+ * Função que envia a resposta indicando que a URL do webhook não pode receber entregas por pertencer à rede interna
+ * @param req objeto que contém as informações da requisição
+ * @param res objeto que contém as informações da resposta da requisição
+ * @param task nome da operação
+ */
+function sendUrlNotAllowedMessage(req, res, task) {
+
+    sendErrorMessage(req, res, undefined, 'WEBHOOKS', task, 400, 'warning', 'A URL do webhook não pode apontar para endereços da rede interna');
+}
+
+/**
+ * Classe responsável por tratar as requisições (como cadastros, alterações, remoções, consultas e etc) da API relacionadas a entidade Webhook (webhooks do usuário autenticado)
+ * Cada usuário manipula apenas os seus próprios webhooks, os webhooks dos outros usuários são tratados como não encontrados
+ */
+class WebhookController {
+
+    /**
+     * Método que implementa a requisição que busca os webhooks do usuário autenticado
+     * @param req objeto que contém as informações da requisição
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchWebhooks(req, res) {
+
+        try {
+
+            //realiza a busca dos webhooks do usuário autenticado
+            const webhooksCollection = await WebhookPersistence.searchUserWebhooks(req.userId);
+
+            //envia como resposta os webhooks encontrados
+            res.status(200).send(webhooksCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'WEBHOOKS', 'PESQUISA DE WEBHOOKS', 500, 'error', 'Falha ao pesquisar os webhooks, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que cadastra um webhook para o usuário autenticado
+     * O segredo de assinatura é retornado somente nesta requisição
+     * @param req objeto que contém as informações da requisição
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async createWebhook(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém através do corpo da requisição as informações do webhook
+            const { url, events, boardId, active } = req.body;
+            //se o segredo não foi informado, gera um segredo aleatório
+            const secret = req.body.secret || generateToken();
+
+            //o usuário só pode filtrar os eventos dos quadros dos quais é membro
+            if(!await canFilterBoard(boardId, req.userId)) {
+
+                return sendForbiddenMessage(req, res, 'WEBHOOKS', 'CADASTRO DE WEBHOOK');
+            }
+
+            //a URL não pode apontar para a rede interna
+            if(!await isWebhookUrlAllowed(url)) {
+
+                return sendUrlNotAllowedMessage(req, res, 'CADASTRO DE WEBHOOK');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //cria um novo webhook para o usuário autenticado
+            const newWebhook = await WebhookPersistence.createWebhook({
+                userId: req.userId,
+                boardId: boardId || null,
+                url,
+                events: [...new Set(events)].join(','),
+                secret,
+                active: active === undefined || active === true || active === 'true',
+                createdAt: formatDatabaseDatetime(new Date()),
+                updatedAt: formatDatabaseDatetime(new Date())
+            }, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia a resposta indicando que o cadastro foi realizado junto com as informações do webhook cadastrado e o seu segredo
+            res.status(201).send({ ...newWebhook.toJSON(), secret });
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando o erro que ocorreu na operação de cadastro
+            sendErrorMessage(req, res, error, 'WEBHOOKS', 'CADASTRO DE WEBHOOK', 500, 'error', 'Falha ao gerar o cadastro do webhook, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que altera um webhook do usuário autenticado, apenas os campos informados são alterados
+     * @param req objeto que contém as informações da requisição
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async updateWebhook(req, res) {
+
+        let transaction;
+
+        try {
+
+            //obtém através do corpo da requisição as informações do webhook
+            const { url, events, secret, boardId, active } = req.body;
+            //busca o webhook do usuário autenticado
+            const webhookCollection = await WebhookPersistence.findUserWebhook(req.userId, req.params.id);
+
+            //se o webhook não existe
+            if(!webhookCollection) {
+
+                //envia uma resposta indicando que o webhook não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'WEBHOOKS', 'ALTERAÇÃO DE WEBHOOK', 404, 'warning', 'Webhook não encontrado');
+            }
+
+            //o usuário só pode filtrar os eventos dos quadros dos quais é membro
+            if(!await canFilterBoard(boardId, req.userId)) {
+
+                return sendForbiddenMessage(req, res, 'WEBHOOKS', 'ALTERAÇÃO DE WEBHOOK');
+            }
+
+            //a URL não pode apontar para a rede interna
+            if(url && !await isWebhookUrlAllowed(url)) {
+
+                return sendUrlNotAllowedMessage(req, res, 'ALTERAÇÃO DE WEBHOOK');
+            }
+
+            //monta as informações a serem alteradas com base nos campos informados (a URL, os eventos e o segredo não podem ser removidos)
+            const data = { updatedAt: formatDatabaseDatetime(new Date()) };
+
+            if(url) {
+
+                data.url = url;
+            }
+            if(events) {
+
+                data.events = [...new Set(events)].join(',');
+            }
+            if(secret) {
+
+                data.secret = secret;
+            }
+            //se o quadro for informado como nulo, o filtro de quadro é removido
+            if(boardId !== undefined) {
+
+                data.boardId = boardId || null;
+            }
+            if(active !== undefined) {
+
+                data.active = active === true || active === 'true';
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //altera o webhook
+            const updatedWebhook = await WebhookPersistence.updateWebhook(webhookCollection, data, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do webhook alterado
+            res.status(200).send(updatedWebhook);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //em caso de falha envia uma mensagem indicando a falha ocorrida
+            sendErrorMessage(req, res, error, 'WEBHOOKS', 'ALTERAÇÃO DE WEBHOOK', 500, 'error', 'Falha ao alterar o webhook, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que remove um webhook do usuário autenticado junto com as suas entregas
+     * @param req objeto que contém as informações da requisição
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async deleteWebhook(req, res) {
+
+        let transaction;
+
+        try {
+
+            //busca o webhook do usuário autenticado
+            const webhookCollection = await WebhookPersistence.findUserWebhook(req.userId, req.params.id);
+
+            //se o webhook não existe
+            if(!webhookCollection) {
+
+                //envia uma resposta indicando que o webhook não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'WEBHOOKS', 'REMOÇÃO DE WEBHOOK', 404, 'warning', 'Webhook não encontrado');
+            }
+
+            /**
+             * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+             */
+            transaction = await sequelize.transaction();
+
+            //remove o webhook
+            const deletedWebhook = await WebhookPersistence.deleteWebhook(webhookCollection, { transaction });
+
+            //comita na base de dados as operações realizadas
+            await transaction.commit();
+            //envia como resposta as informações do webhook removido
+            res.status(200).send(deletedWebhook);
+        }
+        catch(error) {
+
+            //se ocorreu algum erro
+            if(transaction) {
+
+                //desfaz quaisquer operações realizadas na base de dados
+                await transaction.rollback();
+            }
+
+            //envia uma resposta indicando a falha que ocorreu durante o processo de remoção
+            sendErrorMessage(req, res, error, 'WEBHOOKS', 'REMOÇÃO DE WEBHOOK', 500, 'error', 'Falha ao remover o webhook, tente novamente mais tarde');
+        }
+    }
+
+    /**
+     * Método que implementa a requisição que busca, utilizando paginação, o registro das entregas de um webhook do usuário autenticado, das mais recentes para as mais antigas
+     * @param req objeto que contém as informações da requisição
+     * @param res objeto que contém as informações da resposta da requisição
+     */
+    async searchWebhookDeliveries(req, res) {
+
+        try {
+
+            //obtém através dos parâmetros da requisição a página e o tamanho da página
+            const { page, size } = req.query;
+            //busca o webhook do usuário autenticado
+            const webhookCollection = await WebhookPersistence.findUserWebhook(req.userId, req.params.id);
+
+            //se o webhook não existe
+            if(!webhookCollection) {
+
+                //envia uma resposta indicando que o webhook não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'WEBHOOKS', 'PESQUISA DE ENTREGAS', 404, 'warning', 'Webhook não encontrado');
+            }
+
+            //realiza a busca das entregas do webhook
+            const deliveriesCollection = await WebhookPersistence.searchWebhookDeliveries(webhookCollection.webhookId, page, size);
+
+            //envia como resposta as entregas encontradas junto com as informações da paginação
+            res.status(200).send(deliveriesCollection);
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante o processo de busca
+            sendErrorMessage(req, res, error, 'WEBHOOKS', 'PESQUISA DE ENTREGAS', 500, 'error', 'Falha ao pesquisar as entregas do webhook, tente novamente mais tarde');
+        }
+    }
+}
+
+module.exports = new WebhookController();
@@ -3,6 +3,7 @@
  */
 
 const jwt = require('jsonwebtoken');
+const SessionPersistence = require('../persistence/sessionPersistence');
 const { formatDatetime } = require('./date_helpers');
 
 /**
@@ -49,6 +50,19 @@ async function sendErrorMessage(req, res, error, module, task, statusCode, error
             errorDetail: errorContent
         });    
     }
+    //se for um erro de validação dos dados da requisição
+    else if(name === "RequestValidationError") {
+
+        //envia a mensagem com o código 400 (requisição inválida) junto com a lista de campos inválidos
+        res.status(400).send({
+            code: 400,
+            type: 'warning',
+            message: error.message,
+            date: formatDatetime(new Date()),
+            errors: errors,
+            errorDetail: errorContent
+        });
+    }
     //se for um erro ocasionado por outro motivo
     else {
         
@@ -80,16 +94,38 @@ function verifyJWTToken(req, res, next){
     }
     
     //verifica se o token é válido
-    jwt.verify(token, process.env.SECRET, function(err, decoded) {
+    jwt.verify(token, process.env.SECRET, async function(err, decoded) {
       
         if(err) {
         
             //se for inválido, envia uma resposta informando o erro
             return res.status(500).json({ auth: false, message: 'Falha ao validar o token.' });
         }
-      
-        // se tudo estiver ok, salva no request para uso posterior
-        req.userId = decoded.id;
+
+        //o token precisa identificar o usuário e a sessão, caso contrário o acesso é bloqueado
+        if(!decoded || !decoded.userId || !decoded.familyId) {
+
+            return res.status(401).json({ auth: false, message: 'Acesso não autorizado.' });
+        }
+
+        try {
+
+            //se a sessão à qual o token pertence foi revogada (logout), bloqueia o acesso
+            if(!await SessionPersistence.isSessionActive(decoded.familyId)) {
+
+                return res.status(401).json({ auth: false, message: 'Sessão encerrada, faça o login novamente.' });
+            }
+        }
+        catch(error) {
+
+            //se não foi possível verificar a sessão, envia uma resposta informando o erro
+            return res.status(500).json({ auth: false, message: 'Falha ao validar o token.' });
+        }
+
+        // se tudo estiver ok, salva no request o id do usuário autenticado (assinado no token como userId), o identificador da sessão e a data de expiração do token (em segundos) para uso posterior
+        req.userId = decoded.userId;
+        req.familyId = decoded.familyId;
+        req.tokenExpiresAt = decoded.exp;
         //passa para o próximo middleware
         next();
     });
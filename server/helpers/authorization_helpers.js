@@ -0,0 +1,252 @@
+/**
+ * Arquivo com funções de middleware que verificam se o usuário autenticado tem permissão para acessar ou manipular um recurso
+ * Essas funções devem ser utilizadas nas rotas sempre após o middleware verifyJWTToken, que é quem identifica o usuário autenticado (req.userId)
+ */
+
+const BoardPersistence = require('../persistence/boardPersistence');
+const CardPersistence = require('../persistence/cardPersistence');
+const UserPersistence = require('../persistence/userPersistence');
+const { sendErrorMessage } = require('./api_helpers');
+//perfis de acesso dos usuários
+const USER_ROLES = {
+    ADMIN: 'admin',
+    USER: 'user'
+};
+//papéis dos membros de um quadro
+const BOARD_ROLES = {
+    OWNER: 'owner',
+    EDITOR: 'editor',
+    VIEWER: 'viewer'
+};
+//papéis que permitem visualizar o quadro e os seus cards
+const BOARD_READ_ROLES = [BOARD_ROLES.OWNER, BOARD_ROLES.EDITOR, BOARD_ROLES.VIEWER];
+//papéis que permitem cadastrar, alterar e remover os cards do quadro
+const BOARD_WRITE_ROLES = [BOARD_ROLES.OWNER, BOARD_ROLES.EDITOR];
+//mensagem padrão enviada quando o usuário não tem permissão para acessar o recurso
+const FORBIDDEN_MESSAGE = 'Você não tem permissão para acessar este recurso';
+
+/**
+ * Função que verifica se um recurso pertence ao usuário autenticado
+ * @param req objeto que contém as informações da requisição
+ * @param ownerId id do usuário dono do recurso
+ * @returns true se o usuário autenticado é o dono do recurso ou false caso contrário
+ */
+function isOwner(req, ownerId) {
+
+    return req.userId !== undefined && Number(ownerId) === Number(req.userId);
+}
+
+/**
+ * Função que envia a resposta padrão indicando que o usuário não tem permissão para acessar o recurso
+ * @param req objeto que contém as informações da requisição
+ * @param res objeto que contém as informações da resposta da requisição
+ * @param module nome do módulo (CARDS, USUÁRIOS e etc)
+ * @param task nome da operação que foi bloqueada
+ */
+function sendForbiddenMessage(req, res, module, task) {
+
+    sendErrorMessage(req, res, undefined, module, task, 403, 'error', FORBIDDEN_MESSAGE);
+}
+
+/**
+ * Função que verifica se o usuário autenticado possui um dos papéis informados no quadro
+ * @param boardId id do quadro
+ * @param userId id do usuário autenticado
+ * @param roles papéis que permitem o acesso
+ * @returns o registro de membro do usuário no quadro ou null se ele não possui um dos papéis informados
+ */
+async function findBoardMemberWithRole(boardId, userId, roles) {
+
+    //busca o registro de membro do usuário no quadro
+    const boardMember = await BoardPersistence.findBoardMember(boardId, userId);
+
+    //se o usuário é membro do quadro e possui um dos papéis informados
+    if(boardMember && roles.includes(boardMember.role)) {
+
+        return boardMember;
+    }
+
+    return null;
+}
+
+/**
+ * Função que gera um middleware que verifica se o usuário autenticado possui um dos papéis informados no quadro do card informado na rota (parâmetro id)
+ * Exemplo de uso: router.put('/cards/:id', verifyJWTToken, verifyCardAccess(...BOARD_WRITE_ROLES), CardController.updateCard);
+ * @param roles papéis no quadro que permitem o acesso ao card
+ * @returns função de middleware
+ */
+function verifyCardAccess(...roles) {
+
+    return async function(req, res, next) {
+
+        try {
+
+            //busca o card por meio do id recebido como parâmetro na requisição, inclusive na lixeira
+            const cardCollection = await CardPersistence.findCardById(req.params.id, true);
+
+            //se o card não existe
+            if(!cardCollection) {
+
+                //envia uma resposta indicando que o card não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'CARDS', 'AUTORIZAÇÃO DE ACESSO AO CARD', 404, 'warning', 'Card não encontrado');
+            }
+
+            //verifica o papel do usuário autenticado no quadro do card
+            const boardMember = await findBoardMemberWithRole(cardCollection.boardId, req.userId, roles);
+
+            //se o usuário não possui um dos papéis exigidos, bloqueia o acesso
+            if(!boardMember) {
+
+                return sendForbiddenMessage(req, res, 'CARDS', 'AUTORIZAÇÃO DE ACESSO AO CARD');
+            }
+
+            //salva no request o papel do usuário e o quadro do card para uso posterior
+            req.boardRole = boardMember.role;
+            req.boardId = cardCollection.boardId;
+            //passa para o próximo middleware
+            next();
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante a verificação
+            sendErrorMessage(req, res, error, 'CARDS', 'AUTORIZAÇÃO DE ACESSO AO CARD', 500, 'error', 'Falha ao verificar as permissões de acesso ao card, tente novamente mais tarde');
+        }
+    };
+}
+
+/**
+ * Função que gera um middleware que verifica se o usuário autenticado possui um dos papéis informados no quadro informado na rota (parâmetro id)
+ * Exemplo de uso: router.put('/boards/:id', verifyJWTToken, verifyBoardAccess(BOARD_ROLES.OWNER), BoardController.updateBoard);
+ * @param roles papéis no quadro que permitem o acesso
+ * @returns função de middleware
+ */
+function verifyBoardAccess(...roles) {
+
+    return async function(req, res, next) {
+
+        try {
+
+            //busca o quadro por meio do id recebido como parâmetro na requisição
+            const boardCollection = await BoardPersistence.findBoardById(req.params.id);
+
+            //se o quadro não existe
+            if(!boardCollection) {
+
+                //envia uma resposta indicando que o quadro não foi encontrado e o código 404
+                return sendErrorMessage(req, res, undefined, 'QUADROS', 'AUTORIZAÇÃO DE ACESSO AO QUADRO', 404, 'warning', 'Quadro não encontrado');
+            }
+
+            //verifica o papel do usuário autenticado no quadro
+            const boardMember = await findBoardMemberWithRole(boardCollection.boardId, req.userId, roles);
+
+            //se o usuário não possui um dos papéis exigidos, bloqueia o acesso
+            if(!boardMember) {
+
+                return sendForbiddenMessage(req, res, 'QUADROS', 'AUTORIZAÇÃO DE ACESSO AO QUADRO');
+            }
+
+            //salva no request o papel do usuário no quadro para uso posterior
+            req.boardRole = boardMember.role;
+            //passa para o próximo middleware
+            next();
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante a verificação
+            sendErrorMessage(req, res, error, 'QUADROS', 'AUTORIZAÇÃO DE ACESSO AO QUADRO', 500, 'error', 'Falha ao verificar as permissões de acesso ao quadro, tente novamente mais tarde');
+        }
+    };
+}
+
+/**
+ * Função que funciona como middleware verificando se o usuário informado na rota (parâmetro id) é o próprio usuário autenticado
+ * @param req objeto que contém as informações da requisição
+ * @param res objeto que contém as informações da resposta da requisição
+ * @param next função que chama o próximo middleware
+ */
+function verifyUserOwnership(req, res, next) {
+
+    //se o usuário da rota não é o usuário autenticado, bloqueia o acesso
+    if(!isOwner(req, req.params.id)) {
+
+        return sendForbiddenMessage(req, res, 'USUÁRIOS', 'AUTORIZAÇÃO DE ACESSO AO USUÁRIO');
+    }
+
+    //passa para o próximo middleware
+    next();
+}
+
+/**
+ * Função que funciona como middleware verificando se o filtro por usuário (parâmetro userId da query) corresponde ao usuário autenticado
+ * Se o filtro não for informado, ele é preenchido com o id do usuário autenticado, garantindo que as buscas retornem apenas os dados do próprio usuário
+ * Na busca de cards por responsável (parâmetro assignee), o filtro não é preenchido, já que a busca é restrita aos quadros dos quais o usuário é membro
+ * @param req objeto que contém as informações da requisição
+ * @param res objeto que contém as informações da resposta da requisição
+ * @param next função que chama o próximo middleware
+ */
+function verifyUserQueryOwnership(req, res, next) {
+
+    //se o filtro foi informado com o id de outro usuário, bloqueia o acesso
+    if(req.query.userId !== undefined && req.query.userId !== '' && !isOwner(req, req.query.userId)) {
+
+        return sendForbiddenMessage(req, res, 'CARDS', 'AUTORIZAÇÃO DE ACESSO AOS CARDS');
+    }
+
+    //restringe a busca ao usuário autenticado, exceto na busca por responsável se o filtro não foi informado
+    if(req.query.assignee === undefined || req.query.assignee === '' || req.query.userId) {
+
+        req.query.userId = req.userId;
+    }
+    //passa para o próximo middleware
+    next();
+}
+
+/**
+ * Função que gera um middleware que verifica se o usuário autenticado possui um dos perfis de acesso informados
+ * O perfil é consultado na base de dados a cada requisição, para que alterações de perfil ou desativações tenham efeito imediato
+ * Exemplo de uso: router.delete('/users/:id', verifyJWTToken, verifyUserRole(USER_ROLES.ADMIN), UserController.deleteUser);
+ * @param roles perfis de acesso que podem acessar a rota
+ * @returns função de middleware
+ */
+function verifyUserRole(...roles) {
+
+    return async function(req, res, next) {
+
+        try {
+
+            //busca o usuário autenticado para obter o seu perfil de acesso
+            const userCollection = await UserPersistence.findUserById(req.userId);
+
+            //se o usuário não existe, não está ativo ou não possui um dos perfis exigidos, bloqueia o acesso
+            if(!userCollection || userCollection.status !== 'Ativo' || !roles.includes(userCollection.role)) {
+
+                return sendForbiddenMessage(req, res, 'USUÁRIOS', 'AUTORIZAÇÃO DE ACESSO POR PERFIL');
+            }
+
+            //salva no request o perfil do usuário para uso posterior
+            req.userRole = userCollection.role;
+            //passa para o próximo middleware
+            next();
+        }
+        catch(error) {
+
+            //em caso de falha, envia uma mensagem de erro indicando a falha que ocorreu durante a verificação
+            sendErrorMessage(req, res, error, 'USUÁRIOS', 'AUTORIZAÇÃO DE ACESSO POR PERFIL', 500, 'error', 'Falha ao verificar as permissões de acesso, tente novamente mais tarde');
+        }
+    };
+}
+
+module.exports = {
+    BOARD_READ_ROLES,
+    BOARD_ROLES,
+    BOARD_WRITE_ROLES,
+    USER_ROLES,
+    findBoardMemberWithRole,
+    isOwner,
+    sendForbiddenMessage,
+    verifyBoardAccess,
+    verifyCardAccess,
+    verifyUserOwnership,
+    verifyUserQueryOwnership,
+    verifyUserRole
+};
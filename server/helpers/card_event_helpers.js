@@ -0,0 +1,91 @@
+/**
+ * Arquivo com funções utilitárias para montar os eventos do histórico de alterações dos cards (tabela card_events)
+ */
+
+const { formatDatabaseDatetime } = require('./date_helpers');
+//tipos de eventos registrados no histórico dos cards
+const CARD_EVENT_TYPES = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    STATUS_CHANGED: 'status_changed',
+    MOVED: 'moved',
+    DELETED: 'deleted',
+    RESTORED: 'restored',
+    PURGED: 'purged',
+    LABEL_ADDED: 'label_added',
+    LABEL_REMOVED: 'label_removed',
+    ASSIGNED: 'assigned',
+    UNASSIGNED: 'unassigned'
+};
+//campos do card cujas alterações são registradas campo a campo no histórico
+const CARD_TRACKED_FIELDS = ['title', 'content', 'dueAt', 'priority'];
+
+/**
+ * Função que converte um valor para ser armazenado no histórico, que guarda os valores sempre em texto
+ * @param value valor a ser convertido
+ * @returns valor no formato texto ou null se o valor não foi informado
+ */
+function toEventValue(value) {
+
+    return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Função que monta um evento do histórico de um card
+ * @param card card que foi alterado
+ * @param userId id do usuário que realizou a alteração
+ * @param type tipo do evento (CARD_EVENT_TYPES)
+ * @param field nome do campo alterado, quando o evento for referente a um campo
+ * @param oldValue valor anterior do campo
+ * @param newValue novo valor do campo
+ * @returns objeto com as informações do evento a ser cadastrado
+ */
+function buildCardEvent(card, userId, type, field, oldValue, newValue) {
+
+    return {
+        cardId: card.cardId,
+        boardId: card.boardId,
+        userId: userId,
+        type: type,
+        field: field || null,
+        oldValue: toEventValue(oldValue),
+        newValue: toEventValue(newValue),
+        createdAt: formatDatabaseDatetime(new Date())
+    };
+}
+
+/**
+ * Função que compara as informações de um card antes e depois de uma alteração e monta os eventos do histórico correspondentes
+ * É gerado um evento para cada campo alterado, um evento de mudança de status quando o card muda de coluna e um evento de movimentação quando ele muda apenas de posição
+ * @param oldCard card antes da alteração
+ * @param newCard card após a alteração
+ * @param userId id do usuário que realizou a alteração
+ * @returns lista de eventos a serem cadastrados, vazia se nada foi alterado
+ */
+function getCardChangeEvents(oldCard, newCard, userId) {
+
+    //monta um evento para cada campo alterado
+    const events = CARD_TRACKED_FIELDS.filter(field => oldCard[field] !== newCard[field]).map(field => {
+
+        return buildCardEvent(newCard, userId, CARD_EVENT_TYPES.UPDATED, field, oldCard[field], newCard[field]);
+    });
+
+    //se o card mudou de coluna
+    if(oldCard.statusId !== newCard.statusId) {
+
+        events.push(buildCardEvent(newCard, userId, CARD_EVENT_TYPES.STATUS_CHANGED, 'statusId', oldCard.statusId, newCard.statusId));
+    }
+    //se o card mudou apenas de posição na mesma coluna
+    else if(oldCard.position !== newCard.position) {
+
+        events.push(buildCardEvent(newCard, userId, CARD_EVENT_TYPES.MOVED, 'position', oldCard.position, newCard.position));
+    }
+
+    return events;
+}
+
+module.exports = {
+    CARD_EVENT_TYPES,
+    buildCardEvent,
+    getCardChangeEvents
+};
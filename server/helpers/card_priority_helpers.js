@@ -0,0 +1,28 @@
+/**
+ * Arquivo com as prioridades dos cards
+ * As prioridades são declaradas da menor para a maior, essa ordem é utilizada na ordenação dos cards por prioridade
+ */
+
+//prioridades dos cards
+const CARD_PRIORITIES = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    URGENT: 'urgent'
+};
+
+/**
+ * Função que monta a expressão SQL que converte a prioridade do card no seu nível (0 para low até 3 para urgent), permitindo ordenar os cards por prioridade
+ * Os cards sem prioridade resultam em NULL
+ * @param column nome da coluna da prioridade na consulta
+ * @returns expressão SQL no formato CASE
+ */
+function getPriorityLevelExpression(column) {
+
+    return `CASE ${column} ${Object.values(CARD_PRIORITIES).map((priority, level) => `WHEN '${priority}' THEN ${level}`).join(' ')} END`;
+}
+
+module.exports = {
+    CARD_PRIORITIES,
+    getPriorityLevelExpression
+};
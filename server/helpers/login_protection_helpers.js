@@ -0,0 +1,240 @@
+/**
+ * Arquivo com funções utilitárias para a proteção do login e da recuperação de senha contra ataques de força bruta
+ * - limitação das requisições por IP, em uma janela de tempo configurável
+ * - limitação das tentativas com a senha incorreta por login, existente ou não, com atrasos progressivos a cada falha
+ * - bloqueio temporário do usuário após uma quantidade de tentativas com a senha incorreta, registrado no cadastro do usuário e no registro de eventos de segurança
+ * As respostas das requisições bloqueadas são sempre as mesmas, independente do login ou do email existir, para que não possam ser utilizadas para descobrir quais usuários possuem cadastro
+ * Os contadores de tentativas ficam no armazenamento configurado na pasta limiter
+ */
+
+const { sequelize } = require('../models');
+const UserPersistence = require('../persistence/userPersistence');
+const SecurityAuditLogPersistence = require('../persistence/securityAuditLogPersistence');
+const { limiterStore } = require('../limiter');
+const { sendErrorMessage } = require('./api_helpers');
+const { formatDatabaseDatetime } = require('./date_helpers');
+//janela de tempo em minutos na qual as requisições por IP são contadas
+const RATE_LIMIT_WINDOW_MINUTES = Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15;
+//quantidade máxima de requisições de login por IP dentro da janela de tempo
+const LOGIN_MAX_ATTEMPTS_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+//quantidade máxima de requisições de recuperação de senha e de confirmação de email por IP dentro da janela de tempo
+const RECOVERY_MAX_ATTEMPTS_PER_IP = Number(process.env.RECOVERY_MAX_ATTEMPTS_PER_IP) || 10;
+//quantidade de tentativas com a senha incorreta que bloqueiam o login
+const LOGIN_MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+//tempo em minutos que o login permanece bloqueado
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+//atraso em milissegundos aplicado após a primeira tentativa com a senha incorreta, que dobra a cada nova falha, até o atraso máximo
+const LOGIN_DELAY_BASE_MILLISECONDS = Number(process.env.LOGIN_DELAY_BASE_MILLISECONDS) || 250;
+const LOGIN_DELAY_MAX_MILLISECONDS = Number(process.env.LOGIN_DELAY_MAX_MILLISECONDS) || 4000;
+//ações registradas no registro de eventos de segurança
+const SECURITY_AUDIT_ACTIONS = {
+    ACCOUNT_LOCKED: 'account_locked'
+};
+//mensagem enviada como resposta às requisições bloqueadas
+const TOO_MANY_REQUESTS_MESSAGE = 'Muitas tentativas realizadas, tente novamente mais tarde';
+
+/**
+ * Função que envia a resposta padrão das requisições bloqueadas pela limitação de tentativas, com o código 429 e o cabeçalho Retry-After
+ * @param req objeto que contém as informações da requisição
+ * @param res objeto que contém as informações da resposta da requisição
+ * @param module nome do módulo (USUÁRIOS e etc)
+ * @param task nome da operação que foi bloqueada
+ * @param resetAt data em milissegundos a partir da qual as tentativas são liberadas
+ */
+function sendTooManyRequestsMessage(req, res, module, task, resetAt) {
+
+    //informa em quantos segundos uma nova tentativa pode ser realizada
+    res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+    sendErrorMessage(req, res, undefined, module, task, 429, 'warning', TOO_MANY_REQUESTS_MESSAGE);
+}
+
+/**
+ * Função que gera um middleware que limita a quantidade de requisições de um IP dentro da janela de tempo configurada
+ * Exemplo de uso: router.post('/users/login', limitRequestsByIp('login', LOGIN_MAX_ATTEMPTS_PER_IP), UserController.authenticateUser);
+ * @param scope nome do grupo de rotas que compartilham o limite
+ * @param maxAttempts quantidade máxima de requisições dentro da janela de tempo
+ * @returns função de middleware
+ */
+function limitRequestsByIp(scope, maxAttempts) {
+
+    return async function(req, res, next) {
+
+        try {
+
+            //conta a requisição do IP
+            const counter = await limiterStore.increment(`${scope}:ip:${req.ip}`, RATE_LIMIT_WINDOW_MINUTES * 60 * 1000);
+
+            //se o limite foi ultrapassado, bloqueia a requisição
+            if(counter.count > maxAttempts) {
+
+                return sendTooManyRequestsMessage(req, res, 'USUÁRIOS', 'LIMITAÇÃO DE REQUISIÇÕES', counter.resetAt);
+            }
+        }
+        catch(error) {
+
+            //se não foi possível verificar o limite, a requisição não é bloqueada
+            console.log(error);
+        }
+
+        //passa para o próximo middleware
+        next();
+    };
+}
+
+/**
+ * Função que obtém a chave do contador de tentativas com a senha incorreta de um login
+ * @param login login informado
+ * @returns chave do contador
+ */
+function getLoginKey(login) {
+
+    return `login:user:${String(login).trim().toLowerCase()}`;
+}
+
+/**
+ * Função que reserva uma tentativa de login antes da verificação da senha, bloqueando o login se ele estiver bloqueado ou se a quantidade máxima de tentativas já foi reservada
+ * A tentativa é contada antes da verificação da senha, assim as tentativas simultâneas não ultrapassam a quantidade máxima, ela é descontada se a senha estiver correta
+ * A contagem é feita por login, existente ou não, para que os logins que não existem sejam bloqueados da mesma forma que os usuários
+ * @param login login informado
+ * @param user usuário do login ou null se ele não existe
+ * @returns data em milissegundos a partir da qual o login é liberado ou null se a tentativa pode ser realizada
+ */
+async function reserveLoginAttempt(login, user) {
+
+    //verifica se o usuário está bloqueado
+    if(user && user.lockedUntil && new Date(user.lockedUntil).getTime() > Date.now()) {
+
+        return new Date(user.lockedUntil).getTime();
+    }
+
+    const key = getLoginKey(login);
+    const counter = await limiterStore.get(key);
+
+    //se a quantidade máxima de tentativas já foi atingida, o login está bloqueado (a tentativa não é contada, para que o bloqueio não seja prolongado)
+    if(counter && counter.count >= LOGIN_MAX_FAILED_ATTEMPTS) {
+
+        return counter.resetAt;
+    }
+
+    //conta a tentativa do login, o contador só expira após o tempo de bloqueio sem novas tentativas
+    const reservedCounter = await limiterStore.increment(key, LOGIN_LOCKOUT_MINUTES * 60 * 1000, true);
+
+    //se outras tentativas simultâneas atingiram a quantidade máxima antes desta, ela também é bloqueada
+    return reservedCounter.count > LOGIN_MAX_FAILED_ATTEMPTS ? reservedCounter.resetAt : null;
+}
+
+/**
+ * Função que aguarda o atraso progressivo do login, calculado com base nas tentativas já realizadas antes da tentativa atual
+ * @param login login informado
+ */
+async function delayLoginAttempt(login) {
+
+    const counter = await limiterStore.get(getLoginKey(login));
+    //desconsidera a tentativa atual, que já foi reservada
+    const failedAttempts = counter ? counter.count - 1 : 0;
+
+    //se não houve tentativas com a senha incorreta, não há atraso
+    if(failedAttempts <= 0) {
+
+        return;
+    }
+
+    const delay = Math.min(LOGIN_DELAY_BASE_MILLISECONDS * Math.pow(2, failedAttempts - 1), LOGIN_DELAY_MAX_MILLISECONDS);
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Função que registra uma tentativa de login com a senha incorreta no cadastro do usuário, a tentativa já foi contada pela função reserveLoginAttempt
+ * Se o usuário atingir a quantidade máxima de tentativas, o seu login é bloqueado e o bloqueio é registrado no registro de eventos de segurança
+ * As mesmas consultas são realizadas para os logins que não existem, para que a resposta leve o mesmo tempo
+ * @param login login informado
+ * @param ip IP de origem da requisição
+ */
+async function registerLoginFailure(login, ip) {
+
+    //incrementa as tentativas do usuário na base de dados
+    const user = await UserPersistence.incrementFailedLoginAttempts(login);
+
+    //se o usuário não existe ou a quantidade máxima de tentativas ainda não foi atingida, não há bloqueio a ser realizado
+    if(!user || user.failedLoginAttempts < LOGIN_MAX_FAILED_ATTEMPTS) {
+
+        return;
+    }
+
+    let transaction;
+
+    try {
+
+        /**
+         * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+         */
+        transaction = await sequelize.transaction();
+
+        const now = new Date();
+        const lockedUntil = formatDatabaseDatetime(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+        //bloqueia o login do usuário, se outra tentativa simultânea já o bloqueou, o bloqueio não é registrado novamente
+        if(await UserPersistence.lockUser(user.userId, LOGIN_MAX_FAILED_ATTEMPTS, lockedUntil, { transaction })) {
+
+            //registra o bloqueio no registro de eventos de segurança
+            await SecurityAuditLogPersistence.createAuditLog({
+                userId: user.userId,
+                action: SECURITY_AUDIT_ACTIONS.ACCOUNT_LOCKED,
+                login: user.login,
+                ip,
+                details: `Login bloqueado até ${lockedUntil} após ${user.failedLoginAttempts} tentativas com a senha incorreta`,
+                createdAt: formatDatabaseDatetime(now)
+            }, { transaction });
+        }
+
+        //comita na base de dados as operações realizadas
+        await transaction.commit();
+    }
+    catch(error) {
+
+        //se ocorreu algum erro
+        if(transaction) {
+
+            //desfaz quaisquer operações realizadas na base de dados
+            await transaction.rollback();
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Função que registra um login com a senha correta, reiniciando a contagem das tentativas com a senha incorreta do login e do usuário
+ * @param login login informado
+ * @param user usuário autenticado
+ */
+async function registerLoginSuccess(login, user) {
+
+    await limiterStore.reset(getLoginKey(login));
+    //remove as tentativas e o bloqueio registrados no cadastro do usuário, se houver
+    await UserPersistence.clearFailedLoginAttempts(user.userId);
+}
+
+/**
+ * Função que remove o bloqueio de um login, reiniciando a contagem das tentativas com a senha incorreta
+ * É utilizada quando a senha do usuário é redefinida ou o seu cadastro é reativado, o bloqueio registrado no cadastro do usuário deve ser removido junto com a alteração
+ * @param login login do usuário
+ */
+async function clearLoginBlock(login) {
+
+    await limiterStore.reset(getLoginKey(login));
+}
+
+module.exports = {
+    LOGIN_MAX_ATTEMPTS_PER_IP,
+    RECOVERY_MAX_ATTEMPTS_PER_IP,
+    SECURITY_AUDIT_ACTIONS,
+    clearLoginBlock,
+    delayLoginAttempt,
+    limitRequestsByIp,
+    registerLoginFailure,
+    registerLoginSuccess,
+    reserveLoginAttempt,
+    sendTooManyRequestsMessage
+};
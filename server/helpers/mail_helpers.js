@@ -1,69 +1,457 @@
 /**
- * Arquivo com funções utilitárias para envio de emails, não utilizada por motivos de não ter um servidor de email configurado
+ * Arquivo com funções utilitárias para envio de emails
+ * Os emails são montados a partir dos templates da pasta server/templates/mail, que possui uma pasta para cada idioma (pt-BR e en) com dois arquivos por template:
+ * - <template>.html: conteúdo HTML do email, cujo título (tag title) é o assunto do email
+ * - <template>.txt: conteúdo em texto puro do email
+ * Os valores são informados nos templates no formato {{nome}} e, no conteúdo HTML, têm os caracteres especiais convertidos
+ * Os emails não são enviados diretamente, eles são gravados na fila de saída (tabela mail_outbox), na mesma transação da operação que os gerou, e enviados depois, com novas tentativas em caso de falha
+ * A fila de saída armazena apenas o template e os seus valores, o conteúdo do email é montado no envio, e os valores sigilosos (como os códigos de uso único) são armazenados criptografados com AES-256-GCM e removidos após o envio, a última tentativa ou a expiração do email
+ * Assim, uma falha no envio nunca interrompe a operação que gerou o email
+ * O envio é definido pela variável MAIL_TRANSPORT (padrão: disabled):
+ * - smtp: envia os emails pelo servidor SMTP configurado nas variáveis MAIL_SMTP_*
+ * - json: exibe os emails no console no formato JSON, para desenvolvimento
+ * - file: grava os emails no formato JSON na pasta MAIL_FILE_PATH, para desenvolvimento e testes
+ * - disabled: os emails não são gravados na fila de saída nem enviados
  */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
-const MAIL_ACCOUNT = 'vmsb11@yahoo.com.br';
+const MailOutboxPersistence = require('../persistence/mailOutboxPersistence');
+const { formatDatabaseDatetime } = require('./date_helpers');
+//forma de envio dos emails
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'disabled';
+//indica se o envio dos emails está habilitado, as funcionalidades que dependem de emails (como a confirmação do email dos usuários) só são utilizadas se estiver
+const MAIL_ENABLED = MAIL_TRANSPORT !== 'disabled';
+//remetente dos emails
+const MAIL_FROM = process.env.MAIL_FROM || 'Click Ideia <contato@clickideia.com.br>';
+//configurações do servidor SMTP
+const MAIL_SMTP_HOST = process.env.MAIL_SMTP_HOST || 'localhost';
+const MAIL_SMTP_PORT = Number(process.env.MAIL_SMTP_PORT) || 587;
+const MAIL_SMTP_SECURE = process.env.MAIL_SMTP_SECURE === 'true';
+const MAIL_SMTP_USER = process.env.MAIL_SMTP_USER;
+const MAIL_SMTP_PASSWORD = process.env.MAIL_SMTP_PASSWORD;
+//pasta onde os emails são gravados pelo envio em arquivo
+const MAIL_FILE_PATH = process.env.MAIL_FILE_PATH || path.resolve(__dirname, '../../mails');
+//pasta dos templates dos emails
+const MAIL_TEMPLATES_PATH = path.resolve(__dirname, '../templates/mail');
+//idiomas disponíveis nos templates e idioma utilizado quando o idioma do usuário não é um deles
+const MAIL_LOCALES = ['pt-BR', 'en'];
+const MAIL_DEFAULT_LOCALE = MAIL_LOCALES.includes(process.env.MAIL_DEFAULT_LOCALE) ? process.env.MAIL_DEFAULT_LOCALE : 'pt-BR';
+//quantidade máxima de tentativas de envio de cada email
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+//intervalo em segundos antes da primeira nova tentativa, que dobra a cada falha
+const MAIL_RETRY_BASE_SECONDS = Number(process.env.MAIL_RETRY_BASE_SECONDS) || 60;
+//chave utilizada na criptografia dos valores sigilosos da fila de saída, derivada da chave SECRET
+const MAIL_OUTBOX_KEY = crypto.createHmac('sha256', String(process.env.SECRET)).update('mail_outbox').digest();
+//quantidade de emails buscados por vez no envio
+const MAIL_DISPATCH_BATCH_SIZE = 20;
+//situações dos emails da fila de saída
+const MAIL_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+//funções que criam cada uma das formas de envio disponíveis, todas possuem o método sendMail(message) do nodemailer
+const MAIL_TRANSPORTS = {
+    smtp: () => nodemailer.createTransport({
+        host: MAIL_SMTP_HOST,
+        port: MAIL_SMTP_PORT,
+        secure: MAIL_SMTP_SECURE,
+        auth: MAIL_SMTP_USER ? { user: MAIL_SMTP_USER, pass: MAIL_SMTP_PASSWORD } : undefined
+    }),
+    json: () => {
+
+        const transport = nodemailer.createTransport({ jsonTransport: true });
+
+        return {
+            sendMail: async (message) => {
+
+                const info = await transport.sendMail(message);
+
+                //exibe o email no console
+                console.log(info.message);
+
+                return info;
+            }
+        };
+    },
+    file: () => {
+
+        const transport = nodemailer.createTransport({ jsonTransport: true });
+
+        return {
+            sendMail: async (message) => {
+
+                const info = await transport.sendMail(message);
+
+                //grava o email na pasta configurada, utilizando o id da mensagem como nome do arquivo
+                await fs.promises.mkdir(MAIL_FILE_PATH, { recursive: true });
+                await fs.promises.writeFile(path.join(MAIL_FILE_PATH, `${info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_')}.json`), info.message);
+
+                return info;
+            }
+        };
+    },
+    disabled: () => null
+};
+//templates já carregados, evitando ler os arquivos a cada email
+const templates = new Map();
+//indica se o envio dos emails está em execução e se ele deve ser executado novamente ao terminar
+let dispatching = false;
+let dispatchRequested = false;
+
 /**
- * Configura o servidor de email como host, porta, serviço e etc
+ * Função que cria a forma de envio configurada
+ * Se a forma de envio configurada não existir, gera um erro ao iniciar o servidor
+ * @returns instância da forma de envio ou null se o envio está desabilitado
  */
-const mailAccount = nodemailer.createTransport({
-    host: 'smtp.mail.yahoo.com',
-    port: 465,
-    service:'yahoo',
-    secure: false,
-    auth: {
-        user: MAIL_ACCOUNT,
-        pass: '' 
+function createMailTransport() {
+
+    //se a forma de envio configurada não foi implementada
+    if(!MAIL_TRANSPORTS[MAIL_TRANSPORT]) {
+
+        throw new Error(`Forma de envio de emails não suportada: ${MAIL_TRANSPORT}`);
     }
-});
+
+    return MAIL_TRANSPORTS[MAIL_TRANSPORT]();
+}
+
+//instância da forma de envio utilizada pela API
+const mailTransport = createMailTransport();
+
+/**
+ * Função que obtém o idioma dos emails com base no cabeçalho Accept-Language da requisição
+ * @param req objeto que contém as informações da requisição
+ * @returns um dos idiomas disponíveis nos templates
+ */
+function getRequestLocale(req) {
+
+    //se o cabeçalho não for informado, utiliza o idioma padrão
+    if(!req.headers['accept-language']) {
+
+        return MAIL_DEFAULT_LOCALE;
+    }
+
+    return req.acceptsLanguages(...MAIL_LOCALES) || MAIL_DEFAULT_LOCALE;
+}
 
 /**
- * Função que envia um email
- * @param {*} to endereço do destinatário
- * @param {*} subject assunto da mensagem
- * @param {*} message conteúdo da mensagem
- * @returns true se o email foi enviado ou fase caso contrário
+ * Função que converte os caracteres especiais de um valor para serem exibidos no conteúdo HTML
+ * @param value valor a ser convertido
+ * @returns valor convertido
  */
-async function sendMail(to, subject, message) {
-
-    //monta e configura o email a ser enviado
-    const mailMessage = {
-        from: 'contato@clickideia.com.br',
-        to: to,
-        subject: subject,
-        html: message
+function escapeHtml(value) {
+
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Função que substitui os valores informados no formato {{nome}} em um template
+ * @param content conteúdo do template
+ * @param variables valores a serem substituídos
+ * @param escape função que converte cada valor antes da substituição
+ * @returns conteúdo com os valores substituídos
+ */
+function fillTemplate(content, variables, escape) {
+
+    return content.replace(/{{\s*(\w+)\s*}}/g, (match, name) => variables[name] === undefined || variables[name] === null ? '' : escape(variables[name]));
+}
+
+/**
+ * Função que carrega os arquivos de um template em um idioma
+ * @param template nome do template
+ * @param locale idioma do template
+ * @returns objeto com o conteúdo HTML e o conteúdo em texto puro do template
+ */
+function loadTemplate(template, locale) {
+
+    const key = `${locale}/${template}`;
+
+    //se o template ainda não foi carregado, faz a leitura dos seus arquivos
+    if(!templates.has(key)) {
+
+        templates.set(key, {
+            html: fs.readFileSync(path.join(MAIL_TEMPLATES_PATH, locale, `${template}.html`), 'utf8'),
+            text: fs.readFileSync(path.join(MAIL_TEMPLATES_PATH, locale, `${template}.txt`), 'utf8')
+        });
+    }
+
+    return templates.get(key);
+}
+
+/**
+ * Função que monta um email a partir de um template
+ * @param template nome do template
+ * @param locale idioma do email, se não for um dos idiomas disponíveis é utilizado o idioma padrão
+ * @param variables valores a serem substituídos no template
+ * @returns objeto com o assunto, o conteúdo HTML e o conteúdo em texto puro do email
+ */
+function renderMailTemplate(template, locale, variables) {
+
+    const { html, text } = loadTemplate(template, MAIL_LOCALES.includes(locale) ? locale : MAIL_DEFAULT_LOCALE);
+    const renderedHtml = fillTemplate(html, variables, escapeHtml);
+    //o assunto do email é o título do conteúdo HTML
+    const title = renderedHtml.match(/<title>([\s\S]*?)<\/title>/i);
+
+    return {
+        subject: title ? title[1].trim() : '',
+        html: renderedHtml,
+        text: fillTemplate(text, variables, value => String(value))
     };
+}
+
+/**
+ * Função que criptografa os valores sigilosos de um email para serem armazenados na fila de saída
+ * @param variables valores sigilosos
+ * @returns valores criptografados no formato iv.tag.conteúdo (em base64)
+ */
+function encryptMailVariables(variables) {
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', MAIL_OUTBOX_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(variables), 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Função que descriptografa os valores sigilosos de um email da fila de saída
+ * @param value valores criptografados pela função encryptMailVariables
+ * @returns valores sigilosos
+ */
+function decryptMailVariables(value) {
+
+    const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', MAIL_OUTBOX_KEY, iv);
 
-    //realiza o envio do email
-    return await mailAccount.sendMail(mailMessage);
+    decipher.setAuthTag(tag);
+
+    return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
 }
 
 /**
- * Função que monta o email a ser enviado ao usuário com a senha recuperada e faz o disparo do email
- * @param {*} name nome do usuário
- * @param {*} mail email do usuário
- * @param {*} login login do usuário
- * @param {*} password senha do usuário
+ * Função que grava um email na fila de saída
+ * O envio é realizado depois, pela função dispatchMailOutbox, que deve ser chamada após a transação ser confirmada
+ * Exemplo de uso: await queueMail({ recipient, template: 'password_reset', locale, variables: { firstName }, secretVariables: { token }, expiresAt }, { transaction });
+ * @param mail dados do email:
+ * - recipient: endereço do destinatário
+ * - template: nome do template
+ * - locale: idioma do email
+ * - variables: valores a serem substituídos no template
+ * - secretVariables: valores sigilosos a serem substituídos no template, armazenados criptografados
+ * - expiresAt: data a partir da qual o email não é mais enviado (opcional), deve ser a data de expiração dos valores sigilosos
+ * @param transaction instância da transação que tá controlando a operação
+ * @returns email gravado na fila de saída ou null se o envio está desabilitado
  */
-async function sendMailRecoveredPassToUser(name, mail, login, password) {
-
-    let message = ``;
-    //monta a mensagem a ser enviada
-    message += `<p><center><b><h2>Click Ideia - Recuperação de senha</h2></b></center><p>`;
-    message += `<p/></p>`;
-    message += `<p>Olá ${name.split(" ")[0]}, estamos enviando para você a sua senha, caso não consiga fazer o login, entre em contato com o nosso suporte técnico.`;
-    message += `<br/><br/>`;
-    message += `<p><b>Login:</b> ${login}`;
-    message += `<p><b>Senha:</b> ${password}`;
-    message += `<br/><br/>`;
-    message += `<p>Atenciosamente</p>`;
-    message += `<p>Equipe Click Ideia</p>`;
-    message += `<hr/>`;
-
-    //faz o disparo do email
-    await sendMail(mail, 'Envio de senha', message);
+async function queueMail(mail, transaction) {
+
+    const { recipient, template, locale, variables = {}, secretVariables, expiresAt } = mail;
+
+    //se o envio está desabilitado, o email é descartado
+    if(!mailTransport) {
+
+        console.log(`Envio de emails desabilitado, o email ${template} para ${recipient} foi descartado`);
+        return null;
+    }
+
+    const now = formatDatabaseDatetime(new Date());
+    const validLocale = MAIL_LOCALES.includes(locale) ? locale : MAIL_DEFAULT_LOCALE;
+    //monta o email a partir do template para obter o assunto, o que também garante que o template existe
+    const { subject } = renderMailTemplate(template, validLocale, { ...variables, ...secretVariables });
+
+    //grava o email na fila de saída
+    return await MailOutboxPersistence.createMail({
+        recipient,
+        template,
+        locale: validLocale,
+        subject,
+        variables: JSON.stringify(variables),
+        secretVariables: secretVariables ? encryptMailVariables(secretVariables) : null,
+        expiresAt: expiresAt ? formatDatabaseDatetime(expiresAt) : null,
+        status: MAIL_STATUS.PENDING,
+        attempts: 0,
+        errorMessage: null,
+        nextAttemptAt: now,
+        sentAt: null,
+        createdAt: now,
+        updatedAt: now
+    }, transaction);
+}
+
+/**
+ * Função que realiza uma tentativa de envio de um email da fila de saída e registra o seu resultado
+ * O conteúdo do email é montado a partir do template e dos valores armazenados, os valores sigilosos são removidos após o envio ou a última tentativa
+ * Se a tentativa falhar, a próxima é agendada com um intervalo que dobra a cada falha, até atingir a quantidade máxima de tentativas
+ * @param mail email da fila de saída
+ */
+async function sendOutboxMail(mail) {
+
+    const attempts = mail.attempts + 1;
+    const now = new Date();
+
+    try {
+
+        //monta o email a partir do template com os valores armazenados
+        const variables = {
+            ...JSON.parse(mail.variables || '{}'),
+            ...(mail.secretVariables ? decryptMailVariables(mail.secretVariables) : {})
+        };
+        const { subject, html, text } = renderMailTemplate(mail.template, mail.locale, variables);
+
+        //realiza o envio do email
+        await mailTransport.sendMail({
+            from: MAIL_FROM,
+            to: mail.recipient,
+            subject,
+            html,
+            text
+        });
+
+        //registra o envio, removendo os valores sigilosos do email
+        await MailOutboxPersistence.updateMail(mail, {
+            status: MAIL_STATUS.SENT,
+            attempts,
+            secretVariables: null,
+            errorMessage: null,
+            nextAttemptAt: null,
+            sentAt: formatDatabaseDatetime(now),
+            updatedAt: formatDatabaseDatetime(now)
+        });
+    }
+    catch(error) {
+
+        //se ainda restam tentativas, agenda a próxima, senão o email é marcado como falha e os seus valores sigilosos são removidos
+        const retry = attempts < MAIL_MAX_ATTEMPTS;
+        const data = {
+            status: retry ? MAIL_STATUS.PENDING : MAIL_STATUS.FAILED,
+            attempts,
+            errorMessage: String(error.message).substring(0, 1000),
+            nextAttemptAt: retry ? formatDatabaseDatetime(new Date(now.getTime() + MAIL_RETRY_BASE_SECONDS * Math.pow(2, attempts - 1) * 1000)) : null,
+            updatedAt: formatDatabaseDatetime(now)
+        };
+
+        if(!retry) {
+
+            data.secretVariables = null;
+        }
+
+        await MailOutboxPersistence.updateMail(mail, data);
+    }
+}
+
+/**
+ * Função que envia todos os emails pendentes da fila de saída cuja próxima tentativa já deve ser realizada
+ * É executada após a confirmação das transações que gravam emails e periodicamente, para as novas tentativas
+ * Se ela for chamada enquanto já estiver em execução, é executada novamente ao terminar, evitando que o mesmo email seja enviado duas vezes ao mesmo tempo
+ */
+async function dispatchMailOutbox() {
+
+    //se o envio está desabilitado, não há emails a serem enviados
+    if(!mailTransport) {
+
+        return;
+    }
+
+    //se o envio já está em execução, apenas solicita uma nova execução
+    if(dispatching) {
+
+        dispatchRequested = true;
+        return;
+    }
+
+    dispatching = true;
+
+    try {
+
+        do {
+
+            dispatchRequested = false;
+
+            //os emails que expiraram antes do envio são descartados
+            await MailOutboxPersistence.expirePendingMails(formatDatabaseDatetime(new Date()));
+
+            let mails;
+
+            //busca e envia os emails pendentes em lotes, até que não haja mais emails a serem enviados
+            do {
+
+                mails = await MailOutboxPersistence.searchPendingMails(formatDatabaseDatetime(new Date()), MAIL_DISPATCH_BATCH_SIZE);
+
+                for(const mail of mails) {
+
+                    await sendOutboxMail(mail);
+                }
+            }
+            while(mails.length === MAIL_DISPATCH_BATCH_SIZE);
+        }
+        while(dispatchRequested);
+    }
+    catch(error) {
+
+        //exibe o erro no console, os emails serão enviados novamente na próxima execução
+        console.log(error);
+    }
+    finally {
+
+        dispatching = false;
+    }
+}
+
+/**
+ * Função que grava na fila de saída o email enviado ao usuário com o token de redefinição de senha
+ * @param name nome do usuário
+ * @param mail email do usuário
+ * @param token token de redefinição de senha (uso único)
+ * @param expirationMinutes tempo em minutos até o token expirar
+ * @param locale idioma do email
+ * @param transaction instância da transação que tá controlando a operação
+ * @returns email gravado na fila de saída ou null se o envio está desabilitado
+ */
+async function sendMailPasswordResetToUser(name, mail, token, expirationMinutes, locale, transaction) {
+
+    return await queueMail({
+        recipient: mail,
+        template: 'password_reset',
+        locale,
+        variables: { firstName: name.split(' ')[0], expirationMinutes },
+        secretVariables: { token },
+        //o email não é enviado após o token expirar
+        expiresAt: new Date(Date.now() + expirationMinutes * 60 * 1000)
+    }, transaction);
+}
+
+/**
+ * Função que grava na fila de saída o email enviado ao usuário com o link de confirmação do email
+ * @param name nome do usuário
+ * @param mail email do usuário
+ * @param link link de confirmação do email
+ * @param expirationHours tempo em horas até o link expirar
+ * @param locale idioma do email
+ * @param transaction instância da transação que tá controlando a operação
+ * @returns email gravado na fila de saída ou null se o envio está desabilitado
+ */
+async function sendMailVerificationToUser(name, mail, link, expirationHours, locale, transaction) {
+
+    return await queueMail({
+        recipient: mail,
+        template: 'mail_verification',
+        locale,
+        variables: { firstName: name.split(' ')[0], expirationHours },
+        secretVariables: { link },
+        //o email não é enviado após o link expirar
+        expiresAt: new Date(Date.now() + expirationHours * 60 * 60 * 1000)
+    }, transaction);
 }
 
-module.exports = { 
-    sendMailRecoveredPassToUser
-};
\ No newline at end of file
+module.exports = {
+    MAIL_ENABLED,
+    MAIL_STATUS,
+    dispatchMailOutbox,
+    getRequestLocale,
+    queueMail,
+    renderMailTemplate,
+    sendMailPasswordResetToUser,
+    sendMailVerificationToUser
+};
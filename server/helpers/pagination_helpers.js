@@ -0,0 +1,74 @@
+/**
+ * Arquivo com funções utilitárias para realizar as buscas paginadas e as buscas por texto na base de dados
+ * As respostas das buscas paginadas seguem sempre o formato { totalItems, items, totalPages, currentPage }
+ */
+
+const Sequelize = require('sequelize');
+
+//quantidade de registros por página utilizada quando o tamanho da página não é informado
+const DEFAULT_PAGE_SIZE = 10;
+//quantidade máxima de registros por página
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Função que calcula o range dos registros a serem buscados com base na página e no tamanho da página
+ * @param page índice da página atual, iniciando em 0
+ * @param size tamanho de registros por página
+ * @returns objeto com o limite (limit) e o deslocamento (offset) de registros da busca
+ */
+function getPagination(page, size) {
+
+    //se o tamanho não for informado ou for inválido, utiliza o tamanho padrão, respeitando o tamanho máximo
+    const limit = Number(size) > 0 ? Math.min(Math.floor(Number(size)), MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+    //se a página não for informada ou for inválida, busca a primeira página
+    const offset = Number(page) > 0 ? Math.floor(Number(page)) * limit : 0;
+
+    return { limit, offset };
+}
+
+/**
+ * Função que monta a resposta de uma busca paginada
+ * @param collection resultado da busca realizada com o método findAndCountAll, no formato { count, rows }
+ * @param page página atual, iniciando em 1
+ * @param limit tamanho de registros por página
+ * @returns objeto com o total de registros, os registros da página, o total de páginas e a página atual
+ */
+function getPagingData(collection, page, limit) {
+
+    const { count: totalItems, rows: items } = collection;
+
+    return {
+        totalItems,
+        items,
+        totalPages: Math.ceil(totalItems / limit),
+        currentPage: Number(page) > 0 ? Number(page) : 1
+    };
+}
+
+/**
+ * Função que monta a cláusula where de uma busca por texto em várias colunas
+ * São retornados os registros em que pelo menos uma das colunas contém o texto informado
+ * @param columns lista com os nomes das colunas a serem utilizadas na busca
+ * @param parameter texto a ser buscado
+ * @returns objeto com a cláusula where da busca
+ */
+function getQueryFilter(columns, parameter) {
+
+    //armazena o operador de busca que pode ser AND ou OR
+    const Op = Sequelize.Op;
+
+    //monta uma condição LIKE para cada coluna, combinando-as com o operador OR
+    return {
+        where: {
+            [Op.or]: columns.map(column => ({ [column]: { [Op.like]: `%${String(parameter).trim()}%` } }))
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    getPagination,
+    getPagingData,
+    getQueryFilter
+};
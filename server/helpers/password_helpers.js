@@ -0,0 +1,128 @@
+/**
+ * Arquivo com funções utilitárias para geração e verificação dos hashes das senhas dos usuários
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const scrypt = promisify(crypto.scrypt);
+//prefixo que identifica as senhas que já estão armazenadas no formato de hash
+const HASH_PREFIX = 'scrypt';
+//parâmetros de custo do algoritmo scrypt (N, r e p) e tamanho do salt e da chave gerada em bytes
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+//hash de uma senha aleatória descartada, utilizado na verificação da senha dos logins que não existem para que eles levem o mesmo tempo que os logins existentes
+const DUMMY_PASSWORD_HASH = 'scrypt$16384$8$1$d8498111c03be7c6e12975084cd16ac6$75d9d87dfaba31c89c549f723279d784b057925ebb9c6d87ef56815840fbab49f1f3e2791b6181cbfab8d25f9c57b505e2d66c45249044c1b11d8a0eb2f26674';
+
+/**
+ * Função que gera o hash de uma senha utilizando o algoritmo scrypt com um salt aleatório
+ * @param password senha em texto puro
+ * @returns hash da senha no formato scrypt$N$r$p$salt$hash, que é o valor a ser armazenado na base de dados
+ */
+async function hashPassword(password) {
+
+    //gera um salt aleatório para a senha
+    const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+    //gera a chave derivada da senha com base no salt e nos parâmetros de custo
+    const key = await scrypt(String(password), salt, KEY_LENGTH, {
+        N: SCRYPT_COST,
+        r: SCRYPT_BLOCK_SIZE,
+        p: SCRYPT_PARALLELIZATION
+    });
+
+    //monta o hash guardando junto os parâmetros utilizados, permitindo alterá-los no futuro sem invalidar as senhas já armazenadas
+    return [HASH_PREFIX, SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELIZATION, salt, key.toString('hex')].join('$');
+}
+
+/**
+ * Função que verifica se a senha armazenada na base de dados já está no formato de hash
+ * @param storedPassword senha armazenada na base de dados
+ * @returns true se a senha já está no formato de hash ou false se ainda está em texto puro
+ */
+function isPasswordHashed(storedPassword) {
+
+    return typeof storedPassword === 'string' && storedPassword.split('$')[0] === HASH_PREFIX && storedPassword.split('$').length === 6;
+}
+
+/**
+ * Função que verifica se a senha informada corresponde à senha armazenada na base de dados
+ * Senhas antigas que ainda estão em texto puro também são aceitas, para que possam ser convertidas em hash no primeiro login
+ * @param password senha informada pelo usuário
+ * @param storedPassword senha armazenada na base de dados (hash ou texto puro)
+ * @returns true se a senha é válida ou false caso contrário
+ */
+async function verifyPassword(password, storedPassword) {
+
+    //se não houver senha informada ou armazenada, a verificação já falha
+    if(!password || !storedPassword) {
+
+        return false;
+    }
+
+    //se a senha armazenada ainda está em texto puro, faz a comparação direta em tempo constante
+    if(!isPasswordHashed(storedPassword)) {
+
+        return safeCompare(Buffer.from(String(password)), Buffer.from(storedPassword));
+    }
+
+    //obtém os parâmetros utilizados na geração do hash armazenado
+    const [, cost, blockSize, parallelization, salt, hash] = storedPassword.split('$');
+    const storedKey = Buffer.from(hash, 'hex');
+    //gera novamente a chave derivada da senha informada utilizando os mesmos parâmetros
+    const key = await scrypt(String(password), salt, storedKey.length, {
+        N: Number(cost),
+        r: Number(blockSize),
+        p: Number(parallelization)
+    });
+
+    //compara as duas chaves em tempo constante
+    return safeCompare(key, storedKey);
+}
+
+/**
+ * Função que gera um token aleatório, utilizado por exemplo na recuperação de senha
+ * @returns token aleatório no formato hexadecimal
+ */
+function generateToken() {
+
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Função que gera o hash de um token, permitindo armazená-lo na base de dados sem guardar o seu valor original
+ * Como o token já é aleatório e longo, um hash rápido (SHA-256) é suficiente
+ * @param token token a ser convertido
+ * @returns hash do token no formato hexadecimal
+ */
+function hashToken(token) {
+
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Função que compara dois buffers em tempo constante, evitando ataques de temporização
+ * @param first primeiro buffer
+ * @param second segundo buffer
+ * @returns true se os buffers são iguais ou false caso contrário
+ */
+function safeCompare(first, second) {
+
+    //buffers de tamanhos diferentes nunca são iguais
+    if(first.length !== second.length) {
+
+        return false;
+    }
+
+    return crypto.timingSafeEqual(first, second);
+}
+
+module.exports = {
+    DUMMY_PASSWORD_HASH,
+    generateToken,
+    hashPassword,
+    hashToken,
+    isPasswordHashed,
+    verifyPassword
+};
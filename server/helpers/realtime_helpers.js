@@ -0,0 +1,313 @@
+/**
+ * Arquivo com funções utilitárias para o envio das alterações dos cards em tempo real, utilizando Server-Sent Events (SSE)
+ * Cada cliente conectado mantém uma requisição aberta (text/event-stream) e recebe os eventos do histórico dos cards (tabela card_events) logo após eles serem gravados
+ * O id de cada mensagem é o id do evento (cardEventId), permitindo que o cliente, ao reconectar, informe o último evento recebido (Last-Event-ID) e receba os eventos perdidos
+ * Como os eventos são enviados somente após a confirmação das suas transações, eles podem chegar fora da ordem dos ids, por isso o id da mensagem nunca ultrapassa o id dos eventos ainda não confirmados
+ * Os clientes conectados ficam na memória do processo, por isso os eventos são enviados apenas aos clientes conectados na mesma instância da API
+ */
+
+//intervalo em segundos entre os comentários enviados para manter a conexão aberta
+const REALTIME_HEARTBEAT_SECONDS = Number(process.env.REALTIME_HEARTBEAT_SECONDS) || 25;
+//tempo em milissegundos que o cliente deve aguardar antes de reconectar
+const REALTIME_RETRY_MILLISECONDS = 3000;
+//tempo em segundos que os quadros dos quais o cliente é membro são mantidos em cache antes de serem buscados novamente
+const REALTIME_MEMBERSHIP_TTL_SECONDS = Number(process.env.REALTIME_MEMBERSHIP_TTL_SECONDS) || 30;
+//tempo máximo em segundos que os eventos de uma transação não confirmada seguram o id das mensagens, as transações desfeitas não são avisadas e deixam de ser consideradas após esse tempo
+const REALTIME_PENDING_EVENTS_SECONDS = 60;
+//clientes conectados
+const subscribers = new Set();
+//eventos gravados por transações que ainda não foram confirmadas
+const pendingCardEvents = new Set();
+//maior id de evento gravado pelo processo
+let lastKnownEventId = 0;
+
+/**
+ * Função que registra que eventos do histórico dos cards serão gravados por uma transação ainda não confirmada
+ * Enquanto os eventos estiverem pendentes, as mensagens enviadas aos clientes não ultrapassam o id anterior ao do primeiro evento pendente, assim o cliente que reconectar também recebe esses eventos
+ * @returns registro dos eventos pendentes, que deve receber os eventos gravados (setPendingCardEvents) e ser liberado antes do envio deles (releasePendingCardEvents)
+ */
+function trackPendingCardEvents() {
+
+    //antes da gravação os ids ainda não são conhecidos, mas serão maiores que o maior id já gravado
+    const pending = {
+        resumeEventId: lastKnownEventId,
+        expiresAt: Date.now() + REALTIME_PENDING_EVENTS_SECONDS * 1000
+    };
+
+    pendingCardEvents.add(pending);
+
+    return pending;
+}
+
+/**
+ * Função que informa os eventos gravados de um registro de eventos pendentes
+ * @param pending registro dos eventos pendentes
+ * @param events lista de eventos gravados (com os seus ids)
+ */
+function setPendingCardEvents(pending, events) {
+
+    const eventIds = events.map(event => event.cardEventId);
+
+    pending.resumeEventId = Math.min(...eventIds) - 1;
+    lastKnownEventId = Math.max(lastKnownEventId, ...eventIds);
+}
+
+/**
+ * Função que libera um registro de eventos pendentes, após a confirmação da transação ou quando a gravação falha
+ * @param pending registro dos eventos pendentes
+ */
+function releasePendingCardEvents(pending) {
+
+    pendingCardEvents.delete(pending);
+}
+
+/**
+ * Função que obtém o maior id que pode ser informado nas mensagens enviadas aos clientes, o id anterior ao do evento pendente mais antigo
+ * @returns maior id das mensagens ou Infinity se não houver eventos pendentes
+ */
+function getResumeEventLimit() {
+
+    let resumeEventLimit = Infinity;
+
+    pendingCardEvents.forEach(pending => {
+
+        //os eventos de transações que já deveriam ter terminado (possivelmente desfeitas) deixam de ser considerados
+        if(Date.now() >= pending.expiresAt) {
+
+            pendingCardEvents.delete(pending);
+        }
+        else {
+
+            resumeEventLimit = Math.min(resumeEventLimit, pending.resumeEventId);
+        }
+    });
+
+    return resumeEventLimit;
+}
+
+/**
+ * Função que monta o campo id de uma mensagem, limitado pelo maior id permitido no momento em que o evento foi obtido
+ * Se o id não puder ser informado, a mensagem é enviada sem ele e o cliente mantém o último id recebido
+ * @param eventId id do evento
+ * @param resumeEventLimit maior id que pode ser informado (ver getResumeEventLimit)
+ * @returns campo id da mensagem
+ */
+function getMessageId(eventId, resumeEventLimit) {
+
+    const messageId = Math.min(eventId, resumeEventLimit);
+
+    return messageId > 0 ? `id: ${messageId}\n` : '';
+}
+
+/**
+ * Função que obtém os ids dos quadros cujos eventos o cliente conectado pode receber
+ * Os quadros são mantidos em cache por REALTIME_MEMBERSHIP_TTL_SECONDS segundos ou até que os membros dos quadros do usuário sejam alterados, evitando uma consulta a cada evento publicado
+ * @param subscriber cliente conectado
+ * @returns conjunto com os ids dos quadros
+ */
+async function getSubscriberBoardIds(subscriber) {
+
+    //se os quadros estão em cache e não expiraram, não é necessário buscá-los novamente
+    if(subscriber.boardIds && Date.now() < subscriber.boardIdsExpireAt) {
+
+        return subscriber.boardIds;
+    }
+
+    const membershipVersion = subscriber.membershipVersion;
+    const boardIds = new Set(await subscriber.loadBoardIds());
+
+    //se os membros dos quadros foram alterados durante a busca, o resultado pode estar desatualizado e não é mantido em cache
+    if(membershipVersion === subscriber.membershipVersion) {
+
+        subscriber.boardIds = boardIds;
+        subscriber.boardIdsExpireAt = Date.now() + REALTIME_MEMBERSHIP_TTL_SECONDS * 1000;
+    }
+
+    return boardIds;
+}
+
+/**
+ * Função que descarta os quadros em cache dos clientes conectados de usuários cujos quadros foram alterados (inclusão ou remoção de membros, cadastro ou deleção de quadros)
+ * Deve ser chamada somente após a transação que alterou os membros dos quadros ser confirmada
+ * @param userIds ids dos usuários, se não forem informados os quadros de todos os clientes são descartados
+ */
+function invalidateBoardMemberships(userIds) {
+
+    subscribers.forEach(subscriber => {
+
+        if(!userIds || userIds.some(userId => Number(userId) === subscriber.userId)) {
+
+            subscriber.boardIds = null;
+            subscriber.membershipVersion++;
+        }
+    });
+}
+
+/**
+ * Função que envia um evento do histórico de um card para um cliente conectado
+ * Os eventos já enviados na recuperação dos eventos perdidos são ignorados, evitando que o cliente receba o mesmo evento duas vezes
+ * @param subscriber cliente conectado
+ * @param event evento do histórico do card
+ * @param resumeEventLimit maior id que pode ser informado na mensagem, obtido com getResumeEventLimit antes de o evento ser obtido
+ */
+function writeCardEvent(subscriber, event, resumeEventLimit) {
+
+    if(subscriber.replayedEventIds.has(event.cardEventId)) {
+
+        return;
+    }
+
+    subscriber.res.write(`${getMessageId(event.cardEventId, resumeEventLimit)}data: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Função que envia para um cliente conectado o evento reset, indicando que os eventos perdidos não podem ser recuperados e que as informações do quadro devem ser buscadas novamente
+ * @param subscriber cliente conectado
+ * @param lastEventId id do último evento gravado, a partir do qual o cliente volta a receber os eventos
+ * @param resumeEventLimit maior id que pode ser informado na mensagem, obtido com getResumeEventLimit antes de o último evento ser buscado
+ */
+function writeResetEvent(subscriber, lastEventId, resumeEventLimit) {
+
+    subscriber.res.write(`${getMessageId(lastEventId, resumeEventLimit)}event: reset\ndata: {}\n\n`);
+}
+
+/**
+ * Função que agenda uma tarefa de envio para um cliente conectado
+ * As tarefas de cada cliente são executadas uma após a outra, garantindo que os eventos cheguem na ordem em que foram publicados
+ * Se a tarefa falhar, a conexão do cliente é encerrada e ele reconecta recuperando os eventos perdidos
+ * @param subscriber cliente conectado
+ * @param task função assíncrona a ser executada
+ */
+function enqueueDelivery(subscriber, task) {
+
+    subscriber.delivery = subscriber.delivery.then(task).catch(error => {
+
+        console.log(error);
+        subscriber.res.end();
+    });
+}
+
+/**
+ * Função que obtém o id do último evento recebido pelo cliente, informado no cabeçalho Last-Event-ID (enviado automaticamente pelo navegador ao reconectar) ou no parâmetro lastEventId
+ * @param req objeto que contém as informações da requisição
+ * @returns id do último evento recebido ou 0 se o cliente está se conectando pela primeira vez
+ */
+function getLastEventId(req) {
+
+    const lastEventId = Number(req.headers['last-event-id'] || req.query.lastEventId);
+
+    return Number.isInteger(lastEventId) && lastEventId > 0 ? lastEventId : 0;
+}
+
+/**
+ * Função que abre a conexão de eventos com o cliente e o registra para receber os eventos publicados
+ * A conexão é encerrada quando o token de acesso expira, fazendo com que o cliente reconecte com um novo token
+ * @param req objeto que contém as informações da requisição
+ * @param res objeto que contém as informações da resposta da requisição
+ * @param loadBoardIds função assíncrona que retorna os ids dos quadros cujos eventos o cliente pode receber, chamada novamente quando o cache dos quadros expira ou é descartado
+ * @returns cliente conectado
+ */
+function openEventStream(req, res, loadBoardIds) {
+
+    //informações do cliente conectado
+    const subscriber = {
+        res,
+        userId: req.userId,
+        loadBoardIds,
+        boardIds: null,
+        boardIdsExpireAt: 0,
+        membershipVersion: 0,
+        lastEventId: getLastEventId(req),
+        replayedEventIds: new Set(),
+        delivery: Promise.resolve()
+    };
+
+    //configura a resposta como uma stream de eventos que não deve ser armazenada em cache
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    //define o tempo de espera antes de o cliente reconectar
+    res.write(`retry: ${REALTIME_RETRY_MILLISECONDS}\n\n`);
+
+    //envia periodicamente um comentário, evitando que a conexão seja encerrada por inatividade
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), REALTIME_HEARTBEAT_SECONDS * 1000);
+    //encerra a conexão quando o token de acesso expirar
+    const expiration = setTimeout(() => res.end(), Math.max(req.tokenExpiresAt * 1000 - Date.now(), 0));
+
+    //registra o cliente
+    subscribers.add(subscriber);
+
+    //quando a conexão for encerrada, remove o cliente e cancela as rotinas da conexão
+    res.on('close', () => {
+
+        subscribers.delete(subscriber);
+        clearInterval(heartbeat);
+        clearTimeout(expiration);
+    });
+
+    return subscriber;
+}
+
+/**
+ * Função que envia os eventos do histórico dos cards para os clientes conectados que podem recebê-los
+ * Deve ser chamada somente após a transação que gravou os eventos ser confirmada e o registro dos seus eventos pendentes ser liberado
+ * @param events lista de eventos cadastrados (com os seus ids)
+ */
+function publishCardEvents(events) {
+
+    //o id das mensagens é limitado pelos eventos pendentes no momento da publicação, já que o envio para cada cliente ocorre depois
+    const resumeEventLimit = getResumeEventLimit();
+
+    //percorre os clientes conectados
+    subscribers.forEach(subscriber => {
+
+        //agenda o envio dos eventos que o cliente pode receber
+        enqueueDelivery(subscriber, async () => {
+
+            for(const event of events) {
+
+                if((await getSubscriberBoardIds(subscriber)).has(event.boardId)) {
+
+                    writeCardEvent(subscriber, event, resumeEventLimit);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Função que funciona como middleware permitindo que o token de acesso das conexões de eventos seja informado no parâmetro access_token
+ * Necessária pois o EventSource dos navegadores não permite enviar o cabeçalho Authorization, o token continua sendo validado pelo middleware verifyJWTToken
+ * @param req objeto que contém as informações da requisição
+ * @param res objeto que contém as informações da resposta da requisição
+ * @param next função que passa para o próximo middleware
+ */
+function useQueryAccessToken(req, res, next) {
+
+    //se o cabeçalho não foi informado, utiliza o token recebido no parâmetro
+    if(!req.headers.authorization && req.query.access_token) {
+
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+
+    next();
+}
+
+module.exports = {
+    enqueueDelivery,
+    getResumeEventLimit,
+    getSubscriberBoardIds,
+    invalidateBoardMemberships,
+    openEventStream,
+    publishCardEvents,
+    releasePendingCardEvents,
+    setPendingCardEvents,
+    trackPendingCardEvents,
+    useQueryAccessToken,
+    writeCardEvent,
+    writeResetEvent
+};
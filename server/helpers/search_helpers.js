@@ -0,0 +1,244 @@
+/**
+ * Arquivo com funções utilitárias para a busca textual dos cards
+ * Os textos são normalizados (letras minúsculas e sem acentos) tanto no armazenamento quanto na busca, tornando a busca insensível a acentos e a maiúsculas
+ */
+
+//peso das ocorrências dos termos no título e no conteúdo dos cards, utilizado na classificação dos resultados
+const TITLE_WEIGHT = 3;
+const CONTENT_WEIGHT = 1;
+//bônus aplicado quando o texto buscado aparece por completo, na mesma ordem
+const PHRASE_BONUS = 5;
+//quantidade de caracteres exibidos antes e depois do primeiro termo encontrado no trecho destacado do conteúdo
+const FRAGMENT_CONTEXT_LENGTH = 60;
+//marcadores que envolvem os termos encontrados nos trechos destacados
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+/**
+ * Função que normaliza um caractere, convertendo-o para minúsculo e removendo o seu acento
+ * @param char caractere a ser normalizado
+ * @returns caractere normalizado (pode ser vazio ou ter mais de um caractere)
+ */
+function normalizeChar(char) {
+
+    return char.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Função que normaliza um texto, convertendo-o para minúsculo e removendo os seus acentos
+ * @param text texto a ser normalizado
+ * @returns texto normalizado
+ */
+function normalizeSearchText(text) {
+
+    return [...String(text || '')].map(normalizeChar).join('');
+}
+
+/**
+ * Função que gera o texto de busca de um card, armazenado na coluna searchText, com base no seu título e conteúdo
+ * @param card card com o título (title) e o conteúdo (content)
+ * @returns texto de busca normalizado
+ */
+function getCardSearchText(card) {
+
+    return normalizeSearchText(`${card.title || ''} ${card.content || ''}`);
+}
+
+/**
+ * Função que gera o título de busca de um card, armazenado na coluna searchTitle, com base no seu título
+ * @param card card com o título (title)
+ * @returns título de busca normalizado
+ */
+function getCardSearchTitle(card) {
+
+    return normalizeSearchText(card.title);
+}
+
+/**
+ * Função que separa o texto buscado em termos normalizados, ignorando os termos repetidos
+ * @param query texto buscado
+ * @returns lista de termos
+ */
+function getSearchTerms(query) {
+
+    return [...new Set(normalizeSearchText(query).split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 0))];
+}
+
+/**
+ * Função que monta a expressão SQL que conta as ocorrências de um termo em uma coluna normalizada
+ * A contagem é feita pela diferença de tamanho da coluna ao remover o termo, funcionando da mesma forma no MariaDB e no SQLite
+ * @param column nome da coluna na consulta
+ * @param term termo normalizado, já escapado
+ * @returns expressão SQL com a quantidade de ocorrências
+ */
+function getOccurrencesExpression(column, term) {
+
+    return `((LENGTH(${column}) - LENGTH(REPLACE(${column}, ${term}, ''))) / LENGTH(${term}))`;
+}
+
+/**
+ * Função que monta a expressão SQL que calcula a relevância de um card para os termos buscados, permitindo ordenar e paginar os resultados na própria consulta
+ * As ocorrências no título valem mais do que as ocorrências no conteúdo e o texto buscado completo recebe um bônus
+ * Como o texto de busca é formado pelo título e pelo conteúdo, as ocorrências no conteúdo são as do texto de busca descontadas as do título (os termos não possuem espaços)
+ * @param titleColumn nome da coluna do título de busca (searchTitle) na consulta
+ * @param textColumn nome da coluna do texto de busca (searchText) na consulta
+ * @param terms termos buscados
+ * @param escape função que escapa os valores para a consulta
+ * @returns expressão SQL com a pontuação do card, quanto maior, mais relevante
+ */
+function getSearchScoreExpression(titleColumn, textColumn, terms, escape) {
+
+    //soma as ocorrências de cada termo no título e no conteúdo, aplicando os pesos
+    const occurrences = terms.map(term => {
+
+        const titleOccurrences = getOccurrencesExpression(titleColumn, escape(term));
+        const textOccurrences = getOccurrencesExpression(textColumn, escape(term));
+
+        return `${titleOccurrences} * ${TITLE_WEIGHT} + (${textOccurrences} - ${titleOccurrences}) * ${CONTENT_WEIGHT}`;
+    });
+
+    //se o texto buscado possui mais de um termo e aparece por completo, aplica o bônus
+    if(terms.length > 1) {
+
+        occurrences.push(`CASE WHEN ${textColumn} LIKE ${escape(`%${terms.join(' ')}%`)} THEN ${PHRASE_BONUS} ELSE 0 END`);
+    }
+
+    return `(${occurrences.join(' + ')})`;
+}
+
+/**
+ * Função que escapa os caracteres especiais de HTML de um texto, já que os trechos destacados são exibidos como HTML
+ * @param text texto a ser escapado
+ * @returns texto escapado
+ */
+function escapeHtml(text) {
+
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Função que encontra os intervalos do texto original em que os termos aparecem
+ * Como a normalização pode alterar a quantidade de caracteres, é mantido o mapeamento entre as posições do texto normalizado e do texto original
+ * @param text texto original
+ * @param terms termos buscados
+ * @returns lista de intervalos [início, fim] no texto original, ordenados e sem sobreposição
+ */
+function getMatchRanges(text, terms) {
+
+    const chars = [...text];
+    const positions = [];
+    let normalized = '';
+
+    //normaliza o texto caractere a caractere, guardando a posição original de cada caractere normalizado
+    chars.forEach((char, index) => {
+
+        const normalizedChar = normalizeChar(char);
+
+        for(let i = 0; i < normalizedChar.length; i++) {
+
+            positions.push(index);
+        }
+
+        normalized += normalizedChar;
+    });
+
+    const ranges = [];
+
+    //encontra as ocorrências de cada termo e converte as posições para o texto original
+    terms.forEach(term => {
+
+        let index = normalized.indexOf(term);
+
+        while(index !== -1) {
+
+            ranges.push([positions[index], positions[index + term.length - 1] + 1]);
+            index = normalized.indexOf(term, index + term.length);
+        }
+    });
+
+    //ordena os intervalos e une os que se sobrepõem
+    return ranges.sort((a, b) => a[0] - b[0]).reduce((merged, range) => {
+
+        const last = merged[merged.length - 1];
+
+        if(last && range[0] <= last[1]) {
+
+            last[1] = Math.max(last[1], range[1]);
+        }
+        else {
+
+            merged.push([...range]);
+        }
+
+        return merged;
+    }, []);
+}
+
+/**
+ * Função que destaca os termos buscados em um texto, envolvendo-os com os marcadores <mark></mark>
+ * Se o tamanho do trecho for informado, retorna apenas o trecho ao redor do primeiro termo encontrado
+ * @param text texto original
+ * @param terms termos buscados
+ * @param contextLength quantidade de caracteres exibidos antes e depois do primeiro termo encontrado (opcional)
+ * @returns texto destacado ou null se nenhum termo foi encontrado
+ */
+function highlightText(text, terms, contextLength) {
+
+    const chars = [...String(text || '')];
+    const ranges = getMatchRanges(chars.join(''), terms);
+
+    //se nenhum termo foi encontrado, não há o que destacar
+    if(ranges.length === 0) {
+
+        return null;
+    }
+
+    //define o trecho do texto a ser retornado
+    const start = contextLength ? Math.max(0, ranges[0][0] - contextLength) : 0;
+    const end = contextLength ? Math.min(chars.length, ranges[0][1] + contextLength) : chars.length;
+    let highlighted = start > 0 ? '…' : '';
+    let cursor = start;
+
+    //monta o trecho envolvendo cada termo encontrado com os marcadores
+    ranges.filter(range => range[0] < end && range[1] > start).forEach(range => {
+
+        const rangeStart = Math.max(range[0], cursor);
+        const rangeEnd = Math.min(range[1], end);
+
+        highlighted += escapeHtml(chars.slice(cursor, rangeStart).join('')) + HIGHLIGHT_START + escapeHtml(chars.slice(rangeStart, rangeEnd).join('')) + HIGHLIGHT_END;
+        cursor = rangeEnd;
+    });
+
+    highlighted += escapeHtml(chars.slice(cursor, end).join('')) + (end < chars.length ? '…' : '');
+
+    return highlighted;
+}
+
+/**
+ * Função que monta o resultado da busca de um card, com a sua pontuação e os trechos destacados do título e do conteúdo
+ * @param card card encontrado
+ * @param score pontuação do card, calculada na consulta
+ * @param terms termos buscados
+ * @returns objeto com o card (card), a sua pontuação (score) e os trechos destacados (highlights)
+ */
+function buildSearchResult(card, score, terms) {
+
+    return {
+        card,
+        score: Number(score),
+        highlights: {
+            title: highlightText(card.title, terms),
+            content: highlightText(card.content, terms, FRAGMENT_CONTEXT_LENGTH)
+        }
+    };
+}
+
+module.exports = {
+    buildSearchResult,
+    getCardSearchText,
+    getCardSearchTitle,
+    getSearchScoreExpression,
+    getSearchTerms,
+    highlightText,
+    normalizeSearchText
+};
@@ -0,0 +1,104 @@
+/**
+ * Arquivo com funções utilitárias para geração dos tokens de acesso (JWT) e dos refresh tokens das sessões dos usuários
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SessionPersistence = require('../persistence/sessionPersistence');
+const { formatDatabaseDatetime } = require('./date_helpers');
+const { generateToken, hashToken } = require('./password_helpers');
+//tempo de expiração do token de acesso (no formato aceito pela biblioteca jsonwebtoken, ex: 15m, 1h)
+const ACCESS_TOKEN_EXPIRATION = process.env.ACCESS_TOKEN_EXPIRATION || '15m';
+//tempo em dias até o refresh token expirar
+const REFRESH_TOKEN_EXPIRATION_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRATION_DAYS) || 30;
+//tempo em horas até o link de confirmação do email expirar
+const MAIL_VERIFICATION_EXPIRATION_HOURS = Number(process.env.MAIL_VERIFICATION_EXPIRATION_HOURS) || 24;
+//finalidade informada no token de confirmação do email, impedindo que outros tokens assinados com a mesma chave sejam aceitos na confirmação
+const MAIL_VERIFICATION_PURPOSE = 'mail_verification';
+
+/**
+ * Função que gera o token de acesso (JWT) de curta duração do usuário
+ * @param userId id do usuário autenticado
+ * @param familyId identificador da sessão à qual o token pertence, permitindo que ele seja invalidado quando a sessão for revogada
+ * @returns token de acesso assinado
+ */
+function generateAccessToken(userId, familyId) {
+
+    return jwt.sign({ userId, familyId }, process.env.SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRATION
+    });
+}
+
+/**
+ * Função que gera um novo refresh token e o armazena (hash) na base de dados
+ * @param userId id do usuário autenticado
+ * @param familyId identificador da sessão, se não for informado, uma nova sessão é criada (login)
+ * @param transaction instância da transação que tá controlando a operação
+ * @returns objeto com o identificador da sessão (familyId) e o refresh token gerado
+ */
+async function createRefreshToken(userId, familyId, transaction) {
+
+    const now = new Date();
+    //gera o refresh token que será enviado ao usuário, na base de dados é armazenado apenas o seu hash
+    const refreshToken = generateToken();
+    //se a sessão não foi informada, gera o identificador de uma nova sessão
+    const sessionFamilyId = familyId || crypto.randomBytes(16).toString('hex');
+
+    await SessionPersistence.createSession({
+        userId,
+        familyId: sessionFamilyId,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: formatDatabaseDatetime(now.getTime() + REFRESH_TOKEN_EXPIRATION_DAYS * 24 * 60 * 60 * 1000),
+        createdAt: formatDatabaseDatetime(now)
+    }, transaction);
+
+    return { familyId: sessionFamilyId, refreshToken };
+}
+
+/**
+ * Função que gera o token assinado enviado no link de confirmação do email do usuário
+ * O token guarda o email a ser confirmado, assim ele deixa de ser válido se o email do usuário for alterado
+ * PS: o token não possui o identificador da sessão, por isso não é aceito como token de acesso
+ * @param user usuário cujo email deve ser confirmado
+ * @returns token de confirmação assinado
+ */
+function generateMailVerificationToken(user) {
+
+    return jwt.sign({ userId: user.userId, mail: user.mail, purpose: MAIL_VERIFICATION_PURPOSE }, process.env.SECRET, {
+        expiresIn: `${MAIL_VERIFICATION_EXPIRATION_HOURS}h`
+    });
+}
+
+/**
+ * Função que verifica o token enviado no link de confirmação do email do usuário
+ * @param token token de confirmação
+ * @returns informações do token (userId e mail) ou null se ele é inválido ou expirou
+ */
+function verifyMailVerificationToken(token) {
+
+    try {
+
+        const decoded = jwt.verify(String(token), process.env.SECRET);
+
+        //o token precisa ter sido gerado para a confirmação do email
+        if(!decoded || decoded.purpose !== MAIL_VERIFICATION_PURPOSE || !decoded.userId || !decoded.mail) {
+
+            return null;
+        }
+
+        return { userId: decoded.userId, mail: decoded.mail };
+    }
+    catch(error) {
+
+        //token com assinatura inválida ou expirado
+        return null;
+    }
+}
+
+module.exports = {
+    MAIL_VERIFICATION_EXPIRATION_HOURS,
+    createRefreshToken,
+    generateAccessToken,
+    generateMailVerificationToken,
+    verifyMailVerificationToken
+};
@@ -0,0 +1,69 @@
+/**
+ * Arquivo com funções utilitárias para o recebimento de arquivos enviados nas requisições no formato multipart/form-data
+ */
+
+const multer = require('multer');
+const { sendErrorMessage } = require('./api_helpers');
+const { RequestValidationError } = require('./validation_helpers');
+//tamanho máximo em MB de cada arquivo enviado
+const ATTACHMENT_MAX_SIZE_MB = Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+//configura o recebimento dos arquivos em memória (o arquivo é gravado no armazenamento pelo controller), limitando o tamanho e a quantidade de arquivos
+//os nomes dos arquivos são lidos em UTF-8, preservando os acentos
+const upload = multer({
+    storage: multer.memoryStorage(),
+    defParamCharset: 'utf8',
+    limits: {
+        fileSize: ATTACHMENT_MAX_SIZE_MB * 1024 * 1024,
+        files: 1
+    }
+});
+
+/**
+ * Função que gera um middleware que recebe um único arquivo enviado no campo informado, disponibilizando-o em req.file
+ * Se o arquivo não for enviado ou exceder o tamanho máximo, envia uma resposta de erro
+ * Exemplo de uso: router.post('/cards/:id/attachments', verifyJWTToken, uploadFile('file'), AttachmentController.createAttachment);
+ * @param field nome do campo do formulário que contém o arquivo
+ * @returns função de middleware
+ */
+function uploadFile(field) {
+
+    const receiveFile = upload.single(field);
+
+    return function(req, res, next) {
+
+        receiveFile(req, res, function(error) {
+
+            //se o arquivo excedeu o tamanho máximo
+            if(error && error.code === 'LIMIT_FILE_SIZE') {
+
+                return sendErrorMessage(req, res, error, 'ANEXOS', 'ENVIO DE ARQUIVO', 413, 'warning', `O arquivo deve ter no máximo ${ATTACHMENT_MAX_SIZE_MB} MB`);
+            }
+
+            //se a requisição não respeitou o formato esperado (ex: mais de um arquivo ou outro campo de arquivo)
+            if(error instanceof multer.MulterError) {
+
+                return sendErrorMessage(req, res, error, 'ANEXOS', 'ENVIO DE ARQUIVO', 400, 'warning', 'Envie apenas um arquivo no campo ' + field);
+            }
+
+            //se ocorreu qualquer outra falha na leitura do arquivo
+            if(error) {
+
+                return sendErrorMessage(req, res, error, 'ANEXOS', 'ENVIO DE ARQUIVO', 500, 'error', 'Falha ao receber o arquivo, tente novamente mais tarde');
+            }
+
+            //se o arquivo não foi enviado
+            if(!req.file) {
+
+                return sendErrorMessage(req, res, new RequestValidationError([{ location: 'body', field, message: 'Campo obrigatório' }]), 'VALIDAÇÃO', 'VALIDAÇÃO DA REQUISIÇÃO', 400, 'warning', 'Os dados informados na requisição são inválidos');
+            }
+
+            //passa para o próximo middleware
+            next();
+        });
+    };
+}
+
+module.exports = {
+    ATTACHMENT_MAX_SIZE_MB,
+    uploadFile
+};
@@ -0,0 +1,211 @@
+/**
+ * Arquivo com funções utilitárias para validação declarativa das requisições (body, params e query)
+ * Cada rota pode receber um schema no formato abaixo, onde cada campo possui as regras que o seu valor deve respeitar
+ * {
+ *    body: { title: { type: 'string', required: true, maxLength: 50 } },
+ *    params: { id: { type: 'integer', required: true, min: 1 } },
+ *    query: { page: { type: 'integer', min: 1 } }
+ * }
+ * Regras disponíveis: type (string, integer, email, date, boolean ou array), required, nullable, minLength, maxLength, min, max, enum e pattern
+ * Nas listas (array), minLength e maxLength limitam a quantidade de itens e enum é aplicado a cada item
+ * No body, apenas os campos não enviados (undefined) são considerados não informados, os campos enviados vazios (null ou "") só são aceitos se a regra nullable for informada (ex: remoção da data de entrega do card)
+ * Na query e nos parâmetros da rota, os valores vazios também são considerados não informados, já que não há como enviá-los de outra forma
+ */
+
+const { sendErrorMessage } = require('./api_helpers');
+//partes da requisição que podem ser validadas
+const REQUEST_LOCATIONS = ['params', 'query', 'body'];
+//expressão regular simples para validação de emails
+const MAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+//expressão regular para validação de números inteiros
+const INTEGER_PATTERN = /^-?\d+$/;
+
+/**
+ * Classe que representa o erro gerado quando uma requisição não respeita o schema de validação da rota
+ * A lista de erros possui um item para cada campo inválido, no formato { location, field, message }
+ */
+class RequestValidationError extends Error {
+
+    /**
+     * Construtor padrão
+     * @param errors lista de erros encontrados na validação
+     */
+    constructor(errors) {
+
+        super('Os dados informados na requisição são inválidos');
+        this.name = 'RequestValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Função que verifica se um valor é vazio
+ * @param value valor a ser verificado
+ * @returns true se o valor é vazio (undefined, null ou texto em branco) ou false caso contrário
+ */
+function isEmpty(value) {
+
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Função que valida um valor com base nas regras de um campo
+ * @param value valor a ser validado
+ * @param rules regras do campo
+ * @param location parte da requisição do valor (params, query ou body)
+ * @returns mensagem de erro ou null se o valor é válido
+ */
+function validateValue(value, rules, location) {
+
+    //se o valor não foi informado (no body, somente os campos não enviados), verifica apenas se ele é obrigatório
+    if(value === undefined || (location !== 'body' && isEmpty(value))) {
+
+        return rules.required ? 'Campo obrigatório' : null;
+    }
+
+    //se o campo foi enviado vazio, só é aceito se puder ser removido
+    if(isEmpty(value)) {
+
+        return rules.required ? 'Campo obrigatório' : rules.nullable ? null : 'Não pode ser vazio';
+    }
+
+    switch(rules.type) {
+
+        case 'string':
+        case 'email':
+            if(typeof value !== 'string') {
+
+                return 'Deve ser um texto';
+            }
+            if(rules.type === 'email' && !MAIL_PATTERN.test(value)) {
+
+                return 'Deve ser um email válido';
+            }
+            if(rules.minLength !== undefined && value.length < rules.minLength) {
+
+                return `Deve ter no mínimo ${rules.minLength} caracteres`;
+            }
+            if(rules.maxLength !== undefined && value.length > rules.maxLength) {
+
+                return `Deve ter no máximo ${rules.maxLength} caracteres`;
+            }
+        break;
+        case 'integer':
+            if(!INTEGER_PATTERN.test(String(value))) {
+
+                return 'Deve ser um número inteiro';
+            }
+            if(rules.min !== undefined && Number(value) < rules.min) {
+
+                return `Deve ser maior ou igual a ${rules.min}`;
+            }
+            if(rules.max !== undefined && Number(value) > rules.max) {
+
+                return `Deve ser menor ou igual a ${rules.max}`;
+            }
+        break;
+        case 'date':
+            if(isNaN(new Date(value).getTime())) {
+
+                return 'Deve ser uma data válida';
+            }
+        break;
+        case 'boolean':
+            if(![true, false, 'true', 'false'].includes(value)) {
+
+                return 'Deve ser verdadeiro ou falso';
+            }
+        break;
+        case 'array':
+            if(!Array.isArray(value)) {
+
+                return 'Deve ser uma lista';
+            }
+            if(rules.minLength !== undefined && value.length < rules.minLength) {
+
+                return `Deve ter no mínimo ${rules.minLength} itens`;
+            }
+            if(rules.maxLength !== undefined && value.length > rules.maxLength) {
+
+                return `Deve ter no máximo ${rules.maxLength} itens`;
+            }
+        break;
+    }
+
+    //se o valor deve ser um dos valores de uma lista (a lista também pode ser uma função que a retorna), nas listas cada item é verificado
+    const allowedValues = typeof rules.enum === 'function' ? rules.enum() : rules.enum;
+
+    if(allowedValues && [].concat(value).some(item => !allowedValues.includes(item))) {
+
+        return `Deve ser um dos valores: ${allowedValues.join(', ')}`;
+    }
+
+    //se o valor deve respeitar uma expressão regular
+    if(rules.pattern && !rules.pattern.test(String(value))) {
+
+        return rules.patternMessage || 'Formato inválido';
+    }
+
+    return null;
+}
+
+/**
+ * Função que valida as informações de uma requisição com base em um schema
+ * @param req objeto que contém as informações da requisição
+ * @param schema schema de validação da rota
+ * @returns lista de erros encontrados, vazia se a requisição é válida
+ */
+function validateSchema(req, schema) {
+
+    const errors = [];
+
+    //percorre as partes da requisição que possuem regras no schema
+    REQUEST_LOCATIONS.filter(location => schema[location]).forEach(location => {
+
+        const values = req[location] || {};
+
+        //percorre os campos e valida cada um deles
+        Object.keys(schema[location]).forEach(field => {
+
+            const message = validateValue(values[field], schema[location][field], location);
+
+            if(message) {
+
+                errors.push({ location, field, message });
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Função que gera um middleware que valida a requisição com base no schema informado
+ * Se a requisição for inválida, envia uma resposta com o código 400 e a lista de campos inválidos
+ * Exemplo de uso: router.post('/cards/', verifyJWTToken, validateRequest(createCardSchema), CardController.createCard);
+ * @param schema schema de validação da rota
+ * @returns função de middleware
+ */
+function validateRequest(schema) {
+
+    return function(req, res, next) {
+
+        //valida a requisição
+        const errors = validateSchema(req, schema);
+
+        //se houver algum erro, bloqueia a requisição
+        if(errors.length > 0) {
+
+            return sendErrorMessage(req, res, new RequestValidationError(errors), 'VALIDAÇÃO', 'VALIDAÇÃO DA REQUISIÇÃO', 400, 'warning', 'Os dados informados na requisição são inválidos');
+        }
+
+        //passa para o próximo middleware
+        next();
+    };
+}
+
+module.exports = {
+    RequestValidationError,
+    validateRequest,
+    validateSchema
+};
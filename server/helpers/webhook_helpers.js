@@ -0,0 +1,444 @@
+/**
+ * Arquivo com funções utilitárias para o envio dos eventos dos cards aos webhooks cadastrados pelos usuários
+ * As entregas são cadastradas na mesma transação que registra os eventos no histórico dos cards (tabela card_events) e enviadas somente após a transação ser confirmada
+ * Cada entrega é enviada com uma requisição POST assinada com HMAC-SHA256 utilizando o segredo do webhook e, em caso de falha, é enviada novamente com intervalos cada vez maiores
+ * Os webhooks não podem receber entregas em endereços da rede interna (loopback, redes privadas, link-local e os endereços de metadados dos provedores de nuvem), o endereço é verificado no cadastro e novamente em cada envio, após a resolução do nome do servidor
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const WebhookPersistence = require('../persistence/webhookPersistence');
+const { CARD_EVENT_TYPES } = require('./card_event_helpers');
+const { formatDatabaseDatetime } = require('./date_helpers');
+//eventos do histórico dos cards que são enviados aos webhooks e o nome de cada um deles nos webhooks
+const WEBHOOK_EVENTS = {
+    [CARD_EVENT_TYPES.CREATED]: 'card.created',
+    [CARD_EVENT_TYPES.UPDATED]: 'card.updated',
+    [CARD_EVENT_TYPES.STATUS_CHANGED]: 'card.status_changed',
+    [CARD_EVENT_TYPES.DELETED]: 'card.deleted'
+};
+//situações das entregas
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    SUCCESS: 'success',
+    FAILED: 'failed'
+};
+//quantidade máxima de tentativas de cada entrega
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+//intervalo em segundos antes da primeira nova tentativa, que dobra a cada falha
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+//tempo máximo em segundos de espera pela resposta do webhook
+const WEBHOOK_TIMEOUT_SECONDS = Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10;
+//permite as entregas em endereços da rede interna, apenas para desenvolvimento e testes
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+//faixas de endereços IPv4 que não podem receber entregas (endereço inicial e tamanho do prefixo)
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+];
+//quantidade de entregas buscadas por vez no envio
+const WEBHOOK_DISPATCH_BATCH_SIZE = 50;
+//indica se o envio das entregas está em execução e se ele deve ser executado novamente ao terminar
+let dispatching = false;
+let dispatchRequested = false;
+
+/**
+ * Função que gera a assinatura do conteúdo de uma entrega
+ * A assinatura é o HMAC-SHA256, no formato hexadecimal, do texto "timestamp.conteúdo" utilizando o segredo do webhook
+ * @param secret segredo do webhook
+ * @param timestamp data do envio em segundos (Unix time)
+ * @param body conteúdo da entrega
+ * @returns assinatura no formato hexadecimal
+ */
+function signWebhookPayload(secret, timestamp, body) {
+
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Função que converte um endereço IPv4 em um número
+ * @param address endereço IPv4
+ * @returns endereço no formato numérico
+ */
+function ipv4ToNumber(address) {
+
+    return address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Função que converte um endereço IPv6 nos seus 8 grupos de 16 bits, considerando a abreviação :: e os endereços com um IPv4 no final (ex: ::ffff:127.0.0.1)
+ * @param address endereço IPv6
+ * @returns lista com os 8 grupos do endereço
+ */
+function parseIpv6(address) {
+
+    let normalizedAddress = address.split('%')[0];
+    const ipv4 = normalizedAddress.match(/(\d+\.\d+\.\d+\.\d+)$/);
+
+    //converte o IPv4 do final do endereço em dois grupos
+    if(ipv4) {
+
+        const value = ipv4ToNumber(ipv4[1]);
+
+        normalizedAddress = normalizedAddress.replace(ipv4[1], `${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`);
+    }
+
+    const [head, tail] = normalizedAddress.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    //a abreviação :: representa os grupos zerados que faltam para completar os 8 grupos
+    const groups = tail === undefined ? headGroups : headGroups.concat(new Array(8 - headGroups.length - tailGroups.length).fill('0'), tailGroups);
+
+    return groups.map(group => parseInt(group, 16) || 0);
+}
+
+/**
+ * Função que verifica se um endereço IP pertence à rede interna e, portanto, não pode receber entregas
+ * São bloqueados os endereços de loopback, das redes privadas, link-local (incluindo o endereço de metadados 169.254.169.254), multicast e os reservados
+ * @param address endereço IPv4 ou IPv6
+ * @returns true se o endereço não pode receber entregas ou false caso contrário
+ */
+function isBlockedAddress(address) {
+
+    //se as entregas na rede interna estão permitidas, nenhum endereço é bloqueado
+    if(WEBHOOK_ALLOW_PRIVATE_NETWORKS) {
+
+        return false;
+    }
+
+    if(net.isIPv4(address)) {
+
+        const value = ipv4ToNumber(address);
+
+        return BLOCKED_IPV4_RANGES.some(([start, prefix]) => Math.floor(value / Math.pow(2, 32 - prefix)) === Math.floor(ipv4ToNumber(start) / Math.pow(2, 32 - prefix)));
+    }
+
+    //endereços que não são IPs válidos nunca são aceitos
+    if(!net.isIPv6(address)) {
+
+        return true;
+    }
+
+    const groups = parseIpv6(address);
+
+    //endereços IPv4 representados em IPv6 (::ffff:0:0/96, ::/96 e 64:ff9b::/96) são verificados como IPv4
+    if(groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0xffff || groups[5] === 0) || (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0))) {
+
+        //o endereço não especificado (::) e o loopback (::1) também são bloqueados por estarem na faixa 0.0.0.0/8
+        return isBlockedAddress([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.'));
+    }
+
+    //endereços locais únicos (fc00::/7), link-local (fe80::/10) e multicast (ff00::/8)
+    return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 || (groups[0] & 0xff00) === 0xff00;
+}
+
+/**
+ * Função que resolve o nome do servidor das entregas, recusando os endereços da rede interna
+ * É utilizada como a função lookup das requisições, assim o endereço verificado é o mesmo endereço utilizado na conexão
+ * @param hostname nome do servidor
+ * @param options opções da resolução (família e se todos os endereços devem ser retornados)
+ * @param callback função chamada com o erro ou os endereços resolvidos
+ */
+function lookupPublicAddress(hostname, options, callback) {
+
+    dns.lookup(hostname, options, (error, address, family) => {
+
+        if(error) {
+
+            return callback(error);
+        }
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blockedAddress = addresses.find(resolvedAddress => isBlockedAddress(resolvedAddress.address));
+
+        //se algum dos endereços pertence à rede interna, a conexão não é realizada
+        if(blockedAddress) {
+
+            return callback(new Error(`O endereço ${blockedAddress.address} não pode receber entregas`));
+        }
+
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Função que verifica se a URL de um webhook pode receber entregas, ou seja, se o seu servidor não pertence à rede interna
+ * Se o nome do servidor não puder ser resolvido, a URL é aceita, já que ela é verificada novamente em cada envio
+ * @param webhookUrl URL do webhook
+ * @returns true se a URL pode receber entregas ou false caso contrário
+ */
+async function isWebhookUrlAllowed(webhookUrl) {
+
+    let url;
+
+    try {
+
+        url = new URL(webhookUrl);
+    }
+    catch(error) {
+
+        return false;
+    }
+
+    //remove os colchetes dos endereços IPv6
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+    //se o servidor é um endereço IP, ele é verificado diretamente
+    if(net.isIP(hostname)) {
+
+        return !isBlockedAddress(hostname);
+    }
+
+    try {
+
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+
+        return !addresses.some(resolvedAddress => isBlockedAddress(resolvedAddress.address));
+    }
+    catch(error) {
+
+        return true;
+    }
+}
+
+/**
+ * Função que cadastra as entregas dos eventos do histórico dos cards aos webhooks que devem recebê-los
+ * Apenas os eventos listados em WEBHOOK_EVENTS são enviados e somente aos webhooks que possuem o evento no seu filtro
+ * @param events eventos cadastrados no histórico dos cards
+ * @param transaction instância da transação que tá controlando a operação
+ */
+async function enqueueWebhookDeliveries(events, transaction) {
+
+    const deliveries = [];
+    const now = formatDatabaseDatetime(new Date());
+    //considera apenas os eventos enviados aos webhooks
+    const webhookEvents = events.filter(event => WEBHOOK_EVENTS[event.type]);
+
+    //percorre os quadros dos eventos, buscando uma única vez os webhooks de cada quadro
+    for(const boardId of new Set(webhookEvents.map(event => event.boardId))) {
+
+        const webhooks = await WebhookPersistence.searchBoardWebhooks(boardId, transaction);
+
+        webhookEvents.filter(event => event.boardId === boardId).forEach(event => {
+
+            const eventName = WEBHOOK_EVENTS[event.type];
+
+            //monta uma entrega para cada webhook que possui o evento no seu filtro
+            webhooks.filter(webhook => webhook.events.split(',').includes(eventName)).forEach(webhook => {
+
+                deliveries.push({
+                    webhookId: webhook.webhookId,
+                    cardEventId: event.cardEventId,
+                    event: eventName,
+                    payload: JSON.stringify({ event: eventName, createdAt: event.createdAt, data: event }),
+                    status: DELIVERY_STATUS.PENDING,
+                    attempts: 0,
+                    responseStatus: null,
+                    errorMessage: null,
+                    nextAttemptAt: now,
+                    deliveredAt: null,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            });
+        });
+    }
+
+    //se houver entregas, cadastra todas de uma vez
+    if(deliveries.length > 0) {
+
+        await WebhookPersistence.createDeliveries(deliveries, transaction);
+    }
+}
+
+/**
+ * Função que envia o conteúdo de uma entrega para a URL do webhook
+ * @param webhook webhook que deve receber a entrega
+ * @param delivery entrega a ser enviada
+ * @returns promise resolvida com o código HTTP da resposta ou rejeitada se não foi possível obter uma resposta
+ */
+function postWebhookDelivery(webhook, delivery) {
+
+    return new Promise((resolve, reject) => {
+
+        const url = new URL(webhook.url);
+        const client = url.protocol === 'https:' ? https : http;
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        const timestamp = Math.floor(Date.now() / 1000);
+        const body = delivery.payload;
+
+        //se o servidor é um endereço IP, ele não é resolvido na conexão, por isso é verificado diretamente
+        if(net.isIP(hostname) && isBlockedAddress(hostname)) {
+
+            return reject(new Error(`O endereço ${hostname} não pode receber entregas`));
+        }
+
+        //os redirecionamentos não são seguidos, a resposta é considerada diretamente
+        const request = client.request(url, {
+            method: 'POST',
+            timeout: WEBHOOK_TIMEOUT_SECONDS * 1000,
+            //os nomes dos servidores são resolvidos recusando os endereços da rede interna
+            lookup: lookupPublicAddress,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'ClickIdeia-Webhooks',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery.deliveryId),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+            }
+        }, response => {
+
+            //o conteúdo da resposta é descartado, apenas o código HTTP é utilizado
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        //se o webhook não responder no tempo limite, a requisição é cancelada
+        request.on('timeout', () => request.destroy(new Error(`Sem resposta em ${WEBHOOK_TIMEOUT_SECONDS} segundos`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Função que realiza uma tentativa de envio de uma entrega e registra o seu resultado
+ * Se a tentativa falhar, a próxima é agendada com um intervalo que dobra a cada falha, até atingir a quantidade máxima de tentativas
+ * @param delivery entrega a ser enviada, com o webhook que deve recebê-la
+ */
+async function sendWebhookDelivery(delivery) {
+
+    const webhook = delivery.deliveryWebhook;
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let errorMessage = null;
+
+    //se o webhook foi desativado, a entrega não é mais enviada
+    if(!webhook || !webhook.active) {
+
+        await WebhookPersistence.updateDelivery(delivery, {
+            status: DELIVERY_STATUS.FAILED,
+            errorMessage: 'Webhook desativado',
+            nextAttemptAt: null,
+            updatedAt: formatDatabaseDatetime(new Date())
+        });
+
+        return;
+    }
+
+    try {
+
+        responseStatus = await postWebhookDelivery(webhook, delivery);
+
+        //apenas as respostas 2xx indicam que a entrega foi recebida
+        if(responseStatus < 200 || responseStatus >= 300) {
+
+            errorMessage = `O webhook respondeu com o código ${responseStatus}`;
+        }
+    }
+    catch(error) {
+
+        errorMessage = String(error.message).substring(0, 1000);
+    }
+
+    const now = new Date();
+
+    //se a entrega foi recebida
+    if(!errorMessage) {
+
+        await WebhookPersistence.updateDelivery(delivery, {
+            status: DELIVERY_STATUS.SUCCESS,
+            attempts,
+            responseStatus,
+            errorMessage: null,
+            nextAttemptAt: null,
+            deliveredAt: formatDatabaseDatetime(now),
+            updatedAt: formatDatabaseDatetime(now)
+        });
+
+        return;
+    }
+
+    //se ainda restam tentativas, agenda a próxima, senão a entrega é marcada como falha
+    const retry = attempts < WEBHOOK_MAX_ATTEMPTS;
+
+    await WebhookPersistence.updateDelivery(delivery, {
+        status: retry ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED,
+        attempts,
+        responseStatus,
+        errorMessage,
+        nextAttemptAt: retry ? formatDatabaseDatetime(new Date(now.getTime() + WEBHOOK_RETRY_BASE_SECONDS * Math.pow(2, attempts - 1) * 1000)) : null,
+        updatedAt: formatDatabaseDatetime(now)
+    });
+}
+
+/**
+ * Função que envia todas as entregas pendentes cuja próxima tentativa já deve ser realizada
+ * É executada após a confirmação das transações que cadastram entregas e periodicamente, para as novas tentativas
+ * Se ela for chamada enquanto já estiver em execução, é executada novamente ao terminar, evitando que a mesma entrega seja enviada duas vezes ao mesmo tempo
+ * PS: as entregas são controladas na memória do processo, por isso a API deve ser executada em uma única instância
+ */
+async function dispatchWebhookDeliveries() {
+
+    //se o envio já está em execução, apenas solicita uma nova execução
+    if(dispatching) {
+
+        dispatchRequested = true;
+        return;
+    }
+
+    dispatching = true;
+
+    try {
+
+        do {
+
+            dispatchRequested = false;
+
+            let deliveries;
+
+            //busca e envia as entregas pendentes em lotes, até que não haja mais entregas a serem enviadas
+            do {
+
+                deliveries = await WebhookPersistence.searchPendingDeliveries(formatDatabaseDatetime(new Date()), WEBHOOK_DISPATCH_BATCH_SIZE);
+
+                await Promise.all(deliveries.map(delivery => sendWebhookDelivery(delivery)));
+            }
+            while(deliveries.length === WEBHOOK_DISPATCH_BATCH_SIZE);
+        }
+        while(dispatchRequested);
+    }
+    catch(error) {
+
+        //exibe o erro no console, as entregas serão enviadas novamente na próxima execução
+        console.log(error);
+    }
+    finally {
+
+        dispatching = false;
+    }
+}
+
+module.exports = {
+    DELIVERY_STATUS,
+    WEBHOOK_EVENTS,
+    dispatchWebhookDeliveries,
+    enqueueWebhookDeliveries,
+    isBlockedAddress,
+    isWebhookUrlAllowed,
+    sendWebhookDelivery,
+    signWebhookPayload
+};
@@ -0,0 +1,84 @@
+/**
+ * Arquivo com a rotina que remove definitivamente os cards que estão na lixeira há mais tempo que o período de retenção configurado
+ * A rotina é executada ao iniciar o servidor e depois periodicamente, no intervalo configurado
+ */
+
+const Sequelize = require('sequelize');
+const { sequelize } = require('../models');
+const AttachmentPersistence = require('../persistence/attachmentPersistence');
+const CardPersistence = require('../persistence/cardPersistence');
+const CardEventPersistence = require('../persistence/cardEventPersistence');
+const { CARD_EVENT_TYPES, buildCardEvent } = require('../helpers/card_event_helpers');
+const { formatDatabaseDatetime } = require('../helpers/date_helpers');
+const { deleteAttachmentFiles } = require('../storage');
+//tempo em dias que os cards permanecem na lixeira antes de serem removidos definitivamente
+const CARD_TRASH_RETENTION_DAYS = Number(process.env.CARD_TRASH_RETENTION_DAYS) || 30;
+//intervalo em minutos entre as execuções da rotina
+const CARD_TRASH_PURGE_INTERVAL_MINUTES = Number(process.env.CARD_TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Função que remove definitivamente os cards que estão na lixeira há mais tempo que o período de retenção
+ * As remoções são registradas no histórico dos cards sem usuário associado, já que são realizadas pelo sistema
+ * @returns quantidade de cards removidos
+ */
+async function purgeExpiredTrashedCards() {
+
+    let transaction;
+
+    try {
+
+        /**
+         * Cria uma transação, ela é importante pois se houver algum erro na operação, todas as manipulações feitas na base de dados são desfeitas
+         */
+        transaction = await sequelize.transaction();
+
+        //calcula a data limite, os cards removidos antes dela são removidos definitivamente
+        const deletedBefore = formatDatabaseDatetime(new Date(Date.now() - CARD_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+        //busca os anexos dos cards a serem removidos, cujos arquivos também devem ser removidos
+        const attachments = await AttachmentPersistence.searchCardsAttachments({ deletedAt: { [Sequelize.Op.lt]: deletedBefore } }, { transaction });
+        //remove os cards da lixeira
+        const cardsCollection = await CardPersistence.purgeTrashedCards(deletedBefore, { transaction });
+
+        //registra a remoção definitiva no histórico de cada card
+        await CardEventPersistence.createCardEvents(cardsCollection.map(card => buildCardEvent(card, null, CARD_EVENT_TYPES.PURGED, null, card.title, null)), { transaction });
+
+        //comita na base de dados as operações realizadas
+        await transaction.commit();
+        //remove os arquivos dos anexos do armazenamento somente após a remoção dos cards, já que a remoção dos arquivos não pode ser desfeita
+        await deleteAttachmentFiles(attachments);
+
+        return cardsCollection.length;
+    }
+    catch(error) {
+
+        //se ocorreu algum erro
+        if(transaction) {
+
+            //desfaz quaisquer operações realizadas na base de dados
+            await transaction.rollback();
+        }
+
+        //exibe o erro no console, a rotina será executada novamente no próximo intervalo
+        console.log(error);
+
+        return 0;
+    }
+}
+
+/**
+ * Função que inicia a execução periódica da rotina de limpeza da lixeira
+ * @returns referência do timer da rotina
+ */
+function startCardTrashRetentionJob() {
+
+    //executa a rotina ao iniciar o servidor
+    purgeExpiredTrashedCards();
+
+    //agenda as próximas execuções, sem impedir que o processo seja finalizado
+    return setInterval(purgeExpiredTrashedCards, CARD_TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+    purgeExpiredTrashedCards,
+    startCardTrashRetentionJob
+};
@@ -0,0 +1,25 @@
+/**
+ * Arquivo com a rotina que envia os emails pendentes da fila de saída, realizando as novas tentativas dos emails cujo envio falhou
+ * A rotina é executada ao iniciar o servidor e depois periodicamente, no intervalo configurado
+ */
+
+const { dispatchMailOutbox } = require('../helpers/mail_helpers');
+//intervalo em segundos entre as execuções da rotina
+const MAIL_DISPATCH_INTERVAL_SECONDS = Number(process.env.MAIL_DISPATCH_INTERVAL_SECONDS) || 30;
+
+/**
+ * Função que inicia a execução periódica da rotina de envio dos emails
+ * @returns referência do timer da rotina
+ */
+function startMailOutboxJob() {
+
+    //executa a rotina ao iniciar o servidor, enviando os emails que ficaram pendentes
+    dispatchMailOutbox();
+
+    //agenda as próximas execuções, sem impedir que o processo seja finalizado
+    return setInterval(dispatchMailOutbox, MAIL_DISPATCH_INTERVAL_SECONDS * 1000).unref();
+}
+
+module.exports = {
+    startMailOutboxJob
+};
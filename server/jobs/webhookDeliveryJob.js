@@ -0,0 +1,25 @@
+/**
+ * Arquivo com a rotina que envia as entregas pendentes dos webhooks, realizando as novas tentativas das entregas que falharam
+ * A rotina é executada ao iniciar o servidor e depois periodicamente, no intervalo configurado
+ */
+
+const { dispatchWebhookDeliveries } = require('../helpers/webhook_helpers');
+//intervalo em segundos entre as execuções da rotina
+const WEBHOOK_DISPATCH_INTERVAL_SECONDS = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS) || 15;
+
+/**
+ * Função que inicia a execução periódica da rotina de envio das entregas dos webhooks
+ * @returns referência do timer da rotina
+ */
+function startWebhookDeliveryJob() {
+
+    //executa a rotina ao iniciar o servidor, enviando as entregas que ficaram pendentes
+    dispatchWebhookDeliveries();
+
+    //agenda as próximas execuções, sem impedir que o processo seja finalizado
+    return setInterval(dispatchWebhookDeliveries, WEBHOOK_DISPATCH_INTERVAL_SECONDS * 1000).unref();
+}
+
+module.exports = {
+    startWebhookDeliveryJob
+};
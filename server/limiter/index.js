@@ -0,0 +1,39 @@
+/**
+ * Arquivo que define o armazenamento dos contadores de tentativas utilizados na limitação das requisições (ex: tentativas de login por IP e por login)
+ * Todo armazenamento deve implementar os métodos abaixo, permitindo trocar a implementação (ex: um armazenamento compartilhado entre as instâncias da API, como o Redis) sem alterar o restante da API
+ * - get(key): retorna o contador no formato { count, resetAt } ou null se ele não existe ou expirou
+ * - increment(key, windowMilliseconds, sliding): incrementa o contador de forma atômica (requisições simultâneas nunca obtêm o mesmo valor), criando um novo contador que expira após o intervalo informado se ele não existe ou expirou, e o retorna (se sliding for true, a expiração é renovada a cada incremento)
+ * - reset(key): remove o contador
+ * O armazenamento utilizado é definido pela variável RATE_LIMIT_STORE (padrão: memory)
+ */
+
+const MemoryLimiterStore = require('./memoryLimiterStore');
+//tipo de armazenamento utilizado
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+//funções que criam cada um dos armazenamentos disponíveis
+const STORES = {
+    memory: () => new MemoryLimiterStore()
+};
+
+/**
+ * Função que cria o armazenamento configurado
+ * Se o armazenamento configurado não existir, gera um erro ao iniciar o servidor
+ * @returns instância do armazenamento
+ */
+function createLimiterStore() {
+
+    //se o armazenamento configurado não foi implementado
+    if(!STORES[RATE_LIMIT_STORE]) {
+
+        throw new Error(`Armazenamento dos limites de requisições não suportado: ${RATE_LIMIT_STORE}`);
+    }
+
+    return STORES[RATE_LIMIT_STORE]();
+}
+
+//instância do armazenamento utilizada pela API
+const limiterStore = createLimiterStore();
+
+module.exports = {
+    limiterStore
+};
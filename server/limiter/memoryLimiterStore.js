@@ -0,0 +1,100 @@
+//intervalo em milissegundos entre as limpezas dos contadores expirados
+const CLEANUP_INTERVAL_MILLISECONDS = 60 * 1000;
+
+/**
+ * Classe que implementa o armazenamento dos contadores de tentativas na memória do processo
+ * Cada contador possui uma chave (ex: login:ip:127.0.0.1), a quantidade de tentativas e a data em que expira, os contadores expirados são removidos periodicamente
+ * PS: os contadores não são compartilhados entre as instâncias da API e são perdidos quando o servidor é reiniciado
+ */
+class MemoryLimiterStore {
+
+    /**
+     * Construtor padrão
+     */
+    constructor() {
+
+        this.counters = new Map();
+        //agenda a limpeza dos contadores expirados, sem impedir que o processo seja finalizado
+        setInterval(() => this.removeExpiredCounters(), CLEANUP_INTERVAL_MILLISECONDS).unref();
+    }
+
+    /**
+     * Método que remove os contadores expirados
+     */
+    removeExpiredCounters() {
+
+        const now = Date.now();
+
+        this.counters.forEach((counter, key) => {
+
+            if(counter.resetAt <= now) {
+
+                this.counters.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Método que obtém o contador armazenado, sem aguardar nenhuma operação, para que a leitura e a alteração de um contador não sejam intercaladas com outras requisições
+     * @param key chave do contador
+     * @returns contador armazenado ou null se ele não existe ou expirou
+     */
+    findCounter(key) {
+
+        const counter = this.counters.get(key);
+
+        //os contadores expirados são tratados como inexistentes
+        if(!counter || counter.resetAt <= Date.now()) {
+
+            return null;
+        }
+
+        return counter;
+    }
+
+    /**
+     * Método que obtém um contador
+     * @param key chave do contador
+     * @returns objeto com a quantidade de tentativas (count) e a data em que o contador expira em milissegundos (resetAt) ou null se ele não existe ou expirou
+     */
+    async get(key) {
+
+        const counter = this.findCounter(key);
+
+        return counter ? { ...counter } : null;
+    }
+
+    /**
+     * Método que incrementa um contador de forma atômica, se ele não existe ou expirou, é criado um novo contador que expira após o intervalo informado
+     * @param key chave do contador
+     * @param windowMilliseconds intervalo em milissegundos até o novo contador expirar
+     * @param sliding se true, a expiração do contador é renovada a cada incremento, fazendo com que ele expire somente após o intervalo sem novas tentativas
+     * @returns objeto com a quantidade de tentativas (count) e a data em que o contador expira em milissegundos (resetAt)
+     */
+    async increment(key, windowMilliseconds, sliding) {
+
+        const counter = this.findCounter(key) || { count: 0, resetAt: Date.now() + windowMilliseconds };
+
+        counter.count++;
+
+        if(sliding) {
+
+            counter.resetAt = Date.now() + windowMilliseconds;
+        }
+
+        this.counters.set(key, counter);
+
+        return { ...counter };
+    }
+
+    /**
+     * Método que remove um contador
+     * @param key chave do contador
+     */
+    async reset(key) {
+
+        this.counters.delete(key);
+    }
+}
+
+module.exports = MemoryLimiterStore;
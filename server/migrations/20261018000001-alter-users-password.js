@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration que aumenta o tamanho da coluna password da tabela users para que seja possível armazenar o hash das senhas
+ * As senhas que ainda estão em texto puro são convertidas em hash no primeiro login de cada usuário
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.changeColumn('users', 'password', {
+            type: Sequelize.STRING(255),
+            allowNull: false
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+
+        await queryInterface.changeColumn('users', 'password', {
+            type: Sequelize.STRING(16),
+            allowNull: false
+        });
+    }
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Migration que cria a tabela password_resets, que armazena os tokens (hash) das solicitações de recuperação de senha
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('password_resets', {
+            passwordResetId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'CASCADE'
+            },
+            tokenHash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            expiresAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            usedAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('password_resets', ['userId', 'createdAt']);
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('password_resets');
+    }
+};
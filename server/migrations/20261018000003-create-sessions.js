@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Migration que cria a tabela sessions, que armazena os refresh tokens (hash) emitidos para os usuários e permite revogar as sessões
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('sessions', {
+            sessionId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'CASCADE'
+            },
+            familyId: {
+                type: Sequelize.STRING(32),
+                allowNull: false
+            },
+            refreshTokenHash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            expiresAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            rotatedAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            revokedAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('sessions', ['familyId']);
+        await queryInterface.addIndex('sessions', ['userId']);
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('sessions');
+    }
+};
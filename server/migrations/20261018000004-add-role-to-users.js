@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Migration que adiciona a coluna role na tabela users, que define o perfil de acesso do usuário (user ou admin)
+ * Todos os usuários já cadastrados recebem o perfil user
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('users', 'role', {
+            type: Sequelize.STRING(20),
+            allowNull: false,
+            defaultValue: 'user'
+        });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeColumn('users', 'role');
+    }
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Migration que cria a tabela statuses (colunas do quadro de cards) e substitui a coluna status (texto) da tabela cards por uma referência ao status (statusId)
+ * Os status TO-DO, DOING e DONE são cadastrados por padrão, assim como qualquer outro status que já esteja sendo utilizado pelos cards
+ */
+const DEFAULT_STATUSES = [
+    { name: 'TO-DO', color: '#6C757D' },
+    { name: 'DOING', color: '#0D6EFD' },
+    { name: 'DONE', color: '#198754' }
+];
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('statuses', {
+            statusId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            name: {
+                type: Sequelize.STRING(30),
+                allowNull: false,
+                unique: true
+            },
+            sortOrder: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            color: {
+                type: Sequelize.STRING(7),
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        //obtém os status já utilizados pelos cards que não fazem parte dos status padrão
+        const [usedStatuses] = await queryInterface.sequelize.query('SELECT DISTINCT status FROM cards');
+        const statuses = DEFAULT_STATUSES.concat(usedStatuses
+            .map(row => row.status)
+            .filter(name => name && !DEFAULT_STATUSES.some(status => status.name === name))
+            .map(name => ({ name, color: '#6C757D' })));
+        const now = new Date();
+
+        //cadastra os status respeitando a ordem acima
+        await queryInterface.bulkInsert('statuses', statuses.map((status, index) => ({
+            name: status.name,
+            sortOrder: index + 1,
+            color: status.color,
+            createdAt: now,
+            updatedAt: now
+        })));
+
+        //cria a referência ao status nos cards e a preenche com base no status (texto) de cada card
+        await queryInterface.addColumn('cards', 'statusId', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: true
+        });
+        await queryInterface.sequelize.query('UPDATE cards SET statusId = (SELECT statuses.statusId FROM statuses WHERE statuses.name = cards.status)');
+        await queryInterface.changeColumn('cards', 'statusId', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: false
+        });
+        await queryInterface.addConstraint('cards', {
+            fields: ['statusId'],
+            type: 'foreign key',
+            name: 'FK_STATUS_CARD',
+            references: { table: 'statuses', field: 'statusId' }
+        });
+        await queryInterface.removeColumn('cards', 'status');
+    },
+
+    down: async (queryInterface, Sequelize) => {
+
+        //recria a coluna status (texto) e a preenche com o nome do status de cada card
+        await queryInterface.addColumn('cards', 'status', {
+            type: Sequelize.STRING(30),
+            allowNull: true
+        });
+        await queryInterface.sequelize.query('UPDATE cards SET status = (SELECT statuses.name FROM statuses WHERE statuses.statusId = cards.statusId)');
+        await queryInterface.changeColumn('cards', 'status', {
+            type: Sequelize.STRING(30),
+            allowNull: false
+        });
+        await queryInterface.removeConstraint('cards', 'FK_STATUS_CARD');
+        await queryInterface.removeColumn('cards', 'statusId');
+        await queryInterface.dropTable('statuses');
+    }
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Migration que cria as tabelas boards (quadros) e board_members (membros dos quadros) e adiciona a referência ao quadro (boardId) na tabela cards
+ * Cada usuário já cadastrado recebe um quadro pessoal, do qual é o dono (owner), e os seus cards são movidos para esse quadro
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('boards', {
+            boardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            name: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            personal: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.createTable('board_members', {
+            boardMemberId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            boardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'boards', key: 'boardId' },
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'CASCADE'
+            },
+            role: {
+                type: Sequelize.STRING(20),
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('board_members', ['boardId', 'userId'], { unique: true });
+
+        await queryInterface.addColumn('cards', 'boardId', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: true
+        });
+
+        //cria o quadro pessoal de cada usuário e move os seus cards para ele
+        const [users] = await queryInterface.sequelize.query('SELECT userId FROM users');
+        const now = new Date();
+
+        for(const user of users) {
+
+            await queryInterface.bulkInsert('boards', [{ name: 'Quadro pessoal', personal: true, createdAt: now, updatedAt: now }]);
+
+            //obtém o id do quadro criado
+            const [[board]] = await queryInterface.sequelize.query('SELECT MAX(boardId) AS boardId FROM boards');
+
+            await queryInterface.bulkInsert('board_members', [{ boardId: board.boardId, userId: user.userId, role: 'owner', createdAt: now, updatedAt: now }]);
+            await queryInterface.sequelize.query('UPDATE cards SET boardId = ? WHERE userId = ?', {
+                replacements: [board.boardId, user.userId]
+            });
+        }
+
+        await queryInterface.changeColumn('cards', 'boardId', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: false
+        });
+        await queryInterface.addConstraint('cards', {
+            fields: ['boardId'],
+            type: 'foreign key',
+            name: 'FK_BOARD_CARD',
+            references: { table: 'boards', field: 'boardId' }
+        });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeConstraint('cards', 'FK_BOARD_CARD');
+        await queryInterface.removeColumn('cards', 'boardId');
+        await queryInterface.dropTable('board_members');
+        await queryInterface.dropTable('boards');
+    }
+};
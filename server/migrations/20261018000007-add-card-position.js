@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Migration que inclui a posição dos cards dentro de cada coluna (quadro e status) do quadro
+ * Os cards já existentes são numerados a partir de 0 na ordem em que foram cadastrados
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('cards', 'position', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        //numera os cards de cada coluna na ordem em que foram cadastrados
+        const [cards] = await queryInterface.sequelize.query('SELECT cardId, boardId, statusId FROM cards ORDER BY boardId, statusId, cardId');
+        const positions = {};
+
+        for(const card of cards) {
+
+            const column = `${card.boardId}-${card.statusId}`;
+
+            positions[column] = positions[column] === undefined ? 0 : positions[column] + 1;
+
+            await queryInterface.sequelize.query('UPDATE cards SET position = ? WHERE cardId = ?', {
+                replacements: [positions[column], card.cardId]
+            });
+        }
+
+        await queryInterface.addIndex('cards', ['boardId', 'statusId', 'position'], { name: 'IDX_CARD_POSITION' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeIndex('cards', 'IDX_CARD_POSITION');
+        await queryInterface.removeColumn('cards', 'position');
+    }
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Migration que cria a tabela card_events, que armazena o histórico de alterações dos cards e o usuário que realizou cada alteração
+ * O cardId não possui chave estrangeira para que o histórico seja mantido mesmo após a remoção do card
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('card_events', {
+            cardEventId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            cardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false
+            },
+            boardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'boards', key: 'boardId' },
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: true,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'SET NULL'
+            },
+            type: {
+                type: Sequelize.STRING(20),
+                allowNull: false
+            },
+            field: {
+                type: Sequelize.STRING(30),
+                allowNull: true
+            },
+            oldValue: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            newValue: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('card_events', ['cardId']);
+        await queryInterface.addIndex('card_events', ['boardId']);
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('card_events');
+    }
+};
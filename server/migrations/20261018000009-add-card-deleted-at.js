@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Migration que inclui na tabela cards a data de remoção (deletedAt), os cards removidos são mantidos na lixeira até serem restaurados ou removidos definitivamente
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('cards', 'deletedAt', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        await queryInterface.addIndex('cards', ['deletedAt'], { name: 'IDX_CARD_DELETED_AT' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeIndex('cards', 'IDX_CARD_DELETED_AT');
+        await queryInterface.removeColumn('cards', 'deletedAt');
+    }
+};
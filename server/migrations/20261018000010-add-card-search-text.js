@@ -0,0 +1,33 @@
+'use strict';
+
+const { getCardSearchText } = require('../helpers/search_helpers');
+
+/**
+ * Migration que inclui na tabela cards o texto de busca (searchText), com o título e o conteúdo do card em letras minúsculas e sem acentos
+ * A coluna é utilizada pela busca textual dos cards, tornando a busca insensível a acentos independente do banco de dados utilizado
+ * O texto de busca dos cards já existentes é gerado a partir do seu título e conteúdo
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('cards', 'searchText', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+
+        //gera o texto de busca dos cards já cadastrados
+        const [cards] = await queryInterface.sequelize.query('SELECT cardId, title, content FROM cards');
+
+        for(const card of cards) {
+
+            await queryInterface.sequelize.query('UPDATE cards SET searchText = ? WHERE cardId = ?', {
+                replacements: [getCardSearchText(card), card.cardId]
+            });
+        }
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeColumn('cards', 'searchText');
+    }
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Migration que cria as tabelas labels (etiquetas dos quadros) e card_labels (etiquetas associadas a cada card)
+ * O nome da etiqueta é único dentro de cada quadro
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('labels', {
+            labelId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            boardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'boards', key: 'boardId' },
+                onDelete: 'CASCADE'
+            },
+            name: {
+                type: Sequelize.STRING(30),
+                allowNull: false
+            },
+            color: {
+                type: Sequelize.STRING(7),
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('labels', ['boardId', 'name'], { unique: true });
+
+        await queryInterface.createTable('card_labels', {
+            cardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                allowNull: false,
+                references: { model: 'cards', key: 'cardId' },
+                onDelete: 'CASCADE'
+            },
+            labelId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                allowNull: false,
+                references: { model: 'labels', key: 'labelId' },
+                onDelete: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('card_labels', ['labelId']);
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('card_labels');
+        await queryInterface.dropTable('labels');
+    }
+};
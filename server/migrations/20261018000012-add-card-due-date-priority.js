@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Migration que inclui na tabela cards a data de entrega (dueAt) e a prioridade (priority: low, medium, high ou urgent), ambas opcionais
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('cards', 'dueAt', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+        await queryInterface.addColumn('cards', 'priority', {
+            type: Sequelize.STRING(10),
+            allowNull: true
+        });
+
+        await queryInterface.addIndex('cards', ['dueAt'], { name: 'IDX_CARD_DUE_AT' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeIndex('cards', 'IDX_CARD_DUE_AT');
+        await queryInterface.removeColumn('cards', 'priority');
+        await queryInterface.removeColumn('cards', 'dueAt');
+    }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Migration que separa o usuário que cadastrou o card (createdBy) dos usuários responsáveis pelo card (tabela card_assignees)
+ * Nos cards já existentes, o dono do card (userId) é considerado tanto quem cadastrou quanto o responsável pelo card
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('cards', 'createdBy', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: true,
+            references: { model: 'users', key: 'userId' },
+            onDelete: 'SET NULL'
+        });
+        await queryInterface.sequelize.query('UPDATE cards SET createdBy = userId');
+
+        await queryInterface.createTable('card_assignees', {
+            cardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                allowNull: false,
+                references: { model: 'cards', key: 'cardId' },
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                allowNull: false,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'CASCADE'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('card_assignees', ['userId']);
+        //atribui os cards já existentes aos seus donos
+        await queryInterface.sequelize.query('INSERT INTO card_assignees (cardId, userId, createdAt) SELECT cardId, userId, createdAt FROM cards');
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('card_assignees');
+        await queryInterface.removeColumn('cards', 'createdBy');
+    }
+};
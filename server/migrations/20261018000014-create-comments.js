@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Migration que cria a tabela comments (comentários dos cards)
+ * Os comentários são removidos junto com o card e mantidos sem o autor se o usuário for removido
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('comments', {
+            commentId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            cardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'cards', key: 'cardId' },
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: true,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'SET NULL'
+            },
+            content: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            editedAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('comments', ['cardId', 'commentId'], { name: 'IDX_COMMENT_CARD' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('comments');
+    }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Migration que cria as tabelas checklists (checklists dos cards) e checklist_items (itens das checklists)
+ * As checklists são removidas junto com o card e os itens junto com a checklist
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('checklists', {
+            checklistId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            cardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'cards', key: 'cardId' },
+                onDelete: 'CASCADE'
+            },
+            title: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('checklists', ['cardId'], { name: 'IDX_CHECKLIST_CARD' });
+
+        await queryInterface.createTable('checklist_items', {
+            itemId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            checklistId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'checklists', key: 'checklistId' },
+                onDelete: 'CASCADE'
+            },
+            content: {
+                type: Sequelize.STRING(500),
+                allowNull: false
+            },
+            done: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            position: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            doneAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('checklist_items', ['checklistId', 'position'], { name: 'IDX_CHECKLIST_ITEM_POSITION' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('checklist_items');
+        await queryInterface.dropTable('checklists');
+    }
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Migration que cria a tabela attachments (informações dos arquivos anexados aos cards)
+ * Os anexos são removidos junto com o card e mantidos sem o usuário que enviou o arquivo se ele for removido
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('attachments', {
+            attachmentId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            cardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'cards', key: 'cardId' },
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: true,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'SET NULL'
+            },
+            name: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            size: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false
+            },
+            mimeType: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            storageKey: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('attachments', ['cardId'], { name: 'IDX_ATTACHMENT_CARD' });
+        await queryInterface.addIndex('attachments', ['userId'], { name: 'IDX_ATTACHMENT_USER' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('attachments');
+    }
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Migration que cria as tabelas webhooks (endereços que recebem os eventos dos cards) e webhook_deliveries (entregas dos eventos aos webhooks)
+ * Os webhooks são removidos junto com o usuário ou com o quadro e as entregas junto com o webhook
+ * O evento do histórico que originou a entrega é apenas referenciado, sem chave estrangeira, já que o card e o seu histórico podem ser removidos antes da entrega
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('webhooks', {
+            webhookId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'CASCADE'
+            },
+            boardId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: true,
+                references: { model: 'boards', key: 'boardId' },
+                onDelete: 'CASCADE'
+            },
+            url: {
+                type: Sequelize.STRING(500),
+                allowNull: false
+            },
+            events: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            secret: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            active: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('webhooks', ['userId'], { name: 'IDX_WEBHOOK_USER' });
+
+        await queryInterface.createTable('webhook_deliveries', {
+            deliveryId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            webhookId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: false,
+                references: { model: 'webhooks', key: 'webhookId' },
+                onDelete: 'CASCADE'
+            },
+            cardEventId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: true
+            },
+            event: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            payload: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.STRING(16),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            responseStatus: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            errorMessage: {
+                type: Sequelize.STRING(1000),
+                allowNull: true
+            },
+            nextAttemptAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            deliveredAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('webhook_deliveries', ['webhookId', 'deliveryId'], { name: 'IDX_WEBHOOK_DELIVERY_WEBHOOK' });
+        await queryInterface.addIndex('webhook_deliveries', ['status', 'nextAttemptAt'], { name: 'IDX_WEBHOOK_DELIVERY_PENDING' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('webhook_deliveries');
+        await queryInterface.dropTable('webhooks');
+    }
+};
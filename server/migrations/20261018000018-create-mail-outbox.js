@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Migration que cria a tabela mail_outbox, a fila de saída dos emails enviados pela API
+ * Os emails são gravados na mesma transação da operação que os gerou e enviados depois, com novas tentativas em caso de falha
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.createTable('mail_outbox', {
+            mailId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            recipient: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            template: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            locale: {
+                type: Sequelize.STRING(10),
+                allowNull: false
+            },
+            subject: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            html: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            text: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            status: {
+                type: Sequelize.STRING(16),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            errorMessage: {
+                type: Sequelize.STRING(1000),
+                allowNull: true
+            },
+            nextAttemptAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            sentAt: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('mail_outbox', ['status', 'nextAttemptAt'], { name: 'IDX_MAIL_OUTBOX_PENDING' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('mail_outbox');
+    }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Migration que adiciona a coluna verificationSentAt na tabela users, que armazena a data do último envio do link de confirmação do email
+ * Os usuários já cadastrados não precisam confirmar o email, por isso a coluna fica vazia para eles
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('users', 'verificationSentAt', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeColumn('users', 'verificationSentAt');
+    }
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Migration que adiciona na tabela users as colunas failedLoginAttempts (tentativas de login com a senha incorreta desde o último login) e lockedUntil (data até a qual o login está bloqueado)
+ * Também cria a tabela security_audit_logs, que registra os eventos de segurança dos usuários, como os bloqueios de login
+ * Os registros são mantidos mesmo que o usuário seja removido, apenas perdendo a referência ao usuário
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('users', 'failedLoginAttempts', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        await queryInterface.addColumn('users', 'lockedUntil', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        await queryInterface.createTable('security_audit_logs', {
+            auditLogId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                primaryKey: true,
+                autoIncrement: true,
+                allowNull: false
+            },
+            userId: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: true,
+                references: { model: 'users', key: 'userId' },
+                onDelete: 'SET NULL'
+            },
+            action: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            login: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            ip: {
+                type: Sequelize.STRING(64),
+                allowNull: true
+            },
+            details: {
+                type: Sequelize.STRING(1000),
+                allowNull: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('security_audit_logs', ['userId', 'createdAt'], { name: 'IDX_SECURITY_AUDIT_LOG_USER' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.dropTable('security_audit_logs');
+        await queryInterface.removeColumn('users', 'lockedUntil');
+        await queryInterface.removeColumn('users', 'failedLoginAttempts');
+    }
+};
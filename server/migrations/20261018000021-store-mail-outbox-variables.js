@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Migration que altera a fila de saída dos emails (tabela mail_outbox) para armazenar os valores dos templates em vez do conteúdo já montado dos emails
+ * Os valores sigilosos (como os códigos de redefinição de senha e os links de confirmação) são armazenados criptografados na coluna secretVariables e removidos após o envio, a última tentativa ou a expiração do email (coluna expiresAt)
+ * Os emails pendentes gravados no formato anterior são marcados como falha, já que o seu conteúdo é removido
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('mail_outbox', 'variables', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+        await queryInterface.addColumn('mail_outbox', 'secretVariables', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+        await queryInterface.addColumn('mail_outbox', 'expiresAt', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        await queryInterface.bulkUpdate('mail_outbox', {
+            status: 'failed',
+            errorMessage: 'Email descartado na alteração do formato da fila de saída',
+            nextAttemptAt: null
+        }, { status: 'pending' });
+
+        await queryInterface.removeColumn('mail_outbox', 'html');
+        await queryInterface.removeColumn('mail_outbox', 'text');
+    },
+
+    down: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('mail_outbox', 'html', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+        await queryInterface.addColumn('mail_outbox', 'text', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+
+        await queryInterface.removeColumn('mail_outbox', 'expiresAt');
+        await queryInterface.removeColumn('mail_outbox', 'secretVariables');
+        await queryInterface.removeColumn('mail_outbox', 'variables');
+    }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration que adiciona a coluna done na tabela statuses, que indica os status de conclusão (ex: DONE)
+ * Os cards dos status de conclusão não são considerados atrasados, o status DONE cadastrado pela migration dos status é marcado como status de conclusão
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('statuses', 'done', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        });
+
+        await queryInterface.bulkUpdate('statuses', { done: true }, { name: 'DONE' });
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeColumn('statuses', 'done');
+    }
+};
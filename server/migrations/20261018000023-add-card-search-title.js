@@ -0,0 +1,33 @@
+'use strict';
+
+const { getCardSearchTitle } = require('../helpers/search_helpers');
+
+/**
+ * Migration que inclui na tabela cards o título de busca (searchTitle), com o título do card em letras minúsculas e sem acentos
+ * A coluna permite calcular a relevância da busca textual na própria consulta, separando as ocorrências do título das ocorrências do conteúdo
+ * O título de busca dos cards já existentes é gerado a partir do seu título
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('cards', 'searchTitle', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+
+        //gera o título de busca dos cards já cadastrados
+        const [cards] = await queryInterface.sequelize.query('SELECT cardId, title FROM cards');
+
+        for(const card of cards) {
+
+            await queryInterface.sequelize.query('UPDATE cards SET searchTitle = ? WHERE cardId = ?', {
+                replacements: [getCardSearchTitle(card), card.cardId]
+            });
+        }
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeColumn('cards', 'searchTitle');
+    }
+};
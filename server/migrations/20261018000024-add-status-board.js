@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Migration que adiciona a referência ao quadro (boardId) na tabela statuses, permitindo que cada quadro possua os seus próprios status
+ * Os status já cadastrados ficam sem quadro, sendo os status padrão disponíveis em todos os quadros
+ * O nome do status deixa de ser único em toda a tabela e passa a ser único em cada quadro
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('statuses', 'boardId', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: true,
+            references: { model: 'boards', key: 'boardId' },
+            onDelete: 'CASCADE'
+        });
+
+        //remove o índice de nome único criado junto com a tabela
+        await queryInterface.removeIndex('statuses', 'name');
+        //o nome passa a ser único em cada quadro
+        await queryInterface.addIndex('statuses', ['boardId', 'name'], { unique: true });
+    },
+
+    down: async (queryInterface) => {
+
+        //os status dos quadros são mantidos como status padrão, desde que os seus nomes não se repitam
+        await queryInterface.removeIndex('statuses', ['boardId', 'name']);
+        await queryInterface.removeColumn('statuses', 'boardId');
+        await queryInterface.addIndex('statuses', ['name'], { unique: true, name: 'name' });
+    }
+};
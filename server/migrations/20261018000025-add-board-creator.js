@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Migration que adiciona a coluna createdBy na tabela boards, que indica o usuário que cadastrou o quadro
+ * O quadro pessoal de cada usuário passa a ser identificado por quem o cadastrou e não por qualquer um dos seus donos
+ * Os quadros já cadastrados recebem como criador o primeiro dono incluído no quadro
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.addColumn('boards', 'createdBy', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: true,
+            references: { model: 'users', key: 'userId' },
+            onDelete: 'SET NULL'
+        });
+
+        await queryInterface.sequelize.query(`
+            UPDATE boards SET createdBy = (
+                SELECT board_members.userId FROM board_members
+                WHERE board_members.boardId = boards.boardId AND board_members.role = 'owner'
+                ORDER BY board_members.boardMemberId ASC
+                LIMIT 1
+            )
+        `);
+    },
+
+    down: async (queryInterface) => {
+
+        await queryInterface.removeColumn('boards', 'createdBy');
+    }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Migration que permite que os cards fiquem sem dono (userId nulo)
+ * Ao deletar um usuário, os seus cards nos quadros de outros usuários são mantidos, ficando sem dono, em vez de impedir a deleção
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+
+        await queryInterface.removeConstraint('cards', 'FK_USER_CARD');
+        await queryInterface.changeColumn('cards', 'userId', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: true
+        });
+        await queryInterface.addConstraint('cards', {
+            fields: ['userId'],
+            type: 'foreign key',
+            name: 'FK_USER_CARD',
+            references: { table: 'users', field: 'userId' },
+            onDelete: 'SET NULL'
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+
+        await queryInterface.removeConstraint('cards', 'FK_USER_CARD');
+        await queryInterface.changeColumn('cards', 'userId', {
+            type: Sequelize.INTEGER.UNSIGNED,
+            allowNull: false
+        });
+        await queryInterface.addConstraint('cards', {
+            fields: ['userId'],
+            type: 'foreign key',
+            name: 'FK_USER_CARD',
+            references: { table: 'users', field: 'userId' }
+        });
+    }
+};
@@ -0,0 +1,67 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade Attachment (arquivos anexados aos cards) pelo Sequelize
+     * O conteúdo do arquivo não é armazenado na base de dados, apenas as suas informações e a chave (storageKey) utilizada para encontrá-lo no armazenamento de arquivos
+     */
+    const Attachment = sequelize.define('attachments', {
+        attachmentId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        cardId: {
+            type: DataType.INTEGER
+        },
+        userId: {
+            type: DataType.INTEGER
+        },
+        name: {
+            type: DataType.STRING
+        },
+        size: {
+            type: DataType.INTEGER
+        },
+        mimeType: {
+            type: DataType.STRING
+        },
+        storageKey: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade Attachment possui chaves estrangeiras com o card e com o usuário que enviou o arquivo, também são feitas essas configurações e dados nomes para as mesmas
+     * Se o usuário for removido, o anexo é mantido sem a referência ao usuário
+     */
+    Attachment.associate = function (models) {
+        Attachment.belongsTo(models.cards, {
+            foreignKey : 'cardId',
+            as: 'attachmentCard',
+            onDelete: 'CASCADE'
+        });
+        Attachment.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'attachmentUser',
+            onDelete: 'SET NULL'
+        });
+    };
+
+    /**
+     * Remove a chave do arquivo no armazenamento (uso interno) das informações do anexo sempre que elas forem convertidas em JSON
+     */
+    Attachment.prototype.toJSON = function () {
+        const values = { ...this.get() };
+
+        delete values.storageKey;
+
+        return values;
+    };
+
+    return Attachment;
+}
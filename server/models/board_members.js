@@ -0,0 +1,49 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade BoardMember pelo Sequelize
+     * Cada registro associa um usuário a um quadro com um papel (owner, editor ou viewer), que define o que ele pode fazer no quadro
+     */
+    const BoardMember = sequelize.define('board_members', {
+        boardMemberId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        boardId: {
+            type: DataType.INTEGER
+        },
+        userId: {
+            type: DataType.INTEGER
+        },
+        role: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade BoardMember possui chaves estrangeiras com o quadro e com o usuário, também são feitas essas configurações e dados nomes para as mesmas
+     */
+    BoardMember.associate = function (models) {
+        BoardMember.belongsTo(models.boards, {
+            foreignKey : 'boardId',
+            as: 'memberBoard',
+            onDelete: 'CASCADE'
+        });
+        BoardMember.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'memberUser',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return BoardMember;
+}
@@ -0,0 +1,61 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade Board pelo Sequelize
+     * Cada quadro agrupa um conjunto de cards e pode ser compartilhado entre vários usuários (membros do quadro)
+     * O quadro pessoal é criado automaticamente para cada usuário e é utilizado quando o card é cadastrado sem informar o quadro
+     * O usuário que cadastrou o quadro (createdBy) identifica de quem é o quadro pessoal, já que os donos do quadro podem mudar
+     */
+    const Board = sequelize.define('boards', {
+        boardId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataType.STRING
+        },
+        personal: {
+            type: DataType.BOOLEAN,
+            defaultValue: false
+        },
+        createdBy: {
+            type: DataType.INTEGER
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como as entidades Cards, BoardMembers, Labels e Statuses possuem chaves estrangeiras com o quadro, também são feitas essas configurações e dados nomes para as mesmas
+     */
+    Board.associate = function (models) {
+        Board.hasMany(models.cards, {
+            foreignKey : 'boardId',
+            as: 'boardCards'
+        });
+        Board.hasMany(models.board_members, {
+            foreignKey : 'boardId',
+            as: 'boardMembers',
+            onDelete: 'CASCADE'
+        });
+        Board.hasMany(models.labels, {
+            foreignKey : 'boardId',
+            as: 'boardLabels',
+            onDelete: 'CASCADE'
+        });
+        Board.hasMany(models.statuses, {
+            foreignKey : 'boardId',
+            as: 'boardStatuses',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return Board;
+}
@@ -0,0 +1,40 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade CardAssignee pelo Sequelize
+     * Cada registro atribui um card a um usuário responsável (relacionamento muitos para muitos entre as entidades Card e User)
+     */
+    const CardAssignee = sequelize.define('card_assignees', {
+        cardId: {
+            type: DataType.INTEGER,
+            primaryKey: true
+        },
+        userId: {
+            type: DataType.INTEGER,
+            primaryKey: true
+        },
+        createdAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade CardAssignee possui chaves estrangeiras com o card e com o usuário, também são feitas essas configurações e dados nomes para as mesmas
+     */
+    CardAssignee.associate = function (models) {
+        CardAssignee.belongsTo(models.cards, {
+            foreignKey : 'cardId',
+            as: 'assigneeCard',
+            onDelete: 'CASCADE'
+        });
+        CardAssignee.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'assigneeUser',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return CardAssignee;
+}
@@ -0,0 +1,61 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade CardEvent pelo Sequelize
+     * Cada registro representa uma alteração realizada em um card (cadastro, alteração de campo, mudança de status, movimentação ou remoção) e o usuário que a realizou
+     * Os registros nunca são alterados ou removidos individualmente, formando assim o histórico dos cards
+     * O card não possui chave estrangeira para que o seu histórico seja mantido mesmo após a sua remoção
+     */
+    const CardEvent = sequelize.define('card_events', {
+        cardEventId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        cardId: {
+            type: DataType.INTEGER
+        },
+        boardId: {
+            type: DataType.INTEGER
+        },
+        userId: {
+            type: DataType.INTEGER
+        },
+        type: {
+            type: DataType.STRING
+        },
+        field: {
+            type: DataType.STRING
+        },
+        oldValue: {
+            type: DataType.TEXT
+        },
+        newValue: {
+            type: DataType.TEXT
+        },
+        createdAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade CardEvent possui chaves estrangeiras com o quadro e com o usuário que realizou a alteração, também são feitas essas configurações e dados nomes para as mesmas
+     * Se o usuário for removido, o histórico é mantido sem a referência ao usuário
+     */
+    CardEvent.associate = function (models) {
+        CardEvent.belongsTo(models.boards, {
+            foreignKey : 'boardId',
+            as: 'eventBoard',
+            onDelete: 'CASCADE'
+        });
+        CardEvent.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'eventUser',
+            onDelete: 'SET NULL'
+        });
+    };
+
+    return CardEvent;
+}
@@ -0,0 +1,40 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade CardLabel pelo Sequelize
+     * Cada registro associa uma etiqueta a um card (relacionamento muitos para muitos entre as entidades Card e Label)
+     */
+    const CardLabel = sequelize.define('card_labels', {
+        cardId: {
+            type: DataType.INTEGER,
+            primaryKey: true
+        },
+        labelId: {
+            type: DataType.INTEGER,
+            primaryKey: true
+        },
+        createdAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade CardLabel possui chaves estrangeiras com o card e com a etiqueta, também são feitas essas configurações e dados nomes para as mesmas
+     */
+    CardLabel.associate = function (models) {
+        CardLabel.belongsTo(models.cards, {
+            foreignKey : 'cardId',
+            as: 'labelCard',
+            onDelete: 'CASCADE'
+        });
+        CardLabel.belongsTo(models.labels, {
+            foreignKey : 'labelId',
+            as: 'cardLabel',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return CardLabel;
+}
@@ -14,14 +14,38 @@ module.exports = (sequelize, DataType) => {
         userId: {
             type: DataType.INTEGER
         },
+        createdBy: {
+            type: DataType.INTEGER
+        },
+        boardId: {
+            type: DataType.INTEGER
+        },
         title: {
             type: DataType.STRING
         },
         content: {
             type: DataType.STRING
         },
-        status: {
-            type: DataType.STRING,
+        statusId: {
+            type: DataType.INTEGER
+        },
+        position: {
+            type: DataType.INTEGER
+        },
+        dueAt: {
+            type: DataType.STRING
+        },
+        priority: {
+            type: DataType.STRING
+        },
+        searchText: {
+            type: DataType.TEXT
+        },
+        searchTitle: {
+            type: DataType.TEXT
+        },
+        deletedAt: {
+            type: DataType.STRING
         },
         createdAt: {            
             type: DataType.STRING
@@ -34,13 +58,52 @@ module.exports = (sequelize, DataType) => {
     });
 
     /**
-     * Como a entidade Cards possui uma chave estrangeira com o usuário, também é feita essa configuração e dada um nome para a mesma
+     * Como a entidade Cards possui chaves estrangeiras com o usuário, com o quadro e com o status, também são feitas essas configurações e dados nomes para as mesmas
+     * O usuário que cadastrou o card (createdBy) é mantido separado dos usuários responsáveis pelo card, que são associados através da entidade CardAssignee
+     * As etiquetas são associadas aos cards através da entidade CardLabel (relacionamento muitos para muitos)
      */
     Card.associate = function (models) {
         Card.belongsTo(models.users,{
             foreignKey : 'userId',
             as: 'userCard'
         });
+        Card.belongsTo(models.users,{
+            foreignKey : 'createdBy',
+            as: 'cardCreator'
+        });
+        Card.belongsToMany(models.users, {
+            through: models.card_assignees,
+            foreignKey: 'cardId',
+            otherKey: 'userId',
+            as: 'cardAssignees'
+        });
+        Card.belongsTo(models.boards,{
+            foreignKey : 'boardId',
+            as: 'cardBoard'
+        });
+        Card.belongsTo(models.statuses,{
+            foreignKey : 'statusId',
+            as: 'cardStatus'
+        });
+        Card.belongsToMany(models.labels, {
+            through: models.card_labels,
+            foreignKey: 'cardId',
+            otherKey: 'labelId',
+            as: 'cardLabels'
+        });
+    };
+
+    /**
+     * Remove o texto e o título de busca e a relevância calculada (uso interno da busca textual) das informações do card sempre que elas forem convertidas em JSON
+     */
+    Card.prototype.toJSON = function () {
+        const values = { ...this.get() };
+
+        delete values.searchText;
+        delete values.searchTitle;
+        delete values.searchScore;
+
+        return values;
     };
 
     return Card;
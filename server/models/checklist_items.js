@@ -0,0 +1,50 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade ChecklistItem (itens das checklists dos cards) pelo Sequelize
+     * Os itens são ordenados pela posição (iniciando em 0) dentro da sua checklist e a data de conclusão (doneAt) é preenchida quando o item é marcado como concluído
+     */
+    const ChecklistItem = sequelize.define('checklist_items', {
+        itemId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        checklistId: {
+            type: DataType.INTEGER
+        },
+        content: {
+            type: DataType.STRING
+        },
+        done: {
+            type: DataType.BOOLEAN
+        },
+        position: {
+            type: DataType.INTEGER
+        },
+        doneAt: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade ChecklistItem possui chave estrangeira com a checklist, também é feita essa configuração e dado um nome para a mesma
+     */
+    ChecklistItem.associate = function (models) {
+        ChecklistItem.belongsTo(models.checklists, {
+            foreignKey : 'checklistId',
+            as: 'itemChecklist',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return ChecklistItem;
+}
@@ -0,0 +1,46 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade Checklist (checklists dos cards) pelo Sequelize
+     * Um card pode ter várias checklists, cada uma com os seus itens ordenados
+     */
+    const Checklist = sequelize.define('checklists', {
+        checklistId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        cardId: {
+            type: DataType.INTEGER
+        },
+        title: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade Checklist possui chave estrangeira com o card, também é feita essa configuração e dado um nome para a mesma
+     * Os itens da checklist são removidos junto com ela
+     */
+    Checklist.associate = function (models) {
+        Checklist.belongsTo(models.cards, {
+            foreignKey : 'cardId',
+            as: 'checklistCard',
+            onDelete: 'CASCADE'
+        });
+        Checklist.hasMany(models.checklist_items, {
+            foreignKey : 'checklistId',
+            as: 'checklistItems'
+        });
+    };
+
+    return Checklist;
+}
@@ -0,0 +1,53 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade Comment (comentários dos cards) pelo Sequelize
+     * A data de edição (editedAt) é preenchida apenas quando o autor altera o comentário
+     */
+    const Comment = sequelize.define('comments', {
+        commentId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        cardId: {
+            type: DataType.INTEGER
+        },
+        userId: {
+            type: DataType.INTEGER
+        },
+        content: {
+            type: DataType.TEXT
+        },
+        editedAt: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade Comment possui chaves estrangeiras com o card e com o usuário autor do comentário, também são feitas essas configurações e dados nomes para as mesmas
+     * Se o autor for removido, o comentário é mantido sem a referência ao usuário
+     */
+    Comment.associate = function (models) {
+        Comment.belongsTo(models.cards, {
+            foreignKey : 'cardId',
+            as: 'commentCard',
+            onDelete: 'CASCADE'
+        });
+        Comment.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'commentUser',
+            onDelete: 'SET NULL'
+        });
+    };
+
+    return Comment;
+}
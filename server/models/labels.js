@@ -0,0 +1,50 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade Label (etiquetas) pelo Sequelize
+     * Cada etiqueta pertence a um quadro e pode ser associada a vários cards do quadro
+     */
+    const Label = sequelize.define('labels', {
+        labelId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        boardId: {
+            type: DataType.INTEGER
+        },
+        name: {
+            type: DataType.STRING
+        },
+        color: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade Label possui chave estrangeira com o quadro e é associada aos cards através da entidade CardLabel, também são feitas essas configurações e dados nomes para as mesmas
+     */
+    Label.associate = function (models) {
+        Label.belongsTo(models.boards, {
+            foreignKey : 'boardId',
+            as: 'labelBoard',
+            onDelete: 'CASCADE'
+        });
+        Label.belongsToMany(models.cards, {
+            through: models.card_labels,
+            foreignKey: 'labelId',
+            otherKey: 'cardId',
+            as: 'labelCards'
+        });
+    };
+
+    return Label;
+}
@@ -0,0 +1,62 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade MailOutbox (fila de saída dos emails) pelo Sequelize
+     * Cada registro representa um email a ser enviado, com a sua situação (pending, sent ou failed), a quantidade de tentativas, o erro da última tentativa e a data da próxima tentativa
+     * O conteúdo do email é montado no envio a partir do template e dos valores armazenados (variables), os valores sigilosos (secretVariables) são armazenados criptografados e removidos após o envio, a última tentativa ou a expiração do email (expiresAt)
+     */
+    const MailOutbox = sequelize.define('mail_outbox', {
+        mailId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        recipient: {
+            type: DataType.STRING
+        },
+        template: {
+            type: DataType.STRING
+        },
+        locale: {
+            type: DataType.STRING
+        },
+        subject: {
+            type: DataType.STRING
+        },
+        variables: {
+            type: DataType.TEXT
+        },
+        secretVariables: {
+            type: DataType.TEXT
+        },
+        expiresAt: {
+            type: DataType.STRING
+        },
+        status: {
+            type: DataType.STRING
+        },
+        attempts: {
+            type: DataType.INTEGER
+        },
+        errorMessage: {
+            type: DataType.STRING
+        },
+        nextAttemptAt: {
+            type: DataType.STRING
+        },
+        sentAt: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false,
+        freezeTableName: true
+    });
+
+    return MailOutbox;
+}
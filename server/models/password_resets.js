@@ -0,0 +1,44 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade PasswordReset pelo Sequelize
+     * Cada registro representa uma solicitação de recuperação de senha, o token enviado por email ao usuário é armazenado apenas no formato de hash
+     */
+    const PasswordReset = sequelize.define('password_resets', {
+        passwordResetId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        userId: {
+            type: DataType.INTEGER
+        },
+        tokenHash: {
+            type: DataType.STRING
+        },
+        expiresAt: {
+            type: DataType.STRING
+        },
+        usedAt: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade PasswordReset possui uma chave estrangeira com o usuário, também é feita essa configuração e dada um nome para a mesma
+     */
+    PasswordReset.associate = function (models) {
+        PasswordReset.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'userPasswordReset',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return PasswordReset;
+}
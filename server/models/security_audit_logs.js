@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade SecurityAuditLog (registro dos eventos de segurança dos usuários, como os bloqueios de login) pelo Sequelize
+     * Os registros apenas são cadastrados, nunca alterados
+     */
+    const SecurityAuditLog = sequelize.define('security_audit_logs', {
+        auditLogId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        userId: {
+            type: DataType.INTEGER
+        },
+        action: {
+            type: DataType.STRING
+        },
+        login: {
+            type: DataType.STRING
+        },
+        ip: {
+            type: DataType.STRING
+        },
+        details: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade SecurityAuditLog possui uma chave estrangeira com o usuário, também é feita essa configuração e dado um nome para a mesma
+     * Os registros são mantidos quando o usuário é removido
+     */
+    SecurityAuditLog.associate = function (models) {
+        SecurityAuditLog.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'auditLogUser',
+            onDelete: 'SET NULL'
+        });
+    };
+
+    return SecurityAuditLog;
+}
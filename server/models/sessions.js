@@ -0,0 +1,51 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade Session pelo Sequelize
+     * Cada registro representa um refresh token emitido para o usuário, que é armazenado apenas no formato de hash
+     * Os refresh tokens gerados a partir de um mesmo login compartilham o mesmo familyId, que identifica a sessão e é informado no token de acesso
+     */
+    const Session = sequelize.define('sessions', {
+        sessionId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        userId: {
+            type: DataType.INTEGER
+        },
+        familyId: {
+            type: DataType.STRING
+        },
+        refreshTokenHash: {
+            type: DataType.STRING
+        },
+        expiresAt: {
+            type: DataType.STRING
+        },
+        rotatedAt: {
+            type: DataType.STRING
+        },
+        revokedAt: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade Session possui uma chave estrangeira com o usuário, também é feita essa configuração e dada um nome para a mesma
+     */
+    Session.associate = function (models) {
+        Session.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'userSession',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return Session;
+}
@@ -0,0 +1,56 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade Status pelo Sequelize
+     * Cada status representa uma coluna do quadro de cards (ex: TO-DO, DOING, DONE), com o seu nome, a sua ordem de exibição, a sua cor e se é um status de conclusão (done), cujos cards não são considerados atrasados
+     * Os status padrão (boardId nulo) estão disponíveis em todos os quadros, os demais pertencem ao quadro em que foram cadastrados
+     */
+    const Status = sequelize.define('statuses', {
+        statusId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        boardId: {
+            type: DataType.INTEGER
+        },
+        name: {
+            type: DataType.STRING
+        },
+        sortOrder: {
+            type: DataType.INTEGER
+        },
+        color: {
+            type: DataType.STRING
+        },
+        done: {
+            type: DataType.BOOLEAN,
+            defaultValue: false
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade Cards possui uma chave estrangeira com o status e o status possui chave estrangeira com o quadro, também são feitas essas configurações e dados nomes para as mesmas
+     */
+    Status.associate = function (models) {
+        Status.hasMany(models.cards, {
+            foreignKey : 'statusId',
+            as: 'statusCards'
+        });
+        Status.belongsTo(models.boards, {
+            foreignKey : 'boardId',
+            as: 'statusBoard',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return Status;
+}
@@ -36,6 +36,20 @@ module.exports = (sequelize, DataType) => {
         status: {
             type: DataType.STRING,
         },
+        role: {
+            type: DataType.STRING,
+            defaultValue: 'user'
+        },
+        verificationSentAt: {
+            type: DataType.STRING
+        },
+        failedLoginAttempts: {
+            type: DataType.INTEGER,
+            defaultValue: 0
+        },
+        lockedUntil: {
+            type: DataType.STRING
+        },
         createdAt: {            
             type: DataType.STRING
         },
@@ -46,5 +60,16 @@ module.exports = (sequelize, DataType) => {
             timestamps: false
         });
 
+    /**
+     * Remove a senha (hash) das informações do usuário sempre que elas forem convertidas em JSON, evitando que ela seja enviada nas respostas da API
+     */
+    User.prototype.toJSON = function () {
+        const values = { ...this.get() };
+
+        delete values.password;
+
+        return values;
+    };
+
     return User;
 }
\ No newline at end of file
@@ -0,0 +1,65 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade WebhookDelivery (entregas dos eventos dos cards aos webhooks) pelo Sequelize
+     * Cada entrega guarda o conteúdo enviado (payload), a situação (pending, success ou failed), a quantidade de tentativas, o resultado da última tentativa e a data da próxima tentativa
+     */
+    const WebhookDelivery = sequelize.define('webhook_deliveries', {
+        deliveryId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        webhookId: {
+            type: DataType.INTEGER
+        },
+        cardEventId: {
+            type: DataType.INTEGER
+        },
+        event: {
+            type: DataType.STRING
+        },
+        payload: {
+            type: DataType.TEXT
+        },
+        status: {
+            type: DataType.STRING
+        },
+        attempts: {
+            type: DataType.INTEGER
+        },
+        responseStatus: {
+            type: DataType.INTEGER
+        },
+        errorMessage: {
+            type: DataType.STRING
+        },
+        nextAttemptAt: {
+            type: DataType.STRING
+        },
+        deliveredAt: {
+            type: DataType.STRING
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade WebhookDelivery possui chave estrangeira com o webhook, também é feita essa configuração e dado um nome para a mesma
+     */
+    WebhookDelivery.associate = function (models) {
+        WebhookDelivery.belongsTo(models.webhooks, {
+            foreignKey : 'webhookId',
+            as: 'deliveryWebhook',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return WebhookDelivery;
+}
@@ -0,0 +1,75 @@
+module.exports = (sequelize, DataType) => {
+
+    /**
+     * Configuração da entidade Webhook (endereços cadastrados pelos usuários para receber os eventos dos cards) pelo Sequelize
+     * Os eventos que o webhook recebe (events) são armazenados separados por vírgula e o quadro (boardId) é opcional, se não for informado o webhook recebe os eventos de todos os quadros do usuário
+     */
+    const Webhook = sequelize.define('webhooks', {
+        webhookId: {
+            type: DataType.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        userId: {
+            type: DataType.INTEGER
+        },
+        boardId: {
+            type: DataType.INTEGER
+        },
+        url: {
+            type: DataType.STRING
+        },
+        events: {
+            type: DataType.STRING
+        },
+        secret: {
+            type: DataType.STRING
+        },
+        active: {
+            type: DataType.BOOLEAN
+        },
+        createdAt: {            
+            type: DataType.STRING
+        },
+        updatedAt: {            
+            type: DataType.STRING
+        }
+    }, {
+        timestamps: false
+    });
+
+    /**
+     * Como a entidade Webhook possui chaves estrangeiras com o usuário e com o quadro, também são feitas essas configurações e dados nomes para as mesmas
+     * As entregas do webhook são removidas junto com ele
+     */
+    Webhook.associate = function (models) {
+        Webhook.belongsTo(models.users, {
+            foreignKey : 'userId',
+            as: 'webhookUser',
+            onDelete: 'CASCADE'
+        });
+        Webhook.belongsTo(models.boards, {
+            foreignKey : 'boardId',
+            as: 'webhookBoard',
+            onDelete: 'CASCADE'
+        });
+        Webhook.hasMany(models.webhook_deliveries, {
+            foreignKey : 'webhookId',
+            as: 'webhookDeliveries'
+        });
+    };
+
+    /**
+     * Remove o segredo de assinatura das informações do webhook e converte os eventos em uma lista sempre que elas forem convertidas em JSON
+     */
+    Webhook.prototype.toJSON = function () {
+        const values = { ...this.get() };
+
+        delete values.secret;
+        values.events = values.events ? values.events.split(',') : [];
+
+        return values;
+    };
+
+    return Webhook;
+}
@@ -0,0 +1,132 @@
+const Sequelize = require('sequelize');
+const Attachment = require('../models').attachments;
+const Card = require('../models').cards;
+const User = require('../models').users;
+//variável que faz a associação da entidade usuário com o anexo, permitindo assim trazer nos resultados das buscas as informações do usuário que enviou cada arquivo (sem a senha)
+const attachmentUser = {
+    model: User,
+    as: 'attachmentUser',
+    attributes: ['userId', 'name', 'login']
+};
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade Attachment (arquivos anexados aos cards)
+ */
+class AttachmentPersistence {
+
+    /**
+     * Método utilizado para cadastrar um anexo na base de dados
+     * @param attachment dados do anexo a ser cadastrado
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do anexo cadastrado
+     */
+    async createAttachment(attachment, transaction) {
+
+        //cria o anexo na base de dados
+        const newAttachment = await Attachment.create(attachment, transaction);
+
+        //retorna o anexo criado
+        return newAttachment;
+    }
+
+    /**
+     * Método que realiza a busca dos anexos de um card, dos mais recentes para os mais antigos
+     * @param cardId id do card
+     * @returns uma lista de anexos ou uma lista vazia caso o card não possua anexos
+     */
+    async searchCardAttachments(cardId) {
+
+        const Op = Sequelize.Op;
+
+        //faz a busca dos anexos do card incluindo as informações do usuário que enviou cada arquivo
+        return await Attachment.findAll({
+            where: { cardId: { [Op.eq]: cardId } },
+            include: [attachmentUser],
+            order: [['attachmentId', 'DESC']]
+        });
+    }
+
+    /**
+     * Método que realiza a busca de um anexo de um card por meio do seu id
+     * @param cardId id do card
+     * @param attachmentId id do anexo
+     * @returns retorna as informações do anexo ou null caso não seja encontrado ou não pertença ao card
+     */
+    async findCardAttachment(cardId, attachmentId) {
+
+        const Op = Sequelize.Op;
+        //busca o anexo por meio do seu id, desde que pertença ao card informado
+        const attachmentCollection = await Attachment.findOne({
+            where: {
+                attachmentId: { [Op.eq]: attachmentId },
+                cardId: { [Op.eq]: cardId }
+            },
+            include: [attachmentUser]
+        });
+
+        //se encontrou retorna as informações da busca
+        if(attachmentCollection) {
+
+            return attachmentCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método que realiza a busca dos anexos dos cards que atendem a um filtro, utilizado para obter os arquivos a serem removidos do armazenamento antes da remoção dos cards
+     * Exemplo: { boardId: 1 } busca os anexos de todos os cards do quadro 1
+     * @param cardFilter cláusula where aplicada aos cards
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns uma lista de anexos ou uma lista vazia caso os cards não possuam anexos
+     */
+    async searchCardsAttachments(cardFilter, transaction) {
+
+        //faz a busca dos anexos, filtrando pelos cards associados a cada anexo
+        return await Attachment.findAll({
+            include: [{
+                model: Card,
+                as: 'attachmentCard',
+                attributes: [],
+                where: cardFilter
+            }],
+            ...transaction
+        });
+    }
+
+    /**
+     * Método que soma o tamanho em bytes de todos os arquivos enviados por um usuário, utilizado no controle da cota de armazenamento
+     * @param userId id do usuário
+     * @returns total em bytes dos arquivos enviados pelo usuário
+     */
+    async sumUserAttachmentsSize(userId) {
+
+        const Op = Sequelize.Op;
+        //soma os tamanhos dos arquivos do usuário
+        const totalSize = await Attachment.sum('size', {
+            where: { userId: { [Op.eq]: userId } }
+        });
+
+        //se o usuário ainda não enviou arquivos, a soma é nula
+        return Number(totalSize) || 0;
+    }
+
+    /**
+     * Método utilizado para remover um anexo na base de dados
+     * @param attachment anexo a ser removido, obtido com o método findCardAttachment
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do anexo removido
+     */
+    async deleteAttachment(attachment, transaction) {
+
+        //remove o anexo da base de dados
+        await attachment.destroy(transaction);
+
+        //retorna o anexo removido
+        return attachment;
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new AttachmentPersistence();
@@ -0,0 +1,371 @@
+const Sequelize = require('sequelize');
+const Board = require('../models').boards;
+const BoardMember = require('../models').board_members;
+const Card = require('../models').cards;
+const CardLabel = require('../models').card_labels;
+const Label = require('../models').labels;
+const Status = require('../models').statuses;
+const User = require('../models').users;
+const { invalidateBoardMemberships } = require('../helpers/realtime_helpers');
+//variável que faz a associação da entidade usuário com o membro do quadro, permitindo assim trazer nos resultados das buscas as informações de cada membro (sem a senha)
+const memberUser = {
+    model: User,
+    as: 'memberUser',
+    attributes: ['userId', 'name', 'mail', 'login']
+};
+
+/**
+ * Função que descarta os quadros em cache dos clientes de eventos em tempo real cujos quadros foram alterados
+ * @param userIds ids dos usuários afetados, se não forem informados os quadros de todos os clientes são descartados
+ * @param transaction instância da transação que tá controlando a operação
+ */
+function refreshRealtimeMemberships(userIds, transaction) {
+
+    //se a operação é controlada por uma transação, o cache é descartado apenas quando ela for confirmada
+    if(transaction && transaction.transaction) {
+
+        transaction.transaction.afterCommit(() => invalidateBoardMemberships(userIds));
+    }
+    else {
+
+        invalidateBoardMemberships(userIds);
+    }
+}
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações das Entidades Board (quadros) e BoardMember (membros dos quadros)
+ */
+class BoardPersistence {
+
+    /**
+     * Método utilizado para cadastrar um quadro na base de dados, já incluindo o usuário informado como dono (owner) do quadro
+     * @param board dados do quadro a ser cadastrado 
+     * @param userId id do usuário que cadastrou o quadro e que será o seu dono
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do quadro cadastrado
+     */
+    async createBoard(board, userId, transaction) {
+
+        //cria o quadro na base de dados
+        const newBoard = await Board.create({ ...board, createdBy: userId }, transaction);
+
+        //inclui o usuário como dono do quadro
+        await BoardMember.create({
+            boardId: newBoard.boardId,
+            userId: userId,
+            role: 'owner',
+            createdAt: board.createdAt,
+            updatedAt: board.updatedAt
+        }, transaction);
+
+        //o dono passa a receber os eventos do novo quadro
+        refreshRealtimeMemberships([userId], transaction);
+
+        //retorna o quadro criado
+        return newBoard;
+    }
+
+    /**
+     * Método que realiza uma busca de todos os quadros dos quais o usuário é membro
+     * @param userId id do usuário
+     * @returns uma lista de quadros, cada um com o papel do usuário no quadro, ou uma lista vazia caso não seja encontrado
+     */
+    async searchUserBoards(userId) {
+
+        const Op = Sequelize.Op;
+        //busca os quadros incluindo apenas o registro de membro do próprio usuário, que informa o seu papel no quadro
+        const boardsCollection = await Board.findAll({
+            include: [{
+                model: BoardMember,
+                as: 'boardMembers',
+                attributes: ['role'],
+                where: { userId: { [Op.eq]: userId } }
+            }],
+            order: [['personal', 'DESC'], ['name', 'ASC']]
+        });
+
+        //retorna uma lista com as informações dos quadros
+        return boardsCollection;
+    }
+
+    /**
+     * Método que realiza uma busca dos ids dos quadros dos quais o usuário é membro
+     * @param userId id do usuário
+     * @returns uma lista com os ids dos quadros ou uma lista vazia caso não seja encontrado
+     */
+    async searchUserBoardIds(userId) {
+
+        const Op = Sequelize.Op;
+        //busca apenas o id do quadro de cada registro de membro do usuário
+        const boardMembersCollection = await BoardMember.findAll({
+            attributes: ['boardId'],
+            where: { userId: { [Op.eq]: userId } }
+        });
+
+        //retorna uma lista com os ids dos quadros
+        return boardMembersCollection.map(boardMember => boardMember.boardId);
+    }
+
+    /**
+     * Método que realiza a busca de quadro por meio do seu id
+     * @param boardId id do quadro a ser buscado 
+     * @returns retorna as informações do quadro ou null caso não seja encontrado
+     */
+    async findBoardById(boardId) {
+
+        //realiza a busca do quadro por meio do seu id
+        const boardCollection = await Board.findByPk(boardId);
+
+        //se encontrou retorna as informações da busca
+        if(boardCollection) {
+
+            return boardCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método que realiza a busca do quadro pessoal de um usuário
+     * @param userId id do usuário
+     * @returns retorna as informações do quadro ou null caso não seja encontrado
+     */
+    async findPersonalBoard(userId) {
+
+        //busca os quadros pessoais do usuário
+        const boardsCollection = await this.searchPersonalBoards(userId);
+
+        //se encontrou retorna as informações do primeiro quadro
+        if(boardsCollection.length > 0) {
+
+            return boardsCollection[0];
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método que realiza a busca dos quadros pessoais de um usuário
+     * @param userId id do usuário
+     * @returns uma lista de quadros pessoais do usuário
+     */
+    async searchPersonalBoards(userId) {
+
+        const Op = Sequelize.Op;
+
+        //busca os quadros pessoais cadastrados para o usuário, os demais donos desses quadros não são considerados
+        return await Board.findAll({
+            where: {
+                personal: { [Op.eq]: true },
+                createdBy: { [Op.eq]: userId }
+            },
+            order: [['boardId', 'ASC']]
+        });
+    }
+
+    /**
+     * Método utilizado para alterar um quadro na base de dados
+     * @param boardId id do quadro a ser atualizado
+     * @param board dados do quadro a ser alterado 
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do quadro alterado ou null se o quadro não foi encontrado
+     */
+    async updateBoard(boardId, board, transaction) {
+
+        //faz a busca do quadro com base no id para verificar se o mesmo existe na base de dados
+        const boardCollection = await Board.findByPk(boardId);
+
+        //se encontrou
+        if(boardCollection) {
+
+            //atualiza as informações do quadro com base nos dados informados como parâmetro
+            await boardCollection.update(board, transaction);
+
+            //retorna o quadro com as informações atualizadas
+            return boardCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método utilizado para remover um quadro na base de dados, junto com os seus cards, etiquetas e membros
+     * @param boardId id do quadro a ser removido
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do quadro removido ou null se o quadro não foi encontrado
+     */
+    async deleteBoard(boardId, transaction) {
+
+        const Op = Sequelize.Op;
+        //faz a busca do quadro com base no id para verificar se o mesmo existe na base de dados
+        const boardCollection = await Board.findByPk(boardId);
+
+        //se encontrou
+        if(boardCollection) {
+
+            //busca as etiquetas do quadro, que serão removidas junto com as suas associações com os cards
+            const labels = await Label.findAll({ attributes: ['labelId'], where: { boardId: { [Op.eq]: boardId } }, ...transaction });
+
+            //remove as associações das etiquetas, os cards, as etiquetas, os status e os membros do quadro
+            await CardLabel.destroy({ where: { labelId: { [Op.in]: labels.map(label => label.labelId) } }, ...transaction });
+            await Card.destroy({ where: { boardId: { [Op.eq]: boardId } }, ...transaction });
+            await Label.destroy({ where: { boardId: { [Op.eq]: boardId } }, ...transaction });
+            await Status.destroy({ where: { boardId: { [Op.eq]: boardId } }, ...transaction });
+            await BoardMember.destroy({ where: { boardId: { [Op.eq]: boardId } }, ...transaction });
+            //remove o cadastro do quadro na base de dados
+            await boardCollection.destroy(transaction);
+
+            //nenhum cliente conectado deve continuar recebendo os eventos do quadro removido
+            refreshRealtimeMemberships(null, transaction);
+
+            //retorna o quadro removido
+            return boardCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método utilizado para incluir um membro em um quadro
+     * @param boardMember dados do membro (boardId, userId e role)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do membro cadastrado
+     */
+    async createBoardMember(boardMember, transaction) {
+
+        //cria o membro na base de dados
+        const newBoardMember = await BoardMember.create(boardMember, transaction);
+
+        //o novo membro passa a receber os eventos do quadro
+        refreshRealtimeMemberships([newBoardMember.userId], transaction);
+
+        //retorna o membro criado
+        return newBoardMember;
+    }
+
+    /**
+     * Método que realiza uma busca de todos os membros de um quadro
+     * @param boardId id do quadro
+     * @returns uma lista de membros com as informações de cada usuário
+     */
+    async searchBoardMembers(boardId) {
+
+        const Op = Sequelize.Op;
+
+        //busca os membros do quadro incluindo as informações de cada usuário
+        return await BoardMember.findAll({
+            where: { boardId: { [Op.eq]: boardId } },
+            include: [memberUser],
+            order: [['boardMemberId', 'ASC']]
+        });
+    }
+
+    /**
+     * Método que realiza a busca de um membro do quadro por meio do id do quadro e do usuário
+     * @param boardId id do quadro
+     * @param userId id do usuário
+     * @returns retorna as informações do membro ou null caso o usuário não seja membro do quadro
+     */
+    async findBoardMember(boardId, userId) {
+
+        const Op = Sequelize.Op;
+        //busca o registro de membro do usuário no quadro
+        const boardMemberCollection = await BoardMember.findOne({
+            where: {
+                boardId: { [Op.eq]: boardId },
+                userId: { [Op.eq]: userId }
+            },
+            include: [memberUser]
+        });
+
+        //se encontrou retorna as informações da busca
+        if(boardMemberCollection) {
+
+            return boardMemberCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para alterar o papel de um membro do quadro
+     * @param boardId id do quadro
+     * @param userId id do usuário
+     * @param boardMember dados do membro a serem alterados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do membro alterado ou null se o usuário não é membro do quadro
+     */
+    async updateBoardMember(boardId, userId, boardMember, transaction) {
+
+        //faz a busca do membro para verificar se o mesmo existe na base de dados
+        const boardMemberCollection = await this.findBoardMember(boardId, userId);
+
+        //se encontrou
+        if(boardMemberCollection) {
+
+            //atualiza as informações do membro com base nos dados informados como parâmetro
+            await boardMemberCollection.update(boardMember, transaction);
+
+            //retorna o membro com as informações atualizadas
+            return boardMemberCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método utilizado para remover um membro do quadro
+     * @param boardId id do quadro
+     * @param userId id do usuário
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do membro removido ou null se o usuário não é membro do quadro
+     */
+    async deleteBoardMember(boardId, userId, transaction) {
+
+        //faz a busca do membro para verificar se o mesmo existe na base de dados
+        const boardMemberCollection = await this.findBoardMember(boardId, userId);
+
+        //se encontrou
+        if(boardMemberCollection) {
+
+            //remove o membro do quadro
+            await boardMemberCollection.destroy(transaction);
+
+            //o membro removido deixa de receber os eventos do quadro
+            refreshRealtimeMemberships([boardMemberCollection.userId], transaction);
+
+            //retorna o membro removido
+            return boardMemberCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método que conta o total de donos (owner) de um quadro
+     * @param boardId id do quadro
+     * @returns total de donos do quadro
+     */
+    async countBoardOwners(boardId) {
+
+        const Op = Sequelize.Op;
+
+        //conta os membros do quadro com o papel de dono
+        return await BoardMember.count({
+            where: {
+                boardId: { [Op.eq]: boardId },
+                role: { [Op.eq]: 'owner' }
+            }
+        });
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new BoardPersistence();
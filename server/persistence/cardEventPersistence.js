@@ -0,0 +1,156 @@
+const Sequelize = require('sequelize');
+const CardEvent = require('../models').card_events;
+const BoardMember = require('../models').board_members;
+const User = require('../models').users;
+const { getPagination, getPagingData } = require('../helpers/pagination_helpers');
+const { publishCardEvents, releasePendingCardEvents, setPendingCardEvents, trackPendingCardEvents } = require('../helpers/realtime_helpers');
+const { dispatchWebhookDeliveries, enqueueWebhookDeliveries } = require('../helpers/webhook_helpers');
+//variável que faz a associação da entidade usuário com o evento, permitindo assim trazer nos resultados das buscas as informações do usuário que realizou a alteração (sem a senha)
+const eventUser = {
+    model: User,
+    as: 'eventUser',
+    attributes: ['userId', 'name', 'login']
+};
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade CardEvent (histórico de alterações dos cards)
+ * Os eventos apenas são cadastrados e consultados, nunca alterados
+ */
+class CardEventPersistence {
+
+    /**
+     * Método utilizado para cadastrar eventos no histórico dos cards
+     * Os eventos cadastrados também são enviados aos clientes conectados em tempo real e aos webhooks dos usuários, somente após a transação ser confirmada
+     * @param events lista de eventos a serem cadastrados
+     * @param transaction instância da transação que tá controlando a operação
+     */
+    async createCardEvents(events, transaction) {
+
+        //se não houver eventos, não há nada a ser cadastrado
+        if(events.length === 0) {
+
+            return;
+        }
+
+        //registra os eventos como pendentes até que sejam enviados aos clientes conectados, já que os seus ids são gerados antes da confirmação da transação
+        const pending = trackPendingCardEvents();
+        let newEvents;
+
+        try {
+
+            //cadastra os eventos na base de dados
+            newEvents = await CardEvent.bulkCreate(events, transaction);
+            setPendingCardEvents(pending, newEvents);
+            //cadastra na mesma transação as entregas dos eventos aos webhooks
+            await enqueueWebhookDeliveries(newEvents, transaction);
+        }
+        catch(error) {
+
+            releasePendingCardEvents(pending);
+            throw error;
+        }
+
+        //se a operação é controlada por uma transação, os eventos são enviados apenas se ela for confirmada
+        if(transaction && transaction.transaction) {
+
+            transaction.transaction.afterCommit(() => {
+
+                releasePendingCardEvents(pending);
+                publishCardEvents(newEvents);
+                dispatchWebhookDeliveries();
+            });
+        }
+        else {
+
+            releasePendingCardEvents(pending);
+            publishCardEvents(newEvents);
+            dispatchWebhookDeliveries();
+        }
+    }
+
+    /**
+     * Método que realiza a busca dos eventos de uma lista de quadros cadastrados após um evento, em ordem cronológica
+     * Utilizado para enviar os eventos perdidos aos clientes que reconectam na conexão de eventos em tempo real
+     * @param boardIds ids dos quadros
+     * @param lastEventId id do último evento recebido pelo cliente
+     * @param limit quantidade máxima de eventos a serem buscados
+     * @returns uma lista de eventos ou uma lista vazia caso não haja eventos após o evento informado
+     */
+    async searchCardEventsAfter(boardIds, lastEventId, limit) {
+
+        const Op = Sequelize.Op;
+
+        //busca os eventos dos quadros com id maior que o do último evento recebido
+        return await CardEvent.findAll({
+            where: {
+                boardId: { [Op.in]: boardIds },
+                cardEventId: { [Op.gt]: lastEventId }
+            },
+            order: [['cardEventId', 'ASC']],
+            limit
+        });
+    }
+
+    /**
+     * Método que obtém o id do último evento cadastrado no histórico dos cards
+     * @returns id do último evento ou 0 se não houver eventos cadastrados
+     */
+    async findLastCardEventId() {
+
+        //busca o maior id dos eventos cadastrados
+        const lastEventId = await CardEvent.max('cardEventId');
+
+        return Number(lastEventId) || 0;
+    }
+
+    /**
+     * Método que realiza a busca do histórico de alterações de um card, em ordem cronológica
+     * @param cardId id do card
+     * @returns uma lista de eventos do card ou uma lista vazia caso não seja encontrado
+     */
+    async searchCardHistory(cardId) {
+
+        const Op = Sequelize.Op;
+
+        //busca os eventos do card incluindo as informações do usuário que realizou cada alteração
+        return await CardEvent.findAll({
+            where: { cardId: { [Op.eq]: cardId } },
+            include: [eventUser],
+            order: [['cardEventId', 'ASC']]
+        });
+    }
+
+    /**
+     * Método que realiza uma busca utilizando paginação dos eventos dos cards dos quadros dos quais o usuário é membro, dos mais recentes para os mais antigos
+     * @param userId id do usuário
+     * @param page página atual
+     * @param size tamanho de registros por página
+     * @returns uma lista de eventos junto com as informações da paginação
+     */
+    async searchUserActivity(userId, page, size) {
+
+        const Op = Sequelize.Op;
+        //calcula o range dos registros a serem buscados com base na página atual e tamanho de registros por página
+        const { limit, offset } = getPagination(page - 1, size);
+        //busca os quadros dos quais o usuário é membro
+        const boardMembers = await BoardMember.findAll({
+            attributes: ['boardId'],
+            where: { userId: { [Op.eq]: userId } }
+        });
+
+        //faz a busca dos eventos dos quadros do usuário
+        const eventsCollection = await CardEvent.findAndCountAll({
+            where: { boardId: { [Op.in]: boardMembers.map(boardMember => boardMember.boardId) } },
+            include: [eventUser],
+            order: [['cardEventId', 'DESC']],
+            limit,
+            offset
+        });
+
+        //retorna uma lista com as informações dos eventos junto com as informações da paginação
+        return getPagingData(eventsCollection, page, limit);
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new CardEventPersistence();
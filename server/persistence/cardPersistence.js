@@ -1,14 +1,259 @@
 const Sequelize = require('sequelize');
 const Card = require('../models').cards;
+const Board = require('../models').boards;
+const BoardMember = require('../models').board_members;
+const CardAssignee = require('../models').card_assignees;
 const User = require('../models').users;
+const Status = require('../models').statuses;
+const Label = require('../models').labels;
+const { getPagination, getPagingData, getQueryFilter } = require('../helpers/pagination_helpers');
+const { getCardSearchText, getCardSearchTitle, getSearchScoreExpression } = require('../helpers/search_helpers');
+const { getPriorityLevelExpression } = require('../helpers/card_priority_helpers');
+//subconsulta dos status de conclusão, cujos cards não são considerados atrasados
+const DONE_STATUSES_SUBQUERY = 'SELECT statuses.statusId FROM statuses WHERE statuses.done = true';
+//atributos dos usuários trazidos nas associações com os cards, a senha do usuário nunca é trazida
+const userAttributes = { exclude: ['password'] };
 //variável que faz a associação da entidade usuário com o card, permitindo assim trazer nos resultados das buscas dos cards as informações do usuário associado a cada card
 const userCard = {
     model: User,
-    as: 'userCard'
+    as: 'userCard',
+    attributes: userAttributes
 };
+//variável que faz a associação do usuário que cadastrou o card (createdBy)
+const cardCreator = {
+    model: User,
+    as: 'cardCreator',
+    attributes: userAttributes
+};
+//variável que faz a associação dos usuários responsáveis pelo card (sem as informações da tabela card_assignees)
+const cardAssignees = {
+    model: User,
+    as: 'cardAssignees',
+    attributes: userAttributes,
+    through: { attributes: [] }
+};
+//variável que faz a associação da entidade status com o card, permitindo assim trazer nos resultados das buscas dos cards as informações do status (coluna do quadro) de cada card
+const cardStatus = {
+    model: Status,
+    as: 'cardStatus'
+};
+//variável que faz a associação da entidade etiqueta com o card, permitindo assim trazer nos resultados das buscas dos cards as etiquetas de cada card (sem as informações da tabela card_labels)
+const cardLabels = {
+    model: Label,
+    as: 'cardLabels',
+    attributes: ['labelId', 'name', 'color'],
+    through: { attributes: [] }
+};
+//atributo calculado com o total de comentários de cada card, trazido nas buscas de cards
+const commentsCount = [Sequelize.literal('(SELECT COUNT(comments.commentId) FROM comments WHERE comments.cardId = cards.cardId)'), 'commentsCount'];
+//atributos calculados com o progresso das checklists de cada card (total de itens e total de itens concluídos, ex: 3 de 5), trazidos nas buscas de cards
+const checklistItemsCount = [Sequelize.literal('(SELECT COUNT(checklist_items.itemId) FROM checklist_items INNER JOIN checklists ON checklists.checklistId = checklist_items.checklistId WHERE checklists.cardId = cards.cardId)'), 'checklistItemsCount'];
+const checklistItemsDone = [Sequelize.literal('(SELECT COUNT(checklist_items.itemId) FROM checklist_items INNER JOIN checklists ON checklists.checklistId = checklist_items.checklistId WHERE checklists.cardId = cards.cardId AND checklist_items.done = 1)'), 'checklistItemsDone'];
+//atributos dos cards trazidos nas buscas, incluindo os atributos calculados
+const cardAttributes = { include: [commentsCount, checklistItemsCount, checklistItemsDone] };
+//associações trazidas junto com os cards nas buscas: dono, quem cadastrou, responsáveis, status e etiquetas
+const cardIncludes = [userCard, cardCreator, cardAssignees, cardStatus, cardLabels];
+//colunas utilizadas na busca por texto dos cards
+const columns = ['title', 'content'];
+//colunas pelas quais os cards podem ser ordenados
+const SORT_COLUMNS = ['createdAt', 'updatedAt', 'title', 'position', 'dueAt', 'priority'];
 //variável de instância da própria classe
 let instance = null;
 
+/**
+ * Função que monta a cláusula where das buscas de cards com base nos filtros informados
+ * Os cards que estão na lixeira (deletedAt preenchido) nunca são retornados
+ * @param filters filtros da busca, os filtros com valor "undefined" são ignorados
+ * - userId, boardId e statusId: filtros por igualdade
+ * - labelId: id de uma etiqueta, retornando apenas os cards associados a ela
+ * - assigneeId: id de um usuário, retornando apenas os cards atribuídos a ele
+ * - memberId: id de um usuário, retornando apenas os cards dos quadros dos quais ele é membro
+ * - search: texto buscado no título e no conteúdo dos cards
+ * - createdFrom, createdTo, updatedFrom, updatedTo, dueFrom e dueTo: períodos de cadastro, de alteração e de entrega (no formato de armazenamento da base de dados)
+ * @returns cláusula where da busca
+ */
+function getCardsFilter(filters) {
+
+    //armazena o operador de busca que pode ser AND ou OR
+    const Op = Sequelize.Op;
+    //desconsidera os cards que estão na lixeira
+    let where = { deletedAt: { [Op.is]: null } };
+
+    //percorre os filtros por igualdade aceitos na busca
+    ['userId', 'boardId', 'statusId'].forEach(field => {
+
+        //se o filtro foi informado, configura para que sejam retornados apenas os cards com o valor informado
+        if(filters[field]) {
+
+            where = {...where, [field]: {
+                [Op.and]: {[Op.eq]: filters[field]}
+            }};
+        }
+    });
+
+    //condições que são combinadas com o operador AND, utilizadas pelos filtros que podem ser aplicados sobre a mesma coluna
+    const conditions = [];
+    //monta a condição que verifica se o valor de uma coluna está no resultado de uma subconsulta
+    const inSubquery = (column, subquery, value) => ({ [column]: { [Op.in]: Sequelize.literal(`(${subquery} ${Card.sequelize.escape(Number(value))})`) } });
+
+    //se a etiqueta foi informada, configura para que sejam retornados apenas os cards associados a ela
+    if(filters.labelId) {
+
+        conditions.push(inSubquery('cardId', 'SELECT card_labels.cardId FROM card_labels WHERE card_labels.labelId =', filters.labelId));
+    }
+
+    //se o responsável foi informado, configura para que sejam retornados apenas os cards atribuídos a ele
+    if(filters.assigneeId) {
+
+        conditions.push(inSubquery('cardId', 'SELECT card_assignees.cardId FROM card_assignees WHERE card_assignees.userId =', filters.assigneeId));
+    }
+
+    //se o membro foi informado, configura para que sejam retornados apenas os cards dos quadros dos quais ele é membro
+    if(filters.memberId) {
+
+        conditions.push(inSubquery('boardId', 'SELECT board_members.boardId FROM board_members WHERE board_members.userId =', filters.memberId));
+    }
+
+    //percorre os filtros por período (data de cadastro, de alteração e de entrega)
+    [['createdAt', 'createdFrom', 'createdTo'], ['updatedAt', 'updatedFrom', 'updatedTo'], ['dueAt', 'dueFrom', 'dueTo']].forEach(([field, from, to]) => {
+
+        //monta a condição com as datas inicial e final que foram informadas
+        const period = {
+            ...(filters[from] ? { [Op.gte]: filters[from] } : {}),
+            ...(filters[to] ? { [Op.lte]: filters[to] } : {})
+        };
+
+        if(Object.getOwnPropertySymbols(period).length > 0) {
+
+            where = {...where, [field]: period};
+        }
+    });
+
+    //se o texto de busca foi informado, busca o texto no título e no conteúdo dos cards
+    if(filters.search) {
+
+        conditions.push(getQueryFilter(columns, filters.search).where);
+    }
+
+    //se houver alguma condição, combina todas elas com o operador AND
+    if(conditions.length > 0) {
+
+        where = {...where, [Op.and]: conditions};
+    }
+
+    return where;
+}
+
+/**
+ * Função que monta a ordenação das buscas de cards
+ * Por padrão os cards são ordenados pela sua posição na coluna
+ * Na ordenação pela data de entrega ou pela prioridade, os cards sem esses campos ficam sempre no final e a prioridade é ordenada pelo seu nível (de low até urgent)
+ * @param sorting configuração da ordenação, no formato { sort, order }, onde sort é a coluna (createdAt, updatedAt, title, position, dueAt ou priority) e order a direção (asc ou desc)
+ * @returns configuração da cláusula order da busca
+ */
+function getCardsOrder(sorting = {}) {
+
+    //se a coluna não for informada ou não for permitida, ordena pela posição
+    const sort = SORT_COLUMNS.includes(sorting.sort) ? sorting.sort : 'position';
+    const direction = String(sorting.order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+
+    //se a ordenação é pela data de entrega ou pela prioridade, que são opcionais
+    if(sort === 'dueAt' || sort === 'priority') {
+
+        //os cards sem o campo preenchido são colocados no final, independente da direção
+        const emptyLast = [Sequelize.literal(`CASE WHEN cards.${sort} IS NULL THEN 1 ELSE 0 END`), 'ASC'];
+        //a prioridade é ordenada pelo seu nível e não pelo seu nome
+        const column = sort === 'priority' ? Sequelize.literal(getPriorityLevelExpression('cards.priority')) : sort;
+
+        return [emptyLast, [column, direction], ['cardId', direction]];
+    }
+
+    //o id do card é utilizado como critério de desempate, mantendo a ordem estável entre as páginas
+    return [[sort, direction], ['cardId', direction]];
+}
+
+/**
+ * Função que busca os ids dos quadros dos quais o usuário é membro, utilizada nas buscas que percorrem todos os quadros do usuário
+ * @param userId id do usuário
+ * @returns lista com os ids dos quadros
+ */
+async function searchMemberBoardIds(userId) {
+
+    const Op = Sequelize.Op;
+    //busca os quadros dos quais o usuário é membro
+    const boardMembers = await BoardMember.findAll({
+        attributes: ['boardId'],
+        where: { userId: { [Op.eq]: userId } }
+    });
+
+    return boardMembers.map(boardMember => boardMember.boardId);
+}
+
+/**
+ * Função que busca e bloqueia (SELECT ... FOR UPDATE) os cards das colunas informadas de um quadro, ordenados pela posição
+ * Os cards que estão na lixeira não ocupam posições nas colunas
+ * Antes dos cards é bloqueado o registro do quadro, já que o bloqueio dos cards não impede que outra transação inclua um card em uma coluna vazia
+ * O bloqueio faz com que movimentações simultâneas nas colunas do quadro sejam executadas uma após a outra, evitando posições duplicadas ou com lacunas
+ * @param boardId id do quadro
+ * @param statusIds ids dos status (colunas) a serem bloqueados
+ * @param transaction instância da transação que tá controlando a operação
+ * @returns lista dos cards das colunas, ordenados pela posição
+ */
+async function lockColumnCards(boardId, statusIds, transaction) {
+
+    const Op = Sequelize.Op;
+
+    //bloqueia o quadro, serializando as alterações de posição dos seus cards mesmo quando as colunas ainda não possuem cards
+    await Board.findOne({
+        where: { boardId: { [Op.eq]: boardId } },
+        lock: Sequelize.Transaction.LOCK.UPDATE,
+        ...transaction
+    });
+
+    //os cards são bloqueados em uma única consulta, sempre na mesma ordem, evitando deadlocks entre as transações
+    return await Card.findAll({
+        where: {
+            boardId: { [Op.eq]: boardId },
+            statusId: { [Op.in]: statusIds },
+            deletedAt: { [Op.is]: null }
+        },
+        order: [['position', 'ASC'], ['cardId', 'ASC']],
+        lock: Sequelize.Transaction.LOCK.UPDATE,
+        ...transaction
+    });
+}
+
+/**
+ * Função que grava as posições de uma lista de cards de uma coluna, numerando-os sequencialmente a partir de 0
+ * Apenas os cards cuja posição ou status foi alterado são atualizados na base de dados
+ * @param cards lista de cards da coluna na ordem desejada
+ * @param statusId id do status (coluna) dos cards
+ * @param transaction instância da transação que tá controlando a operação
+ */
+async function saveColumnPositions(cards, statusId, transaction) {
+
+    for(let position = 0; position < cards.length; position++) {
+
+        const card = cards[position];
+
+        if(card.position !== position || card.statusId !== statusId) {
+
+            await card.update({ position, statusId }, transaction);
+        }
+    }
+}
+
+/**
+ * Função que renumera as posições dos cards de uma coluna, removendo as lacunas deixadas por cards removidos
+ * @param boardId id do quadro
+ * @param statusId id do status (coluna)
+ * @param transaction instância da transação que tá controlando a operação
+ */
+async function compactColumn(boardId, statusId, transaction) {
+
+    await saveColumnPositions(await lockColumnCards(boardId, [statusId], transaction), statusId, transaction);
+}
+
 /**
  * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade Card como cadastrar, consultar, consulta por campos, editar, remover e etc
  */
@@ -29,15 +274,17 @@ class CardPersistence {
     }
 
     /**
-     * Método utilizado para cadastrar um card na base de dados
+     * Método utilizado para cadastrar um card na base de dados, na última posição da sua coluna
      * @param card dados do card a ser cadastrado 
      * @param transaction instância da transação que tá controlando a operação
      * @returns retorna um objeto com as informações do card cadastrado
      */
     async createCard(card, transaction) {
 
-        //cria o card na base de dados
-        const newCard = await Card.create(card, transaction);
+        //bloqueia a coluna do card para obter a próxima posição livre, o card é sempre incluído no final da coluna
+        const columnCards = await lockColumnCards(card.boardId, [card.statusId], transaction);
+        //cria o card na base de dados, gerando o seu texto de busca
+        const newCard = await Card.create({ ...card, position: columnCards.length, searchText: getCardSearchText(card), searchTitle: getCardSearchTitle(card) }, transaction);
     
          //retorna o card criado
         return newCard;
@@ -45,38 +292,33 @@ class CardPersistence {
 
     /**
      * Método que realiza uma busca de todos os cards cadastrados
-     * @param userId id do usuário associado aos cards, permitindo assim filtrar os cards por usuário, se o valor informado for "undefined", o filtro por usuário é ignorado
-     * @param status status dos cards (TO-DO, DOING ou DONE)
+     * @param filters filtros da busca, os filtros com valor "undefined" são ignorados
+     * - userId: id do usuário associado aos cards, permitindo assim filtrar os cards por usuário
+     * - boardId: id do quadro dos cards, permitindo assim filtrar os cards por quadro
+     * - statusId: id do status dos cards
+     * - labelId: id de uma etiqueta, permitindo assim filtrar os cards por etiqueta
+     * - assigneeId e memberId: ids de usuários, permitindo assim filtrar os cards por responsável e pelos quadros de um membro
+     * - search, createdFrom, createdTo, updatedFrom e updatedTo: filtros por texto e por período (ver getCardsFilter)
+     * @param sorting configuração da ordenação, no formato { sort, order }, se não for informada os cards são ordenados pela posição
      * @returns uma lista de cards cadastrados ou uma lista vazia caso não seja encontrado 
      */
-    async searchCards(userId, status) {
+    async searchCards(filters = {}, sorting = {}) {
 
         //variável que armazena as configurações da busca
         const query = {};
-        //armazena o operador de busca que pode ser AND ou OR
-        const Op = Sequelize.Op;
         
         //configura a busca definindo o limite de registros a ser buscado e o offset de busca (necessário por a busca utilizar paginação)
         query.subQuery = false;
         query.distinct = true;
         query.duplicating = false;
-        //inclui na busca as informações do usuário associado aos cards enconttrados
-        query.include = [userCard];
-        
-        //se o id do usuário foi informado
-        if(userId) {
-            //configura um filtro para que sejam retornados os cards apenas ao id do usuário informado
-            query.where = {...query.where, userId: {
-                [Op.and]: {[Op.eq]: userId}
-            }};
-        }
-        //se o status do Card foi informado
-        if(status && status !== 'Todos') {
-            //monta um filtro para que sejam encontrados apenas os cards com base no status informado
-            query.where = {...query.where, status: {
-                [Op.and]: {[Op.eq]: status}
-            }};
-        }
+        //inclui na busca as informações dos usuários, do status e das etiquetas associados aos cards enconttrados
+        query.include = cardIncludes;
+        //configura que para cada card encontrado, retorna junto o total de comentários e o progresso das checklists do card
+        query.attributes = cardAttributes;
+        //configura os filtros por usuário, quadro e status
+        query.where = getCardsFilter(filters);
+        //configura a ordenação dos cards
+        query.order = getCardsOrder(sorting);
 
         //faz a busca na base de dados com base nas configurações de busca realizadas
         const cardsCollection = await Card.findAll(query);
@@ -85,15 +327,129 @@ class CardPersistence {
         return cardsCollection
     }
 
+    /**
+     * Método que realiza uma busca utilizando paginação dos cards cadastrados
+     * @param filters filtros da busca, os mesmos aceitos pelo método searchCards
+     * @param page página atual
+     * @param size tamanho de registros por página
+     * @param sorting configuração da ordenação, no formato { sort, order }
+     * @returns uma lista de cards junto com as informações da paginação
+     */
+    async searchCardsPage(filters, page, size, sorting = {}) {
+
+        //calcula o range dos registros a serem buscados com base na página atual e tamanho de registros por página
+        const { limit, offset } = getPagination(page - 1, size);
+
+        //faz a busca na base de dados dos cards da página, incluindo as informações dos usuários, do status e das etiquetas, o total de comentários e o progresso das checklists de cada card
+        const cardsCollection = await Card.findAndCountAll({
+            where: getCardsFilter(filters),
+            attributes: cardAttributes,
+            include: cardIncludes,
+            order: getCardsOrder(sorting),
+            distinct: true,
+            limit,
+            offset
+        });
+
+        //retorna uma lista com as informações dos cards junto com as informações da paginação
+        return getPagingData(cardsCollection, page, limit);
+    }
+
+    /**
+     * Método que realiza a busca textual utilizando paginação dos cards dos quadros dos quais o usuário é membro, desconsiderando os cards da lixeira
+     * São retornados apenas os cards cujo texto de busca (título e conteúdo normalizados) contém todos os termos informados, dos mais relevantes para os menos relevantes
+     * A relevância de cada card é calculada na própria consulta (atributo searchScore), assim apenas os cards da página são trazidos da base de dados
+     * @param userId id do usuário
+     * @param terms termos buscados, já normalizados (letras minúsculas e sem acentos)
+     * @param page página atual
+     * @param size tamanho de registros por página
+     * @returns uma lista de cards encontrados junto com as informações da paginação
+     */
+    async searchCardsByText(userId, terms, page, size) {
+
+        const Op = Sequelize.Op;
+        //calcula o range dos registros a serem buscados com base na página atual e tamanho de registros por página
+        const { limit, offset } = getPagination(page - 1, size);
+        //busca os quadros dos quais o usuário é membro
+        const boardIds = await searchMemberBoardIds(userId);
+        //expressão que calcula a relevância de cada card para os termos buscados
+        const searchScore = Sequelize.literal(getSearchScoreExpression('cards.searchTitle', 'cards.searchText', terms, value => Card.sequelize.escape(value)));
+
+        //busca os cards desses quadros que contêm todos os termos (os termos possuem apenas letras e números, não havendo caracteres especiais do LIKE a serem escapados)
+        //os cards com a mesma relevância são ordenados dos alterados mais recentemente para os mais antigos
+        const cardsCollection = await Card.findAndCountAll({
+            where: {
+                ...getCardsFilter({}),
+                boardId: { [Op.in]: boardIds },
+                [Op.and]: terms.map(term => ({ searchText: { [Op.like]: `%${term}%` } }))
+            },
+            attributes: { include: [[searchScore, 'searchScore']] },
+            include: cardIncludes,
+            order: [[searchScore, 'DESC'], ['updatedAt', 'DESC'], ['cardId', 'DESC']],
+            distinct: true,
+            limit,
+            offset
+        });
+
+        //retorna uma lista com as informações dos cards junto com as informações da paginação
+        return getPagingData(cardsCollection, page, limit);
+    }
+
+    /**
+     * Método que realiza uma busca utilizando paginação dos cards atrasados dos quadros dos quais o usuário é membro, dos mais atrasados para os mais recentes
+     * São considerados atrasados os cards cuja data de entrega é anterior à data informada, os cards da lixeira são desconsiderados
+     * @param userId id do usuário
+     * @param overdueBefore data de referência (no formato de armazenamento da base de dados), normalmente a data atual
+     * @param page página atual
+     * @param size tamanho de registros por página
+     * @returns uma lista de cards atrasados junto com as informações da paginação
+     */
+    async searchOverdueCards(userId, overdueBefore, page, size) {
+
+        const Op = Sequelize.Op;
+        //calcula o range dos registros a serem buscados com base na página atual e tamanho de registros por página
+        const { limit, offset } = getPagination(page - 1, size);
+        //busca os quadros dos quais o usuário é membro
+        const boardIds = await searchMemberBoardIds(userId);
+
+        //faz a busca dos cards desses quadros com a data de entrega vencida, desconsiderando os cards dos status de conclusão
+        const cardsCollection = await Card.findAndCountAll({
+            where: {
+                ...getCardsFilter({}),
+                boardId: { [Op.in]: boardIds },
+                statusId: { [Op.notIn]: Sequelize.literal(`(${DONE_STATUSES_SUBQUERY})`) },
+                dueAt: { [Op.lt]: overdueBefore }
+            },
+            include: cardIncludes,
+            order: [['dueAt', 'ASC'], ['cardId', 'ASC']],
+            distinct: true,
+            limit,
+            offset
+        });
+
+        //retorna uma lista com as informações dos cards junto com as informações da paginação
+        return getPagingData(cardsCollection, page, limit);
+    }
+
     /**
      * Método que realiza a busca de card por meio do seu id
      * @param cardId id do card a ser buscado 
+     * @param includeTrashed indica se os cards que estão na lixeira também devem ser buscados
      * @returns retorna as informações do card ou null caso não seja encontrado
      */
-    async findCardById(cardId) {
+    async findCardById(cardId, includeTrashed = false) {
 
-        //realiza a busca do card por meio do seu id e inclui no resultado da busca as informações do usuário associado a esse card
-        const cardCollection = await Card.findByPk(cardId, { include: [userCard] });
+        const Op = Sequelize.Op;
+        //realiza a busca do card por meio do seu id e inclui no resultado da busca as informações dos usuários, do status e das etiquetas associados a esse card, o total de comentários e o progresso das checklists
+        const cardCollection = await Card.findOne({
+            where: {
+                cardId: { [Op.eq]: cardId },
+                //se os cards da lixeira não devem ser buscados, desconsidera os cards removidos
+                ...(includeTrashed ? {} : { deletedAt: { [Op.is]: null } })
+            },
+            attributes: cardAttributes,
+            include: cardIncludes
+        });
 
         //se encontrou retorna as informações da busca
         if(cardCollection) {
@@ -155,14 +511,28 @@ class CardPersistence {
      */
     async updateCard(cardId, card, transaction) {
 
-        //faz a busca do card com base no id para verificar se o mesmo existe na base de dados
-        const cardCollection = await Card.findByPk(cardId, {include: [userCard]});
+        //faz a busca do card com base no id para verificar se o mesmo existe na base de dados (os cards da lixeira não podem ser alterados)
+        const cardCollection = await this.findCardById(cardId);
 
         //se encontrou
         if(cardCollection) {
 
+            //se o status foi alterado, move o card para o final da nova coluna, renumerando as colunas de origem e de destino
+            if(card.statusId !== undefined && Number(card.statusId) !== cardCollection.statusId) {
+
+                await this.moveCard(cardId, Number(card.statusId), Number.MAX_SAFE_INTEGER, transaction);
+            }
+
+            //gera novamente o texto e o título de busca do card, considerando o título e o conteúdo que não foram alterados
+            const searchCard = {
+                title: card.title !== undefined ? card.title : cardCollection.title,
+                content: card.content !== undefined ? card.content : cardCollection.content
+            };
+
             //atualiza as informações do card com base nos dados informados como parâmetro
-            await cardCollection.update(card, transaction);
+            await cardCollection.update({ ...card, statusId: undefined, searchText: getCardSearchText(searchCard), searchTitle: getCardSearchTitle(searchCard) }, transaction);
+            //recarrega as associações do card, já que o status pode ter sido alterado
+            await cardCollection.reload({ include: cardIncludes, ...transaction });
 
             //retorna o card com as informações atualizadas
             return cardCollection;
@@ -173,15 +543,234 @@ class CardPersistence {
     }
 
     /**
-     * Método utilizado para remover um card na base de dados
-     * @param cardId id do card a ser atualizado
+     * Método utilizado para mover um card para uma posição de uma coluna (status) do seu quadro
+     * Os demais cards da coluna de origem e da coluna de destino são reposicionados, mantendo as posições sequenciais, sem lacunas ou repetições
+     * @param cardId id do card a ser movido
+     * @param statusId id do status (coluna) de destino
+     * @param position posição de destino na coluna, iniciando em 0 (se for maior que a quantidade de cards da coluna, o card vai para o final)
      * @param transaction instância da transação que tá controlando a operação
-     * @returns retorna um objeto com as informações do card removido ou null se o card não foi encontrado
+     * @returns retorna um objeto com as informações do card movido ou null se o card não foi encontrado
      */
-    async deleteCard(cardId, transaction) {
+    async moveCard(cardId, statusId, position, transaction) {
 
         //faz a busca do card com base no id para verificar se o mesmo existe na base de dados
-        const cardCollection = await Card.findByPk(cardId);
+        const cardCollection = await Card.findByPk(cardId, transaction);
+
+        //se não encontrou ou se o card está na lixeira retorna null
+        if(!cardCollection || cardCollection.deletedAt) {
+
+            return null;
+        }
+
+        //bloqueia as colunas de origem e de destino, obtendo as posições atualizadas dos seus cards
+        const columnCards = await lockColumnCards(cardCollection.boardId, [...new Set([cardCollection.statusId, statusId])], transaction);
+        //obtém novamente o card, já que ele pode ter sido movido por outra transação enquanto aguardava o bloqueio
+        const card = columnCards.find(item => item.cardId === cardCollection.cardId);
+
+        //se o card foi movido para outra coluna ou para a lixeira enquanto aguardava o bloqueio, a movimentação não pode ser realizada
+        if(!card) {
+
+            return null;
+        }
+        //monta as colunas de origem e de destino sem o card a ser movido
+        const sourceCards = columnCards.filter(item => item.statusId === card.statusId && item.cardId !== card.cardId);
+        const targetCards = columnCards.filter(item => item.statusId === statusId && item.cardId !== card.cardId);
+
+        //insere o card na posição de destino, limitada ao final da coluna
+        targetCards.splice(Math.min(position, targetCards.length), 0, card);
+
+        //se o card mudou de coluna, renumera a coluna de origem
+        if(card.statusId !== statusId) {
+
+            await saveColumnPositions(sourceCards, card.statusId, transaction);
+        }
+
+        //renumera a coluna de destino
+        await saveColumnPositions(targetCards, statusId, transaction);
+        //recarrega o card com as suas associações
+        await card.reload({ include: cardIncludes, ...transaction });
+
+        //retorna o card com as informações atualizadas
+        return card;
+    }
+
+    /**
+     * Método que realiza a busca da atribuição de um card a um usuário responsável
+     * @param cardId id do card
+     * @param userId id do usuário
+     * @returns retorna as informações da atribuição ou null caso o usuário não seja responsável pelo card
+     */
+    async findCardAssignee(cardId, userId) {
+
+        const Op = Sequelize.Op;
+        //busca a atribuição do card ao usuário
+        const cardAssigneeCollection = await CardAssignee.findOne({
+            where: {
+                cardId: { [Op.eq]: cardId },
+                userId: { [Op.eq]: userId }
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(cardAssigneeCollection) {
+
+            return cardAssigneeCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para atribuir um card a um usuário responsável
+     * @param cardAssignee dados da atribuição (cardId, userId e createdAt)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da atribuição cadastrada
+     */
+    async createCardAssignee(cardAssignee, transaction) {
+
+        //cria a atribuição na base de dados
+        const newCardAssignee = await CardAssignee.create(cardAssignee, transaction);
+
+        //retorna a atribuição criada
+        return newCardAssignee;
+    }
+
+    /**
+     * Método utilizado para remover a atribuição de um card a um usuário responsável
+     * @param cardId id do card
+     * @param userId id do usuário
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da atribuição removida ou null se o usuário não é responsável pelo card
+     */
+    async deleteCardAssignee(cardId, userId, transaction) {
+
+        //faz a busca da atribuição para verificar se a mesma existe na base de dados
+        const cardAssigneeCollection = await this.findCardAssignee(cardId, userId);
+
+        //se encontrou
+        if(cardAssigneeCollection) {
+
+            //remove a atribuição na base de dados
+            await cardAssigneeCollection.destroy(transaction);
+
+            //retorna a atribuição removida
+            return cardAssigneeCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método utilizado para remover um card, movendo-o para a lixeira
+     * O card continua cadastrado na base de dados, apenas marcado com a data de remoção, podendo ser restaurado ou removido definitivamente
+     * @param cardId id do card a ser removido
+     * @param deletedAt data da remoção
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do card removido ou null se o card não foi encontrado
+     */
+    async deleteCard(cardId, deletedAt, transaction) {
+
+        //faz a busca do card com base no id para verificar se o mesmo existe na base de dados (e não está na lixeira)
+        const cardCollection = await this.findCardById(cardId);
+
+        //se encontrou
+        if(cardCollection) {
+
+            //move o card para a lixeira
+            await cardCollection.update({ deletedAt }, transaction);
+            //renumera os cards restantes da coluna
+            await compactColumn(cardCollection.boardId, cardCollection.statusId, transaction);
+
+            //retorna o card removido
+            return cardCollection;
+        }
+        
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método que realiza a busca dos cards que estão na lixeira dos quadros dos quais o usuário é membro, dos removidos mais recentemente para os mais antigos
+     * @param userId id do usuário
+     * @returns uma lista de cards da lixeira ou uma lista vazia caso não seja encontrado
+     */
+    async searchTrashedCards(userId) {
+
+        const Op = Sequelize.Op;
+        //busca os quadros dos quais o usuário é membro
+        const boardIds = await searchMemberBoardIds(userId);
+
+        //busca os cards removidos desses quadros
+        return await Card.findAll({
+            where: {
+                boardId: { [Op.in]: boardIds },
+                deletedAt: { [Op.not]: null }
+            },
+            include: cardIncludes,
+            order: [['deletedAt', 'DESC'], ['cardId', 'DESC']]
+        });
+    }
+
+    /**
+     * Método que realiza a busca de um card que está na lixeira por meio do seu id
+     * @param cardId id do card a ser buscado
+     * @returns retorna as informações do card ou null caso não seja encontrado ou não esteja na lixeira
+     */
+    async findTrashedCardById(cardId) {
+
+        //realiza a busca do card, inclusive na lixeira
+        const cardCollection = await this.findCardById(cardId, true);
+
+        //se encontrou e o card está na lixeira retorna as informações da busca
+        if(cardCollection && cardCollection.deletedAt) {
+
+            return cardCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para restaurar um card que está na lixeira, ele volta para a última posição da sua coluna
+     * @param cardId id do card a ser restaurado
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do card restaurado ou null se o card não foi encontrado na lixeira
+     */
+    async restoreCard(cardId, transaction) {
+
+        //faz a busca do card na lixeira
+        const cardCollection = await this.findTrashedCardById(cardId);
+
+        //se encontrou
+        if(cardCollection) {
+
+            //bloqueia a coluna do card para obter a próxima posição livre
+            const columnCards = await lockColumnCards(cardCollection.boardId, [cardCollection.statusId], transaction);
+
+            //retira o card da lixeira, incluindo-o no final da coluna
+            await cardCollection.update({ deletedAt: null, position: columnCards.length }, transaction);
+
+            //retorna o card restaurado
+            return cardCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método utilizado para remover definitivamente um card que está na lixeira
+     * @param cardId id do card a ser removido
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do card removido ou null se o card não foi encontrado na lixeira
+     */
+    async purgeCard(cardId, transaction) {
+
+        //faz a busca do card na lixeira
+        const cardCollection = await this.findTrashedCardById(cardId);
 
         //se encontrou
         if(cardCollection) {
@@ -192,11 +781,39 @@ class CardPersistence {
             //retorna o card removido
             return cardCollection;
         }
-        
+
         //se não encontrou retorna null
         return null;
     }
 
+    /**
+     * Método utilizado para remover definitivamente os cards que foram movidos para a lixeira antes da data informada
+     * @param deletedBefore data limite da remoção dos cards
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna a lista dos cards removidos
+     */
+    async purgeTrashedCards(deletedBefore, transaction) {
+
+        const Op = Sequelize.Op;
+        //busca os cards que estão na lixeira há mais tempo que o permitido
+        const cardsCollection = await Card.findAll({
+            where: { deletedAt: { [Op.lt]: deletedBefore } },
+            ...transaction
+        });
+
+        //se encontrou, remove os cards da base de dados
+        if(cardsCollection.length > 0) {
+
+            await Card.destroy({
+                where: { cardId: { [Op.in]: cardsCollection.map(card => card.cardId) } },
+                ...transaction
+            });
+        }
+
+        //retorna os cards removidos
+        return cardsCollection;
+    }
+
      /**
      * Método que deleta todos os cards cadastrados na base de dados
      * @param transaction instância da transação que tá controlando a operação
@@ -207,21 +824,39 @@ class CardPersistence {
         await Card.destroy({
             where: {},
             truncate: false,
-            transaction
+            ...transaction
         });
     }
 
+    /**
+     * Método que desvincula um usuário dos cards dos quais é dono, que cadastrou ou pelos quais é responsável
+     * Utilizado na deleção do usuário, mantendo os cards dos quadros de outros usuários, que passam a não ter dono e nem quem os cadastrou
+     * @param userId id do usuário
+     * @param transaction instância da transação que tá controlando a operação
+     */
+    async releaseUserCards(userId, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //remove o usuário como dono e como quem cadastrou os cards
+        await Card.update({ userId: null }, { where: { userId: { [Op.eq]: userId } }, ...transaction });
+        await Card.update({ createdBy: null }, { where: { createdBy: { [Op.eq]: userId } }, ...transaction });
+        //remove o usuário dos responsáveis pelos cards
+        await CardAssignee.destroy({ where: { userId: { [Op.eq]: userId } }, ...transaction });
+    }
+
     /**
      * Método que conta o total de cards cadastrados na base de dados
      * @returns total de cards cadastrados
      */
     async countCards() {
 
-        //faz a busca utilizando a função de agregação count para contar o total de cards cadastrados
+        //faz a busca utilizando a função de agregação count para contar o total de cards cadastrados, desconsiderando os cards da lixeira
         const countCards = await Card.findAll({
             attributes: [
                 [Sequelize.fn('count', Sequelize.col('cardId')), 'countCards']
-            ]
+            ],
+            where: getCardsFilter({})
         });
 
         //retorna o total de cards
@@ -229,31 +864,26 @@ class CardPersistence {
     }
 
     /**
-     * Método que conta o total de cards cadastrados na base de dados agrupados por status
-     * @param userId se o id do usuário for informado, faz o filtro com base no id do usuário, se não for informado, faz a contagem geral
+     * Método que conta o total de cards cadastrados na base de dados agrupados por status, junto com o total de cards atrasados de cada status
+     * @param filters filtros da contagem (userId, boardId, labelId e memberId), se nenhum for informado, faz a contagem geral
+     * @param overdueBefore data de referência dos cards atrasados (no formato de armazenamento da base de dados), normalmente a data atual
      * @returns total de cards cadastrados
      */
-    async countCardsByStatus(userId) {
+    async countCardsByStatus(filters = {}, overdueBefore) {
 
-        const Op = Sequelize.Op;
         //configura a busca utilizando a função de agregação count para contar o total de cards cadastrados e agrupando por status
+        //os cards atrasados (data de entrega anterior à data de referência) são contados com a função de agregação sum, desconsiderando os cards dos status de conclusão
         let query = {
             attributes: [
-                'status', 
-                [Sequelize.fn('count', Sequelize.col('cardId')), 'countCards']
+                'statusId', 
+                [Sequelize.fn('count', Sequelize.col('cardId')), 'countCards'],
+                [Sequelize.fn('sum', Sequelize.literal(`CASE WHEN dueAt < ${Card.sequelize.escape(overdueBefore)} AND statusId NOT IN (${DONE_STATUSES_SUBQUERY}) THEN 1 ELSE 0 END`)), 'overdueCards']
             ],
-            group: ['status'],
-            order: Sequelize.literal('status DESC')
+            group: ['statusId']
         };
 
-        //se o id do usuário foi informado
-        if(userId) {
-            //configura um filtro para que sejam retornados os cards apenas ao id do usuário informado
-
-            query.where = {...query.where, userId: {
-                [Op.and]: {[Op.eq]: userId}
-            }};
-        }
+        //configura os filtros por usuário, quadro, etiqueta e pelos quadros do membro
+        query.where = getCardsFilter({ userId: filters.userId, boardId: filters.boardId, labelId: filters.labelId, memberId: filters.memberId });
 
         //executa a busca de contagem de cards com base na configuração realizada
         const countCards = await Card.findAll(query);
@@ -0,0 +1,285 @@
+const Sequelize = require('sequelize');
+const Checklist = require('../models').checklists;
+const ChecklistItem = require('../models').checklist_items;
+//variável que faz a associação dos itens com a checklist, permitindo assim trazer nos resultados das buscas os itens de cada checklist
+const checklistItems = {
+    model: ChecklistItem,
+    as: 'checklistItems'
+};
+//ordenação das checklists (ordem de cadastro) e dos seus itens (posição)
+const checklistsOrder = [['checklistId', 'ASC'], [checklistItems, 'position', 'ASC'], [checklistItems, 'itemId', 'ASC']];
+
+/**
+ * Função que busca e bloqueia para alteração os itens de uma checklist, ordenados pela posição
+ * O bloqueio faz com que alterações simultâneas na mesma checklist sejam executadas uma após a outra, evitando posições duplicadas ou com lacunas
+ * @param checklistId id da checklist
+ * @param transaction instância da transação que tá controlando a operação
+ * @returns lista dos itens da checklist, ordenados pela posição
+ */
+async function lockChecklistItems(checklistId, transaction) {
+
+    const Op = Sequelize.Op;
+
+    return await ChecklistItem.findAll({
+        where: { checklistId: { [Op.eq]: checklistId } },
+        order: [['position', 'ASC'], ['itemId', 'ASC']],
+        lock: Sequelize.Transaction.LOCK.UPDATE,
+        ...transaction
+    });
+}
+
+/**
+ * Função que grava as posições de uma lista de itens de uma checklist, numerando-os sequencialmente a partir de 0
+ * Apenas os itens cuja posição foi alterada são atualizados na base de dados
+ * @param items lista de itens da checklist na ordem desejada
+ * @param transaction instância da transação que tá controlando a operação
+ */
+async function saveItemPositions(items, transaction) {
+
+    for(let position = 0; position < items.length; position++) {
+
+        const item = items[position];
+
+        if(item.position !== position) {
+
+            await item.update({ position }, transaction);
+        }
+    }
+}
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações das Entidades Checklist e ChecklistItem (checklists dos cards e os seus itens)
+ */
+class ChecklistPersistence {
+
+    /**
+     * Método utilizado para cadastrar uma checklist na base de dados
+     * @param checklist dados da checklist a ser cadastrada (cardId e title)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da checklist cadastrada
+     */
+    async createChecklist(checklist, transaction) {
+
+        //cria a checklist na base de dados
+        const newChecklist = await Checklist.create(checklist, transaction);
+
+        //retorna a checklist criada
+        return newChecklist;
+    }
+
+    /**
+     * Método que realiza a busca das checklists de um card, em ordem de cadastro e com os seus itens ordenados pela posição
+     * @param cardId id do card
+     * @returns uma lista de checklists ou uma lista vazia caso o card não possua checklists
+     */
+    async searchCardChecklists(cardId) {
+
+        const Op = Sequelize.Op;
+
+        //faz a busca das checklists do card incluindo os seus itens
+        return await Checklist.findAll({
+            where: { cardId: { [Op.eq]: cardId } },
+            include: [checklistItems],
+            order: checklistsOrder
+        });
+    }
+
+    /**
+     * Método que realiza a busca de uma checklist de um card por meio do seu id, junto com os seus itens
+     * @param cardId id do card
+     * @param checklistId id da checklist
+     * @returns retorna as informações da checklist ou null caso não seja encontrada ou não pertença ao card
+     */
+    async findCardChecklist(cardId, checklistId) {
+
+        const Op = Sequelize.Op;
+        //busca a checklist por meio do seu id, desde que pertença ao card informado
+        const checklistCollection = await Checklist.findOne({
+            where: {
+                checklistId: { [Op.eq]: checklistId },
+                cardId: { [Op.eq]: cardId }
+            },
+            include: [checklistItems],
+            order: checklistsOrder
+        });
+
+        //se encontrou retorna as informações da busca
+        if(checklistCollection) {
+
+            return checklistCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para alterar uma checklist na base de dados
+     * @param checklist checklist a ser alterada, obtida com o método findCardChecklist
+     * @param data dados da checklist a serem alterados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da checklist alterada
+     */
+    async updateChecklist(checklist, data, transaction) {
+
+        //atualiza as informações da checklist com base nos dados informados como parâmetro
+        await checklist.update(data, transaction);
+
+        //retorna a checklist com as informações atualizadas
+        return checklist;
+    }
+
+    /**
+     * Método utilizado para remover uma checklist e os seus itens na base de dados
+     * @param checklist checklist a ser removida, obtida com o método findCardChecklist
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da checklist removida
+     */
+    async deleteChecklist(checklist, transaction) {
+
+        //remove a checklist da base de dados (os seus itens são removidos junto com ela)
+        await checklist.destroy(transaction);
+
+        //retorna a checklist removida
+        return checklist;
+    }
+
+    /**
+     * Método que realiza a busca de um item de uma checklist por meio do seu id
+     * @param checklistId id da checklist
+     * @param itemId id do item
+     * @returns retorna as informações do item ou null caso não seja encontrado ou não pertença à checklist
+     */
+    async findChecklistItem(checklistId, itemId) {
+
+        const Op = Sequelize.Op;
+        //busca o item por meio do seu id, desde que pertença à checklist informada
+        const itemCollection = await ChecklistItem.findOne({
+            where: {
+                itemId: { [Op.eq]: itemId },
+                checklistId: { [Op.eq]: checklistId }
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(itemCollection) {
+
+            return itemCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para cadastrar um item de uma checklist na base de dados, na última posição da checklist
+     * @param item dados do item a ser cadastrado (checklistId e content)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do item cadastrado
+     */
+    async createChecklistItem(item, transaction) {
+
+        //bloqueia os itens da checklist para obter a próxima posição livre, o item é sempre incluído no final da checklist
+        const items = await lockChecklistItems(item.checklistId, transaction);
+        //cria o item na base de dados
+        const newItem = await ChecklistItem.create({ ...item, position: items.length }, transaction);
+
+        //retorna o item criado
+        return newItem;
+    }
+
+    /**
+     * Método utilizado para alterar um item de uma checklist na base de dados
+     * @param item item a ser alterado, obtido com o método findChecklistItem
+     * @param data dados do item a serem alterados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do item alterado
+     */
+    async updateChecklistItem(item, data, transaction) {
+
+        //atualiza as informações do item com base nos dados informados como parâmetro
+        await item.update(data, transaction);
+
+        //retorna o item com as informações atualizadas
+        return item;
+    }
+
+    /**
+     * Método utilizado para mover um item para outra posição da sua checklist
+     * Os demais itens da checklist são reposicionados, mantendo as posições sequenciais (sem lacunas)
+     * @param item item a ser movido, obtido com o método findChecklistItem
+     * @param position posição de destino, iniciando em 0 (se for maior que a quantidade de itens da checklist, o item vai para o final)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do item movido ou null se o item foi removido enquanto aguardava o bloqueio
+     */
+    async moveChecklistItem(item, position, transaction) {
+
+        //bloqueia os itens da checklist, obtendo as suas posições atualizadas
+        const items = await lockChecklistItems(item.checklistId, transaction);
+        //obtém novamente o item, já que ele pode ter sido alterado por outra transação enquanto aguardava o bloqueio
+        const movedItem = items.find(checklistItem => checklistItem.itemId === item.itemId);
+
+        if(!movedItem) {
+
+            return null;
+        }
+
+        //monta a checklist sem o item a ser movido e o insere na posição de destino, limitada ao final da checklist
+        const targetItems = items.filter(checklistItem => checklistItem.itemId !== movedItem.itemId);
+
+        targetItems.splice(Math.min(position, targetItems.length), 0, movedItem);
+        //renumera os itens da checklist
+        await saveItemPositions(targetItems, transaction);
+
+        //retorna o item com a posição atualizada
+        return movedItem;
+    }
+
+    /**
+     * Método utilizado para remover um item de uma checklist na base de dados, renumerando os demais itens da checklist
+     * @param item item a ser removido, obtido com o método findChecklistItem
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do item removido
+     */
+    async deleteChecklistItem(item, transaction) {
+
+        //remove o item da base de dados
+        await item.destroy(transaction);
+        //renumera os itens que restaram na checklist, removendo a lacuna deixada pelo item removido
+        await saveItemPositions(await lockChecklistItems(item.checklistId, transaction), transaction);
+
+        //retorna o item removido
+        return item;
+    }
+
+    /**
+     * Método que conta o total de itens e o total de itens concluídos das checklists de um card
+     * @param cardId id do card
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns objeto no formato { total, done }
+     */
+    async countCardChecklistItems(cardId, transaction) {
+
+        const Op = Sequelize.Op;
+        //faz a busca dos itens das checklists do card, trazendo apenas se cada item está concluído
+        const items = await ChecklistItem.findAll({
+            attributes: ['done'],
+            include: [{
+                model: Checklist,
+                as: 'itemChecklist',
+                attributes: [],
+                where: { cardId: { [Op.eq]: cardId } }
+            }],
+            ...transaction
+        });
+
+        //retorna o total de itens e o total de itens concluídos
+        return {
+            total: items.length,
+            done: items.filter(item => item.done).length
+        };
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new ChecklistPersistence();
@@ -0,0 +1,119 @@
+const Sequelize = require('sequelize');
+const Comment = require('../models').comments;
+const User = require('../models').users;
+const { getPagination, getPagingData } = require('../helpers/pagination_helpers');
+//variável que faz a associação da entidade usuário com o comentário, permitindo assim trazer nos resultados das buscas as informações do autor de cada comentário (sem a senha)
+const commentUser = {
+    model: User,
+    as: 'commentUser',
+    attributes: ['userId', 'name', 'login']
+};
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade Comment (comentários dos cards)
+ */
+class CommentPersistence {
+
+    /**
+     * Método utilizado para cadastrar um comentário na base de dados
+     * @param comment dados do comentário a ser cadastrado (cardId, userId e content)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do comentário cadastrado
+     */
+    async createComment(comment, transaction) {
+
+        //cria o comentário na base de dados
+        const newComment = await Comment.create(comment, transaction);
+
+        //retorna o comentário criado
+        return newComment;
+    }
+
+    /**
+     * Método que realiza uma busca utilizando paginação dos comentários de um card, em ordem cronológica
+     * @param cardId id do card
+     * @param page página atual
+     * @param size tamanho de registros por página
+     * @returns uma lista de comentários junto com as informações da paginação
+     */
+    async searchCardComments(cardId, page, size) {
+
+        const Op = Sequelize.Op;
+        //calcula o range dos registros a serem buscados com base na página atual e tamanho de registros por página
+        const { limit, offset } = getPagination(page - 1, size);
+
+        //faz a busca dos comentários do card incluindo as informações do autor de cada comentário
+        const commentsCollection = await Comment.findAndCountAll({
+            where: { cardId: { [Op.eq]: cardId } },
+            include: [commentUser],
+            order: [['commentId', 'ASC']],
+            limit,
+            offset
+        });
+
+        //retorna uma lista com as informações dos comentários junto com as informações da paginação
+        return getPagingData(commentsCollection, page, limit);
+    }
+
+    /**
+     * Método que realiza a busca de um comentário de um card por meio do seu id
+     * @param cardId id do card
+     * @param commentId id do comentário
+     * @returns retorna as informações do comentário ou null caso não seja encontrado ou não pertença ao card
+     */
+    async findCardComment(cardId, commentId) {
+
+        const Op = Sequelize.Op;
+        //busca o comentário por meio do seu id, desde que pertença ao card informado
+        const commentCollection = await Comment.findOne({
+            where: {
+                commentId: { [Op.eq]: commentId },
+                cardId: { [Op.eq]: cardId }
+            },
+            include: [commentUser]
+        });
+
+        //se encontrou retorna as informações da busca
+        if(commentCollection) {
+
+            return commentCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para alterar um comentário na base de dados
+     * @param comment comentário a ser alterado, obtido com o método findCardComment
+     * @param data dados do comentário a serem alterados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do comentário alterado
+     */
+    async updateComment(comment, data, transaction) {
+
+        //atualiza as informações do comentário com base nos dados informados como parâmetro
+        await comment.update(data, transaction);
+
+        //retorna o comentário com as informações atualizadas
+        return comment;
+    }
+
+    /**
+     * Método utilizado para remover um comentário na base de dados
+     * @param comment comentário a ser removido, obtido com o método findCardComment
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do comentário removido
+     */
+    async deleteComment(comment, transaction) {
+
+        //remove o comentário da base de dados
+        await comment.destroy(transaction);
+
+        //retorna o comentário removido
+        return comment;
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new CommentPersistence();
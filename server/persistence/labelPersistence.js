@@ -0,0 +1,221 @@
+const Sequelize = require('sequelize');
+const Label = require('../models').labels;
+const CardLabel = require('../models').card_labels;
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações das Entidades Label (etiquetas dos quadros) e CardLabel (etiquetas associadas aos cards)
+ */
+class LabelPersistence {
+
+    /**
+     * Método utilizado para cadastrar uma etiqueta na base de dados
+     * @param label dados da etiqueta a ser cadastrada (boardId, name e color)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da etiqueta cadastrada
+     */
+    async createLabel(label, transaction) {
+
+        //cria a etiqueta na base de dados
+        const newLabel = await Label.create(label, transaction);
+
+        //retorna a etiqueta criada
+        return newLabel;
+    }
+
+    /**
+     * Método que realiza uma busca de todas as etiquetas de um quadro, ordenadas pelo nome
+     * @param boardId id do quadro
+     * @returns uma lista de etiquetas ou uma lista vazia caso não seja encontrado
+     */
+    async searchBoardLabels(boardId) {
+
+        const Op = Sequelize.Op;
+
+        //busca as etiquetas do quadro
+        return await Label.findAll({
+            where: { boardId: { [Op.eq]: boardId } },
+            order: [['name', 'ASC']]
+        });
+    }
+
+    /**
+     * Método que realiza a busca de uma etiqueta de um quadro por meio do seu id
+     * @param boardId id do quadro
+     * @param labelId id da etiqueta
+     * @returns retorna as informações da etiqueta ou null caso não seja encontrada ou não pertença ao quadro
+     */
+    async findBoardLabel(boardId, labelId) {
+
+        const Op = Sequelize.Op;
+        //busca a etiqueta por meio do seu id, desde que pertença ao quadro informado
+        const labelCollection = await Label.findOne({
+            where: {
+                labelId: { [Op.eq]: labelId },
+                boardId: { [Op.eq]: boardId }
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(labelCollection) {
+
+            return labelCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método que realiza a busca de uma etiqueta de um quadro por meio do seu nome
+     * @param boardId id do quadro
+     * @param name nome da etiqueta
+     * @returns retorna as informações da etiqueta ou null caso não seja encontrada
+     */
+    async findBoardLabelByName(boardId, name) {
+
+        const Op = Sequelize.Op;
+        //busca a etiqueta do quadro que possui o nome informado
+        const labelCollection = await Label.findOne({
+            where: {
+                boardId: { [Op.eq]: boardId },
+                name: { [Op.eq]: name }
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(labelCollection) {
+
+            return labelCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para alterar uma etiqueta de um quadro
+     * @param boardId id do quadro
+     * @param labelId id da etiqueta a ser alterada
+     * @param label dados da etiqueta a serem alterados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da etiqueta alterada ou null se a etiqueta não foi encontrada
+     */
+    async updateLabel(boardId, labelId, label, transaction) {
+
+        //faz a busca da etiqueta para verificar se a mesma existe no quadro
+        const labelCollection = await this.findBoardLabel(boardId, labelId);
+
+        //se encontrou
+        if(labelCollection) {
+
+            //atualiza as informações da etiqueta com base nos dados informados como parâmetro
+            await labelCollection.update(label, transaction);
+
+            //retorna a etiqueta com as informações atualizadas
+            return labelCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método utilizado para remover uma etiqueta de um quadro, desassociando-a de todos os cards
+     * @param boardId id do quadro
+     * @param labelId id da etiqueta a ser removida
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da etiqueta removida ou null se a etiqueta não foi encontrada
+     */
+    async deleteLabel(boardId, labelId, transaction) {
+
+        const Op = Sequelize.Op;
+        //faz a busca da etiqueta para verificar se a mesma existe no quadro
+        const labelCollection = await this.findBoardLabel(boardId, labelId);
+
+        //se encontrou
+        if(labelCollection) {
+
+            //desassocia a etiqueta dos cards
+            await CardLabel.destroy({ where: { labelId: { [Op.eq]: labelId } }, ...transaction });
+            //remove o cadastro da etiqueta na base de dados
+            await labelCollection.destroy(transaction);
+
+            //retorna a etiqueta removida
+            return labelCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método que realiza a busca da associação de uma etiqueta com um card
+     * @param cardId id do card
+     * @param labelId id da etiqueta
+     * @returns retorna as informações da associação ou null caso a etiqueta não esteja associada ao card
+     */
+    async findCardLabel(cardId, labelId) {
+
+        const Op = Sequelize.Op;
+        //busca a associação da etiqueta com o card
+        const cardLabelCollection = await CardLabel.findOne({
+            where: {
+                cardId: { [Op.eq]: cardId },
+                labelId: { [Op.eq]: labelId }
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(cardLabelCollection) {
+
+            return cardLabelCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para associar uma etiqueta a um card
+     * @param cardLabel dados da associação (cardId, labelId e createdAt)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da associação cadastrada
+     */
+    async createCardLabel(cardLabel, transaction) {
+
+        //cria a associação na base de dados
+        const newCardLabel = await CardLabel.create(cardLabel, transaction);
+
+        //retorna a associação criada
+        return newCardLabel;
+    }
+
+    /**
+     * Método utilizado para desassociar uma etiqueta de um card
+     * @param cardId id do card
+     * @param labelId id da etiqueta
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da associação removida ou null se a etiqueta não está associada ao card
+     */
+    async deleteCardLabel(cardId, labelId, transaction) {
+
+        //faz a busca da associação para verificar se a mesma existe na base de dados
+        const cardLabelCollection = await this.findCardLabel(cardId, labelId);
+
+        //se encontrou
+        if(cardLabelCollection) {
+
+            //remove a associação na base de dados
+            await cardLabelCollection.destroy(transaction);
+
+            //retorna a associação removida
+            return cardLabelCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new LabelPersistence();
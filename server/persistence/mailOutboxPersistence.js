@@ -0,0 +1,85 @@
+const Sequelize = require('sequelize');
+const MailOutbox = require('../models').mail_outbox;
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade MailOutbox (fila de saída dos emails)
+ */
+class MailOutboxPersistence {
+
+    /**
+     * Método utilizado para cadastrar um email na fila de saída
+     * @param mail dados do email a ser cadastrado (recipient, template, locale, subject, variables, secretVariables e etc)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do email cadastrado
+     */
+    async createMail(mail, transaction) {
+
+        //cria o email na base de dados
+        const newMail = await MailOutbox.create(mail, transaction);
+
+        //retorna o email criado
+        return newMail;
+    }
+
+    /**
+     * Método que realiza a busca dos emails pendentes cuja próxima tentativa já deve ser realizada, dos mais antigos para os mais recentes
+     * @param now data atual no formato da base de dados
+     * @param limit quantidade máxima de emails a serem buscados
+     * @returns uma lista de emails ou uma lista vazia caso não haja emails pendentes
+     */
+    async searchPendingMails(now, limit) {
+
+        const Op = Sequelize.Op;
+
+        //busca os emails pendentes
+        return await MailOutbox.findAll({
+            where: {
+                status: { [Op.eq]: 'pending' },
+                nextAttemptAt: { [Op.lte]: now }
+            },
+            order: [['mailId', 'ASC']],
+            limit
+        });
+    }
+
+    /**
+     * Método que marca como falha os emails pendentes que expiraram, removendo os seus valores sigilosos
+     * @param now data atual no formato da base de dados
+     */
+    async expirePendingMails(now) {
+
+        const Op = Sequelize.Op;
+
+        //marca os emails expirados como falha
+        await MailOutbox.update({
+            status: 'failed',
+            secretVariables: null,
+            errorMessage: 'Email expirado antes do envio',
+            nextAttemptAt: null,
+            updatedAt: now
+        }, {
+            where: {
+                status: { [Op.eq]: 'pending' },
+                expiresAt: { [Op.lte]: now }
+            }
+        });
+    }
+
+    /**
+     * Método utilizado para alterar um email da fila de saída, registrando o resultado de uma tentativa de envio
+     * @param mail email a ser alterado, obtido com o método searchPendingMails
+     * @param data dados do email a serem alterados
+     * @returns retorna um objeto com as informações do email alterado
+     */
+    async updateMail(mail, data) {
+
+        //atualiza as informações do email com base nos dados informados como parâmetro
+        await mail.update(data);
+
+        //retorna o email com as informações atualizadas
+        return mail;
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new MailOutboxPersistence();
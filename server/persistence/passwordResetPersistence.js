@@ -0,0 +1,119 @@
+const Sequelize = require('sequelize');
+const PasswordReset = require('../models').password_resets;
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade PasswordReset (solicitações de recuperação de senha)
+ */
+class PasswordResetPersistence {
+
+    /**
+     * Método utilizado para cadastrar uma solicitação de recuperação de senha na base de dados
+     * @param passwordReset dados da solicitação a ser cadastrada (o token deve estar no formato de hash)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações da solicitação cadastrada
+     */
+    async createPasswordReset(passwordReset, transaction) {
+
+        //cria a solicitação na base de dados
+        const newPasswordReset = await PasswordReset.create(passwordReset, transaction);
+
+        //retorna a solicitação criada
+        return newPasswordReset;
+    }
+
+    /**
+     * Método que busca uma solicitação de recuperação de senha válida, ou seja, que ainda não foi utilizada e não expirou
+     * @param tokenHash hash do token recebido pelo usuário
+     * @param now data atual no formato da base de dados
+     * @returns retorna as informações da solicitação ou null caso não seja encontrada
+     */
+    async findValidPasswordReset(tokenHash, now) {
+
+        const Op = Sequelize.Op;
+        //busca a solicitação pelo hash do token, desde que não tenha sido utilizada e não esteja expirada
+        const passwordResetCollection = await PasswordReset.findOne({
+            where: {
+                tokenHash: { [Op.eq]: tokenHash },
+                usedAt: { [Op.is]: null },
+                expiresAt: { [Op.gt]: now }
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(passwordResetCollection) {
+
+            return passwordResetCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método que conta quantas solicitações de recuperação de senha um usuário realizou a partir de uma data
+     * @param userId id do usuário
+     * @param since data inicial da contagem no formato da base de dados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns total de solicitações realizadas no período
+     */
+    async countPasswordResetsSince(userId, since, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //conta as solicitações do usuário criadas a partir da data informada
+        return await PasswordReset.count({
+            where: {
+                userId: { [Op.eq]: userId },
+                createdAt: { [Op.gte]: since }
+            },
+            ...transaction
+        });
+    }
+
+    /**
+     * Método que marca uma solicitação de recuperação de senha como utilizada
+     * A alteração só é feita se a solicitação ainda não foi utilizada, garantindo que o token seja aceito uma única vez mesmo em requisições simultâneas
+     * @param passwordResetId id da solicitação
+     * @param usedAt data de utilização no formato da base de dados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns true se a solicitação foi marcada como utilizada ou false se ela já havia sido utilizada
+     */
+    async usePasswordReset(passwordResetId, usedAt, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //marca a solicitação como utilizada somente se ela ainda estiver pendente
+        const [affectedRows] = await PasswordReset.update({ usedAt }, {
+            where: {
+                passwordResetId: { [Op.eq]: passwordResetId },
+                usedAt: { [Op.is]: null }
+            },
+            ...transaction
+        });
+
+        return affectedRows === 1;
+    }
+
+    /**
+     * Método que invalida todas as solicitações de recuperação de senha ainda não utilizadas de um usuário
+     * @param userId id do usuário
+     * @param usedAt data em que as solicitações foram invalidadas no formato da base de dados
+     * @param transaction instância da transação que tá controlando a operação
+     */
+    async invalidatePasswordResets(userId, usedAt, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //marca como utilizadas todas as solicitações pendentes do usuário
+        await PasswordReset.update({ usedAt }, {
+            where: {
+                userId: { [Op.eq]: userId },
+                usedAt: { [Op.is]: null }
+            },
+            ...transaction
+        });
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new PasswordResetPersistence();
@@ -0,0 +1,26 @@
+const SecurityAuditLog = require('../models').security_audit_logs;
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade SecurityAuditLog (registro dos eventos de segurança dos usuários)
+ * Os registros apenas são cadastrados, nunca alterados
+ */
+class SecurityAuditLogPersistence {
+
+    /**
+     * Método utilizado para cadastrar um evento de segurança na base de dados
+     * @param auditLog dados do evento a ser cadastrado (userId, action, login, ip e details)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do evento cadastrado
+     */
+    async createAuditLog(auditLog, transaction) {
+
+        //cria o evento na base de dados
+        const newAuditLog = await SecurityAuditLog.create(auditLog, transaction);
+
+        //retorna o evento criado
+        return newAuditLog;
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new SecurityAuditLogPersistence();
@@ -0,0 +1,155 @@
+const Sequelize = require('sequelize');
+const Session = require('../models').sessions;
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade Session (refresh tokens e sessões dos usuários)
+ */
+class SessionPersistence {
+
+    /**
+     * Método utilizado para cadastrar um refresh token na base de dados
+     * @param session dados do refresh token a ser cadastrado (o token deve estar no formato de hash)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do refresh token cadastrado
+     */
+    async createSession(session, transaction) {
+
+        //cria o registro na base de dados
+        const newSession = await Session.create(session, transaction);
+
+        //retorna o registro criado
+        return newSession;
+    }
+
+    /**
+     * Método que busca um refresh token por meio do seu hash
+     * @param refreshTokenHash hash do refresh token
+     * @returns retorna as informações do refresh token ou null caso não seja encontrado
+     */
+    async findSessionByRefreshToken(refreshTokenHash) {
+
+        const Op = Sequelize.Op;
+        //faz a busca do refresh token por meio do seu hash
+        const sessionCollection = await Session.findOne({
+            where: { refreshTokenHash: { [Op.eq]: refreshTokenHash } }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(sessionCollection) {
+
+            return sessionCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método que verifica se uma sessão está ativa, ou seja, se ela possui algum refresh token que não foi revogado
+     * @param familyId identificador da sessão
+     * @returns true se a sessão está ativa ou false caso contrário
+     */
+    async isSessionActive(familyId) {
+
+        const Op = Sequelize.Op;
+        //conta os refresh tokens da sessão que não foram revogados
+        const activeSessions = await Session.count({
+            where: {
+                familyId: { [Op.eq]: familyId },
+                revokedAt: { [Op.is]: null }
+            }
+        });
+
+        return activeSessions > 0;
+    }
+
+    /**
+     * Método que marca um refresh token como utilizado (substituído por um novo token)
+     * A alteração só é feita se o token ainda não foi utilizado nem revogado, garantindo que ele seja aceito uma única vez mesmo em requisições simultâneas
+     * @param sessionId id do registro do refresh token
+     * @param rotatedAt data da utilização no formato da base de dados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns true se o token foi marcado como utilizado ou false se ele já havia sido utilizado ou revogado
+     */
+    async rotateSession(sessionId, rotatedAt, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //marca o token como utilizado somente se ele ainda estiver válido
+        const [affectedRows] = await Session.update({ rotatedAt }, {
+            where: {
+                sessionId: { [Op.eq]: sessionId },
+                rotatedAt: { [Op.is]: null },
+                revokedAt: { [Op.is]: null }
+            },
+            ...transaction
+        });
+
+        return affectedRows === 1;
+    }
+
+    /**
+     * Método que revoga todos os refresh tokens de uma sessão
+     * @param familyId identificador da sessão
+     * @param revokedAt data da revogação no formato da base de dados
+     * @param transaction instância da transação que tá controlando a operação
+     */
+    async revokeSession(familyId, revokedAt, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //revoga os refresh tokens da sessão que ainda não foram revogados
+        await Session.update({ revokedAt }, {
+            where: {
+                familyId: { [Op.eq]: familyId },
+                revokedAt: { [Op.is]: null }
+            },
+            ...transaction
+        });
+    }
+
+    /**
+     * Método que revoga todas as sessões de um usuário
+     * @param userId id do usuário
+     * @param revokedAt data da revogação no formato da base de dados
+     * @param transaction instância da transação que tá controlando a operação
+     */
+    async revokeUserSessions(userId, revokedAt, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //revoga todos os refresh tokens do usuário que ainda não foram revogados
+        await Session.update({ revokedAt }, {
+            where: {
+                userId: { [Op.eq]: userId },
+                revokedAt: { [Op.is]: null }
+            },
+            ...transaction
+        });
+    }
+
+    /**
+     * Método que revoga todas as sessões de um usuário, exceto a sessão informada
+     * @param userId id do usuário
+     * @param familyId identificador da sessão que é mantida
+     * @param revokedAt data da revogação no formato da base de dados
+     * @param transaction instância da transação que tá controlando a operação
+     */
+    async revokeOtherUserSessions(userId, familyId, revokedAt, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //revoga os refresh tokens das demais sessões do usuário que ainda não foram revogados
+        await Session.update({ revokedAt }, {
+            where: {
+                userId: { [Op.eq]: userId },
+                familyId: { [Op.ne]: familyId },
+                revokedAt: { [Op.is]: null }
+            },
+            ...transaction
+        });
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new SessionPersistence();
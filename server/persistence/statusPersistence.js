@@ -0,0 +1,181 @@
+const Sequelize = require('sequelize');
+const Status = require('../models').statuses;
+const Card = require('../models').cards;
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade Status (colunas do quadro de cards) como cadastrar, consultar, editar, remover e etc
+ */
+class StatusPersistence {
+
+    /**
+     * Método utilizado para cadastrar um status na base de dados
+     * @param status dados do status a ser cadastrado 
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do status cadastrado
+     */
+    async createStatus(status, transaction) {
+
+        //cria o status na base de dados
+        const newStatus = await Status.create(status, transaction);
+
+        //retorna o status criado
+        return newStatus;
+    }
+
+    /**
+     * Método que realiza uma busca dos status disponíveis nos quadros, ordenados pela ordem de exibição no quadro
+     * Os status padrão (sem quadro) estão disponíveis em todos os quadros, os demais apenas no quadro em que foram cadastrados
+     * @param filters filtros da busca (boardId: id de um quadro e memberId: id de um usuário, trazendo os status dos quadros dos quais ele é membro), se nenhum for informado, traz apenas os status padrão
+     * @returns uma lista de status cadastrados ou uma lista vazia caso não seja encontrado
+     */
+    async searchStatuses(filters = {}) {
+
+        const Op = Sequelize.Op;
+        //os status padrão sempre são trazidos
+        const conditions = [{ boardId: { [Op.is]: null } }];
+
+        //traz os status do quadro informado
+        if(filters.boardId) {
+
+            conditions.push({ boardId: { [Op.eq]: filters.boardId } });
+        }
+
+        //traz os status dos quadros dos quais o usuário é membro
+        if(filters.memberId) {
+
+            conditions.push({ boardId: { [Op.in]: Sequelize.literal(`(SELECT board_members.boardId FROM board_members WHERE board_members.userId = ${Status.sequelize.escape(Number(filters.memberId))})`) } });
+        }
+
+        //faz a busca dos status ordenando pela ordem de exibição e, em caso de empate, pelo id
+        const statusesCollection = await Status.findAll({
+            where: { [Op.or]: conditions },
+            order: [['sortOrder', 'ASC'], ['statusId', 'ASC']]
+        });
+
+        //retorna uma lista com as informações dos status
+        return statusesCollection;
+    }
+
+    /**
+     * Método que realiza a busca de um status disponível em um quadro (status padrão ou do próprio quadro) por meio do seu id
+     * @param boardId id do quadro
+     * @param statusId id do status a ser buscado 
+     * @returns retorna as informações do status ou null caso não seja encontrado ou não esteja disponível no quadro
+     */
+    async findBoardStatusById(boardId, statusId) {
+
+        const Op = Sequelize.Op;
+        //realiza a busca do status por meio do seu id, desde que seja um status padrão ou do quadro informado
+        const statusCollection = await Status.findOne({
+            where: {
+                statusId: { [Op.eq]: statusId },
+                [Op.or]: [{ boardId: { [Op.is]: null } }, { boardId: { [Op.eq]: boardId } }]
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(statusCollection) {
+
+            return statusCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método que realiza a busca de um status disponível em um quadro (status padrão ou do próprio quadro) por meio do seu nome
+     * @param boardId id do quadro
+     * @param name nome do status a ser buscado 
+     * @returns retorna as informações do status ou null caso não seja encontrado ou não esteja disponível no quadro
+     */
+    async findBoardStatusByName(boardId, name) {
+
+        const Op = Sequelize.Op;
+        //realiza a busca do status por meio do seu nome, desde que seja um status padrão ou do quadro informado
+        const statusCollection = await Status.findOne({
+            where: {
+                name: { [Op.eq]: name },
+                [Op.or]: [{ boardId: { [Op.is]: null } }, { boardId: { [Op.eq]: boardId } }]
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(statusCollection) {
+
+            return statusCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para alterar um status na base de dados
+     * @param statusId id do status a ser atualizado
+     * @param status dados do status a ser alterado 
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do status alterado ou null se o status não foi encontrado
+     */
+    async updateStatus(statusId, status, transaction) {
+
+        //faz a busca do status com base no id para verificar se o mesmo existe na base de dados
+        const statusCollection = await Status.findByPk(statusId);
+
+        //se encontrou
+        if(statusCollection) {
+
+            //atualiza as informações do status com base nos dados informados como parâmetro
+            await statusCollection.update(status, transaction);
+
+            //retorna o status com as informações atualizadas
+            return statusCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método utilizado para remover um status na base de dados
+     * @param statusId id do status a ser removido
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do status removido ou null se o status não foi encontrado
+     */
+    async deleteStatus(statusId, transaction) {
+
+        //faz a busca do status com base no id para verificar se o mesmo existe na base de dados
+        const statusCollection = await Status.findByPk(statusId);
+
+        //se encontrou
+        if(statusCollection) {
+
+            //remove o cadastro do status na base de dados
+            await statusCollection.destroy(transaction);
+
+            //retorna o status removido
+            return statusCollection;
+        }
+
+        //se não encontrou retorna null
+        return null;
+    }
+
+    /**
+     * Método que conta o total de cards que utilizam um status
+     * @param statusId id do status
+     * @returns total de cards com o status informado
+     */
+    async countStatusCards(statusId) {
+
+        const Op = Sequelize.Op;
+
+        //conta os cards que referenciam o status
+        return await Card.count({
+            where: { statusId: { [Op.eq]: statusId } }
+        });
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new StatusPersistence();
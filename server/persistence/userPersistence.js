@@ -1,5 +1,8 @@
 const Sequelize = require('sequelize');
 const User = require('../models').users;
+const { getPagination, getPagingData, getQueryFilter } = require('../helpers/pagination_helpers');
+//colunas utilizadas na busca por texto dos usuários
+const columns = ['name', 'mail', 'login'];
 
 /**
  * Classe na qual são implementados os métodos que realizam a manipulação das informações da Entidade User como cadastrar, consultar, consulta por campos, editar, remover e etc
@@ -23,9 +26,9 @@ class UserPersistence {
 
     /**
      * Método que realiza uma busca utilizando paginação de todos os usuários cadastrados
-     * @param parameter parâmetro de busca, se for vazio, traz todos os usuários
-     * @param page página atual
-     * @param size tamanho de registros por página
+     * @param parameter parâmetro de busca, buscado no nome, email e login dos usuários, se for vazio, traz todos os usuários
+     * @param page página atual, iniciando em 1 (se não for informada, traz a primeira página)
+     * @param size tamanho de registros por página (se não for informado, utiliza o tamanho padrão)
      * @returns uma lista de usuários cadastrados ou uma lista vazia caso não seja encontrado 
      */
     async searchUsers(parameter, page, size) {
@@ -54,9 +57,9 @@ class UserPersistence {
         query.distinct = true;
         //configura que os resultados serão ordenados pelos nomes dos usuários
         query.order = [['name', 'ASC']];
-        //configura que para cada usuário encontrado, retorna junto o total de cards que cada usuário criou
-        query.attributes = Object.keys(User.rawAttributes).concat([
-            [Sequelize.literal('(SELECT COUNT(cards.cardId) FROM cards WHERE users.userId = cards.userId)'), 'cardsCount']
+        //configura que para cada usuário encontrado, retorna junto o total de cards que cada usuário criou (desconsiderando os cards da lixeira), a senha nunca é retornada
+        query.attributes = Object.keys(User.rawAttributes).filter(attribute => attribute !== 'password').concat([
+            [Sequelize.literal('(SELECT COUNT(cards.cardId) FROM cards WHERE users.userId = cards.userId AND cards.deletedAt IS NULL)'), 'cardsCount']
         ]);
 
         //faz a busca na base de dados com base nas configurações de busca realizadas
@@ -86,6 +89,25 @@ class UserPersistence {
         return null;
     }
 
+    /**
+     * Método que realiza a busca de usuário por meio do seu id bloqueando o seu registro (SELECT ... FOR UPDATE) até o fim da transação
+     * O bloqueio faz com que as operações simultâneas de um mesmo usuário sejam executadas uma após a outra
+     * @param userId id do usuário a ser buscado
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna as informações do usuário ou null caso não seja encontrado
+     */
+    async lockUserById(userId, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //realiza a busca do usuário bloqueando o seu registro
+        return await User.findOne({
+            where: { userId: { [Op.eq]: userId } },
+            lock: Sequelize.Transaction.LOCK.UPDATE,
+            ...transaction
+        });
+    }
+
     /**
      * Método que realiza a busca de usuário por meio de um filtro com base em uma lista de chaves (nome dos campos) e valores a serem utilizados para filtrar
      * Exemplo: filtrar por login e senha então teremos uma lista de chaves do tipo
@@ -136,8 +158,8 @@ class UserPersistence {
      */
     async updateUser(userId, user, transaction) {
     
-        //faz a busca do usuário com base no id para verificar se o mesmo existe na base de dados
-        const userCollection = await User.findByPk(userId);
+        //faz a busca do usuário com base no id para verificar se o mesmo existe na base de dados (dentro da transação, já que o usuário pode ter sido cadastrado nela)
+        const userCollection = await User.findByPk(userId, transaction);
 
         //se encontrou
         if(userCollection) {
@@ -153,6 +175,69 @@ class UserPersistence {
         return null;
     }
 
+    /**
+     * Método que incrementa de forma atômica a quantidade de tentativas com a senha incorreta do usuário de um login
+     * A alteração é feita diretamente na base de dados (failedLoginAttempts = failedLoginAttempts + 1), para que as tentativas simultâneas nunca sejam perdidas
+     * Se o login não existir, as mesmas consultas são realizadas, para que a operação leve o mesmo tempo
+     * @param login login informado
+     * @returns retorna o id, o login e a quantidade de tentativas atualizada do usuário ou null caso o login não exista
+     */
+    async incrementFailedLoginAttempts(login) {
+
+        const Op = Sequelize.Op;
+        const where = { login: { [Op.eq]: login } };
+
+        //incrementa a quantidade de tentativas do usuário do login
+        await User.update({ failedLoginAttempts: Sequelize.literal('failedLoginAttempts + 1') }, { where });
+
+        //busca a quantidade de tentativas atualizada
+        return await User.findOne({ where, attributes: ['userId', 'login', 'failedLoginAttempts'] });
+    }
+
+    /**
+     * Método que bloqueia o login de um usuário que atingiu a quantidade máxima de tentativas com a senha incorreta, reiniciando a contagem das tentativas
+     * O bloqueio só é realizado se a quantidade de tentativas ainda estiver registrada, assim, entre as tentativas simultâneas, apenas uma realiza o bloqueio
+     * @param userId id do usuário
+     * @param maxFailedAttempts quantidade de tentativas que bloqueiam o login
+     * @param lockedUntil data até a qual o login fica bloqueado
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns true se o bloqueio foi realizado ou false caso contrário
+     */
+    async lockUser(userId, maxFailedAttempts, lockedUntil, transaction) {
+
+        const Op = Sequelize.Op;
+        //bloqueia o login do usuário
+        const [affectedRows] = await User.update({ failedLoginAttempts: 0, lockedUntil }, {
+            where: {
+                userId: { [Op.eq]: userId },
+                failedLoginAttempts: { [Op.gte]: maxFailedAttempts }
+            },
+            ...transaction
+        });
+
+        return affectedRows > 0;
+    }
+
+    /**
+     * Método que remove as tentativas com a senha incorreta e o bloqueio do login de um usuário, se houver
+     * @param userId id do usuário
+     */
+    async clearFailedLoginAttempts(userId) {
+
+        const Op = Sequelize.Op;
+
+        //a alteração só é realizada se o usuário possuir tentativas ou um bloqueio registrado
+        await User.update({ failedLoginAttempts: 0, lockedUntil: null }, {
+            where: {
+                userId: { [Op.eq]: userId },
+                [Op.or]: [
+                    { failedLoginAttempts: { [Op.gt]: 0 } },
+                    { lockedUntil: { [Op.ne]: null } }
+                ]
+            }
+        });
+    }
+
     /**
      * Método utilizado para remover um usuário na base de dados
      * @param userId id do usuário a ser atualizado
@@ -188,7 +273,7 @@ class UserPersistence {
         await User.destroy({
             where: {},
             truncate: false,
-            transaction
+            ...transaction
         });
     }
 
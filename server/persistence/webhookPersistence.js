@@ -0,0 +1,201 @@
+const Sequelize = require('sequelize');
+const Webhook = require('../models').webhooks;
+const WebhookDelivery = require('../models').webhook_deliveries;
+const { getPagination, getPagingData } = require('../helpers/pagination_helpers');
+
+/**
+ * Classe na qual são implementados os métodos que realizam a manipulação das informações das Entidades Webhook e WebhookDelivery (webhooks dos usuários e as entregas dos eventos)
+ */
+class WebhookPersistence {
+
+    /**
+     * Método utilizado para cadastrar um webhook na base de dados
+     * @param webhook dados do webhook a ser cadastrado (userId, boardId, url, events, secret e active)
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do webhook cadastrado
+     */
+    async createWebhook(webhook, transaction) {
+
+        //cria o webhook na base de dados
+        const newWebhook = await Webhook.create(webhook, transaction);
+
+        //retorna o webhook criado
+        return newWebhook;
+    }
+
+    /**
+     * Método que realiza a busca dos webhooks cadastrados por um usuário
+     * @param userId id do usuário
+     * @returns uma lista de webhooks ou uma lista vazia caso não seja encontrado
+     */
+    async searchUserWebhooks(userId) {
+
+        const Op = Sequelize.Op;
+
+        //busca os webhooks do usuário ordenados pela data de cadastro
+        return await Webhook.findAll({
+            where: { userId: { [Op.eq]: userId } },
+            order: [['webhookId', 'ASC']]
+        });
+    }
+
+    /**
+     * Método que realiza a busca de um webhook de um usuário por meio do seu id
+     * @param userId id do usuário
+     * @param webhookId id do webhook
+     * @returns retorna as informações do webhook ou null caso não seja encontrado ou não pertença ao usuário
+     */
+    async findUserWebhook(userId, webhookId) {
+
+        const Op = Sequelize.Op;
+        //busca o webhook por meio do seu id, desde que pertença ao usuário informado
+        const webhookCollection = await Webhook.findOne({
+            where: {
+                webhookId: { [Op.eq]: webhookId },
+                userId: { [Op.eq]: userId }
+            }
+        });
+
+        //se encontrou retorna as informações da busca
+        if(webhookCollection) {
+
+            return webhookCollection;
+        }
+
+        //se não encontrou, retorna nulo
+        return null;
+    }
+
+    /**
+     * Método utilizado para alterar um webhook na base de dados
+     * @param webhook webhook a ser alterado, obtido com o método findUserWebhook
+     * @param data dados do webhook a serem alterados
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do webhook alterado
+     */
+    async updateWebhook(webhook, data, transaction) {
+
+        //atualiza as informações do webhook com base nos dados informados como parâmetro
+        await webhook.update(data, transaction);
+
+        //retorna o webhook com as informações atualizadas
+        return webhook;
+    }
+
+    /**
+     * Método utilizado para remover um webhook na base de dados, as suas entregas são removidas junto com ele
+     * @param webhook webhook a ser removido, obtido com o método findUserWebhook
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns retorna um objeto com as informações do webhook removido
+     */
+    async deleteWebhook(webhook, transaction) {
+
+        //remove o webhook da base de dados
+        await webhook.destroy(transaction);
+
+        //retorna o webhook removido
+        return webhook;
+    }
+
+    /**
+     * Método que realiza a busca dos webhooks ativos que devem receber os eventos de um quadro
+     * São considerados os webhooks sem filtro de quadro e os webhooks do próprio quadro, desde que o usuário que os cadastrou ainda seja membro do quadro
+     * @param boardId id do quadro
+     * @param transaction instância da transação que tá controlando a operação
+     * @returns uma lista de webhooks ou uma lista vazia caso não seja encontrado
+     */
+    async searchBoardWebhooks(boardId, transaction) {
+
+        const Op = Sequelize.Op;
+
+        //busca os webhooks ativos cujo usuário é membro do quadro
+        return await Webhook.findAll({
+            where: {
+                active: { [Op.eq]: true },
+                [Op.or]: [
+                    { boardId: { [Op.is]: null } },
+                    { boardId: { [Op.eq]: boardId } }
+                ],
+                [Op.and]: Sequelize.literal(`webhooks.userId IN (SELECT board_members.userId FROM board_members WHERE board_members.boardId = ${Number(boardId)})`)
+            },
+            ...transaction
+        });
+    }
+
+    /**
+     * Método utilizado para cadastrar as entregas dos eventos aos webhooks na base de dados
+     * @param deliveries lista de entregas a serem cadastradas
+     * @param transaction instância da transação que tá controlando a operação
+     */
+    async createDeliveries(deliveries, transaction) {
+
+        //cadastra as entregas na base de dados
+        await WebhookDelivery.bulkCreate(deliveries, transaction);
+    }
+
+    /**
+     * Método que realiza a busca das entregas pendentes cuja próxima tentativa já deve ser realizada, das mais antigas para as mais recentes
+     * Junto com cada entrega é retornado o webhook que deve recebê-la
+     * @param now data atual no formato da base de dados
+     * @param limit quantidade máxima de entregas a serem buscadas
+     * @returns uma lista de entregas ou uma lista vazia caso não haja entregas pendentes
+     */
+    async searchPendingDeliveries(now, limit) {
+
+        const Op = Sequelize.Op;
+
+        //busca as entregas pendentes incluindo o webhook de cada uma delas
+        return await WebhookDelivery.findAll({
+            where: {
+                status: { [Op.eq]: 'pending' },
+                nextAttemptAt: { [Op.lte]: now }
+            },
+            include: [{ model: Webhook, as: 'deliveryWebhook' }],
+            order: [['deliveryId', 'ASC']],
+            limit
+        });
+    }
+
+    /**
+     * Método utilizado para alterar uma entrega na base de dados, registrando o resultado de uma tentativa
+     * @param delivery entrega a ser alterada, obtida com o método searchPendingDeliveries
+     * @param data dados da entrega a serem alterados
+     * @returns retorna um objeto com as informações da entrega alterada
+     */
+    async updateDelivery(delivery, data) {
+
+        //atualiza as informações da entrega com base nos dados informados como parâmetro
+        await delivery.update(data);
+
+        //retorna a entrega com as informações atualizadas
+        return delivery;
+    }
+
+    /**
+     * Método que realiza uma busca utilizando paginação das entregas de um webhook, das mais recentes para as mais antigas
+     * @param webhookId id do webhook
+     * @param page página atual
+     * @param size tamanho de registros por página
+     * @returns uma lista de entregas junto com as informações da paginação
+     */
+    async searchWebhookDeliveries(webhookId, page, size) {
+
+        const Op = Sequelize.Op;
+        //calcula o range dos registros a serem buscados com base na página atual e tamanho de registros por página
+        const { limit, offset } = getPagination(page - 1, size);
+
+        //faz a busca das entregas do webhook
+        const deliveriesCollection = await WebhookDelivery.findAndCountAll({
+            where: { webhookId: { [Op.eq]: webhookId } },
+            order: [['deliveryId', 'DESC']],
+            limit,
+            offset
+        });
+
+        //retorna uma lista com as informações das entregas junto com as informações da paginação
+        return getPagingData(deliveriesCollection, page, limit);
+    }
+}
+
+//exporta uma instância já criada da classe para ser utilizada em outros arquivos
+module.exports = new WebhookPersistence();
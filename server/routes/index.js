@@ -2,26 +2,177 @@ const express = require('express');
 const router = express.Router();
 const { formatDatetime } = require('../helpers/date_helpers');
 const { verifyJWTToken } = require('../helpers/api_helpers');
+const {
+    BOARD_READ_ROLES,
+    BOARD_ROLES,
+    BOARD_WRITE_ROLES,
+    USER_ROLES,
+    verifyBoardAccess,
+    verifyCardAccess,
+    verifyUserOwnership,
+    verifyUserQueryOwnership,
+    verifyUserRole
+} = require('../helpers/authorization_helpers');
+const { validateRequest } = require('../helpers/validation_helpers');
+const { uploadFile } = require('../helpers/upload_helpers');
+const { useQueryAccessToken } = require('../helpers/realtime_helpers');
+const { LOGIN_MAX_ATTEMPTS_PER_IP, RECOVERY_MAX_ATTEMPTS_PER_IP, limitRequestsByIp } = require('../helpers/login_protection_helpers');
+const {
+    cardAssigneeSchema,
+    cardIdSchema,
+    countBoardCardsSchema,
+    countCardsSchema,
+    createCardSchema,
+    deleteAllCardsSchema,
+    moveCardSchema,
+    searchActivitySchema,
+    searchBoardCardsSchema,
+    searchCardsByTextSchema,
+    searchCardsSchema,
+    searchOverdueCardsSchema,
+    searchTrashedCardsSchema,
+    updateCardSchema
+} = require('../schemas/cardSchemas');
+const {
+    authenticateUserSchema,
+    confirmPasswordResetSchema,
+    countUsersSchema,
+    createUserSchema,
+    logoutUserSchema,
+    recoverUserPasswordSchema,
+    refreshAccessTokenSchema,
+    resendMailVerificationSchema,
+    searchUsersSchema,
+    updateUserSchema,
+    updateUserStatusSchema,
+    userIdSchema,
+    verifyUserMailSchema
+} = require('../schemas/userSchemas');
+const {
+    boardIdSchema,
+    boardMemberSchema,
+    createBoardMemberSchema,
+    createBoardSchema,
+    searchBoardsSchema,
+    updateBoardMemberSchema,
+    updateBoardSchema
+} = require('../schemas/boardSchemas');
+const { attachmentIdSchema, cardAttachmentsSchema } = require('../schemas/attachmentSchemas');
+const {
+    checklistIdSchema,
+    checklistItemIdSchema,
+    createChecklistItemSchema,
+    createChecklistSchema,
+    moveChecklistItemSchema,
+    searchChecklistsSchema,
+    updateChecklistItemSchema,
+    updateChecklistSchema
+} = require('../schemas/checklistSchemas');
+const { commentIdSchema, createCommentSchema, searchCommentsSchema, updateCommentSchema } = require('../schemas/commentSchemas');
+const { createCardLabelSchema, createLabelSchema, labelSchema, updateLabelSchema } = require('../schemas/labelSchemas');
+const { boardEventsSchema, userEventsSchema } = require('../schemas/realtimeSchemas');
+const { createStatusSchema, searchStatusesSchema, statusIdSchema, updateStatusSchema } = require('../schemas/statusSchemas');
+const { createWebhookSchema, searchWebhookDeliveriesSchema, searchWebhooksSchema, updateWebhookSchema, webhookIdSchema } = require('../schemas/webhookSchemas');
 const UserController = require('../controllers/userController');
 const CardController = require('../controllers/cardController');
+const BoardController = require('../controllers/boardController');
+const LabelController = require('../controllers/labelController');
+const CommentController = require('../controllers/commentController');
+const ChecklistController = require('../controllers/checklistController');
+const AttachmentController = require('../controllers/attachmentController');
+const RealtimeController = require('../controllers/realtimeController');
+const StatusController = require('../controllers/statusController');
+const WebhookController = require('../controllers/webhookController');
 
 /**
  * Define as rotas da API
  * Nas que precisam de autenticação, passa como parâmetro a função de middleware que checa se o token de autenticação é válido
+ * As rotas fixas (como /cards/search, /cards/overdue, /cards/tasks/count e /cards/trash) são definidas antes das rotas com parâmetro (como /cards/:id) para que não sejam confundidas com elas
+ * Nas que manipulam recursos de um usuário, passa também a função de middleware que checa se o recurso pertence ao usuário autenticado
+ * Nas que manipulam quadros e cards, passa também a função de middleware que checa o papel do usuário autenticado no quadro (dono, editor ou leitor)
+ * Nas que alteram e removem comentários, o controller também checa se o usuário autenticado é o autor do comentário
+ * Nas que são restritas aos administradores, passa também a função de middleware que checa o perfil de acesso do usuário autenticado
+ * Em todas, passa também a função de middleware que valida a requisição (body, params e query) com base no schema da rota, as que não recebem informações possuem um schema vazio
+ * Nas que recebem arquivos, passa também a função de middleware que recebe o arquivo, somente após as verificações de acesso
+ * Nas conexões de eventos em tempo real, o token também pode ser informado no parâmetro access_token, já que o EventSource dos navegadores não envia o cabeçalho Authorization
  */
-router.post('/cards/', verifyJWTToken, CardController.createCard);
-router.put('/cards/:id', verifyJWTToken, CardController.updateCard);
-router.delete('/cards/:id', verifyJWTToken, CardController.deleteCard);
-router.get('/cards/', verifyJWTToken, CardController.searchCards);
-router.get('/cards/:id', verifyJWTToken, CardController.findCardById);
-router.get('/cards/tasks/count', verifyJWTToken, CardController.countCards);
-router.get('/users/', verifyJWTToken, UserController.searchUsers);
-router.get('/users/:id', verifyJWTToken, UserController.findUserById);
-router.get('/users/tasks/count', verifyJWTToken, UserController.countUsers);
-router.post('/users/', UserController.createUser);
-router.put('/users/:id', verifyJWTToken, UserController.updateUser);
-router.post('/users/login', UserController.authenticateUser);
-router.post('/users/recovery', UserController.recoverUserPassword);
+router.post('/cards/', verifyJWTToken, validateRequest(createCardSchema), CardController.createCard);
+router.put('/cards/:id', verifyJWTToken, validateRequest(updateCardSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CardController.updateCard);
+router.post('/cards/:id/restore', verifyJWTToken, validateRequest(cardIdSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CardController.restoreCard);
+router.delete('/cards/:id/purge', verifyJWTToken, validateRequest(cardIdSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CardController.purgeCard);
+router.post('/cards/:id/move', verifyJWTToken, validateRequest(moveCardSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CardController.moveCard);
+router.post('/cards/:id/labels', verifyJWTToken, validateRequest(createCardLabelSchema), verifyCardAccess(...BOARD_WRITE_ROLES), LabelController.createCardLabel);
+router.delete('/cards/:id/labels/:labelId', verifyJWTToken, validateRequest(labelSchema), verifyCardAccess(...BOARD_WRITE_ROLES), LabelController.deleteCardLabel);
+router.post('/cards/:id/assignees/:userId', verifyJWTToken, validateRequest(cardAssigneeSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CardController.createCardAssignee);
+router.delete('/cards/:id/assignees/:userId', verifyJWTToken, validateRequest(cardAssigneeSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CardController.deleteCardAssignee);
+router.delete('/cards/:id', verifyJWTToken, validateRequest(cardIdSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CardController.deleteCard);
+router.delete('/cards/', verifyJWTToken, verifyUserRole(USER_ROLES.ADMIN), validateRequest(deleteAllCardsSchema), CardController.deleteAllCards);
+router.get('/cards/', verifyJWTToken, validateRequest(searchCardsSchema), verifyUserQueryOwnership, CardController.searchCards);
+router.get('/cards/search', verifyJWTToken, validateRequest(searchCardsByTextSchema), CardController.searchCardsByText);
+router.get('/cards/overdue', verifyJWTToken, validateRequest(searchOverdueCardsSchema), CardController.searchOverdueCards);
+router.get('/cards/trash', verifyJWTToken, validateRequest(searchTrashedCardsSchema), CardController.searchTrashedCards);
+router.get('/cards/tasks/count', verifyJWTToken, validateRequest(countCardsSchema), verifyUserQueryOwnership, CardController.countCards);
+router.get('/cards/:id', verifyJWTToken, validateRequest(cardIdSchema), verifyCardAccess(...BOARD_READ_ROLES), CardController.findCardById);
+router.get('/cards/:id/history', verifyJWTToken, validateRequest(cardIdSchema), verifyCardAccess(...BOARD_READ_ROLES), CardController.searchCardHistory);
+router.get('/cards/:id/comments', verifyJWTToken, validateRequest(searchCommentsSchema), verifyCardAccess(...BOARD_READ_ROLES), CommentController.searchCardComments);
+router.post('/cards/:id/comments', verifyJWTToken, validateRequest(createCommentSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CommentController.createComment);
+router.put('/cards/:id/comments/:commentId', verifyJWTToken, validateRequest(updateCommentSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CommentController.updateComment);
+router.delete('/cards/:id/comments/:commentId', verifyJWTToken, validateRequest(commentIdSchema), verifyCardAccess(...BOARD_WRITE_ROLES), CommentController.deleteComment);
+router.get('/cards/:id/checklists', verifyJWTToken, validateRequest(searchChecklistsSchema), verifyCardAccess(...BOARD_READ_ROLES), ChecklistController.searchCardChecklists);
+router.post('/cards/:id/checklists', verifyJWTToken, validateRequest(createChecklistSchema), verifyCardAccess(...BOARD_WRITE_ROLES), ChecklistController.createChecklist);
+router.put('/cards/:id/checklists/:checklistId', verifyJWTToken, validateRequest(updateChecklistSchema), verifyCardAccess(...BOARD_WRITE_ROLES), ChecklistController.updateChecklist);
+router.delete('/cards/:id/checklists/:checklistId', verifyJWTToken, validateRequest(checklistIdSchema), verifyCardAccess(...BOARD_WRITE_ROLES), ChecklistController.deleteChecklist);
+router.post('/cards/:id/checklists/:checklistId/items', verifyJWTToken, validateRequest(createChecklistItemSchema), verifyCardAccess(...BOARD_WRITE_ROLES), ChecklistController.createChecklistItem);
+router.put('/cards/:id/checklists/:checklistId/items/:itemId', verifyJWTToken, validateRequest(updateChecklistItemSchema), verifyCardAccess(...BOARD_WRITE_ROLES), ChecklistController.updateChecklistItem);
+router.post('/cards/:id/checklists/:checklistId/items/:itemId/move', verifyJWTToken, validateRequest(moveChecklistItemSchema), verifyCardAccess(...BOARD_WRITE_ROLES), ChecklistController.moveChecklistItem);
+router.delete('/cards/:id/checklists/:checklistId/items/:itemId', verifyJWTToken, validateRequest(checklistItemIdSchema), verifyCardAccess(...BOARD_WRITE_ROLES), ChecklistController.deleteChecklistItem);
+router.get('/cards/:id/attachments', verifyJWTToken, validateRequest(cardAttachmentsSchema), verifyCardAccess(...BOARD_READ_ROLES), AttachmentController.searchCardAttachments);
+router.post('/cards/:id/attachments', verifyJWTToken, validateRequest(cardAttachmentsSchema), verifyCardAccess(...BOARD_WRITE_ROLES), uploadFile('file'), AttachmentController.createAttachment);
+router.get('/cards/:id/attachments/:attachmentId', verifyJWTToken, validateRequest(attachmentIdSchema), verifyCardAccess(...BOARD_READ_ROLES), AttachmentController.downloadAttachment);
+router.delete('/cards/:id/attachments/:attachmentId', verifyJWTToken, validateRequest(attachmentIdSchema), verifyCardAccess(...BOARD_WRITE_ROLES), AttachmentController.deleteAttachment);
+router.get('/activity', verifyJWTToken, validateRequest(searchActivitySchema), CardController.searchActivity);
+router.get('/events', useQueryAccessToken, verifyJWTToken, validateRequest(userEventsSchema), RealtimeController.streamUserEvents);
+router.get('/boards/', verifyJWTToken, validateRequest(searchBoardsSchema), BoardController.searchBoards);
+router.post('/boards/', verifyJWTToken, validateRequest(createBoardSchema), BoardController.createBoard);
+router.get('/boards/:id', verifyJWTToken, validateRequest(boardIdSchema), verifyBoardAccess(...BOARD_READ_ROLES), BoardController.findBoardById);
+router.put('/boards/:id', verifyJWTToken, validateRequest(updateBoardSchema), verifyBoardAccess(BOARD_ROLES.OWNER), BoardController.updateBoard);
+router.delete('/boards/:id', verifyJWTToken, validateRequest(boardIdSchema), verifyBoardAccess(BOARD_ROLES.OWNER), BoardController.deleteBoard);
+router.get('/boards/:id/cards', verifyJWTToken, validateRequest(searchBoardCardsSchema), verifyBoardAccess(...BOARD_READ_ROLES), CardController.searchBoardCards);
+router.get('/boards/:id/cards/tasks/count', verifyJWTToken, validateRequest(countBoardCardsSchema), verifyBoardAccess(...BOARD_READ_ROLES), CardController.countBoardCards);
+router.get('/boards/:id/labels', verifyJWTToken, validateRequest(boardIdSchema), verifyBoardAccess(...BOARD_READ_ROLES), LabelController.searchBoardLabels);
+router.post('/boards/:id/labels', verifyJWTToken, validateRequest(createLabelSchema), verifyBoardAccess(...BOARD_WRITE_ROLES), LabelController.createLabel);
+router.put('/boards/:id/labels/:labelId', verifyJWTToken, validateRequest(updateLabelSchema), verifyBoardAccess(...BOARD_WRITE_ROLES), LabelController.updateLabel);
+router.delete('/boards/:id/labels/:labelId', verifyJWTToken, validateRequest(labelSchema), verifyBoardAccess(...BOARD_WRITE_ROLES), LabelController.deleteLabel);
+router.get('/boards/:id/statuses', verifyJWTToken, validateRequest(boardIdSchema), verifyBoardAccess(...BOARD_READ_ROLES), StatusController.searchBoardStatuses);
+router.post('/boards/:id/statuses', verifyJWTToken, validateRequest(createStatusSchema), verifyBoardAccess(BOARD_ROLES.OWNER), StatusController.createStatus);
+router.put('/boards/:id/statuses/:statusId', verifyJWTToken, validateRequest(updateStatusSchema), verifyBoardAccess(BOARD_ROLES.OWNER), StatusController.updateStatus);
+router.delete('/boards/:id/statuses/:statusId', verifyJWTToken, validateRequest(statusIdSchema), verifyBoardAccess(BOARD_ROLES.OWNER), StatusController.deleteStatus);
+router.get('/boards/:id/events', useQueryAccessToken, verifyJWTToken, validateRequest(boardEventsSchema), verifyBoardAccess(...BOARD_READ_ROLES), RealtimeController.streamBoardEvents);
+router.get('/boards/:id/members', verifyJWTToken, validateRequest(boardIdSchema), verifyBoardAccess(...BOARD_READ_ROLES), BoardController.searchBoardMembers);
+router.post('/boards/:id/members', verifyJWTToken, validateRequest(createBoardMemberSchema), verifyBoardAccess(BOARD_ROLES.OWNER), BoardController.createBoardMember);
+router.put('/boards/:id/members/:userId', verifyJWTToken, validateRequest(updateBoardMemberSchema), verifyBoardAccess(BOARD_ROLES.OWNER), BoardController.updateBoardMember);
+router.delete('/boards/:id/members/:userId', verifyJWTToken, validateRequest(boardMemberSchema), verifyBoardAccess(BOARD_ROLES.OWNER), BoardController.deleteBoardMember);
+router.get('/statuses/', verifyJWTToken, validateRequest(searchStatusesSchema), StatusController.searchStatuses);
+router.get('/users/', verifyJWTToken, verifyUserRole(USER_ROLES.ADMIN), validateRequest(searchUsersSchema), UserController.searchUsers);
+router.get('/users/tasks/count', verifyJWTToken, verifyUserRole(USER_ROLES.ADMIN), validateRequest(countUsersSchema), UserController.countUsers);
+router.get('/users/verify', validateRequest(verifyUserMailSchema), UserController.verifyUserMail);
+router.post('/users/verify/resend', limitRequestsByIp('recovery', RECOVERY_MAX_ATTEMPTS_PER_IP), validateRequest(resendMailVerificationSchema), UserController.resendMailVerification);
+router.get('/users/:id', verifyJWTToken, validateRequest(userIdSchema), verifyUserOwnership, UserController.findUserById);
+router.post('/users/', validateRequest(createUserSchema), UserController.createUser);
+router.put('/users/:id', verifyJWTToken, validateRequest(updateUserSchema), verifyUserOwnership, UserController.updateUser);
+router.put('/users/:id/status', verifyJWTToken, verifyUserRole(USER_ROLES.ADMIN), validateRequest(updateUserStatusSchema), UserController.updateUserStatus);
+router.delete('/users/:id', verifyJWTToken, verifyUserRole(USER_ROLES.ADMIN), validateRequest(userIdSchema), UserController.deleteUser);
+router.post('/users/login', limitRequestsByIp('login', LOGIN_MAX_ATTEMPTS_PER_IP), validateRequest(authenticateUserSchema), UserController.authenticateUser);
+router.post('/users/token/refresh', validateRequest(refreshAccessTokenSchema), UserController.refreshAccessToken);
+router.post('/users/logout', verifyJWTToken, validateRequest(logoutUserSchema), UserController.logoutUser);
+router.post('/users/logout-all', verifyJWTToken, validateRequest(logoutUserSchema), UserController.logoutAllUserSessions);
+router.post('/users/recovery', limitRequestsByIp('recovery', RECOVERY_MAX_ATTEMPTS_PER_IP), validateRequest(recoverUserPasswordSchema), UserController.recoverUserPassword);
+router.post('/users/recovery/confirm', limitRequestsByIp('recovery', RECOVERY_MAX_ATTEMPTS_PER_IP), validateRequest(confirmPasswordResetSchema), UserController.confirmPasswordReset);
+router.get('/webhooks/', verifyJWTToken, validateRequest(searchWebhooksSchema), WebhookController.searchWebhooks);
+router.post('/webhooks/', verifyJWTToken, validateRequest(createWebhookSchema), WebhookController.createWebhook);
+router.put('/webhooks/:id', verifyJWTToken, validateRequest(updateWebhookSchema), WebhookController.updateWebhook);
+router.delete('/webhooks/:id', verifyJWTToken, validateRequest(webhookIdSchema), WebhookController.deleteWebhook);
+router.get('/webhooks/:id/deliveries', verifyJWTToken, validateRequest(searchWebhookDeliveriesSchema), WebhookController.searchWebhookDeliveries);
 
 /**
  * Função especial que verifica se a rota não existe, se não existir, envia uma mensagem indicadno
@@ -0,0 +1,27 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas a entidade Attachment (arquivos anexados aos cards)
+ * O arquivo enviado no cadastro não é validado pelo schema, mas pelo middleware que recebe o arquivo (ver upload_helpers)
+ */
+
+//regras do parâmetro id das rotas (id do card)
+const cardIdParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//schema das requisições de busca e de cadastro dos anexos de um card
+const cardAttachmentsSchema = {
+    params: cardIdParams
+};
+
+//schema das requisições de download e de remoção de anexo
+const attachmentIdSchema = {
+    params: {
+        ...cardIdParams,
+        attachmentId: { type: 'integer', required: true, min: 1 }
+    }
+};
+
+module.exports = {
+    attachmentIdSchema,
+    cardAttachmentsSchema
+};
@@ -0,0 +1,75 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas as entidades Board (quadros) e BoardMember (membros dos quadros)
+ * Os limites de tamanho dos campos seguem o tamanho das colunas das tabelas boards e board_members
+ */
+
+const { BOARD_ROLES } = require('../helpers/authorization_helpers');
+
+//regras do parâmetro id das rotas
+const boardIdParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras dos parâmetros das rotas que manipulam um membro do quadro
+const boardMemberParams = {
+    ...boardIdParams,
+    userId: { type: 'integer', required: true, min: 1 }
+};
+
+//regras do papel de um membro do quadro
+const roleRules = { type: 'string', enum: Object.values(BOARD_ROLES) };
+
+//schema da requisição de cadastro de quadro
+const createBoardSchema = {
+    body: {
+        name: { type: 'string', required: true, maxLength: 100 }
+    }
+};
+
+//schema da requisição de alteração de quadro
+const updateBoardSchema = {
+    params: boardIdParams,
+    body: {
+        name: { type: 'string', required: true, maxLength: 100 }
+    }
+};
+
+//schema das requisições que recebem apenas o id do quadro (busca, deleção, membros e cards do quadro)
+const boardIdSchema = {
+    params: boardIdParams
+};
+
+//schema da requisição de inclusão de membro no quadro
+const createBoardMemberSchema = {
+    params: boardIdParams,
+    body: {
+        userId: { type: 'integer', required: true, min: 1 },
+        role: { ...roleRules, required: true }
+    }
+};
+
+//schema da requisição de alteração do papel de um membro do quadro
+const updateBoardMemberSchema = {
+    params: boardMemberParams,
+    body: {
+        role: { ...roleRules, required: true }
+    }
+};
+
+//schema da requisição de remoção de membro do quadro
+const boardMemberSchema = {
+    params: boardMemberParams
+};
+
+//schema da requisição de busca dos quadros do usuário, que não recebe informações
+const searchBoardsSchema = {};
+
+module.exports = {
+    boardIdSchema,
+    boardMemberSchema,
+    createBoardMemberSchema,
+    createBoardSchema,
+    searchBoardsSchema,
+    updateBoardMemberSchema,
+    updateBoardSchema
+};
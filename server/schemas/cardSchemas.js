@@ -0,0 +1,177 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas a entidade Card
+ * Os limites de tamanho dos campos seguem o tamanho das colunas da tabela cards
+ * O status pode ser informado pelo id (statusId) ou pelo nome (status), a sua existência é verificada no cadastro e na alteração do card
+ * Nas buscas, a página (page) e o tamanho da página (size) são opcionais, se não forem informados todos os cards são retornados
+ * O quadro (boardId) é opcional no cadastro, se não for informado o card é cadastrado no quadro pessoal do usuário
+ * A data de entrega (dueAt) e a prioridade (priority) são opcionais, na alteração elas são removidas se forem informadas vazias
+ * Os demais campos de texto não podem ser informados vazios, na alteração eles devem ser omitidos para que não sejam alterados
+ */
+
+const { MAX_PAGE_SIZE } = require('../helpers/pagination_helpers');
+const { CARD_PRIORITIES } = require('../helpers/card_priority_helpers');
+
+//regras do parâmetro id das rotas
+const cardIdParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras do parâmetro id das rotas dos cards de um quadro
+const boardIdParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras da prioridade do card, que pode ser removida
+const priorityRules = { type: 'string', nullable: true, enum: Object.values(CARD_PRIORITIES) };
+
+//regras da data de entrega do card, que pode ser removida
+const dueAtRules = { type: 'date', nullable: true };
+
+//regras do status do card, informado pelo nome ou pelo id (o campo vazio é considerado não informado)
+const statusRules = {
+    status: { type: 'string', nullable: true, maxLength: 30 },
+    statusId: { type: 'integer', nullable: true, min: 1 }
+};
+
+//regras da paginação das buscas
+const paginationQuery = {
+    page: { type: 'integer', min: 1 },
+    size: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+};
+
+//regras do filtro por usuário utilizado nas buscas
+const userIdQuery = {
+    userId: { type: 'integer', min: 1 }
+};
+
+//regras do filtro por etiqueta utilizado nas buscas e contagens
+const labelIdQuery = {
+    labelId: { type: 'integer', min: 1 }
+};
+
+//regras dos filtros, da ordenação e da paginação das buscas de cards
+const searchCardsQuery = {
+    ...userIdQuery,
+    ...labelIdQuery,
+    assignee: { type: 'string', pattern: /^(me|[1-9]\d*)$/, patternMessage: 'Deve ser "me" ou o id de um usuário' },
+    statusId: { type: 'integer', min: 1 },
+    search: { type: 'string', maxLength: 100 },
+    createdFrom: { type: 'date' },
+    createdTo: { type: 'date' },
+    updatedFrom: { type: 'date' },
+    updatedTo: { type: 'date' },
+    dueFrom: { type: 'date' },
+    dueTo: { type: 'date' },
+    sort: { type: 'string', enum: ['createdAt', 'updatedAt', 'title', 'position', 'dueAt', 'priority'] },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    ...paginationQuery
+};
+
+//schema da requisição de cadastro de card
+const createCardSchema = {
+    body: {
+        title: { type: 'string', required: true, maxLength: 50 },
+        content: { type: 'string', required: true },
+        boardId: { type: 'integer', nullable: true, min: 1 },
+        ...statusRules,
+        dueAt: dueAtRules,
+        priority: priorityRules
+    }
+};
+
+//schema da requisição de alteração de card, os campos não informados não são alterados
+const updateCardSchema = {
+    params: cardIdParams,
+    body: {
+        title: { type: 'string', maxLength: 50 },
+        content: { type: 'string' },
+        ...statusRules,
+        dueAt: dueAtRules,
+        priority: priorityRules
+    }
+};
+
+//schema da requisição de movimentação de card, a posição de destino inicia em 0
+const moveCardSchema = {
+    params: cardIdParams,
+    body: {
+        ...statusRules,
+        position: { type: 'integer', required: true, min: 0 }
+    }
+};
+
+//schema das requisições de atribuição e de remoção de um responsável do card
+const cardAssigneeSchema = {
+    params: {
+        ...cardIdParams,
+        userId: { type: 'integer', required: true, min: 1 }
+    }
+};
+
+//schema das requisições que recebem apenas o id do card (busca e deleção)
+const cardIdSchema = {
+    params: cardIdParams
+};
+
+//schema da requisição de busca de cards
+const searchCardsSchema = {
+    query: searchCardsQuery
+};
+
+//schema da requisição de contagem de cards
+const countCardsSchema = {
+    query: { ...userIdQuery, ...labelIdQuery }
+};
+
+//schema da requisição de contagem dos cards de um quadro
+const countBoardCardsSchema = {
+    params: boardIdParams,
+    query: labelIdQuery
+};
+
+//schema da requisição de busca dos cards de um quadro
+const searchBoardCardsSchema = {
+    params: boardIdParams,
+    query: searchCardsQuery
+};
+
+//schema da requisição de busca textual de cards
+const searchCardsByTextSchema = {
+    query: {
+        q: { type: 'string', required: true, maxLength: 100 },
+        ...paginationQuery
+    }
+};
+
+//schema da requisição de busca dos cards atrasados
+const searchOverdueCardsSchema = {
+    query: paginationQuery
+};
+
+//schema da requisição de busca das atividades do usuário
+const searchActivitySchema = {
+    query: paginationQuery
+};
+
+//schema da requisição de busca dos cards da lixeira, que não recebe informações
+const searchTrashedCardsSchema = {};
+
+//schema da requisição de deleção de todos os cards, que não recebe informações
+const deleteAllCardsSchema = {};
+
+module.exports = {
+    cardAssigneeSchema,
+    cardIdSchema,
+    countBoardCardsSchema,
+    countCardsSchema,
+    createCardSchema,
+    deleteAllCardsSchema,
+    moveCardSchema,
+    searchActivitySchema,
+    searchBoardCardsSchema,
+    searchCardsByTextSchema,
+    searchCardsSchema,
+    searchOverdueCardsSchema,
+    searchTrashedCardsSchema,
+    updateCardSchema
+};
@@ -0,0 +1,87 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas as entidades Checklist e ChecklistItem (checklists dos cards e os seus itens)
+ */
+
+//regras do parâmetro id das rotas (id do card)
+const cardIdParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras dos parâmetros das rotas que manipulam uma checklist
+const checklistParams = {
+    ...cardIdParams,
+    checklistId: { type: 'integer', required: true, min: 1 }
+};
+
+//regras dos parâmetros das rotas que manipulam um item de uma checklist
+const checklistItemParams = {
+    ...checklistParams,
+    itemId: { type: 'integer', required: true, min: 1 }
+};
+
+//schema da requisição de busca das checklists de um card
+const searchChecklistsSchema = {
+    params: cardIdParams
+};
+
+//schema da requisição de cadastro de checklist
+const createChecklistSchema = {
+    params: cardIdParams,
+    body: {
+        title: { type: 'string', required: true, maxLength: 100 }
+    }
+};
+
+//schema da requisição de alteração de checklist
+const updateChecklistSchema = {
+    params: checklistParams,
+    body: {
+        title: { type: 'string', required: true, maxLength: 100 }
+    }
+};
+
+//schema da requisição de remoção de checklist
+const checklistIdSchema = {
+    params: checklistParams
+};
+
+//schema da requisição de cadastro de item da checklist
+const createChecklistItemSchema = {
+    params: checklistParams,
+    body: {
+        content: { type: 'string', required: true, maxLength: 500 }
+    }
+};
+
+//schema da requisição de alteração de item da checklist, onde o texto do item e se ele está concluído podem ser alterados separadamente
+const updateChecklistItemSchema = {
+    params: checklistItemParams,
+    body: {
+        content: { type: 'string', maxLength: 500 },
+        done: { type: 'boolean' }
+    }
+};
+
+//schema da requisição de reordenação de item da checklist
+const moveChecklistItemSchema = {
+    params: checklistItemParams,
+    body: {
+        position: { type: 'integer', required: true, min: 0 }
+    }
+};
+
+//schema da requisição de remoção de item da checklist
+const checklistItemIdSchema = {
+    params: checklistItemParams
+};
+
+module.exports = {
+    checklistIdSchema,
+    checklistItemIdSchema,
+    createChecklistItemSchema,
+    createChecklistSchema,
+    moveChecklistItemSchema,
+    searchChecklistsSchema,
+    updateChecklistItemSchema,
+    updateChecklistSchema
+};
@@ -0,0 +1,57 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas a entidade Comment (comentários dos cards)
+ * Na busca, a página (page) e o tamanho da página (size) são opcionais, se não forem informados é retornada a primeira página com o tamanho padrão
+ */
+
+const { MAX_PAGE_SIZE } = require('../helpers/pagination_helpers');
+
+//regras do parâmetro id das rotas (id do card)
+const cardIdParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras dos parâmetros das rotas que manipulam um comentário
+const commentParams = {
+    ...cardIdParams,
+    commentId: { type: 'integer', required: true, min: 1 }
+};
+
+//regras do texto do comentário
+const contentRules = { type: 'string', required: true, maxLength: 5000 };
+
+//schema da requisição de busca dos comentários de um card
+const searchCommentsSchema = {
+    params: cardIdParams,
+    query: {
+        page: { type: 'integer', min: 1 },
+        size: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+    }
+};
+
+//schema da requisição de cadastro de comentário
+const createCommentSchema = {
+    params: cardIdParams,
+    body: {
+        content: contentRules
+    }
+};
+
+//schema da requisição de alteração de comentário
+const updateCommentSchema = {
+    params: commentParams,
+    body: {
+        content: contentRules
+    }
+};
+
+//schema da requisição de remoção de comentário
+const commentIdSchema = {
+    params: commentParams
+};
+
+module.exports = {
+    commentIdSchema,
+    createCommentSchema,
+    searchCommentsSchema,
+    updateCommentSchema
+};
@@ -0,0 +1,56 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas as entidades Label (etiquetas dos quadros) e CardLabel (etiquetas associadas aos cards)
+ * Os limites de tamanho dos campos seguem o tamanho das colunas da tabela labels
+ */
+
+//regras do parâmetro id das rotas (id do quadro ou do card)
+const idParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras dos parâmetros das rotas que manipulam uma etiqueta de um quadro ou de um card
+const labelParams = {
+    ...idParams,
+    labelId: { type: 'integer', required: true, min: 1 }
+};
+
+//regras da cor da etiqueta, que deve estar no formato hexadecimal (#RRGGBB)
+const colorRules = { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, patternMessage: 'Deve ser uma cor no formato #RRGGBB' };
+
+//schema da requisição de cadastro de etiqueta no quadro
+const createLabelSchema = {
+    params: idParams,
+    body: {
+        name: { type: 'string', required: true, maxLength: 30 },
+        color: { ...colorRules, required: true }
+    }
+};
+
+//schema da requisição de alteração de etiqueta, os campos não informados não são alterados
+const updateLabelSchema = {
+    params: labelParams,
+    body: {
+        name: { type: 'string', maxLength: 30 },
+        color: colorRules
+    }
+};
+
+//schema das requisições que recebem o id do quadro ou do card e o id da etiqueta (remoção da etiqueta e desassociação do card)
+const labelSchema = {
+    params: labelParams
+};
+
+//schema da requisição que associa uma etiqueta a um card
+const createCardLabelSchema = {
+    params: idParams,
+    body: {
+        labelId: { type: 'integer', required: true, min: 1 }
+    }
+};
+
+module.exports = {
+    createCardLabelSchema,
+    createLabelSchema,
+    labelSchema,
+    updateLabelSchema
+};
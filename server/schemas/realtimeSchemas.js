@@ -0,0 +1,28 @@
+/**
+ * Arquivo com os schemas de validação das conexões de eventos em tempo real (Server-Sent Events)
+ * O último evento recebido também pode ser informado no cabeçalho Last-Event-ID, enviado automaticamente pelo navegador, que não é validado pelo schema
+ */
+
+//regras dos parâmetros da query das conexões de eventos
+const eventsQuery = {
+    lastEventId: { type: 'integer', min: 0 },
+    access_token: { type: 'string' }
+};
+
+//schema da requisição que abre a conexão de eventos dos quadros do usuário
+const userEventsSchema = {
+    query: eventsQuery
+};
+
+//schema da requisição que abre a conexão de eventos de um quadro
+const boardEventsSchema = {
+    params: {
+        id: { type: 'integer', required: true, min: 1 }
+    },
+    query: eventsQuery
+};
+
+module.exports = {
+    boardEventsSchema,
+    userEventsSchema
+};
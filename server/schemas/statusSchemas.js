@@ -0,0 +1,55 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas a entidade Status (colunas do quadro de cards)
+ * Os limites de tamanho dos campos seguem o tamanho das colunas da tabela statuses
+ */
+
+//regras do parâmetro id das rotas (id do quadro)
+const idParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras dos parâmetros das rotas que manipulam um status de um quadro
+const statusIdParams = {
+    ...idParams,
+    statusId: { type: 'integer', required: true, min: 1 }
+};
+
+//regras da cor do status, que deve estar no formato hexadecimal (#RRGGBB)
+const colorRules = { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, patternMessage: 'Deve ser uma cor no formato #RRGGBB' };
+
+//schema da requisição de cadastro de status no quadro
+const createStatusSchema = {
+    params: idParams,
+    body: {
+        name: { type: 'string', required: true, maxLength: 30 },
+        sortOrder: { type: 'integer', required: true, min: 0 },
+        color: { ...colorRules, required: true },
+        done: { type: 'boolean' }
+    }
+};
+
+//schema da requisição de alteração de status, os campos não informados não são alterados
+const updateStatusSchema = {
+    params: statusIdParams,
+    body: {
+        name: { type: 'string', maxLength: 30 },
+        sortOrder: { type: 'integer', min: 0 },
+        color: colorRules,
+        done: { type: 'boolean' }
+    }
+};
+
+//schema da requisição de deleção de status do quadro
+const statusIdSchema = {
+    params: statusIdParams
+};
+
+//schema da requisição de busca dos status padrão, que não recebe informações
+const searchStatusesSchema = {};
+
+module.exports = {
+    createStatusSchema,
+    searchStatusesSchema,
+    statusIdSchema,
+    updateStatusSchema
+};
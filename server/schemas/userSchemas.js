@@ -0,0 +1,127 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas a entidade User
+ * Os limites de tamanho dos campos seguem o tamanho das colunas da tabela users
+ */
+
+const { MAX_PAGE_SIZE } = require('../helpers/pagination_helpers');
+
+//situações possíveis do cadastro de um usuário
+const USER_STATUSES = ['Ativo', 'Inativo'];
+
+//regras do parâmetro id das rotas
+const userIdParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras da senha informada no cadastro, na alteração e na redefinição de senha
+const passwordRules = { type: 'string', minLength: 6, maxLength: 128 };
+
+//schema da requisição de cadastro de usuário
+const createUserSchema = {
+    body: {
+        name: { type: 'string', required: true, maxLength: 100 },
+        mail: { type: 'email', required: true, maxLength: 50 },
+        login: { type: 'string', required: true, maxLength: 16 },
+        password: { ...passwordRules, required: true }
+    }
+};
+
+//schema da requisição de alteração de usuário, os campos não informados não são alterados
+const updateUserSchema = {
+    params: userIdParams,
+    body: {
+        name: { type: 'string', maxLength: 100 },
+        mail: { type: 'email', maxLength: 50 },
+        login: { type: 'string', maxLength: 16 },
+        password: passwordRules
+    }
+};
+
+//schema da requisição de alteração da situação do cadastro do usuário
+const updateUserStatusSchema = {
+    params: userIdParams,
+    body: {
+        status: { type: 'string', required: true, enum: USER_STATUSES }
+    }
+};
+
+//schema das requisições que recebem apenas o id do usuário (busca e deleção)
+const userIdSchema = {
+    params: userIdParams
+};
+
+//schema da requisição de busca paginada de usuários
+const searchUsersSchema = {
+    query: {
+        parameter: { type: 'string', maxLength: 100 },
+        page: { type: 'integer', min: 1 },
+        size: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+    }
+};
+
+//schema da requisição de autenticação
+const authenticateUserSchema = {
+    body: {
+        login: { type: 'string', required: true },
+        password: { type: 'string', required: true }
+    }
+};
+
+//schema da requisição de solicitação de redefinição de senha
+const recoverUserPasswordSchema = {
+    body: {
+        mail: { type: 'email', required: true }
+    }
+};
+
+//schema da requisição de confirmação da redefinição de senha
+const confirmPasswordResetSchema = {
+    body: {
+        token: { type: 'string', required: true },
+        password: { ...passwordRules, required: true }
+    }
+};
+
+//schema da requisição de confirmação do email, que recebe o token do link de confirmação
+const verifyUserMailSchema = {
+    query: {
+        token: { type: 'string', required: true }
+    }
+};
+
+//schema da requisição de reenvio do link de confirmação do email
+const resendMailVerificationSchema = {
+    body: {
+        mail: { type: 'email', required: true }
+    }
+};
+
+//schema da requisição de renovação do token de acesso
+const refreshAccessTokenSchema = {
+    body: {
+        refreshToken: { type: 'string', required: true }
+    }
+};
+
+//schema da requisição de contagem de usuários, que não recebe informações
+const countUsersSchema = {};
+
+//schema das requisições de encerramento da sessão atual e de todas as sessões, que não recebem informações
+const logoutUserSchema = {};
+
+module.exports = {
+    USER_STATUSES,
+    authenticateUserSchema,
+    confirmPasswordResetSchema,
+    countUsersSchema,
+    createUserSchema,
+    logoutUserSchema,
+    recoverUserPasswordSchema,
+    refreshAccessTokenSchema,
+    resendMailVerificationSchema,
+    searchUsersSchema,
+    updateUserSchema,
+    updateUserStatusSchema,
+    userIdSchema,
+    verifyUserMailSchema
+};
@@ -0,0 +1,73 @@
+/**
+ * Arquivo com os schemas de validação das requisições relacionadas a entidade Webhook (endereços que recebem os eventos dos cards)
+ * Os eventos (events) são informados em uma lista, com ao menos um dos eventos disponíveis, e o quadro (boardId) é opcional
+ * O segredo de assinatura (secret) também é opcional, se não for informado no cadastro é gerado um segredo aleatório
+ */
+
+const { MAX_PAGE_SIZE } = require('../helpers/pagination_helpers');
+const { WEBHOOK_EVENTS } = require('../helpers/webhook_helpers');
+
+//regras do parâmetro id das rotas (id do webhook)
+const webhookIdParams = {
+    id: { type: 'integer', required: true, min: 1 }
+};
+
+//regras da URL do webhook, que deve utilizar http ou https
+const urlRules = { type: 'string', maxLength: 500, pattern: /^https?:\/\/\S+$/i, patternMessage: 'Deve ser uma URL http ou https válida' };
+
+//regras da lista de eventos que o webhook recebe
+const eventsRules = { type: 'array', minLength: 1, enum: Object.values(WEBHOOK_EVENTS) };
+
+//regras do quadro do webhook, se for informado vazio o webhook recebe os eventos de todos os quadros do usuário
+const boardIdRules = { type: 'integer', nullable: true, min: 1 };
+
+//regras do segredo de assinatura do webhook
+const secretRules = { type: 'string', minLength: 16, maxLength: 255 };
+
+//schema da requisição de cadastro de webhook
+const createWebhookSchema = {
+    body: {
+        url: { ...urlRules, required: true },
+        events: { ...eventsRules, required: true },
+        secret: secretRules,
+        boardId: boardIdRules,
+        active: { type: 'boolean' }
+    }
+};
+
+//schema da requisição de alteração de webhook, onde os campos podem ser alterados separadamente
+const updateWebhookSchema = {
+    params: webhookIdParams,
+    body: {
+        url: urlRules,
+        events: eventsRules,
+        secret: secretRules,
+        boardId: boardIdRules,
+        active: { type: 'boolean' }
+    }
+};
+
+//schema da requisição de remoção de webhook
+const webhookIdSchema = {
+    params: webhookIdParams
+};
+
+//schema da requisição de busca das entregas de um webhook
+const searchWebhookDeliveriesSchema = {
+    params: webhookIdParams,
+    query: {
+        page: { type: 'integer', min: 1 },
+        size: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+    }
+};
+
+//schema da requisição de busca dos webhooks do usuário, que não recebe informações
+const searchWebhooksSchema = {};
+
+module.exports = {
+    createWebhookSchema,
+    searchWebhookDeliveriesSchema,
+    searchWebhooksSchema,
+    updateWebhookSchema,
+    webhookIdSchema
+};
@@ -0,0 +1,77 @@
+/**
+ * Arquivo que define o armazenamento dos arquivos anexados aos cards
+ * Todo armazenamento deve implementar os métodos abaixo, permitindo trocar a implementação (ex: um armazenamento compatível com S3) sem alterar o restante da API
+ * - saveFile(key, buffer, mimeType): grava o arquivo com a chave informada
+ * - readFile(key): retorna uma stream de leitura do arquivo ou null se ele não existe
+ * - deleteFile(key): remove o arquivo, ignorando os arquivos que não existem
+ * O armazenamento utilizado é definido pela variável ATTACHMENT_STORAGE (padrão: local)
+ */
+
+const path = require('path');
+const LocalFileStorage = require('./localFileStorage');
+const { generateToken } = require('../helpers/password_helpers');
+//tipo de armazenamento utilizado
+const ATTACHMENT_STORAGE = process.env.ATTACHMENT_STORAGE || 'local';
+//pasta onde os arquivos são gravados pelo armazenamento local
+const ATTACHMENT_STORAGE_PATH = process.env.ATTACHMENT_STORAGE_PATH || path.resolve(__dirname, '../../uploads');
+//funções que criam cada um dos armazenamentos disponíveis
+const STORAGES = {
+    local: () => new LocalFileStorage(ATTACHMENT_STORAGE_PATH)
+};
+
+/**
+ * Função que cria o armazenamento configurado
+ * Se o armazenamento configurado não existir, gera um erro ao iniciar o servidor
+ * @returns instância do armazenamento
+ */
+function createStorage() {
+
+    //se o armazenamento configurado não foi implementado
+    if(!STORAGES[ATTACHMENT_STORAGE]) {
+
+        throw new Error(`Armazenamento de anexos não suportado: ${ATTACHMENT_STORAGE}`);
+    }
+
+    return STORAGES[ATTACHMENT_STORAGE]();
+}
+
+//instância do armazenamento utilizada pela API
+const storage = createStorage();
+
+/**
+ * Função que gera a chave de um novo arquivo anexado a um card, os arquivos de cada card são agrupados pelo id do card
+ * @param cardId id do card
+ * @returns chave do arquivo
+ */
+function generateStorageKey(cardId) {
+
+    return `cards/${cardId}/${generateToken()}`;
+}
+
+/**
+ * Função que remove do armazenamento os arquivos de uma lista de anexos
+ * Deve ser chamada após a remoção dos anexos na base de dados, as falhas são apenas exibidas no console para não impedir a remoção dos demais arquivos
+ * @param attachments lista de anexos
+ */
+async function deleteAttachmentFiles(attachments) {
+
+    //percorre os anexos removendo o arquivo de cada um
+    for(const attachment of attachments) {
+
+        try {
+
+            await storage.deleteFile(attachment.storageKey);
+        }
+        catch(error) {
+
+            //exibe o erro no console, o arquivo fica órfão no armazenamento
+            console.log(error);
+        }
+    }
+}
+
+module.exports = {
+    deleteAttachmentFiles,
+    generateStorageKey,
+    storage
+};
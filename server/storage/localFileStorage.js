@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Classe que implementa o armazenamento dos arquivos anexados aos cards no sistema de arquivos local
+ * Cada arquivo é gravado em um caminho formado pela pasta raiz do armazenamento e pela sua chave (ex: cards/1/abc123)
+ */
+class LocalFileStorage {
+
+    /**
+     * Construtor padrão
+     * @param rootPath pasta raiz onde os arquivos são gravados
+     */
+    constructor(rootPath) {
+
+        this.rootPath = path.resolve(rootPath);
+    }
+
+    /**
+     * Método que obtém o caminho de um arquivo no sistema de arquivos com base na sua chave
+     * As chaves que apontam para fora da pasta raiz são rejeitadas
+     * @param key chave do arquivo
+     * @returns caminho completo do arquivo
+     */
+    getFilePath(key) {
+
+        //monta o caminho do arquivo a partir da pasta raiz
+        const filePath = path.resolve(this.rootPath, key);
+
+        //impede que chaves como ../arquivo acessem arquivos fora da pasta raiz
+        if(!filePath.startsWith(this.rootPath + path.sep)) {
+
+            throw new Error('Chave de arquivo inválida');
+        }
+
+        return filePath;
+    }
+
+    /**
+     * Método que grava um arquivo, criando as pastas necessárias
+     * @param key chave do arquivo
+     * @param buffer conteúdo do arquivo
+     */
+    async saveFile(key, buffer) {
+
+        const filePath = this.getFilePath(key);
+
+        //cria a pasta do arquivo, caso ainda não exista, e grava o seu conteúdo
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    }
+
+    /**
+     * Método que obtém uma stream de leitura de um arquivo
+     * @param key chave do arquivo
+     * @returns stream de leitura do arquivo ou null se o arquivo não existe
+     */
+    async readFile(key) {
+
+        const filePath = this.getFilePath(key);
+
+        //verifica se o arquivo existe
+        try {
+
+            await fs.promises.access(filePath);
+        }
+        catch(error) {
+
+            return null;
+        }
+
+        //retorna a stream de leitura, permitindo enviar o arquivo sem carregá-lo inteiro na memória
+        return fs.createReadStream(filePath);
+    }
+
+    /**
+     * Método que remove um arquivo, os arquivos que não existem são ignorados
+     * @param key chave do arquivo
+     */
+    async deleteFile(key) {
+
+        try {
+
+            await fs.promises.unlink(this.getFilePath(key));
+        }
+        catch(error) {
+
+            //apenas a falha de arquivo inexistente é ignorada
+            if(error.code !== 'ENOENT') {
+
+                throw error;
+            }
+        }
+    }
+}
+
+module.exports = LocalFileStorage;
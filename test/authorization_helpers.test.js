@@ -0,0 +1,121 @@
+/**
+ * Testes dos middlewares que verificam o papel do usuário autenticado no quadro do card (verifyCardAccess) e no quadro (verifyBoardAccess)
+ * Os cards, quadros e membros ficam em memória, substituindo os métodos das persistências, assim os testes não dependem da base de dados
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const BoardPersistence = require('../server/persistence/boardPersistence');
+const CardPersistence = require('../server/persistence/cardPersistence');
+const { BOARD_READ_ROLES, BOARD_ROLES, BOARD_WRITE_ROLES, verifyBoardAccess, verifyCardAccess } = require('../server/helpers/authorization_helpers');
+
+//card 1 do quadro 1, no qual o usuário 1 é dono, o usuário 2 é editor e o usuário 3 é leitor
+const cards = [{ cardId: 1, boardId: 1 }];
+const boards = [{ boardId: 1 }];
+const boardMembers = [
+    { boardId: 1, userId: 1, role: BOARD_ROLES.OWNER },
+    { boardId: 1, userId: 2, role: BOARD_ROLES.EDITOR },
+    { boardId: 1, userId: 3, role: BOARD_ROLES.VIEWER }
+];
+
+CardPersistence.findCardById = async cardId => cards.find(card => card.cardId === Number(cardId)) || null;
+BoardPersistence.findBoardById = async boardId => boards.find(board => board.boardId === Number(boardId)) || null;
+BoardPersistence.findBoardMember = async (boardId, userId) => boardMembers.find(member => member.boardId === Number(boardId) && member.userId === Number(userId)) || null;
+
+/**
+ * Função que executa um middleware de verificação de acesso
+ * @param middleware middleware a ser executado
+ * @param id id do card ou do quadro informado na rota
+ * @param userId id do usuário autenticado
+ * @returns objeto com a requisição, o código da resposta (null se o acesso foi liberado) e se o próximo middleware foi chamado
+ */
+async function access(middleware, id, userId) {
+
+    const req = { params: { id: String(id) }, userId, headers: {} };
+    const res = {
+        statusCode: null,
+        status(statusCode) {
+
+            this.statusCode = statusCode;
+            return this;
+        },
+        send() {
+
+            return this;
+        }
+    };
+    let next = false;
+
+    await middleware(req, res, () => next = true);
+
+    return { req, statusCode: res.statusCode, next };
+}
+
+describe('verifyCardAccess', () => {
+
+    it('libera a leitura do card para todos os membros do quadro', async () => {
+
+        for(const userId of [1, 2, 3]) {
+
+            const result = await access(verifyCardAccess(...BOARD_READ_ROLES), 1, userId);
+
+            assert.strictEqual(result.next, true);
+            assert.strictEqual(result.req.boardId, 1);
+        }
+    });
+
+    it('libera a alteração do card apenas para o dono e os editores do quadro', async () => {
+
+        const owner = await access(verifyCardAccess(...BOARD_WRITE_ROLES), 1, 1);
+        const editor = await access(verifyCardAccess(...BOARD_WRITE_ROLES), 1, 2);
+        const viewer = await access(verifyCardAccess(...BOARD_WRITE_ROLES), 1, 3);
+
+        assert.strictEqual(owner.req.boardRole, BOARD_ROLES.OWNER);
+        assert.strictEqual(editor.req.boardRole, BOARD_ROLES.EDITOR);
+        assert.strictEqual(viewer.next, false);
+        assert.strictEqual(viewer.statusCode, 403);
+    });
+
+    it('bloqueia os usuários que não são membros do quadro do card', async () => {
+
+        const result = await access(verifyCardAccess(...BOARD_READ_ROLES), 1, 4);
+
+        assert.strictEqual(result.next, false);
+        assert.strictEqual(result.statusCode, 403);
+    });
+
+    it('responde 404 quando o card não existe', async () => {
+
+        const result = await access(verifyCardAccess(...BOARD_READ_ROLES), 99, 1);
+
+        assert.strictEqual(result.next, false);
+        assert.strictEqual(result.statusCode, 404);
+    });
+});
+
+describe('verifyBoardAccess', () => {
+
+    it('libera as operações dos donos apenas para o dono do quadro', async () => {
+
+        const owner = await access(verifyBoardAccess(BOARD_ROLES.OWNER), 1, 1);
+        const editor = await access(verifyBoardAccess(BOARD_ROLES.OWNER), 1, 2);
+
+        assert.strictEqual(owner.next, true);
+        assert.strictEqual(owner.req.boardRole, BOARD_ROLES.OWNER);
+        assert.strictEqual(editor.next, false);
+        assert.strictEqual(editor.statusCode, 403);
+    });
+
+    it('libera a alteração do quadro para o dono e os editores, mas não para os leitores', async () => {
+
+        assert.strictEqual((await access(verifyBoardAccess(...BOARD_WRITE_ROLES), 1, 2)).next, true);
+        assert.strictEqual((await access(verifyBoardAccess(...BOARD_WRITE_ROLES), 1, 3)).statusCode, 403);
+        assert.strictEqual((await access(verifyBoardAccess(...BOARD_READ_ROLES), 1, 3)).next, true);
+    });
+
+    it('bloqueia os usuários que não são membros do quadro e responde 404 quando o quadro não existe', async () => {
+
+        assert.strictEqual((await access(verifyBoardAccess(...BOARD_READ_ROLES), 1, 4)).statusCode, 403);
+        assert.strictEqual((await access(verifyBoardAccess(...BOARD_READ_ROLES), 99, 1)).statusCode, 404);
+    });
+});
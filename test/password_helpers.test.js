@@ -0,0 +1,37 @@
+/**
+ * Testes do armazenamento das senhas: geração do hash com scrypt e verificação das senhas em hash e das senhas antigas em texto puro, que são convertidas em hash no primeiro login
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { DUMMY_PASSWORD_HASH, hashPassword, isPasswordHashed, verifyPassword } = require('../server/helpers/password_helpers');
+
+describe('password_helpers', () => {
+
+    it('gera hashes diferentes para a mesma senha, que são verificados com a senha original', async () => {
+
+        const first = await hashPassword('senha-secreta');
+        const second = await hashPassword('senha-secreta');
+
+        assert.notStrictEqual(first, second);
+        assert.ok(isPasswordHashed(first));
+        assert.ok(!first.includes('senha-secreta'));
+        assert.strictEqual(await verifyPassword('senha-secreta', first), true);
+        assert.strictEqual(await verifyPassword('outra-senha', first), false);
+    });
+
+    it('aceita as senhas antigas em texto puro, que ainda precisam ser convertidas em hash', async () => {
+
+        assert.strictEqual(isPasswordHashed('123456'), false);
+        assert.strictEqual(await verifyPassword('123456', '123456'), true);
+        assert.strictEqual(await verifyPassword('1234567', '123456'), false);
+    });
+
+    it('recusa senhas vazias e o hash fixo utilizado nos logins inexistentes', async () => {
+
+        assert.strictEqual(await verifyPassword('', await hashPassword('senha-secreta')), false);
+        assert.strictEqual(await verifyPassword('senha-secreta', null), false);
+        assert.ok(isPasswordHashed(DUMMY_PASSWORD_HASH));
+        assert.strictEqual(await verifyPassword('senha-secreta', DUMMY_PASSWORD_HASH), false);
+    });
+});
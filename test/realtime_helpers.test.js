@@ -0,0 +1,109 @@
+/**
+ * Testes do id das mensagens de eventos em tempo real quando os eventos são confirmados fora da ordem dos seus ids
+ * O cliente e a sua conexão são objetos em memória, assim os testes não dependem da base de dados e nem de um servidor HTTP
+ */
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { after, before, describe, it } = require('node:test');
+const { openEventStream, publishCardEvents, releasePendingCardEvents, setPendingCardEvents, trackPendingCardEvents } = require('../server/helpers/realtime_helpers');
+
+//mensagens recebidas pelo cliente e o próprio cliente conectado
+let messages = [];
+let subscriber;
+
+/**
+ * Função que cria a resposta de uma conexão de eventos em memória, que guarda as mensagens enviadas
+ * @returns resposta da conexão
+ */
+function createResponse() {
+
+    const res = new EventEmitter();
+
+    res.status = () => res;
+    res.set = () => res;
+    res.flushHeaders = () => {};
+    res.write = message => messages.push(message);
+    res.end = () => res.emit('close');
+
+    return res;
+}
+
+/**
+ * Função que publica um evento do quadro 1 e aguarda o seu envio ao cliente
+ * @param cardEventId id do evento
+ * @returns mensagem enviada ao cliente
+ */
+async function publish(cardEventId) {
+
+    messages = [];
+    publishCardEvents([{ cardEventId, boardId: 1 }]);
+    await subscriber.delivery;
+
+    return messages.join('');
+}
+
+describe('realtime_helpers', () => {
+
+    before(() => {
+
+        const req = { userId: 1, headers: {}, query: {}, tokenExpiresAt: Date.now() / 1000 + 3600 };
+
+        subscriber = openEventStream(req, createResponse(), async () => [1]);
+    });
+
+    after(() => {
+
+        subscriber.res.end();
+    });
+
+    it('envia a mensagem sem id enquanto os ids dos eventos pendentes ainda não são conhecidos', async () => {
+
+        const pending = trackPendingCardEvents();
+        const message = await publish(1);
+
+        releasePendingCardEvents(pending);
+
+        assert.ok(!message.includes('id:'));
+        assert.ok(message.includes('"cardEventId":1'));
+    });
+
+    it('utiliza o id do evento quando não há eventos pendentes', async () => {
+
+        assert.ok((await publish(2)).startsWith('id: 2\n'));
+    });
+
+    it('não ultrapassa o id dos eventos de transações ainda não confirmadas', async () => {
+
+        //o evento 9 é gravado antes do evento 10, mas a sua transação é confirmada depois
+        const first = trackPendingCardEvents();
+        setPendingCardEvents(first, [{ cardEventId: 9 }]);
+        const second = trackPendingCardEvents();
+        setPendingCardEvents(second, [{ cardEventId: 10 }]);
+
+        releasePendingCardEvents(second);
+        assert.ok((await publish(10)).startsWith('id: 8\n'));
+
+        releasePendingCardEvents(first);
+        assert.ok((await publish(9)).startsWith('id: 9\n'));
+        assert.ok((await publish(11)).startsWith('id: 11\n'));
+    });
+
+    it('limita o id pelo maior evento já gravado quando a gravação ainda não terminou', async () => {
+
+        const recorded = trackPendingCardEvents();
+        setPendingCardEvents(recorded, [{ cardEventId: 12 }]);
+        const recording = trackPendingCardEvents();
+
+        releasePendingCardEvents(recorded);
+        assert.ok((await publish(12)).startsWith('id: 12\n'));
+
+        //os eventos ainda não gravados terão ids maiores que 12
+        const otherRecorded = trackPendingCardEvents();
+        setPendingCardEvents(otherRecorded, [{ cardEventId: 14 }]);
+        releasePendingCardEvents(otherRecorded);
+        assert.ok((await publish(14)).startsWith('id: 12\n'));
+
+        releasePendingCardEvents(recording);
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Testes das sessões dos usuários: rotação do refresh token, revogação da sessão inteira quando um token já utilizado é apresentado novamente e bloqueio dos tokens de acesso das sessões revogadas
+ * Os refresh tokens ficam em uma lista em memória, que substitui os métodos da persistência das sessões, assim os testes não dependem da base de dados
+ */
+
+process.env.SECRET = 'segredo-dos-testes-das-sessoes';
+
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const { beforeEach, describe, it } = require('node:test');
+const { sequelize } = require('../server/models');
+const SessionPersistence = require('../server/persistence/sessionPersistence');
+const UserPersistence = require('../server/persistence/userPersistence');
+const UserController = require('../server/controllers/userController');
+const { verifyJWTToken } = require('../server/helpers/api_helpers');
+const { createRefreshToken, generateAccessToken } = require('../server/helpers/token_helpers');
+
+//refresh tokens cadastrados
+let sessions = [];
+
+/**
+ * Função que cria a resposta de uma requisição em memória, que guarda o código e o conteúdo enviados
+ * @returns resposta da requisição
+ */
+function createResponse() {
+
+    return {
+        statusCode: null,
+        body: null,
+        status(statusCode) {
+
+            this.statusCode = statusCode;
+            return this;
+        },
+        send(body) {
+
+            this.body = body;
+            return this;
+        },
+        json(body) {
+
+            return this.send(body);
+        }
+    };
+}
+
+/**
+ * Função que renova o token de acesso a partir de um refresh token
+ * @param refreshToken refresh token apresentado
+ * @returns resposta da requisição
+ */
+async function refresh(refreshToken) {
+
+    const res = createResponse();
+
+    await UserController.refreshAccessToken({ body: { refreshToken }, headers: {} }, res);
+
+    return res;
+}
+
+/**
+ * Função que executa o middleware de autenticação com um token de acesso
+ * @param token token de acesso
+ * @returns objeto com a requisição, a resposta e se o próximo middleware foi chamado
+ */
+function authenticate(token) {
+
+    return new Promise(resolve => {
+
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = createResponse();
+
+        res.json = body => {
+
+            res.body = body;
+            resolve({ req, res, next: false });
+        };
+
+        verifyJWTToken(req, res, () => resolve({ req, res, next: true }));
+    });
+}
+
+//substitui a persistência das sessões pela lista em memória
+SessionPersistence.createSession = async session => {
+
+    const newSession = { ...session, sessionId: sessions.length + 1, rotatedAt: null, revokedAt: null };
+
+    sessions.push(newSession);
+
+    return newSession;
+};
+SessionPersistence.findSessionByRefreshToken = async refreshTokenHash => sessions.find(session => session.refreshTokenHash === refreshTokenHash) || null;
+SessionPersistence.isSessionActive = async familyId => sessions.some(session => session.familyId === familyId && !session.revokedAt);
+SessionPersistence.rotateSession = async (sessionId, rotatedAt) => {
+
+    const session = sessions.find(item => item.sessionId === sessionId && !item.rotatedAt && !item.revokedAt);
+
+    if(session) {
+
+        session.rotatedAt = rotatedAt;
+    }
+
+    return Boolean(session);
+};
+SessionPersistence.revokeSession = async (familyId, revokedAt) => {
+
+    sessions.filter(session => session.familyId === familyId && !session.revokedAt).forEach(session => session.revokedAt = revokedAt);
+};
+//o usuário das sessões sempre existe e está ativo
+UserPersistence.findUserById = async userId => ({ userId, status: 'Ativo' });
+//as transações não acessam a base de dados
+sequelize.transaction = async () => ({ commit: async () => {}, rollback: async () => {}, afterCommit: () => {} });
+
+describe('sessões dos usuários', () => {
+
+    beforeEach(() => {
+
+        sessions = [];
+    });
+
+    it('substitui o refresh token utilizado por um novo token da mesma sessão', async () => {
+
+        const { familyId, refreshToken } = await createRefreshToken(1);
+        const res = await refresh(refreshToken);
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.notStrictEqual(res.body.refreshToken, refreshToken);
+        assert.strictEqual(jwt.verify(res.body.token, process.env.SECRET).familyId, familyId);
+        assert.strictEqual(sessions.length, 2);
+        assert.ok(sessions[0].rotatedAt);
+        assert.ok(sessions.every(session => session.familyId === familyId && !session.revokedAt));
+    });
+
+    it('revoga a sessão inteira quando um refresh token já utilizado é apresentado novamente', async () => {
+
+        const { familyId, refreshToken } = await createRefreshToken(1);
+        const { body } = await refresh(refreshToken);
+        //outra sessão do mesmo usuário não é afetada
+        const otherSession = await createRefreshToken(1);
+
+        //o token antigo é reutilizado, por exemplo por quem o roubou
+        const reuse = await refresh(refreshToken);
+
+        assert.strictEqual(reuse.statusCode, 401);
+        assert.strictEqual(await SessionPersistence.isSessionActive(familyId), false);
+        assert.strictEqual(await SessionPersistence.isSessionActive(otherSession.familyId), true);
+        //o novo token do usuário legítimo também deixa de ser aceito
+        assert.strictEqual((await refresh(body.refreshToken)).statusCode, 401);
+    });
+
+    it('recusa refresh tokens desconhecidos', async () => {
+
+        assert.strictEqual((await refresh('token-desconhecido')).statusCode, 401);
+        assert.strictEqual((await refresh(undefined)).statusCode, 401);
+    });
+
+    it('aceita o token de acesso somente enquanto a sua sessão estiver ativa', async () => {
+
+        const { familyId } = await createRefreshToken(7);
+        const token = generateAccessToken(7, familyId);
+
+        const active = await authenticate(token);
+
+        assert.strictEqual(active.next, true);
+        assert.strictEqual(active.req.userId, 7);
+        assert.strictEqual(active.req.familyId, familyId);
+
+        await SessionPersistence.revokeSession(familyId, '2026-10-18 10:00:00');
+        const revoked = await authenticate(token);
+
+        assert.strictEqual(revoked.next, false);
+        assert.strictEqual(revoked.res.statusCode, 401);
+    });
+
+    it('recusa tokens de acesso sem a sessão', async () => {
+
+        const result = await authenticate(jwt.sign({ userId: 7 }, process.env.SECRET));
+
+        assert.strictEqual(result.next, false);
+        assert.strictEqual(result.res.statusCode, 401);
+    });
+});
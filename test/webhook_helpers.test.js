@@ -0,0 +1,175 @@
+/**
+ * Testes do envio das entregas dos webhooks: assinatura, registro do resultado e novas tentativas com intervalos cada vez maiores
+ * As entregas são enviadas para um servidor HTTP local, por isso as entregas na rede interna são permitidas nestes testes
+ * As entregas são objetos em memória com o método update, assim os testes não dependem da base de dados
+ */
+
+process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = 'true';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '10';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { DELIVERY_STATUS, sendWebhookDelivery, signWebhookPayload } = require('../server/helpers/webhook_helpers');
+
+//requisições recebidas pelo servidor local e código HTTP das respostas
+let requests = [];
+let responseStatus = 200;
+let server;
+let webhookUrl;
+
+/**
+ * Função que cria uma entrega pendente em memória, que registra as alterações no próprio objeto
+ * @param webhook dados do webhook que deve receber a entrega
+ * @returns entrega pendente
+ */
+function createDelivery(webhook) {
+
+    return {
+        deliveryId: 1,
+        event: 'card.created',
+        payload: JSON.stringify({ event: 'card.created', createdAt: '2026-10-18 10:00:00', data: { cardId: 1 } }),
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        deliveryWebhook: { url: webhookUrl, secret: 'segredo-de-teste-123', active: true, ...webhook },
+        async update(data) {
+
+            Object.assign(this, data);
+        }
+    };
+}
+
+/**
+ * Função que obtém o intervalo em segundos entre o momento atual e uma data no formato da base de dados
+ * @param date data no formato da base de dados
+ * @returns intervalo em segundos
+ */
+function secondsFromNow(date) {
+
+    return (new Date(date).getTime() - Date.now()) / 1000;
+}
+
+describe('webhook_helpers', () => {
+
+    before(async () => {
+
+        //servidor local que simula o endereço do webhook
+        server = http.createServer((req, res) => {
+
+            let body = '';
+
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+
+                requests.push({ headers: req.headers, body });
+                res.statusCode = responseStatus;
+                res.end();
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+
+        requests = [];
+        responseStatus = 200;
+    });
+
+    it('assina o conteúdo com HMAC-SHA256 do texto "timestamp.conteúdo"', () => {
+
+        const expected = crypto.createHmac('sha256', 'segredo').update('1700000000.{"a":1}').digest('hex');
+
+        assert.strictEqual(signWebhookPayload('segredo', 1700000000, '{"a":1}'), expected);
+        assert.notStrictEqual(signWebhookPayload('outro-segredo', 1700000000, '{"a":1}'), expected);
+    });
+
+    it('envia a entrega assinada e registra o sucesso', async () => {
+
+        const delivery = createDelivery();
+
+        await sendWebhookDelivery(delivery);
+
+        assert.strictEqual(requests.length, 1);
+
+        const { headers, body } = requests[0];
+
+        assert.strictEqual(body, delivery.payload);
+        assert.strictEqual(headers['x-webhook-event'], 'card.created');
+        assert.strictEqual(headers['x-webhook-delivery'], '1');
+        assert.strictEqual(headers['x-webhook-signature'], `sha256=${signWebhookPayload('segredo-de-teste-123', headers['x-webhook-timestamp'], body)}`);
+        assert.strictEqual(delivery.status, DELIVERY_STATUS.SUCCESS);
+        assert.strictEqual(delivery.attempts, 1);
+        assert.strictEqual(delivery.responseStatus, 200);
+        assert.strictEqual(delivery.nextAttemptAt, null);
+        assert.ok(delivery.deliveredAt);
+    });
+
+    it('agenda novas tentativas com intervalos que dobram a cada falha até a quantidade máxima', async () => {
+
+        const delivery = createDelivery();
+
+        responseStatus = 500;
+
+        //primeira falha: nova tentativa após o intervalo base
+        await sendWebhookDelivery(delivery);
+        assert.strictEqual(delivery.status, DELIVERY_STATUS.PENDING);
+        assert.strictEqual(delivery.attempts, 1);
+        assert.strictEqual(delivery.responseStatus, 500);
+        assert.match(delivery.errorMessage, /500/);
+        assert.ok(Math.abs(secondsFromNow(delivery.nextAttemptAt) - 10) <= 2);
+
+        //segunda falha: o intervalo dobra
+        await sendWebhookDelivery(delivery);
+        assert.strictEqual(delivery.status, DELIVERY_STATUS.PENDING);
+        assert.strictEqual(delivery.attempts, 2);
+        assert.ok(Math.abs(secondsFromNow(delivery.nextAttemptAt) - 20) <= 2);
+
+        //última tentativa: a entrega é marcada como falha
+        await sendWebhookDelivery(delivery);
+        assert.strictEqual(delivery.status, DELIVERY_STATUS.FAILED);
+        assert.strictEqual(delivery.attempts, 3);
+        assert.strictEqual(delivery.nextAttemptAt, null);
+        assert.strictEqual(requests.length, 3);
+    });
+
+    it('registra a falha de conexão como uma tentativa', async () => {
+
+        const delivery = createDelivery({ url: 'http://127.0.0.1:1/hook' });
+
+        await sendWebhookDelivery(delivery);
+
+        assert.strictEqual(delivery.status, DELIVERY_STATUS.PENDING);
+        assert.strictEqual(delivery.attempts, 1);
+        assert.strictEqual(delivery.responseStatus, null);
+        assert.ok(delivery.errorMessage);
+    });
+
+    it('não segue redirecionamentos', async () => {
+
+        const delivery = createDelivery();
+
+        responseStatus = 302;
+
+        await sendWebhookDelivery(delivery);
+
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(delivery.status, DELIVERY_STATUS.PENDING);
+        assert.strictEqual(delivery.responseStatus, 302);
+    });
+
+    it('não envia as entregas dos webhooks desativados', async () => {
+
+        const delivery = createDelivery({ active: false });
+
+        await sendWebhookDelivery(delivery);
+
+        assert.strictEqual(requests.length, 0);
+        assert.strictEqual(delivery.status, DELIVERY_STATUS.FAILED);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Testes da proteção contra o envio das entregas dos webhooks para endereços da rede interna (SSRF)
+ * Diferente dos demais testes dos webhooks, as entregas na rede interna não são permitidas
+ */
+
+delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+
+const assert = require('assert');
+const http = require('http');
+const { after, before, describe, it } = require('node:test');
+const { DELIVERY_STATUS, isBlockedAddress, isWebhookUrlAllowed, sendWebhookDelivery } = require('../server/helpers/webhook_helpers');
+
+//quantidade de requisições recebidas pelo servidor local
+let requestsCount = 0;
+let server;
+let port;
+
+/**
+ * Função que cria uma entrega pendente em memória para uma URL
+ * @param url URL do webhook
+ * @returns entrega pendente
+ */
+function createDelivery(url) {
+
+    return {
+        deliveryId: 1,
+        event: 'card.created',
+        payload: '{}',
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        deliveryWebhook: { url, secret: 'segredo-de-teste-123', active: true },
+        async update(data) {
+
+            Object.assign(this, data);
+        }
+    };
+}
+
+describe('proteção dos webhooks contra endereços da rede interna', () => {
+
+    before(async () => {
+
+        //servidor local que não deve receber nenhuma entrega
+        server = http.createServer((req, res) => {
+
+            requestsCount++;
+            res.end();
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    after(() => server.close());
+
+    it('bloqueia os endereços de loopback, privados, link-local e de metadados', () => {
+
+        ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.0.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:169.254.169.254'].forEach(address => {
+
+            assert.strictEqual(isBlockedAddress(address), true, address);
+        });
+    });
+
+    it('permite os endereços públicos', () => {
+
+        ['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700:4700::1111', '::ffff:8.8.8.8'].forEach(address => {
+
+            assert.strictEqual(isBlockedAddress(address), false, address);
+        });
+    });
+
+    it('recusa no cadastro as URLs da rede interna', async () => {
+
+        assert.strictEqual(await isWebhookUrlAllowed('http://169.254.169.254/latest/meta-data'), false);
+        assert.strictEqual(await isWebhookUrlAllowed('http://[::1]:8080/'), false);
+        assert.strictEqual(await isWebhookUrlAllowed('http://localhost:8080/'), false);
+        assert.strictEqual(await isWebhookUrlAllowed('https://93.184.216.34/hook'), true);
+    });
+
+    it('não envia as entregas para endereços IP da rede interna', async () => {
+
+        const delivery = createDelivery(`http://127.0.0.1:${port}/hook`);
+
+        await sendWebhookDelivery(delivery);
+
+        assert.strictEqual(requestsCount, 0);
+        assert.strictEqual(delivery.status, DELIVERY_STATUS.PENDING);
+        assert.match(delivery.errorMessage, /não pode receber entregas/);
+    });
+
+    it('não envia as entregas para nomes resolvidos na rede interna', async () => {
+
+        const delivery = createDelivery(`http://localhost:${port}/hook`);
+
+        await sendWebhookDelivery(delivery);
+
+        assert.strictEqual(requestsCount, 0);
+        assert.match(delivery.errorMessage, /não pode receber entregas/);
+    });
+});